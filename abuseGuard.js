@@ -0,0 +1,230 @@
+// Rate limits and lockouts for the public check endpoints. Roblox servers share
+// egress IPs, so checks are budgeted per license key and per player on a license
+// instead of per caller, once the license key is known to exist. Sources (see
+// checkSource) that keep checking license keys which do not exist are locked out of
+// such checks for escalating periods; lockouts are written to abuse_lockouts, where
+// the bot picks them up for its Discord report.
+const pool = require('./db');
+const logger = require('./logger');
+
+const LIMIT_WINDOW_MS = 60 * 1000;
+// Checks per license key / per player (UserId, else username) on a license per minute
+const LICENSE_CHECK_LIMIT = parseInt(process.env.LICENSE_CHECK_LIMIT || '600', 10);
+const PLAYER_CHECK_LIMIT = parseInt(process.env.PLAYER_CHECK_LIMIT || '60', 10);
+
+// Denied checks against unknown license keys a source may make within the strike window
+const UNKNOWN_LICENSE_STRIKES = parseInt(process.env.UNKNOWN_LICENSE_STRIKES || '10', 10);
+const STRIKE_WINDOW_MS = 10 * 60 * 1000;
+// Each lockout doubles the last one, until the source stays clean for a day
+const BASE_LOCKOUT_MS = 5 * 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+const LOCKOUT_RESET_MS = 24 * 60 * 60 * 1000;
+// License keys kept per source for the report
+const MAX_REPORTED_KEYS = 10;
+
+// key -> { count, resetAt }
+const budgets = new Map();
+// source -> { strikes: [timestamps], keys: Set, level, lockedUntil, lastLockoutAt }
+const sources = new Map();
+
+function lockoutDuration(level) {
+  return Math.min(BASE_LOCKOUT_MS * 2 ** (level - 1), MAX_LOCKOUT_MS);
+}
+
+// Games on one license cannot use up a player's budget on another
+function playerKey({ licenseKey, userId, username }) {
+  const player = userId ? `player:${userId}` : `player:name:${String(username).toLowerCase()}`;
+  return licenseKey ? `license:${licenseKey}:${player}` : player;
+}
+
+// The caller strikes and lockouts are counted against: its IP plus the place and game
+// server it reports (see getRobloxContext), so Roblox servers behind one egress IP do not
+// lock each other out
+function checkSource(ip, { placeId, jobId }) {
+  const parts = [ip];
+  if (placeId) {
+    parts.push(`place:${placeId}`);
+  }
+  if (jobId) {
+    parts.push(`job:${String(jobId).slice(0, 64)}`);
+  }
+  return parts.join(' ');
+}
+
+// Charges checks ({ licenseKey, userId, username }) against the license and player
+// budgets. Only pass checks whose license key exists (or global checks, without one), so
+// made-up keys cannot use up anyone's budget. Returns null when all of them fit, or
+// { limiter, key, retryAfter } for the first budget that ran out; retryAfter is in seconds.
+function consumeCheckBudget(items) {
+  const now = Date.now();
+  const charges = new Map();
+  const charge = (key, limiter, limit) => {
+    const entry = charges.get(key) || { limiter, limit, count: 0 };
+    entry.count++;
+    charges.set(key, entry);
+  };
+
+  for (const item of items) {
+    if (item.licenseKey) {
+      charge(`license:${item.licenseKey}`, 'license', LICENSE_CHECK_LIMIT);
+    }
+    charge(playerKey(item), 'player', PLAYER_CHECK_LIMIT);
+  }
+
+  let exceeded = null;
+  for (const [key, { limiter, limit, count }] of charges) {
+    let budget = budgets.get(key);
+    if (!budget || budget.resetAt <= now) {
+      budget = { count: 0, resetAt: now + LIMIT_WINDOW_MS };
+      budgets.set(key, budget);
+    }
+    budget.count += count;
+    if (!exceeded && budget.count > limit) {
+      exceeded = { limiter, key, retryAfter: Math.ceil((budget.resetAt - now) / 1000) };
+    }
+  }
+  return exceeded;
+}
+
+// Seconds left on a source's lockout, or 0 when it may check
+function getLockout(source) {
+  const state = sources.get(source);
+  if (!state || !state.lockedUntil || state.lockedUntil <= Date.now()) {
+    return 0;
+  }
+  return Math.ceil((state.lockedUntil - Date.now()) / 1000);
+}
+
+async function saveLockout(source, state, unknownChecks) {
+  await pool.query(
+    `INSERT INTO abuse_lockouts (source, lockout_count, locked_until, unknown_license_checks, recent_license_keys, last_locked_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())
+     ON CONFLICT (source) DO UPDATE SET
+       lockout_count = $2,
+       locked_until = $3,
+       unknown_license_checks = abuse_lockouts.unknown_license_checks + $4,
+       recent_license_keys = $5,
+       last_locked_at = NOW()`,
+    [source, state.level, new Date(state.lockedUntil), unknownChecks, [...state.keys]]
+  );
+}
+
+// Counts a denied check against a license key that does not exist. Returns the
+// lockout in seconds when this strike locked the source out, otherwise 0.
+function recordUnknownLicense(source, licenseKey) {
+  const now = Date.now();
+  let state = sources.get(source);
+  if (!state) {
+    state = { strikes: [], keys: new Set(), level: 0, lockedUntil: 0, lastLockoutAt: 0 };
+    sources.set(source, state);
+  }
+
+  state.strikes = state.strikes.filter(at => at > now - STRIKE_WINDOW_MS);
+  state.strikes.push(now);
+  state.keys.delete(licenseKey);
+  state.keys.add(licenseKey);
+  if (state.keys.size > MAX_REPORTED_KEYS) {
+    state.keys.delete(state.keys.values().next().value);
+  }
+
+  if (state.strikes.length < UNKNOWN_LICENSE_STRIKES) {
+    return 0;
+  }
+
+  state.level = state.lastLockoutAt > now - LOCKOUT_RESET_MS ? state.level + 1 : 1;
+  state.lockedUntil = now + lockoutDuration(state.level);
+  state.lastLockoutAt = now;
+  const unknownChecks = state.strikes.length;
+  state.strikes = [];
+
+  logger.warn(`Locked out ${source} for ${Math.round(lockoutDuration(state.level) / 60000)}m after ${unknownChecks} checks against unknown licenses (lockout #${state.level})`);
+  saveLockout(source, state, unknownChecks)
+    .catch(error => logger.error(`Error saving lockout for ${source}: ${error.message}`));
+
+  return Math.ceil(lockoutDuration(state.level) / 1000);
+}
+
+// Restores lockouts that are still running, so a restart does not release them
+async function loadLockouts() {
+  const result = await pool.query(
+    `SELECT source, lockout_count, locked_until, recent_license_keys, last_locked_at
+     FROM abuse_lockouts WHERE last_locked_at > ${pool.shiftTimeSql('NOW()', '-$1::INTEGER', 'millisecond')}`,
+    [LOCKOUT_RESET_MS]
+  );
+  for (const row of result.rows) {
+    sources.set(row.source, {
+      strikes: [],
+      keys: new Set(row.recent_license_keys),
+      level: row.lockout_count,
+      lockedUntil: row.locked_until ? row.locked_until.getTime() : 0,
+      lastLockoutAt: row.last_locked_at.getTime()
+    });
+  }
+  return result.rows.length;
+}
+
+// Lifts a source's lockout and forgets its strikes
+async function clearLockout(source) {
+  try {
+    sources.delete(source);
+    const result = await pool.query(
+      'UPDATE abuse_lockouts SET locked_until = NULL, lockout_count = 0 WHERE source = $1',
+      [source]
+    );
+    if (result.rowCount === 0) {
+      return { success: false, message: 'No lockout recorded for this source!' };
+    }
+    return { success: true, message: 'Lockout cleared!' };
+  } catch (error) {
+    logger.error(`Error clearing lockout: ${error.message}`);
+    return { success: false, message: 'Database error occurred!' };
+  }
+}
+
+// Recently locked out sources, newest first
+async function getLockouts(limit = 25) {
+  const result = await pool.query(
+    `SELECT source, lockout_count, locked_until, unknown_license_checks, recent_license_keys, last_locked_at, reported_at
+     FROM abuse_lockouts ORDER BY last_locked_at DESC LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+}
+
+// Lockouts raised since the last report, marked as reported. Used by the bot.
+async function takeUnreportedLockouts() {
+  const result = await pool.query(
+    `UPDATE abuse_lockouts SET reported_at = NOW()
+     WHERE reported_at IS NULL OR reported_at < last_locked_at
+     RETURNING source, lockout_count, locked_until, unknown_license_checks, recent_license_keys, last_locked_at`
+  );
+  return result.rows.sort((a, b) => b.last_locked_at - a.last_locked_at);
+}
+
+// Drops finished budget windows and sources with nothing left to remember
+function pruneState() {
+  const now = Date.now();
+  for (const [key, budget] of budgets) {
+    if (budget.resetAt <= now) {
+      budgets.delete(key);
+    }
+  }
+  for (const [source, state] of sources) {
+    const lastStrike = state.strikes[state.strikes.length - 1] || 0;
+    if (lastStrike <= now - STRIKE_WINDOW_MS && state.lastLockoutAt <= now - LOCKOUT_RESET_MS) {
+      sources.delete(source);
+    }
+  }
+}
+
+module.exports = {
+  checkSource,
+  consumeCheckBudget,
+  getLockout,
+  recordUnknownLicense,
+  loadLockouts,
+  clearLockout,
+  getLockouts,
+  takeUnreportedLockouts,
+  pruneState
+};
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+// Scopes a license API token can be granted
+const API_SCOPES = {
+  USERS_READ: 'users:read',
+  USERS_ADD: 'users:add',
+  USERS_REMOVE: 'users:remove',
+  LICENSE_PAUSE: 'license:pause',
+  LOGS_READ: 'logs:read'
+};
+
+const TOKEN_PREFIX = 'alk_';
+
+// Tokens are random, so a plain SHA-256 is enough to keep them unusable if the table leaks
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateToken() {
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+  return {
+    token,
+    hash: hashToken(token),
+    // Enough of the token to recognise it in listings without revealing it
+    displayPrefix: token.slice(0, TOKEN_PREFIX.length + 6)
+  };
+}
+
+// Parses "users:read, users:add" (or "all") into a list of known scopes.
+// Returns null if any scope is unknown.
+function parseScopes(input) {
+  const known = Object.values(API_SCOPES);
+  const requested = input.split(/[\s,]+/).filter(Boolean).map(scope => scope.toLowerCase());
+
+  if (requested.includes('all')) {
+    return known;
+  }
+  if (requested.length === 0 || requested.some(scope => !known.includes(scope))) {
+    return null;
+  }
+  return [...new Set(requested)];
+}
+
+// Compares secrets without leaking their contents through timing
+function safeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(hashToken(a), 'hex'), Buffer.from(hashToken(b), 'hex'));
+}
+
+module.exports = {
+  API_SCOPES,
+  hashToken,
+  generateToken,
+  parseScopes,
+  safeEqual
+};
@@ -0,0 +1,248 @@
+// Global blacklist of Roblox accounts caught leaking, kept by the bot owner. Checks deny
+// blacklisted players on every license, whatever they were granted. License owners and
+// admins report leakers with evidence; approving a report blacklists the player.
+const pool = require('./db');
+const logger = require('./logger');
+const { playerMatchSql } = require('./licenseStore');
+
+const REPORT_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+const MAX_REASON_LENGTH = 255;
+const MAX_EVIDENCE_LENGTH = 1000;
+
+// SQL condition true when the player in the given id/name expressions is blacklisted
+function blacklistedSql(idParam, nameParam) {
+  return `EXISTS (SELECT 1 FROM blacklisted_users bl WHERE ${playerMatchSql(idParam, nameParam, 'bl')})`;
+}
+
+// The blacklist entry for a player ({ id, name }), or null
+async function getBlacklistEntry(robloxUser, db = pool) {
+  const result = await db.query(
+    `SELECT id, roblox_user_id, username, reason, added_by, report_id, created_at
+     FROM blacklisted_users bl WHERE ${playerMatchSql('$1', '$2', 'bl')}
+     ORDER BY roblox_user_id IS NULL LIMIT 1`,
+    [robloxUser.id || null, robloxUser.name || null]
+  );
+  return result.rows[0] || null;
+}
+
+async function isBlacklisted(robloxUser) {
+  return (await getBlacklistEntry(robloxUser)) !== null;
+}
+
+function invalidText(text, label, maxLength) {
+  if (!text || !String(text).trim()) {
+    return `${label} is required`;
+  }
+  if (String(text).trim().length > maxLength) {
+    return `${label} must be at most ${maxLength} characters`;
+  }
+  return null;
+}
+
+async function insertEntry(db, robloxUser, reason, addedBy, reportId) {
+  if (await getBlacklistEntry(robloxUser, db)) {
+    return { success: false, message: 'User is already blacklisted!' };
+  }
+  const result = await db.query(
+    `INSERT INTO blacklisted_users (roblox_user_id, username, reason, added_by, report_id)
+     VALUES ($1, $2, $3, $4, $5) RETURNING id, created_at`,
+    [robloxUser.id || null, robloxUser.name, reason, addedBy, reportId]
+  );
+  return { success: true, entry: result.rows[0] };
+}
+
+// Blacklists a player. addedBy is a Discord user ID, or 'admin' from the API.
+async function addToBlacklist(robloxUser, reason, addedBy) {
+  const reasonMessage = invalidText(reason, 'Reason', MAX_REASON_LENGTH);
+  if (reasonMessage) {
+    return { success: false, message: reasonMessage };
+  }
+
+  try {
+    const result = await insertEntry(pool, robloxUser, reason.trim(), addedBy, null);
+    if (result.success) {
+      logger.info(`Blacklisted ${robloxUser.name} (${robloxUser.id || 'no UserId'}): ${reason.trim()}`);
+    }
+    return result;
+  } catch (error) {
+    logger.error('Error adding to blacklist:', error);
+    return { success: false, message: 'Database error occurred!' };
+  }
+}
+
+async function removeFromBlacklist(robloxUser) {
+  try {
+    const result = await pool.query(
+      `DELETE FROM blacklisted_users AS bl WHERE ${playerMatchSql('$1', '$2', 'bl')}`,
+      [robloxUser.id || null, robloxUser.name || null]
+    );
+    if (result.rowCount === 0) {
+      return { success: false, message: 'User is not blacklisted!' };
+    }
+    logger.info(`Removed ${robloxUser.name} (${robloxUser.id || 'no UserId'}) from the blacklist`);
+    return { success: true, message: 'User removed from the blacklist!' };
+  } catch (error) {
+    logger.error('Error removing from blacklist:', error);
+    return { success: false, message: 'Database error occurred!' };
+  }
+}
+
+// Newest entries first
+async function getBlacklist(limit = 25, offset = 0) {
+  const result = await pool.query(
+    `SELECT id, roblox_user_id, username, reason, added_by, report_id, created_at,
+            COUNT(*) OVER() as total
+     FROM blacklisted_users ORDER BY created_at DESC, id DESC LIMIT $1 OFFSET $2`,
+    [limit, offset]
+  );
+  return {
+    entries: result.rows.map(({ total, ...row }) => row),
+    total: result.rows.length > 0 ? parseInt(result.rows[0].total, 10) : 0
+  };
+}
+
+// Everything known about a player: their blacklist entry, leak reports against them and
+// the licenses that still grant them access
+async function lookupPlayer(robloxUser) {
+  const params = [robloxUser.id || null, robloxUser.name || null];
+  const [entry, reports, licenses] = await Promise.all([
+    getBlacklistEntry(robloxUser),
+    pool.query(
+      `SELECT id, license_key, roblox_user_id, username, evidence, reported_by, status,
+              reviewed_by, review_note, reviewed_at, created_at
+       FROM leak_reports lr WHERE ${playerMatchSql('$1', '$2', 'lr')}
+       ORDER BY created_at DESC LIMIT 10`,
+      params
+    ),
+    pool.query(
+      `SELECT DISTINCT au.license_key FROM authorized_users au
+       WHERE ${playerMatchSql('$1', '$2', 'au')} AND (au.expires_at IS NULL OR au.expires_at > NOW())
+       ORDER BY au.license_key`,
+      params
+    )
+  ]);
+  return { entry, reports: reports.rows, licenseKeys: licenses.rows.map(row => row.license_key) };
+}
+
+// Files a leak report from a license's owner or admin (reportedBy, a Discord user ID).
+// A player can only have one open report per license.
+async function submitLeakReport(licenseKey, robloxUser, evidence, reportedBy) {
+  const evidenceMessage = invalidText(evidence, 'Evidence', MAX_EVIDENCE_LENGTH);
+  if (evidenceMessage) {
+    return { success: false, message: evidenceMessage };
+  }
+
+  try {
+    if (await getBlacklistEntry(robloxUser)) {
+      return { success: false, message: 'User is already blacklisted!' };
+    }
+
+    const pending = await pool.query(
+      `SELECT id FROM leak_reports lr
+       WHERE license_key = $1 AND status = $4 AND ${playerMatchSql('$2', '$3', 'lr')}`,
+      [licenseKey, robloxUser.id || null, robloxUser.name, REPORT_STATUSES.PENDING]
+    );
+    if (pending.rows.length > 0) {
+      return { success: false, message: `This license already has an open report (#${pending.rows[0].id}) for this user!` };
+    }
+
+    const result = await pool.query(
+      `INSERT INTO leak_reports (license_key, roblox_user_id, username, evidence, reported_by)
+       VALUES ($1, $2, $3, $4, $5) RETURNING id, created_at`,
+      [licenseKey, robloxUser.id || null, robloxUser.name, evidence.trim(), reportedBy]
+    );
+    logger.info(`Leak report #${result.rows[0].id} filed against ${robloxUser.name} from license ${licenseKey}`);
+    return { success: true, report: result.rows[0] };
+  } catch (error) {
+    logger.error('Error submitting leak report:', error);
+    return { success: false, message: 'Database error occurred!' };
+  }
+}
+
+async function getLeakReport(reportId) {
+  const result = await pool.query('SELECT * FROM leak_reports WHERE id = $1', [reportId]);
+  return result.rows[0] || null;
+}
+
+// Reports with the given status (pending by default), oldest first so the queue is
+// worked in order
+async function getLeakReports(status = REPORT_STATUSES.PENDING, limit = 25) {
+  const result = await pool.query(
+    `SELECT id, license_key, roblox_user_id, username, evidence, reported_by, status,
+            reviewed_by, review_note, reviewed_at, created_at
+     FROM leak_reports WHERE status = $1 ORDER BY created_at, id LIMIT $2`,
+    [status, limit]
+  );
+  return result.rows;
+}
+
+// Approves or rejects a pending report. Approving blacklists the player with the review
+// note (or the report's evidence) as the reason. Returns { success, message?, report, blacklisted }.
+async function reviewLeakReport(reportId, approve, reviewedBy, note = null) {
+  if (note && note.trim().length > MAX_REASON_LENGTH) {
+    return { success: false, message: `Note must be at most ${MAX_REASON_LENGTH} characters` };
+  }
+  note = note ? note.trim() : null;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const reportResult = await client.query('SELECT * FROM leak_reports WHERE id = $1 FOR UPDATE', [reportId]);
+    const report = reportResult.rows[0];
+    if (!report) {
+      await client.query('ROLLBACK');
+      return { success: false, message: 'Report not found!' };
+    }
+    if (report.status !== REPORT_STATUSES.PENDING) {
+      await client.query('ROLLBACK');
+      return { success: false, message: `Report #${reportId} was already ${report.status}!` };
+    }
+
+    const status = approve ? REPORT_STATUSES.APPROVED : REPORT_STATUSES.REJECTED;
+    const updated = await client.query(
+      `UPDATE leak_reports SET status = $2, reviewed_by = $3, review_note = $4, reviewed_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [reportId, status, reviewedBy, note]
+    );
+
+    // The player may have been blacklisted since the report came in; approving still closes it
+    let blacklisted = false;
+    if (approve) {
+      const robloxUser = { id: report.roblox_user_id, name: report.username };
+      const reason = (note || `Leak report #${reportId}: ${report.evidence}`).slice(0, MAX_REASON_LENGTH);
+      blacklisted = (await insertEntry(client, robloxUser, reason, reviewedBy, reportId)).success;
+    }
+
+    await client.query('COMMIT');
+    logger.info(`Leak report #${reportId} ${status} by ${reviewedBy}${blacklisted ? `; blacklisted ${report.username}` : ''}`);
+    return { success: true, report: updated.rows[0], blacklisted };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error reviewing leak report:', error);
+    return { success: false, message: 'Database error occurred!' };
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  REPORT_STATUSES,
+  MAX_EVIDENCE_LENGTH,
+  blacklistedSql,
+  getBlacklistEntry,
+  isBlacklisted,
+  addToBlacklist,
+  removeFromBlacklist,
+  getBlacklist,
+  lookupPlayer,
+  submitLeakReport,
+  getLeakReport,
+  getLeakReports,
+  reviewLeakReport
+};
@@ -1,334 +1,126 @@
 const { Client, GatewayIntentBits, SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
-const { Pool } = require('pg');
+const pool = require('./db');
 const logger = require('./logger');
+const robloxUsers = require('./robloxUsers');
+const { API_SCOPES, parseScopes } = require('./apiTokens');
+const { queryCheckLogs } = require('./checkLogs');
+const { durationToDate, parseDuration, formatDuration } = require('./durations');
+const webhooks = require('./webhooks');
+const metrics = require('./metrics');
+const abuseGuard = require('./abuseGuard');
+const blacklist = require('./blacklist');
+const { migrateUp } = require('./migrator');
+const { TIERS, FEATURES, FEATURE_LABELS, getTier, formatUsage } = require('./tiers');
+const licenseKeys = require('./licenseKeys');
+const {
+    ALL_VEHICLES,
+    BUNDLE_PREFIX,
+    ROLE_TYPES,
+    PLACE_TYPES,
+    createLicense,
+    rotateLicenseKey,
+    getKeyAliases,
+    MAX_KEY_ROTATION_GRACE_MS,
+    deleteLicense,
+    transferLicense,
+    getLicense,
+    getUsersForLicense,
+    addUserToLicense,
+    removeUserFromLicense,
+    suspendGrant,
+    unsuspendGrant,
+    pauseLicense,
+    unpauseLicense,
+    isLicensePaused,
+    renewLicense,
+    schedulePause,
+    cancelScheduledPause,
+    getScheduledPause,
+    processScheduledPauses,
+    getPauseHistory,
+    PAUSE_ACTIONS,
+    pauseExpiredLicenses,
+    takeExpiringLicenses,
+    takeExpiredLicenses,
+    DEFAULT_LICENSE_TERM,
+    getUserLicense,
+    getOwnerLicenses,
+    findOwnerLicense,
+    setDefaultLicense,
+    setLicenseName,
+    MAX_LICENSE_NAME_LENGTH,
+    addLicenseStaff,
+    removeLicenseStaff,
+    getLicenseStaff,
+    getUserStaffRoles,
+    canUserManageLicense,
+    addLicensePlace,
+    removeLicensePlace,
+    getLicensePlaces,
+    getFlaggedPlaces,
+    addLicenseVehicle,
+    removeLicenseVehicle,
+    getLicenseVehicles,
+    setGlobalVehicleChecks,
+    setKickMessage,
+    setGraceWindow,
+    setLicenseTier,
+    getLicenseUsage,
+    addBundleVehicles,
+    removeBundleVehicles,
+    getBundles,
+    createApiToken,
+    getApiTokens,
+    rotateApiToken,
+    revokeApiToken
+} = require('./licenseStore');
 require('dotenv').config();
 
 const client = new Client({
     intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages, GatewayIntentBits.DirectMessages]
 });
 
-// PostgreSQL connection pool
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
-
-// Special value for "all vehicles" authorization
-const ALL_VEHICLES = '*ALL*';
-
-// Role types for license management
-const ROLE_TYPES = {
-    ADMIN: 'admin',
-    HELPER: 'helper'
-};
-
-// Initialize database tables
-async function initializeDatabase() {
-    try {
-        // Create licenses table
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS licenses (
-                license_key VARCHAR(255) PRIMARY KEY,
-                owner_id VARCHAR(255) NOT NULL,
-                owner_tag VARCHAR(255) NOT NULL,
-                created_at TIMESTAMP DEFAULT NOW()
-            )
-        `);
-
-        // Create authorized_users table
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS authorized_users (
-                id SERIAL PRIMARY KEY,
-                license_key VARCHAR(255) REFERENCES licenses(license_key) ON DELETE CASCADE,
-                username VARCHAR(255) NOT NULL,
-                vehicle VARCHAR(255) NOT NULL,
-                created_at TIMESTAMP DEFAULT NOW(),
-                UNIQUE(license_key, username, vehicle)
-            )
-        `);
-
-        // Create paused_licenses table
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS paused_licenses (
-                license_key VARCHAR(255) PRIMARY KEY REFERENCES licenses(license_key) ON DELETE CASCADE,
-                owner_id VARCHAR(255) NOT NULL,
-                owner_tag VARCHAR(255) NOT NULL,
-                paused_at TIMESTAMP DEFAULT NOW()
-            )
-        `);
-
-        // Create license_admins table
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS license_admins (
-                id SERIAL PRIMARY KEY,
-                license_key VARCHAR(255) REFERENCES licenses(license_key) ON DELETE CASCADE,
-                user_id VARCHAR(255) NOT NULL,
-                user_tag VARCHAR(255) NOT NULL,
-                role_type VARCHAR(50) NOT NULL,
-                added_by VARCHAR(255) NOT NULL,
-                added_at TIMESTAMP DEFAULT NOW(),
-                UNIQUE(license_key, user_id)
-            )
-        `);
-
-        logger.info('Database tables initialized');
-    } catch (error) {
-        logger.error('Error initializing database:', error);
-        throw error;
-    }
-}
-
-// License management functions
-async function getLicenses() {
-    try {
-        const result = await pool.query('SELECT * FROM licenses');
-        const licenses = {};
-        result.rows.forEach(row => {
-            licenses[row.license_key] = {
-                ownerId: row.owner_id,
-                ownerTag: row.owner_tag,
-                createdAt: row.created_at
-            };
-        });
-        return licenses;
-    } catch (error) {
-        logger.error('Error reading licenses:', error);
-        return {};
-    }
-}
-
-async function createLicense(licenseKey, ownerId, ownerTag) {
-    try {
-        await pool.query(
-            'INSERT INTO licenses (license_key, owner_id, owner_tag) VALUES ($1, $2, $3)',
-            [licenseKey, ownerId, ownerTag]
-        );
-        return true;
-    } catch (error) {
-        logger.error('Error creating license:', error);
-        return false;
-    }
-}
-
-async function deleteLicense(licenseKey) {
-    try {
-        await pool.query('DELETE FROM licenses WHERE license_key = $1', [licenseKey]);
-        return true;
-    } catch (error) {
-        logger.error('Error deleting license:', error);
-        return false;
-    }
-}
-
-async function getUsersForLicense(licenseKey) {
-    try {
-        const result = await pool.query(
-            'SELECT username, vehicle FROM authorized_users WHERE license_key = $1',
-            [licenseKey]
-        );
-        return result.rows;
-    } catch (error) {
-        logger.warn(`No users found for license ${licenseKey}:`, error);
-        return [];
-    }
-}
-
-async function addUserToLicense(licenseKey, username, vehicle = null) {
-    const client = await pool.connect();
-    try {
-        await client.query('BEGIN');
-        
-        const actualVehicle = vehicle === null ? ALL_VEHICLES : vehicle;
-        
-        // Check if user already has access to all vehicles
-        const allAccessCheck = await client.query(
-            'SELECT id FROM authorized_users WHERE license_key = $1 AND username = $2 AND vehicle = $3',
-            [licenseKey, username, ALL_VEHICLES]
-        );
-        
-        if (allAccessCheck.rows.length > 0) {
-            await client.query('ROLLBACK');
-            logger.warn(`User ${username} already has access to ALL vehicles in license ${licenseKey}`);
-            return { success: false, message: 'User already has access to all vehicles' };
-        }
-        
-        // Check if user already has this specific vehicle
-        const specificCheck = await client.query(
-            'SELECT id FROM authorized_users WHERE license_key = $1 AND username = $2 AND vehicle = $3',
-            [licenseKey, username, actualVehicle]
-        );
-        
-        if (specificCheck.rows.length > 0) {
-            await client.query('ROLLBACK');
-            logger.warn(`User ${username} already has vehicle ${actualVehicle} in license ${licenseKey}`);
-            return { success: false, message: 'User already has this vehicle' };
-        }
-        
-        // Add the new authorization
-        await client.query(
-            'INSERT INTO authorized_users (license_key, username, vehicle) VALUES ($1, $2, $3)',
-            [licenseKey, username, actualVehicle]
-        );
-        
-        await client.query('COMMIT');
-        
-        logger.info(`Added user ${username} with vehicle ${actualVehicle} to license ${licenseKey}`);
-        return { success: true, forAllVehicles: actualVehicle === ALL_VEHICLES };
-    } catch (error) {
-        await client.query('ROLLBACK');
-        logger.error('Error adding user to license:', error);
-        return { success: false, message: 'Error adding user' };
-    } finally {
-        client.release();
-    }
-}
+metrics.initMetrics('bot');
+metrics.registerPoolMetrics(pool);
+metrics.registerGatewayMetrics(client);
 
-async function removeUserFromLicense(licenseKey, username, vehicle = null) {
-    const client = await pool.connect();
-    try {
-        await client.query('BEGIN');
-        
-        let result;
-        if (vehicle) {
-            // Remove specific vehicle for user
-            result = await client.query(
-                'DELETE FROM authorized_users WHERE license_key = $1 AND username = $2 AND vehicle = $3',
-                [licenseKey, username, vehicle]
-            );
-            
-            if (result.rowCount === 0) {
-                await client.query('ROLLBACK');
-                logger.warn(`Vehicle ${vehicle} not found for user ${username} in license ${licenseKey}`);
-                return false;
-            }
-            
-            logger.info(`Removed vehicle ${vehicle} from user ${username} in license ${licenseKey}`);
-        } else {
-            // Remove ALL authorization for user
-            result = await client.query(
-                'DELETE FROM authorized_users WHERE license_key = $1 AND username = $2',
-                [licenseKey, username]
-            );
-            
-            if (result.rowCount === 0) {
-                await client.query('ROLLBACK');
-                logger.warn(`User ${username} not found in license ${licenseKey}`);
-                return false;
-            }
-            
-            logger.info(`Removed ALL vehicles for user ${username} from license ${licenseKey}`);
-        }
-        
-        await client.query('COMMIT');
-        return true;
-    } catch (error) {
-        await client.query('ROLLBACK');
-        logger.error('Error removing user from license:', error);
-        return false;
-    } finally {
-        client.release();
-    }
+// Display label for a grant row, used when grouping vehicles per user
+function formatGrantUser({ username, roblox_user_id }) {
+    return roblox_user_id ? `${username} (${roblox_user_id})` : `${username} (legacy)`;
 }
 
-// Pause license functions
-async function pauseLicense(licenseKey, ownerId, ownerTag) {
-    const client = await pool.connect();
-    try {
-        await client.query('BEGIN');
-        
-        // Check if license exists
-        const licenseCheck = await client.query(
-            'SELECT license_key FROM licenses WHERE license_key = $1',
-            [licenseKey]
-        );
-        
-        if (licenseCheck.rows.length === 0) {
-            await client.query('ROLLBACK');
-            return { success: false, message: 'License not found' };
-        }
-        
-        // Check if already paused
-        const pauseCheck = await client.query(
-            'SELECT license_key FROM paused_licenses WHERE license_key = $1',
-            [licenseKey]
-        );
-        
-        if (pauseCheck.rows.length > 0) {
-            await client.query('ROLLBACK');
-            return { success: false, message: 'License is already paused' };
-        }
-        
-        // Add to paused licenses
-        await client.query(
-            'INSERT INTO paused_licenses (license_key, owner_id, owner_tag) VALUES ($1, $2, $3)',
-            [licenseKey, ownerId, ownerTag]
-        );
-        
-        await client.query('COMMIT');
-        logger.info(`License paused: ${licenseKey}`);
-        return { success: true, message: 'License paused successfully' };
-    } catch (error) {
-        await client.query('ROLLBACK');
-        logger.error('Error pausing license:', error);
-        return { success: false, message: 'Error pausing license' };
-    } finally {
-        client.release();
-    }
+// Renders a date with Discord's timestamp markup (shown in each viewer's timezone)
+function discordTimestamp(date, style = 'R') {
+    return `<t:${Math.floor(new Date(date).getTime() / 1000)}:${style}>`;
 }
 
-async function unpauseLicense(licenseKey) {
-    try {
-        const result = await pool.query(
-            'DELETE FROM paused_licenses WHERE license_key = $1',
-            [licenseKey]
-        );
-        
-        if (result.rowCount === 0) {
-            return { success: false, message: 'License is not paused or does not exist' };
-        }
-        
-        logger.info(`License unpaused: ${licenseKey}`);
-        return { success: true, message: 'License unpaused successfully' };
-    } catch (error) {
-        logger.error('Error unpausing license:', error);
-        return { success: false, message: 'Error unpausing license' };
+// Display label for a granted vehicle, pattern or bundle
+function formatVehicleLabel(vehicle) {
+    if (vehicle === ALL_VEHICLES) {
+        return 'ALL Vehicles';
     }
+    return vehicle.startsWith(BUNDLE_PREFIX) ? `Bundle: ${vehicle.slice(BUNDLE_PREFIX.length)}` : vehicle;
 }
 
-async function isLicensePaused(licenseKey) {
-    try {
-        const result = await pool.query(
-            'SELECT license_key FROM paused_licenses WHERE license_key = $1',
-            [licenseKey]
-        );
-        return result.rows.length > 0;
-    } catch (error) {
-        logger.error('Error checking license pause status:', error);
-        return false;
+// Display label for the vehicle side of a grant row, including its expiry if temporary
+// and whether it is suspended
+function formatGrantVehicle({ vehicle, expires_at, is_suspended, suspended_until }) {
+    let label = formatVehicleLabel(vehicle);
+    if (expires_at) {
+        label += ` (expires ${discordTimestamp(expires_at)})`;
     }
-}
-
-// Utility function to get user's license key
-async function getUserLicense(userId) {
-    try {
-        const result = await pool.query(
-            'SELECT license_key FROM licenses WHERE owner_id = $1',
-            [userId]
-        );
-        return result.rows.length > 0 ? result.rows[0].license_key : null;
-    } catch (error) {
-        logger.error('Error getting user license:', error);
-        return null;
+    if (is_suspended) {
+        label += suspended_until ? ` 🚫 suspended until ${discordTimestamp(suspended_until)}` : ' 🚫 suspended';
     }
+    return label;
 }
 
-// Function to get license info for a user
-async function getLicenseInfo(userId) {
+// Function to get license info for a license
+async function getLicenseInfo(licenseKey) {
     try {
-        // Get the license key
         const licenseResult = await pool.query(
-            'SELECT license_key, owner_tag, created_at FROM licenses WHERE owner_id = $1',
-            [userId]
+            'SELECT license_key, name, owner_id, owner_tag, created_at FROM licenses WHERE license_key = $1',
+            [licenseKey]
         );
         
         if (licenseResult.rows.length === 0) {
@@ -345,22 +137,25 @@ async function getLicenseInfo(userId) {
         
         // Group users with their vehicles
         const userVehicles = {};
-        authorizedUsers.forEach(({ username, vehicle }) => {
-            if (!userVehicles[username]) {
-                userVehicles[username] = [];
+        authorizedUsers.forEach(row => {
+            const label = formatGrantUser(row);
+            if (!userVehicles[label]) {
+                userVehicles[label] = [];
             }
-            userVehicles[username].push(vehicle === ALL_VEHICLES ? 'ALL Vehicles' : vehicle);
+            userVehicles[label].push(formatGrantVehicle(row));
         });
         
         return {
             licenseKey: license.license_key,
+            name: license.name,
             ownerTag: license.owner_tag,
-            ownerId: userId,
+            ownerId: license.owner_id,
             createdAt: license.created_at,
             isPaused: isPaused,
             authorizedUsers: userVehicles,
             totalUsers: Object.keys(userVehicles).length,
-            totalAuthorizations: authorizedUsers.length
+            totalAuthorizations: authorizedUsers.length,
+            temporaryAuthorizations: authorizedUsers.filter(row => row.expires_at).length
         };
     } catch (error) {
         logger.error('Error getting license info:', error);
@@ -368,142 +163,121 @@ async function getLicenseInfo(userId) {
     }
 }
 
-// Admin/Helper management functions
-async function addLicenseStaff(licenseKey, staffUserId, staffUserTag, roleType, addedByUserId) {
-    const client = await pool.connect();
-    try {
-        await client.query('BEGIN');
-        
-        // Check if user is already staff for this license
-        const existingCheck = await client.query(
-            'SELECT id FROM license_admins WHERE license_key = $1 AND user_id = $2',
-            [licenseKey, staffUserId]
-        );
-        
-        if (existingCheck.rows.length > 0) {
-            await client.query('ROLLBACK');
-            return { success: false, message: 'User is already staff for this license' };
-        }
-        
-        // Check if user is the license owner
-        const ownerCheck = await client.query(
-            'SELECT owner_id FROM licenses WHERE license_key = $1 AND owner_id = $2',
-            [licenseKey, staffUserId]
-        );
-        
-        if (ownerCheck.rows.length > 0) {
-            await client.query('ROLLBACK');
-            return { success: false, message: 'Cannot add license owner as staff' };
-        }
-        
-        // Add the staff member
-        await client.query(
-            'INSERT INTO license_admins (license_key, user_id, user_tag, role_type, added_by) VALUES ($1, $2, $3, $4, $5)',
-            [licenseKey, staffUserId, staffUserTag, roleType, addedByUserId]
-        );
-        
-        await client.query('COMMIT');
-        
-        logger.info(`Added ${roleType} ${staffUserTag} to license ${licenseKey}`);
-        return { success: true, message: `${roleType.charAt(0).toUpperCase() + roleType.slice(1)} added successfully` };
-    } catch (error) {
-        await client.query('ROLLBACK');
-        logger.error('Error adding license staff:', error);
-        return { success: false, message: 'Error adding staff member' };
-    } finally {
-        client.release();
+// A license shown with its friendly name, if it has one
+function formatLicenseLabel(licenseKey, name) {
+    return name ? `${name} (\`${licenseKey}\`)` : licenseKey;
+}
+
+// Reads the licensekey option, which takes a license key or the name of one of the caller's
+// own licenses. Returns the license key, or null when the option was left empty.
+async function getLicenseOption(interaction) {
+    const selector = interaction.options.getString('licensekey');
+    if (!selector) {
+        return null;
     }
+    return (await findOwnerLicense(interaction.user.id, selector)) || selector.trim();
 }
 
-async function removeLicenseStaff(licenseKey, staffUserId, removedByUserId) {
-    const client = await pool.connect();
-    try {
-        await client.query('BEGIN');
-        
-        // Remove the staff member
-        const result = await client.query(
-            'DELETE FROM license_admins WHERE license_key = $1 AND user_id = $2',
-            [licenseKey, staffUserId]
-        );
-        
-        if (result.rowCount === 0) {
-            await client.query('ROLLBACK');
-            return { success: false, message: 'Staff member not found for this license' };
-        }
-        
-        await client.query('COMMIT');
-        
-        logger.info(`Removed staff ${staffUserId} from license ${licenseKey}`);
-        return { success: true, message: 'Staff member removed successfully' };
-    } catch (error) {
-        await client.query('ROLLBACK');
-        logger.error('Error removing license staff:', error);
-        return { success: false, message: 'Error removing staff member' };
-    } finally {
-        client.release();
+// Reply for a license key the caller may not use. A key in the generated format whose
+// checksum does not match was almost certainly mistyped, so say that instead.
+function licenseDeniedMessage(licenseKey, message) {
+    if (licenseKeys.looksMistyped(licenseKey)) {
+        return 'That license key looks mistyped (its checksum does not match). Please check it and try again.';
     }
+    return message;
 }
 
-async function getLicenseStaff(licenseKey) {
-    try {
-        const result = await pool.query(
-            'SELECT user_id, user_tag, role_type, added_by, added_at FROM license_admins WHERE license_key = $1 ORDER BY role_type, added_at',
-            [licenseKey]
-        );
-        return result.rows;
-    } catch (error) {
-        logger.error('Error getting license staff:', error);
-        return [];
+// Resolves the license an owner-only command acts on: the licensekey option if given,
+// otherwise the caller's default license. Replies and returns null unless they own it.
+async function resolveOwnerLicense(interaction, action) {
+    const { user } = interaction;
+    const licenseKey = await getLicenseOption(interaction) || await getUserLicense(user.id);
+
+    if (!licenseKey) {
+        logger.warn(`User ${user.tag} attempted to ${action} without a license`);
+        await interaction.reply({ content: 'You don\'t have a license!', ephemeral: true });
+        return null;
     }
+
+    const permission = await canUserManageLicense(user.id, licenseKey, true);
+    if (!permission.isOwner) {
+        logger.warn(`User ${user.tag} attempted to ${action} for license ${licenseKey} they do not own`);
+        await interaction.reply({ content: licenseDeniedMessage(licenseKey, 'Only the license owner can do this!'), ephemeral: true });
+        return null;
+    }
+
+    return licenseKey;
 }
 
-async function getUserStaffRoles(userId) {
-    try {
-        const result = await pool.query(
-            `SELECT la.license_key, la.role_type, l.owner_tag 
-             FROM license_admins la 
-             JOIN licenses l ON la.license_key = l.license_key 
-             WHERE la.user_id = $1`,
-            [userId]
-        );
-        return result.rows;
-    } catch (error) {
-        logger.error('Error getting user staff roles:', error);
-        return [];
+// Resolves the license a bot owner command acts on for the user it names: the licensekey
+// option (a key or the name of one of their licenses), otherwise their default license.
+// Replies and returns null when they own no such license.
+async function resolveUserLicense(interaction, targetUser, action) {
+    const selector = interaction.options.getString('licensekey');
+    const licenseKey = selector ? await findOwnerLicense(targetUser.id, selector) : await getUserLicense(targetUser.id);
+
+    if (!licenseKey) {
+        logger.warn(`License ${action} failed: User ${targetUser.tag} does not have ${selector ? `a license matching ${selector}` : 'a license'}`);
+        await interaction.reply({
+            content: selector ? `${targetUser.tag} does not own a license with that key or name!` : 'This user does not have a license!',
+            ephemeral: true
+        });
+        return null;
     }
+
+    return licenseKey;
 }
 
-async function canUserManageLicense(userId, licenseKey, requireAdmin = false) {
-    try {
-        // Check if user is license owner
-        const ownerCheck = await pool.query(
-            'SELECT license_key FROM licenses WHERE license_key = $1 AND owner_id = $2',
-            [licenseKey, userId]
-        );
-        
-        if (ownerCheck.rows.length > 0) {
-            return { canManage: true, isOwner: true, role: 'owner' };
-        }
-        
-        // Check if user is staff for this license
-        const staffCheck = await pool.query(
-            'SELECT role_type FROM license_admins WHERE license_key = $1 AND user_id = $2',
-            [licenseKey, userId]
-        );
-        
-        if (staffCheck.rows.length > 0) {
-            const staffRole = staffCheck.rows[0].role_type;
-            if (requireAdmin && staffRole !== ROLE_TYPES.ADMIN) {
-                return { canManage: false, isOwner: false, role: staffRole };
-            }
-            return { canManage: true, isOwner: false, role: staffRole };
+// Resolves the license an owner/admin-only command acts on: the licensekey option
+// if given, otherwise the caller's own license. The bot owner may act on any license.
+// Replies and returns null on failure.
+async function resolveAdminLicense(interaction, action) {
+    const { user } = interaction;
+    const licenseKey = await getLicenseOption(interaction) || await getUserLicense(user.id);
+
+    if (!licenseKey) {
+        await interaction.reply({ content: 'You don\'t have a license! Staff must specify one with the `licensekey` option.', ephemeral: true });
+        return null;
+    }
+
+    const permission = await canUserManageLicense(user.id, licenseKey, true);
+    if (!permission.canManage && user.id !== process.env.BOT_OWNER_ID) {
+        logger.warn(`User ${user.tag} attempted to ${action} for license ${licenseKey} without permission`);
+        await interaction.reply({ content: licenseDeniedMessage(licenseKey, 'Only the license owner and admins can do this!'), ephemeral: true });
+        return null;
+    }
+
+    return licenseKey;
+}
+
+// Like resolveAdminLicense, but for commands helpers may use too. Without a licensekey
+// option, staff with a single role act on that license.
+async function resolveStaffLicense(interaction, action) {
+    const { user } = interaction;
+    let licenseKey = await getLicenseOption(interaction) || await getUserLicense(user.id);
+
+    if (!licenseKey) {
+        const staffRoles = await getUserStaffRoles(user.id);
+        if (staffRoles.length !== 1) {
+            await interaction.reply({
+                content: staffRoles.length === 0
+                    ? 'You don\'t have a license or staff permissions!'
+                    : 'You have staff access to multiple licenses. Please specify which license to use with the `licensekey` option.',
+                ephemeral: true
+            });
+            return null;
         }
-        
-        return { canManage: false, isOwner: false, role: null };
-    } catch (error) {
-        logger.error('Error checking license management permissions:', error);
-        return { canManage: false, isOwner: false, role: null };
+        licenseKey = staffRoles[0].license_key;
     }
+
+    const permission = await canUserManageLicense(user.id, licenseKey, false);
+    if (!permission.canManage && user.id !== process.env.BOT_OWNER_ID) {
+        logger.warn(`User ${user.tag} attempted to ${action} for license ${licenseKey} without permission`);
+        await interaction.reply({ content: licenseDeniedMessage(licenseKey, 'You don\'t have permission to manage this license!'), ephemeral: true });
+        return null;
+    }
+
+    return licenseKey;
 }
 
 // NEW FUNCTION: Get all licenses with users and staff
@@ -526,11 +300,12 @@ async function getAllLicensesWithDetails() {
             
             // Group users with their vehicles
             const userVehicles = {};
-            authorizedUsers.forEach(({ username, vehicle }) => {
-                if (!userVehicles[username]) {
-                    userVehicles[username] = [];
+            authorizedUsers.forEach(row => {
+                const label = formatGrantUser(row);
+                if (!userVehicles[label]) {
+                    userVehicles[label] = [];
                 }
-                userVehicles[username].push(vehicle === ALL_VEHICLES ? 'ALL Vehicles' : vehicle);
+                userVehicles[label].push(formatGrantVehicle(row));
             });
             
             // Get staff for this license
@@ -569,7 +344,34 @@ const commands = [
                 .setRequired(true))
         .addStringOption(option =>
             option.setName('licensekey')
-                .setDescription('Custom license key (optional)')
+                .setDescription('Custom license key, 8-64 letters, digits, - or _ (default: a random key)')
+                .setRequired(false)
+                .setMaxLength(64))
+        .addStringOption(option =>
+            option.setName('duration')
+                .setDescription(`Subscription length, e.g. 30d or 12w, or "never" (default: ${DEFAULT_LICENSE_TERM})`)
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('name')
+                .setDescription('Friendly name to tell the owner\'s licenses apart, e.g. a storefront name')
+                .setRequired(false)
+                .setMaxLength(MAX_LICENSE_NAME_LENGTH)),
+
+    new SlashCommandBuilder()
+        .setName('renewlicense')
+        .setDescription('Extend a license subscription (Bot Owner Only)')
+        .setDMPermission(true)
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('User whose license to renew')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('duration')
+                .setDescription('How long to extend it by, e.g. 30d or 12w')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('Which of their licenses, by key or name (default: their default license)')
                 .setRequired(false)),
 
     new SlashCommandBuilder()
@@ -578,11 +380,19 @@ const commands = [
         .setDMPermission(true)
         .addStringOption(option =>
             option.setName('username')
-                .setDescription('Roblox username to authorize')
+                .setDescription('Roblox username to authorize (stored by UserId, so renames keep access)')
                 .setRequired(true))
         .addStringOption(option =>
             option.setName('vehicle')
-                .setDescription('Specific vehicle to authorize (leave empty for ALL vehicles)')
+                .setDescription('Vehicle name, alias or asset ID, or a pattern like Police_* (leave empty for ALL vehicles)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('bundle')
+                .setDescription('Vehicle bundle from /bundles to authorize instead of a single vehicle')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('duration')
+                .setDescription('Make the authorization temporary, e.g. 24h, 7d or 1d12h (leave empty for permanent)')
                 .setRequired(false))
         .addStringOption(option =>
             option.setName('licensekey')
@@ -599,7 +409,62 @@ const commands = [
                 .setRequired(true))
         .addStringOption(option =>
             option.setName('vehicle')
-                .setDescription('Specific vehicle to remove (leave empty to remove ALL authorization)')
+                .setDescription('Specific vehicle or pattern to remove (leave empty to remove ALL authorization)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('bundle')
+                .setDescription('Bundle grant to remove')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('License key to manage (required if you have multiple staff roles)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('suspend')
+        .setDescription('Suspend a user or one of their vehicles without removing the grant')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('username')
+                .setDescription('Roblox username to suspend')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('reason')
+                .setDescription('Why the user is suspended')
+                .setRequired(true)
+                .setMaxLength(255))
+        .addStringOption(option =>
+            option.setName('vehicle')
+                .setDescription('Only suspend this vehicle or pattern (leave empty to suspend ALL their grants)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('bundle')
+                .setDescription('Only suspend this bundle grant')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('duration')
+                .setDescription('Lift the suspension after e.g. 24h or 7d (default: until lifted)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('License key to manage (required if you have multiple staff roles)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('unsuspend')
+        .setDescription('Lift a suspension, restoring the grants as they were')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('username')
+                .setDescription('Roblox username to unsuspend')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('vehicle')
+                .setDescription('Only lift it for this vehicle or pattern (leave empty for ALL their grants)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('bundle')
+                .setDescription('Only lift it for this bundle grant')
                 .setRequired(false))
         .addStringOption(option =>
             option.setName('licensekey')
@@ -618,33 +483,114 @@ const commands = [
     new SlashCommandBuilder()
         .setName('mylicense')
         .setDescription('Show your license information')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('Which of your licenses, by key or name (default: your default license)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('mylicenses')
+        .setDescription('List every license you own')
         .setDMPermission(true),
 
     new SlashCommandBuilder()
-        .setName('deletelicense')
-        .setDescription('Delete a license (Bot Owner Only)')
+        .setName('defaultlicense')
+        .setDescription('Choose the license your commands use when you leave out licensekey')
         .setDMPermission(true)
         .addStringOption(option =>
             option.setName('licensekey')
-                .setDescription('License key to delete')
+                .setDescription('License key or name from /mylicenses')
                 .setRequired(true)),
 
     new SlashCommandBuilder()
-        .setName('pauselicense')
-        .setDescription('Pause a license (Bot Owner Only)')
+        .setName('renamelicense')
+        .setDescription('Give one of your licenses a friendly name')
         .setDMPermission(true)
-        .addUserOption(option =>
-            option.setName('user')
-                .setDescription('User whose license to pause')
-                .setRequired(true)),
+        .addStringOption(option =>
+            option.setName('name')
+                .setDescription('New name, e.g. a storefront name (leave empty to clear)')
+                .setRequired(false)
+                .setMaxLength(MAX_LICENSE_NAME_LENGTH))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('Which of your licenses, by key or name (default: your default license)')
+                .setRequired(false)),
 
     new SlashCommandBuilder()
-        .setName('unpauselicense')
-        .setDescription('Unpause a license (Bot Owner Only)')
+        .setName('rotatekey')
+        .setDescription('Give one of your licenses a new key, keeping its users, staff and settings')
         .setDMPermission(true)
-        .addUserOption(option =>
-            option.setName('user')
-                .setDescription('User whose license to unpause')
+        .addStringOption(option =>
+            option.setName('grace')
+                .setDescription('How long the old key keeps working, e.g. 1h or 7d, at most 30d (default: stops now)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('newkey')
+                .setDescription('Custom new key, 8-64 letters, digits, - or _ (default: a random key)')
+                .setRequired(false)
+                .setMaxLength(64))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('Which of your licenses, by key or name (default: your default license)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('deletelicense')
+        .setDescription('Delete a license (Bot Owner Only)')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('License key to delete')
+                .setRequired(true)),
+
+    new SlashCommandBuilder()
+        .setName('settier')
+        .setDescription('Move a license to another tier (Bot Owner Only)')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('License key to change')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('tier')
+                .setDescription('New tier')
+                .setRequired(true)
+                .addChoices(...Object.entries(TIERS).map(([value, tier]) => ({ name: tier.label, value })))),
+
+    new SlashCommandBuilder()
+        .setName('pauselicense')
+        .setDescription('Pause a license (Bot Owner Only)')
+        .setDMPermission(true)
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('User whose license to pause')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('reason')
+                .setDescription('Why the license is paused')
+                .setRequired(true)
+                .setMaxLength(255))
+        .addStringOption(option =>
+            option.setName('duration')
+                .setDescription('Unpause automatically after e.g. 24h or 7d (default: until unpaused)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('startsin')
+                .setDescription('Schedule the pause to start later, e.g. 2h or 3d (default: now)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('Which of their licenses, by key or name (default: their default license)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('unpauselicense')
+        .setDescription('Unpause a license (Bot Owner Only)')
+        .setDMPermission(true)
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('User whose license to unpause (also cancels a scheduled pause)')
                 .setRequired(true)),
                 
     new SlashCommandBuilder()
@@ -654,7 +600,15 @@ const commands = [
         .addUserOption(option =>
             option.setName('user')
                 .setDescription('User to check license information for')
-                .setRequired(true)),
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('Which of their licenses, by key or name (default: their default license)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('Which of their licenses, by key or name (default: their default license)')
+                .setRequired(false)),
 
     new SlashCommandBuilder()
         .setName('transferlicense')
@@ -667,7 +621,11 @@ const commands = [
         .addUserOption(option =>
             option.setName('to')
                 .setDescription('New license owner')
-                .setRequired(true)),
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('Which of the current owner\'s licenses, by key or name (default: their default license)')
+                .setRequired(false)),
 
     new SlashCommandBuilder()
         .setName('addstaff')
@@ -684,7 +642,11 @@ const commands = [
                 .addChoices(
                     { name: 'Admin (can add/remove users)', value: ROLE_TYPES.ADMIN },
                     { name: 'Helper (can only add users)', value: ROLE_TYPES.HELPER }
-                )),
+                ))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('Which of your licenses, by key or name (default: your default license)')
+                .setRequired(false)),
 
     new SlashCommandBuilder()
         .setName('removestaff')
@@ -693,192 +655,678 @@ const commands = [
         .addUserOption(option =>
             option.setName('user')
                 .setDescription('Staff member to remove')
-                .setRequired(true)),
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('Which of your licenses, by key or name (default: your default license)')
+                .setRequired(false)),
 
     new SlashCommandBuilder()
         .setName('staff')
         .setDescription('List all staff members for your license')
-        .setDMPermission(true),
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('Which of your licenses, by key or name (default: your default license)')
+                .setRequired(false)),
 
     new SlashCommandBuilder()
         .setName('mystaff')
         .setDescription('Show licenses where you are staff')
         .setDMPermission(true),
 
-    // NEW COMMAND: All Users
     new SlashCommandBuilder()
-        .setName('allusers')
-        .setDescription('Show all licenses with authorized users and staff (Bot Owner Only)')
+        .setName('createtoken')
+        .setDescription('Create an API token for automating your license')
         .setDMPermission(true)
-];
-
-client.once('ready', async () => {
-    logger.info(`Bot logged in as ${client.user.tag}`);
-    
-    // Initialize database
-    await initializeDatabase();
-    
-    // Register slash commands
-    try {
-        const rest = require('@discordjs/rest');
-        const { Routes } = require('discord-api-types/v9');
-        
-        const restClient = new rest.REST({ version: '9' }).setToken(process.env.DISCORD_TOKEN);
-        
-        await restClient.put(
-            Routes.applicationCommands(client.user.id),
-            { body: commands }
-        );
-        logger.info('Successfully registered application commands.');
-    } catch (error) {
-        logger.error('Error registering commands:', error);
-    }
-});
-
-// Interaction handling
-client.on('interactionCreate', async interaction => {
-    if (!interaction.isChatInputCommand()) return;
+        .addStringOption(option =>
+            option.setName('name')
+                .setDescription('Label to recognise the token by (e.g. store-backend)')
+                .setRequired(true)
+                .setMaxLength(100))
+        .addStringOption(option =>
+            option.setName('scopes')
+                .setDescription('Comma-separated: users:read, users:add, users:remove, license:pause, logs:read (or all)')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('Which of your licenses, by key or name (default: your default license)')
+                .setRequired(false)),
 
-    const { commandName, user } = interaction;
+    new SlashCommandBuilder()
+        .setName('tokens')
+        .setDescription('List the active API tokens for your license')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('Which of your licenses, by key or name (default: your default license)')
+                .setRequired(false)),
 
-    try {
-        switch (commandName) {
-            case 'createlicense':
-                if (user.id !== process.env.BOT_OWNER_ID) {
-                    logger.warn(`Unauthorized license creation attempt by ${user.tag}`);
-                    return interaction.reply({ content: 'Only the bot owner can create licenses!', ephemeral: true });
-                }
+    new SlashCommandBuilder()
+        .setName('rotatetoken')
+        .setDescription('Replace the secret of an API token, keeping its scopes')
+        .setDMPermission(true)
+        .addIntegerOption(option =>
+            option.setName('tokenid')
+                .setDescription('Token ID from /tokens')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('Which of your licenses, by key or name (default: your default license)')
+                .setRequired(false)),
 
-                const targetUser = interaction.options.getUser('user');
-                
-                // Check if user already has a license
-                const existingLicense = await getUserLicense(targetUser.id);
-                if (existingLicense) {
-                    logger.warn(`License creation failed: User ${targetUser.tag} already has license ${existingLicense}`);
-                    return interaction.reply({ content: `This user already has a license: ${existingLicense}`, ephemeral: true });
-                }
-                
-                // Generate a unique license key
-                const licenseKey = `license_${targetUser.id}_${Date.now()}`;
-                
-                const success = await createLicense(licenseKey, targetUser.id, targetUser.tag);
-                
-                if (success) {
-                    const embed = new EmbedBuilder()
-                        .setTitle('License Created Successfully')
-                        .setColor(0x00ff00)
-                        .addFields(
-                            { name: 'License Key', value: licenseKey, inline: true },
-                            { name: 'Owner', value: targetUser.tag, inline: true }
-                        );
+    new SlashCommandBuilder()
+        .setName('revoketoken')
+        .setDescription('Revoke an API token')
+        .setDMPermission(true)
+        .addIntegerOption(option =>
+            option.setName('tokenid')
+                .setDescription('Token ID from /tokens')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('Which of your licenses, by key or name (default: your default license)')
+                .setRequired(false)),
 
-                    logger.info(`License created: ${licenseKey} for user ${targetUser.tag}`);
-                    await interaction.reply({ embeds: [embed] });
-                } else {
-                    logger.error(`Failed to create license for user ${targetUser.tag}`);
-                    await interaction.reply({ content: 'Failed to create license!', ephemeral: true });
-                }
-                break;
+    new SlashCommandBuilder()
+        .setName('addplace')
+        .setDescription('Allow your license to run in a Roblox place or universe')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('id')
+                .setDescription('Roblox PlaceId or UniverseId')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('type')
+                .setDescription('Whether the ID is a PlaceId or a UniverseId (default: place)')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Place', value: PLACE_TYPES.PLACE },
+                    { name: 'Universe (experience)', value: PLACE_TYPES.UNIVERSE }
+                ))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('License key to manage (required if you have multiple staff roles)')
+                .setRequired(false)),
 
-            case 'authorize':
-                let userLicense = await getUserLicense(user.id);
-                const specifiedLicenseKey = interaction.options.getString('licensekey');
-                
-                // If user specified a license key, use that
-                if (specifiedLicenseKey) {
-                    // Check if user has permission to manage the specified license
-                    const permissionCheck = await canUserManageLicense(user.id, specifiedLicenseKey, false);
-                    if (!permissionCheck.canManage) {
-                        logger.warn(`User ${user.tag} attempted to authorize license ${specifiedLicenseKey} without permission`);
-                        return interaction.reply({ content: 'You don\'t have permission to manage this license!', ephemeral: true });
-                    }
-                    userLicense = specifiedLicenseKey;
-                } else {
-                    // No license key specified - use user's own license or check staff roles
-                    if (!userLicense) {
-                        // Check if user is staff for any license
-                        const staffRoles = await getUserStaffRoles(user.id);
-                        if (staffRoles.length === 0) {
-                            logger.warn(`User ${user.tag} attempted to authorize without a license or staff role`);
-                            return interaction.reply({ content: 'You don\'t have a license or staff permissions!', ephemeral: true });
-                        }
-                        
-                        // If user has multiple staff roles, require license key
-                        if (staffRoles.length > 1) {
-                            const licenseList = staffRoles.map(role => 
-                                `• **${role.license_key}** (${role.role_type} for ${role.owner_tag})`
-                            ).join('\n');
-                            
-                            return interaction.reply({ 
-                                content: `You have staff access to multiple licenses. Please specify which license to use with the \`licensekey\` option.\n\nYour staff roles:\n${licenseList}`, 
-                                ephemeral: true 
-                            });
-                        }
-                        
-                        // Use the first (and only) license they have access to
-                        userLicense = staffRoles[0].license_key;
-                    }
-                }
+    new SlashCommandBuilder()
+        .setName('removeplace')
+        .setDescription('Remove a Roblox place or universe from your license allowlist')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('id')
+                .setDescription('Roblox PlaceId or UniverseId')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('type')
+                .setDescription('Whether the ID is a PlaceId or a UniverseId (default: place)')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Place', value: PLACE_TYPES.PLACE },
+                    { name: 'Universe (experience)', value: PLACE_TYPES.UNIVERSE }
+                ))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('License key to manage (required if you have multiple staff roles)')
+                .setRequired(false)),
 
-                // Final permission check
-                const authPermission = await canUserManageLicense(user.id, userLicense, false);
-                if (!authPermission.canManage) {
-                    logger.warn(`User ${user.tag} attempted to authorize without permission for license ${userLicense}`);
-                    return interaction.reply({ content: 'You don\'t have permission to manage this license!', ephemeral: true });
-                }
+    new SlashCommandBuilder()
+        .setName('places')
+        .setDescription('List allowed places and places flagged for using your license')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('License key to manage (required if you have multiple staff roles)')
+                .setRequired(false)),
 
-                // Check if license is paused
-                const isPausedAuth = await isLicensePaused(userLicense);
-                if (isPausedAuth) {
-                    logger.warn(`User ${user.tag} attempted to authorize with paused license ${userLicense}`);
-                    return interaction.reply({ content: 'This license is currently paused. Contact the bot owner.', ephemeral: true });
-                }
+    new SlashCommandBuilder()
+        .setName('addvehicle')
+        .setDescription('Register a vehicle in your license catalog')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('name')
+                .setDescription('Name the game checks for (must match the in-game vehicle name)')
+                .setRequired(true)
+                .setMaxLength(255))
+        .addStringOption(option =>
+            option.setName('assetid')
+                .setDescription('Roblox asset ID of the vehicle model')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('displayname')
+                .setDescription('Friendly name shown in listings (default: the name)')
+                .setRequired(false)
+                .setMaxLength(255))
+        .addStringOption(option =>
+            option.setName('aliases')
+                .setDescription('Comma-separated other names /authorize accepts, e.g. cvpi, crown vic')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('License key to manage (required if you have multiple staff roles)')
+                .setRequired(false)),
 
-                const usernameToAdd = interaction.options.getString('username');
-                const vehicleToAdd = interaction.options.getString('vehicle');
+    new SlashCommandBuilder()
+        .setName('removevehicle')
+        .setDescription('Remove a vehicle from your license catalog')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('name')
+                .setDescription('Vehicle name, alias or asset ID')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('License key to manage (required if you have multiple staff roles)')
+                .setRequired(false)),
 
-                const addResult = await addUserToLicense(userLicense, usernameToAdd, vehicleToAdd);
+    new SlashCommandBuilder()
+        .setName('vehicles')
+        .setDescription('List the vehicles registered in your license catalog')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('License key to view (required if you have multiple staff roles)')
+                .setRequired(false)),
 
-                if (addResult.success) {
-                    const roleInfo = authPermission.isOwner ? 'Owner' : authPermission.role.charAt(0).toUpperCase() + authPermission.role.slice(1);
-                    const embed = new EmbedBuilder()
-                        .setTitle('User Authorized')
+    new SlashCommandBuilder()
+        .setName('kickmessage')
+        .setDescription('Set the message your games get back when a player is denied')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('message')
+                .setDescription('Message to show denied players (leave empty to clear)')
+                .setRequired(false)
+                .setMaxLength(200))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('License key to manage (required if you have multiple staff roles)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('gracewindow')
+        .setDescription('Set how long your games may keep trusting approvals while the API is down')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('duration')
+                .setDescription('e.g. 15m, 2h or 1h30m (up to 24h), or "off"')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('License key to manage (required if you have multiple staff roles)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('vehiclechecks')
+        .setDescription('Choose whether your grants answer vehicle checks sent without a license key')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('mode')
+                .setDescription('Scoped is recommended; global keeps old /check-user-vehicle calls working')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'Scoped (only checks that include your license key)', value: 'scoped' },
+                    { name: 'Global (deprecated lookups across all licenses)', value: 'global' }
+                ))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('License key to manage (required if you have multiple staff roles)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('addbundle')
+        .setDescription('Add vehicles to a bundle that can be authorized as one unit (creates the bundle)')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('name')
+                .setDescription('Bundle name, e.g. Police Pack')
+                .setRequired(true)
+                .setMaxLength(100))
+        .addStringOption(option =>
+            option.setName('vehicles')
+                .setDescription('Comma-separated vehicle names, aliases or asset IDs')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('License key to manage (required if you have multiple staff roles)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('removebundle')
+        .setDescription('Remove vehicles from a bundle, or delete the bundle and its authorizations')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('name')
+                .setDescription('Bundle name')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('vehicles')
+                .setDescription('Comma-separated vehicles to remove (leave empty to delete the whole bundle)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('License key to manage (required if you have multiple staff roles)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('bundles')
+        .setDescription('List the vehicle bundles of your license')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('License key to view (required if you have multiple staff roles)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('checklogs')
+        .setDescription('Show recent license and vehicle checks for your license')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('username')
+                .setDescription('Only show checks for this Roblox username')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('vehicle')
+                .setDescription('Only show checks for this vehicle')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('result')
+                .setDescription('Only show approved or denied checks')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Approved', value: 'approved' },
+                    { name: 'Denied', value: 'denied' }
+                ))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('License key to view (required if you have multiple staff roles)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('addwebhook')
+        .setDescription('Send license events to a URL of yours')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('url')
+                .setDescription('http(s) URL that receives signed POST requests')
+                .setRequired(true)
+                .setMaxLength(500))
+        .addStringOption(option =>
+            option.setName('events')
+                .setDescription('Comma-separated events, e.g. user.authorized, check.denied (default: all)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('Which of your licenses, by key or name (default: your default license)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('webhooks')
+        .setDescription('List the webhooks for your license and their recent deliveries')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('Which of your licenses, by key or name (default: your default license)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('removewebhook')
+        .setDescription('Remove a webhook')
+        .setDMPermission(true)
+        .addIntegerOption(option =>
+            option.setName('webhookid')
+                .setDescription('Webhook ID from /webhooks')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('Which of your licenses, by key or name (default: your default license)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('testwebhook')
+        .setDescription('Send a test event to a webhook')
+        .setDMPermission(true)
+        .addIntegerOption(option =>
+            option.setName('webhookid')
+                .setDescription('Webhook ID from /webhooks')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('Which of your licenses, by key or name (default: your default license)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('webhookdeliveries')
+        .setDescription('Show the latest deliveries to a webhook, including failures')
+        .setDMPermission(true)
+        .addIntegerOption(option =>
+            option.setName('webhookid')
+                .setDescription('Webhook ID from /webhooks')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('Which of your licenses, by key or name (default: your default license)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('abusereport')
+        .setDescription('Show sources locked out for checking unknown license keys (Bot Owner Only)')
+        .setDMPermission(true),
+
+    new SlashCommandBuilder()
+        .setName('reportleak')
+        .setDescription('Report a leaker to the bot owner for the global blacklist')
+        .setDMPermission(true)
+        .addStringOption(option =>
+            option.setName('username')
+                .setDescription('Roblox username of the leaker')
+                .setRequired(true))
+        .addStringOption(option =>
+            option.setName('evidence')
+                .setDescription('What they leaked and where, with links to screenshots or uploads')
+                .setRequired(true)
+                .setMaxLength(blacklist.MAX_EVIDENCE_LENGTH))
+        .addStringOption(option =>
+            option.setName('licensekey')
+                .setDescription('License key to report from (required if you have multiple staff roles)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('blacklist')
+        .setDescription('Manage the global leaker blacklist (Bot Owner Only)')
+        .setDMPermission(true)
+        .addSubcommand(subcommand =>
+            subcommand.setName('add')
+                .setDescription('Blacklist a user on every license')
+                .addStringOption(option =>
+                    option.setName('username')
+                        .setDescription('Roblox username to blacklist')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('Why the user is blacklisted')
+                        .setRequired(true)
+                        .setMaxLength(255)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('remove')
+                .setDescription('Remove a user from the blacklist')
+                .addStringOption(option =>
+                    option.setName('username')
+                        .setDescription('Roblox username to remove')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('List blacklisted users, newest first')
+                .addIntegerOption(option =>
+                    option.setName('page')
+                        .setDescription('Page number (default: 1)')
+                        .setRequired(false)
+                        .setMinValue(1)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('lookup')
+                .setDescription('Show a user\'s blacklist entry, leak reports and licenses')
+                .addStringOption(option =>
+                    option.setName('username')
+                        .setDescription('Roblox username to look up')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand.setName('reports')
+                .setDescription('List leak reports waiting for review'))
+        .addSubcommand(subcommand =>
+            subcommand.setName('review')
+                .setDescription('Approve (blacklisting the user) or reject a leak report')
+                .addIntegerOption(option =>
+                    option.setName('report')
+                        .setDescription('Report number')
+                        .setRequired(true)
+                        .setMinValue(1))
+                .addStringOption(option =>
+                    option.setName('decision')
+                        .setDescription('Approve or reject the report')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'Approve', value: 'approve' },
+                            { name: 'Reject', value: 'reject' }
+                        ))
+                .addStringOption(option =>
+                    option.setName('note')
+                        .setDescription('Blacklist reason when approving, or a note for the reporter')
+                        .setRequired(false)
+                        .setMaxLength(255))),
+
+    // NEW COMMAND: All Users
+    new SlashCommandBuilder()
+        .setName('allusers')
+        .setDescription('Show all licenses with authorized users and staff (Bot Owner Only)')
+        .setDMPermission(true)
+];
+
+// Who paused or unpaused a license: a Discord user ID, 'admin', 'token:<id>' or 'expiry'
+function formatPauseActor(actor) {
+    if (!actor) {
+        return 'schedule';
+    }
+    return /^\d+$/.test(actor) ? `<@${actor}>` : actor;
+}
+
+const PAUSE_ACTION_LABELS = {
+    [PAUSE_ACTIONS.PAUSED]: '⏸️ Paused',
+    [PAUSE_ACTIONS.UNPAUSED]: '▶️ Unpaused',
+    [PAUSE_ACTIONS.SCHEDULED]: '🗓️ Pause scheduled',
+    [PAUSE_ACTIONS.SCHEDULE_CANCELLED]: '✖️ Scheduled pause cancelled'
+};
+
+// One license_pause_history row as a line of /licenseinfo
+function formatPauseHistoryEntry(entry) {
+    return `${discordTimestamp(entry.created_at, 'd')} ${PAUSE_ACTION_LABELS[entry.action] || entry.action} by ${formatPauseActor(entry.actor)}` +
+        (entry.reason ? `: ${entry.reason}` : '') +
+        (entry.resume_at ? ` (until ${discordTimestamp(entry.resume_at, 'd')})` : '');
+}
+
+// Lists which features a tier includes, for embeds
+function formatTierFeatures(tier) {
+    return Object.values(FEATURES)
+        .map(feature => `${tier.features.includes(feature) ? '✅' : '❌'} ${FEATURE_LABELS[feature]}`)
+        .join('\n');
+}
+
+// Formats an abuse_lockouts row as an embed field
+function formatLockoutField(lockout) {
+    const lockedUntil = lockout.locked_until && lockout.locked_until > new Date()
+        ? `until ${discordTimestamp(lockout.locked_until, 'f')}`
+        : 'expired';
+    const keys = lockout.recent_license_keys.slice(-5).map(key => `\`${key.slice(0, 40)}\``).join(', ') || 'None';
+
+    return {
+        name: `🚫 ${lockout.source}`,
+        value: (`**Lockout:** #${lockout.lockout_count}, ${lockedUntil}\n` +
+                `**Unknown License Checks:** ${lockout.unknown_license_checks}\n` +
+                `**Last Locked:** ${discordTimestamp(lockout.last_locked_at, 'R')}\n` +
+                `**Recent Keys:** ${keys}`).slice(0, 1024),
+        inline: false
+    };
+}
+
+// DMs a license owner, logging instead of failing when their DMs are closed
+async function sendOwnerDm(ownerId, embed) {
+    try {
+        const owner = await client.users.fetch(ownerId);
+        await owner.send({ embeds: [embed] });
+    } catch (error) {
+        logger.warn(`Could not DM license owner ${ownerId}: ${error.message}`);
+    }
+}
+
+// Reminds owners of licenses about to expire and pauses the ones that ran out
+const LICENSE_EXPIRY_INTERVAL = 60 * 1000; // 1 minute
+const LICENSE_EXPIRY_REMINDER_MS = parseDuration(process.env.LICENSE_EXPIRY_REMINDER || '3d') || 3 * 24 * 60 * 60 * 1000;
+
+async function processLicenseExpiry() {
+    for (const license of await takeExpiringLicenses(LICENSE_EXPIRY_REMINDER_MS)) {
+        await sendOwnerDm(license.owner_id, new EmbedBuilder()
+            .setTitle('⏰ License Expiring Soon')
+            .setColor(0xff9900)
+            .setDescription(`Your license expires ${discordTimestamp(license.expires_at, 'R')}. Renew it before then to keep your games authorizing players.`)
+            .addFields(
+                { name: 'License Key', value: license.license_key, inline: true },
+                { name: 'Expires', value: discordTimestamp(license.expires_at, 'f'), inline: true }
+            ));
+    }
+
+    await pauseExpiredLicenses();
+    for (const license of await takeExpiredLicenses()) {
+        await sendOwnerDm(license.owner_id, new EmbedBuilder()
+            .setTitle('⏸️ License Expired')
+            .setColor(0xff0000)
+            .setDescription('Your license has expired, so checks now deny every player. Renewing it restores it right away.')
+            .addFields(
+                { name: 'License Key', value: license.license_key, inline: true },
+                { name: 'Expired', value: discordTimestamp(license.expires_at, 'f'), inline: true }
+            ));
+    }
+}
+
+// Who blacklisted a user or reviewed a report: a Discord user ID, or 'admin' from the API
+function formatBlacklistActor(actor) {
+    return /^\d+$/.test(actor) ? `<@${actor}>` : actor;
+}
+
+// Formats a leak_reports row as an embed field
+function formatLeakReportField(report) {
+    const player = report.roblox_user_id ? `${report.username} (${report.roblox_user_id})` : report.username;
+    let value = `**Player:** ${player}\n` +
+        `**License:** ${report.license_key}\n` +
+        `**Reported By:** <@${report.reported_by}> ${discordTimestamp(report.created_at, 'R')}\n` +
+        `**Evidence:** ${report.evidence}`;
+    if (report.reviewed_at) {
+        value += `\n**Reviewed:** ${report.status} by ${formatBlacklistActor(report.reviewed_by)} ${discordTimestamp(report.reviewed_at, 'R')}` +
+            (report.review_note ? ` (${report.review_note})` : '');
+    }
+    return { name: `Report #${report.id}`, value: value.slice(0, 1024), inline: false };
+}
+
+// Where abuse lockouts and leak reports go: ABUSE_REPORT_CHANNEL_ID, or the bot owner's DMs
+async function getReportTarget() {
+    return process.env.ABUSE_REPORT_CHANNEL_ID
+        ? client.channels.fetch(process.env.ABUSE_REPORT_CHANNEL_ID)
+        : client.users.fetch(process.env.BOT_OWNER_ID);
+}
+
+// Posts new lockouts to ABUSE_REPORT_CHANNEL_ID, or DMs them to the bot owner
+const ABUSE_REPORT_INTERVAL = 60 * 1000; // 1 minute
+
+async function reportNewLockouts() {
+    const lockouts = await abuseGuard.takeUnreportedLockouts();
+    if (lockouts.length === 0) {
+        return;
+    }
+
+    const reportEmbed = new EmbedBuilder()
+        .setTitle('🚨 Sources Locked Out')
+        .setColor(0xff0000)
+        .setDescription(`${lockouts.length} source(s) were locked out for checking license keys that do not exist.`)
+        .addFields(lockouts.slice(0, 25).map(formatLockoutField))
+        .setTimestamp();
+
+    const target = await getReportTarget();
+    await target.send({ embeds: [reportEmbed] });
+}
+
+client.once('ready', async () => {
+    logger.info(`Bot logged in as ${client.user.tag}`);
+    
+    // Register slash commands
+    try {
+        const rest = require('@discordjs/rest');
+        const { Routes } = require('discord-api-types/v9');
+        
+        const restClient = new rest.REST({ version: '9' }).setToken(process.env.DISCORD_TOKEN);
+        
+        await restClient.put(
+            Routes.applicationCommands(client.user.id),
+            { body: commands }
+        );
+        logger.info('Successfully registered application commands.');
+    } catch (error) {
+        logger.error('Error registering commands:', error);
+    }
+
+    setInterval(() => {
+        reportNewLockouts().catch(error => logger.error(`Error reporting lockouts: ${error.message}`));
+    }, ABUSE_REPORT_INTERVAL);
+
+    const runLicenseExpiry = () => processScheduledPauses()
+        .then(processLicenseExpiry)
+        .catch(error => logger.error(`Error processing license pauses and expiry: ${error.message}`));
+    runLicenseExpiry();
+    setInterval(runLicenseExpiry, LICENSE_EXPIRY_INTERVAL);
+});
+
+// Interaction handling
+client.on('interactionCreate', async interaction => {
+    if (!interaction.isChatInputCommand()) return;
+
+    const { commandName, user } = interaction;
+    const endCommandTimer = metrics.commandDuration.startTimer({ command: commandName });
+    let commandOutcome = 'success';
+
+    try {
+        switch (commandName) {
+            case 'createlicense':
+                if (user.id !== process.env.BOT_OWNER_ID) {
+                    logger.warn(`Unauthorized license creation attempt by ${user.tag}`);
+                    return interaction.reply({ content: 'Only the bot owner can create licenses!', ephemeral: true });
+                }
+
+                const targetUser = interaction.options.getUser('user');
+                const licenseTerm = interaction.options.getString('duration') || DEFAULT_LICENSE_TERM;
+                const licenseExpiresAt = licenseTerm === 'never' ? null : durationToDate(licenseTerm);
+                if (licenseTerm !== 'never' && !licenseExpiresAt) {
+                    return interaction.reply({ content: 'Invalid duration! Use something like `30d`, `12w` or `1d12h`, or `never`.', ephemeral: true });
+                }
+                
+                const createResult = await createLicense(targetUser.id, targetUser.tag, {
+                    expiresAt: licenseExpiresAt,
+                    name: interaction.options.getString('name'),
+                    licenseKey: interaction.options.getString('licensekey')
+                });
+                
+                if (createResult.success) {
+                    const embed = new EmbedBuilder()
+                        .setTitle('License Created Successfully')
                         .setColor(0x00ff00)
                         .addFields(
-                            { name: 'Username', value: usernameToAdd, inline: true },
-                            { name: 'Authorization', value: addResult.forAllVehicles ? 'ALL Vehicles' : `Vehicle: ${vehicleToAdd}`, inline: true },
-                            { name: 'License', value: userLicense, inline: true },
-                            { name: 'Added By', value: `${user.tag} (${roleInfo})`, inline: true }
+                            { name: 'License Key', value: createResult.licenseKey, inline: true },
+                            { name: 'Name', value: createResult.name || 'None', inline: true },
+                            { name: 'Owner', value: targetUser.tag, inline: true },
+                            { name: 'Expires', value: licenseExpiresAt ? discordTimestamp(licenseExpiresAt, 'f') : 'Never', inline: true }
                         );
+
                     await interaction.reply({ embeds: [embed] });
                 } else {
-                    await interaction.reply({ content: addResult.message || 'An error occurred!', ephemeral: true });
+                    await interaction.reply({ content: createResult.message, ephemeral: true });
                 }
                 break;
 
-            case 'deauthorize':
-                let userLicense2 = await getUserLicense(user.id);
-                const specifiedLicenseKey2 = interaction.options.getString('licensekey');
+            case 'authorize':
+                let userLicense = await getUserLicense(user.id);
+                const specifiedLicenseKey = await getLicenseOption(interaction);
                 
                 // If user specified a license key, use that
-                if (specifiedLicenseKey2) {
-                    // Check if user has permission to manage the specified license (require admin for deauthorization)
-                    const permissionCheck = await canUserManageLicense(user.id, specifiedLicenseKey2, true);
+                if (specifiedLicenseKey) {
+                    // Check if user has permission to manage the specified license
+                    const permissionCheck = await canUserManageLicense(user.id, specifiedLicenseKey, false);
                     if (!permissionCheck.canManage) {
-                        const roleMessage = permissionCheck.role === ROLE_TYPES.HELPER ? 
-                            'Helpers can only add users, not remove them. Ask an admin or license owner.' : 
-                            'You don\'t have permission to manage this license!';
-                        logger.warn(`User ${user.tag} attempted to deauthorize license ${specifiedLicenseKey2} without permission`);
-                        return interaction.reply({ content: roleMessage, ephemeral: true });
+                        logger.warn(`User ${user.tag} attempted to authorize license ${specifiedLicenseKey} without permission`);
+                        return interaction.reply({ content: licenseDeniedMessage(specifiedLicenseKey, 'You don\'t have permission to manage this license!'), ephemeral: true });
                     }
-                    userLicense2 = specifiedLicenseKey2;
+                    userLicense = specifiedLicenseKey;
                 } else {
                     // No license key specified - use user's own license or check staff roles
-                    if (!userLicense2) {
+                    if (!userLicense) {
                         // Check if user is staff for any license
                         const staffRoles = await getUserStaffRoles(user.id);
                         if (staffRoles.length === 0) {
-                            logger.warn(`User ${user.tag} attempted to deauthorize without a license or staff role`);
+                            logger.warn(`User ${user.tag} attempted to authorize without a license or staff role`);
                             return interaction.reply({ content: 'You don\'t have a license or staff permissions!', ephemeral: true });
                         }
                         
@@ -895,34 +1343,160 @@ client.on('interactionCreate', async interaction => {
                         }
                         
                         // Use the first (and only) license they have access to
-                        userLicense2 = staffRoles[0].license_key;
+                        userLicense = staffRoles[0].license_key;
                     }
                 }
 
-                // Final permission check (require admin role for deauthorization)
-                const deauthPermission = await canUserManageLicense(user.id, userLicense2, true);
-                if (!deauthPermission.canManage) {
-                    const roleMessage = deauthPermission.role === ROLE_TYPES.HELPER ? 
-                        'Helpers can only add users, not remove them. Ask an admin or license owner.' : 
-                        'You don\'t have permission to manage this license!';
-                    logger.warn(`User ${user.tag} attempted to deauthorize without permission for license ${userLicense2}`);
-                    return interaction.reply({ content: roleMessage, ephemeral: true });
+                // Final permission check
+                const authPermission = await canUserManageLicense(user.id, userLicense, false);
+                if (!authPermission.canManage) {
+                    logger.warn(`User ${user.tag} attempted to authorize without permission for license ${userLicense}`);
+                    return interaction.reply({ content: 'You don\'t have permission to manage this license!', ephemeral: true });
                 }
 
                 // Check if license is paused
-                const isPausedDeauth = await isLicensePaused(userLicense2);
-                if (isPausedDeauth) {
-                    logger.warn(`User ${user.tag} attempted to deauthorize with paused license ${userLicense2}`);
+                const isPausedAuth = await isLicensePaused(userLicense);
+                if (isPausedAuth) {
+                    logger.warn(`User ${user.tag} attempted to authorize with paused license ${userLicense}`);
                     return interaction.reply({ content: 'This license is currently paused. Contact the bot owner.', ephemeral: true });
                 }
 
-                const usernameToRemove = interaction.options.getString('username');
-                const vehicleToRemove = interaction.options.getString('vehicle');
+                const usernameToAdd = interaction.options.getString('username');
+                const bundleToAdd = interaction.options.getString('bundle');
+                if (bundleToAdd && interaction.options.getString('vehicle')) {
+                    return interaction.reply({ content: 'Give either a vehicle or a bundle, not both!', ephemeral: true });
+                }
+                const vehicleToAdd = bundleToAdd ? BUNDLE_PREFIX + bundleToAdd.trim() : interaction.options.getString('vehicle');
+                const durationToAdd = interaction.options.getString('duration');
+
+                const expiresAtToAdd = durationToAdd ? durationToDate(durationToAdd) : null;
+                if (durationToAdd && !expiresAtToAdd) {
+                    return interaction.reply({ content: 'Invalid duration! Use minutes, hours, days or weeks, e.g. `30m`, `24h`, `7d` or `1d12h`.', ephemeral: true });
+                }
+
+                let robloxUserToAdd;
+                try {
+                    robloxUserToAdd = await robloxUsers.resolveUsername(usernameToAdd);
+                } catch (error) {
+                    logger.error(`Roblox lookup failed for ${usernameToAdd}: ${error.message}`);
+                    return interaction.reply({ content: 'Could not reach Roblox to look up that username. Please try again shortly.', ephemeral: true });
+                }
+
+                if (!robloxUserToAdd) {
+                    return interaction.reply({ content: `Roblox user **${usernameToAdd}** does not exist!`, ephemeral: true });
+                }
+
+                const addResult = await addUserToLicense(userLicense, robloxUserToAdd, vehicleToAdd, expiresAtToAdd);
+
+                if (addResult.success) {
+                    const roleInfo = authPermission.isOwner ? 'Owner' : authPermission.role.charAt(0).toUpperCase() + authPermission.role.slice(1);
+                    const blacklistEntry = await blacklist.getBlacklistEntry(robloxUserToAdd);
+                    const embed = new EmbedBuilder()
+                        .setTitle(addResult.extended ? 'Authorization Extended' : 'User Authorized')
+                        .setColor(blacklistEntry ? 0xff9900 : 0x00ff00)
+                        .addFields(
+                            { name: 'Username', value: `${robloxUserToAdd.name} (${robloxUserToAdd.id})`, inline: true },
+                            { name: 'Authorization', value: addResult.forAllVehicles ? 'ALL Vehicles' : `Vehicle: ${formatVehicleLabel(addResult.vehicle)}`, inline: true },
+                            { name: 'Expires', value: addResult.expiresAt ? `${discordTimestamp(addResult.expiresAt, 'f')} (${discordTimestamp(addResult.expiresAt)})` : 'Never', inline: true },
+                            { name: 'License', value: userLicense, inline: true },
+                            { name: 'Added By', value: `${user.tag} (${roleInfo})`, inline: true }
+                        );
+                    if (blacklistEntry) {
+                        embed.addFields({
+                            name: '⚠️ Blacklisted',
+                            value: `This user is on the global leaker blacklist (${blacklistEntry.reason}), so checks will keep denying them.`,
+                            inline: false
+                        });
+                    }
+                    await interaction.reply({ embeds: [embed] });
+                } else {
+                    await interaction.reply({ content: addResult.message || 'An error occurred!', ephemeral: true });
+                }
+                break;
+
+            case 'deauthorize':
+                let userLicense2 = await getUserLicense(user.id);
+                const specifiedLicenseKey2 = await getLicenseOption(interaction);
+                
+                // If user specified a license key, use that
+                if (specifiedLicenseKey2) {
+                    // Check if user has permission to manage the specified license (require admin for deauthorization)
+                    const permissionCheck = await canUserManageLicense(user.id, specifiedLicenseKey2, true);
+                    if (!permissionCheck.canManage) {
+                        const roleMessage = permissionCheck.role === ROLE_TYPES.HELPER ? 
+                            'Helpers can only add users, not remove them. Ask an admin or license owner.' : 
+                            'You don\'t have permission to manage this license!';
+                        logger.warn(`User ${user.tag} attempted to deauthorize license ${specifiedLicenseKey2} without permission`);
+                        return interaction.reply({ content: licenseDeniedMessage(specifiedLicenseKey2, roleMessage), ephemeral: true });
+                    }
+                    userLicense2 = specifiedLicenseKey2;
+                } else {
+                    // No license key specified - use user's own license or check staff roles
+                    if (!userLicense2) {
+                        // Check if user is staff for any license
+                        const staffRoles = await getUserStaffRoles(user.id);
+                        if (staffRoles.length === 0) {
+                            logger.warn(`User ${user.tag} attempted to deauthorize without a license or staff role`);
+                            return interaction.reply({ content: 'You don\'t have a license or staff permissions!', ephemeral: true });
+                        }
+                        
+                        // If user has multiple staff roles, require license key
+                        if (staffRoles.length > 1) {
+                            const licenseList = staffRoles.map(role => 
+                                `• **${role.license_key}** (${role.role_type} for ${role.owner_tag})`
+                            ).join('\n');
+                            
+                            return interaction.reply({ 
+                                content: `You have staff access to multiple licenses. Please specify which license to use with the \`licensekey\` option.\n\nYour staff roles:\n${licenseList}`, 
+                                ephemeral: true 
+                            });
+                        }
+                        
+                        // Use the first (and only) license they have access to
+                        userLicense2 = staffRoles[0].license_key;
+                    }
+                }
+
+                // Final permission check (require admin role for deauthorization)
+                const deauthPermission = await canUserManageLicense(user.id, userLicense2, true);
+                if (!deauthPermission.canManage) {
+                    const roleMessage = deauthPermission.role === ROLE_TYPES.HELPER ? 
+                        'Helpers can only add users, not remove them. Ask an admin or license owner.' : 
+                        'You don\'t have permission to manage this license!';
+                    logger.warn(`User ${user.tag} attempted to deauthorize without permission for license ${userLicense2}`);
+                    return interaction.reply({ content: roleMessage, ephemeral: true });
+                }
+
+                // Check if license is paused
+                const isPausedDeauth = await isLicensePaused(userLicense2);
+                if (isPausedDeauth) {
+                    logger.warn(`User ${user.tag} attempted to deauthorize with paused license ${userLicense2}`);
+                    return interaction.reply({ content: 'This license is currently paused. Contact the bot owner.', ephemeral: true });
+                }
+
+                const usernameToRemove = interaction.options.getString('username');
+                const bundleToRemove = interaction.options.getString('bundle');
+                if (bundleToRemove && interaction.options.getString('vehicle')) {
+                    return interaction.reply({ content: 'Give either a vehicle or a bundle, not both!', ephemeral: true });
+                }
+                const vehicleToRemove = bundleToRemove ? BUNDLE_PREFIX + bundleToRemove.trim() : interaction.options.getString('vehicle');
+
+                // Fall back to the typed name so legacy grants can still be removed
+                let robloxUserToRemove = null;
+                try {
+                    robloxUserToRemove = await robloxUsers.resolveUsername(usernameToRemove);
+                } catch (error) {
+                    logger.warn(`Roblox lookup failed for ${usernameToRemove}, matching by name only: ${error.message}`);
+                }
 
-                const removeSuccess = await removeUserFromLicense(userLicense2, usernameToRemove, vehicleToRemove);
+                const removeSuccess = await removeUserFromLicense(
+                    userLicense2,
+                    robloxUserToRemove || { id: null, name: usernameToRemove },
+                    vehicleToRemove
+                );
 
                 if (removeSuccess) {
-                    const action = vehicleToRemove ? `vehicle ${vehicleToRemove}` : 'ALL authorization';
+                    const action = vehicleToRemove ? formatVehicleLabel(vehicleToRemove) : 'ALL authorization';
                     const roleInfo = deauthPermission.isOwner ? 'Owner' : deauthPermission.role.charAt(0).toUpperCase() + deauthPermission.role.slice(1);
                     const embed = new EmbedBuilder()
                         .setTitle('User Deauthorized')
@@ -939,9 +1513,72 @@ client.on('interactionCreate', async interaction => {
                 }
                 break;
 
+            case 'suspend':
+            case 'unsuspend':
+                const suspendLicense = await resolveAdminLicense(interaction, commandName === 'suspend' ? 'suspend a user' : 'lift a suspension');
+                if (!suspendLicense) {
+                    return;
+                }
+
+                if (await isLicensePaused(suspendLicense)) {
+                    return interaction.reply({ content: 'This license is currently paused. Contact the bot owner.', ephemeral: true });
+                }
+
+                const suspendUsername = interaction.options.getString('username');
+                const suspendBundle = interaction.options.getString('bundle');
+                if (suspendBundle && interaction.options.getString('vehicle')) {
+                    return interaction.reply({ content: 'Give either a vehicle or a bundle, not both!', ephemeral: true });
+                }
+                const suspendVehicle = suspendBundle ? BUNDLE_PREFIX + suspendBundle.trim() : interaction.options.getString('vehicle');
+
+                const suspendDuration = commandName === 'suspend' ? interaction.options.getString('duration') : null;
+                const suspendUntil = suspendDuration ? durationToDate(suspendDuration) : null;
+                if (suspendDuration && !suspendUntil) {
+                    return interaction.reply({ content: 'Invalid duration! Use something like `30m`, `24h`, `7d` or `1d12h`.', ephemeral: true });
+                }
+
+                // Fall back to the typed name so legacy grants still match
+                let robloxUserToSuspend = null;
+                try {
+                    robloxUserToSuspend = await robloxUsers.resolveUsername(suspendUsername);
+                } catch (error) {
+                    logger.warn(`Roblox lookup failed for ${suspendUsername}, matching by name only: ${error.message}`);
+                }
+                robloxUserToSuspend = robloxUserToSuspend || { id: null, name: suspendUsername };
+
+                const suspendResult = commandName === 'suspend'
+                    ? await suspendGrant(suspendLicense, robloxUserToSuspend, suspendVehicle, {
+                        reason: interaction.options.getString('reason'),
+                        until: suspendUntil,
+                        suspendedBy: user.id
+                    })
+                    : await unsuspendGrant(suspendLicense, robloxUserToSuspend, suspendVehicle);
+
+                if (!suspendResult.success) {
+                    return interaction.reply({ content: suspendResult.message || 'An error occurred!', ephemeral: true });
+                }
+
+                const suspendTarget = suspendResult.vehicle ? formatVehicleLabel(suspendResult.vehicle) : 'All grants';
+                const suspendEmbed = new EmbedBuilder()
+                    .setTitle(commandName === 'suspend' ? 'User Suspended' : 'Suspension Lifted')
+                    .setColor(commandName === 'suspend' ? 0xff9900 : 0x00ff00)
+                    .addFields(
+                        { name: 'Username', value: robloxUserToSuspend.name, inline: true },
+                        { name: 'Grants', value: `${suspendTarget} (${suspendResult.suspended || suspendResult.lifted})`, inline: true },
+                        { name: 'License', value: suspendLicense, inline: true }
+                    );
+                if (commandName === 'suspend') {
+                    suspendEmbed.addFields(
+                        { name: 'Reason', value: interaction.options.getString('reason'), inline: false },
+                        { name: 'Until', value: suspendUntil ? discordTimestamp(suspendUntil, 'f') : 'Lifted with `/unsuspend`', inline: true }
+                    );
+                }
+                await interaction.reply({ embeds: [suspendEmbed] });
+                break;
+
             case 'authorized':
                 let userLicense3 = await getUserLicense(user.id);
-                const specifiedLicenseKey3 = interaction.options.getString('licensekey');
+                const specifiedLicenseKey3 = await getLicenseOption(interaction);
                 
                 // If user specified a license key, use that
                 if (specifiedLicenseKey3) {
@@ -949,7 +1586,7 @@ client.on('interactionCreate', async interaction => {
                     const permissionCheck = await canUserManageLicense(user.id, specifiedLicenseKey3, false);
                     if (!permissionCheck.canManage) {
                         logger.warn(`User ${user.tag} attempted to view license ${specifiedLicenseKey3} without permission`);
-                        return interaction.reply({ content: 'You don\'t have permission to view this license!', ephemeral: true });
+                        return interaction.reply({ content: licenseDeniedMessage(specifiedLicenseKey3, 'You don\'t have permission to view this license!'), ephemeral: true });
                     }
                     userLicense3 = specifiedLicenseKey3;
                 } else {
@@ -992,11 +1629,12 @@ client.on('interactionCreate', async interaction => {
                 
                 // Group users with their vehicles
                 const userVehicles = {};
-                authorizedUsers.forEach(({ username, vehicle }) => {
-                    if (!userVehicles[username]) {
-                        userVehicles[username] = [];
+                authorizedUsers.forEach(row => {
+                    const label = formatGrantUser(row);
+                    if (!userVehicles[label]) {
+                        userVehicles[label] = [];
                     }
-                    userVehicles[username].push(vehicle === ALL_VEHICLES ? 'ALL Vehicles' : vehicle);
+                    userVehicles[label].push(formatGrantVehicle(row));
                 });
 
                 let userList = 'None';
@@ -1009,6 +1647,7 @@ client.on('interactionCreate', async interaction => {
 
                 const totalUsers = Object.keys(userVehicles).length;
                 const totalAuthorizations = authorizedUsers.length;
+                const suspendedAuthorizations = authorizedUsers.filter(row => row.is_suspended).length;
 
                 const roleInfo = viewPermission.isOwner ? 'Owner' : viewPermission.role.charAt(0).toUpperCase() + viewPermission.role.slice(1);
                 const embed = new EmbedBuilder()
@@ -1020,6 +1659,7 @@ client.on('interactionCreate', async interaction => {
                         { name: 'Your Role', value: roleInfo, inline: true },
                         { name: 'Total Users', value: totalUsers.toString(), inline: true },
                         { name: 'Total Authorizations', value: totalAuthorizations.toString(), inline: true },
+                        { name: 'Suspended', value: suspendedAuthorizations.toString(), inline: true },
                         { name: 'Users & Vehicles', value: userList, inline: false }
                     );
 
@@ -1027,7 +1667,11 @@ client.on('interactionCreate', async interaction => {
                 break;
 
             case 'mylicense':
-                const myLicense = await getUserLicense(user.id);
+                const myLicenseSelector = interaction.options.getString('licensekey');
+                const myLicense = myLicenseSelector ? await findOwnerLicense(user.id, myLicenseSelector) : await getUserLicense(user.id);
+                if (myLicenseSelector && !myLicense) {
+                    return interaction.reply({ content: 'You don\'t own a license with that key or name! See `/mylicenses`.', ephemeral: true });
+                }
                 if (!myLicense) {
                     // Check if user is staff for any licenses
                     const staffRoles = await getUserStaffRoles(user.id);
@@ -1053,333 +1697,1257 @@ client.on('interactionCreate', async interaction => {
                     return interaction.reply({ embeds: [staffEmbed], ephemeral: true });
                 }
 
-                // Check if license is paused
-                const isPausedMy = await isLicensePaused(myLicense);
-                const myUsers = await getUsersForLicense(myLicense);
-                const myUserCount = new Set(myUsers.map(u => u.username)).size;
-                const myAuthorizationCount = myUsers.length;
+                // Check if license is paused
+                const isPausedMy = await isLicensePaused(myLicense);
+                const myLicenseDetails = await getLicense(myLicense);
+                const myUsers = await getUsersForLicense(myLicense);
+                const myAuthorizationCount = myUsers.length;
+                const myQuota = await getLicenseUsage(myLicense);
+
+                // Get staff members for this license
+                const staffMembers = await getLicenseStaff(myLicense);
+                const adminCount = staffMembers.filter(s => s.role_type === ROLE_TYPES.ADMIN).length;
+                const helperCount = staffMembers.filter(s => s.role_type === ROLE_TYPES.HELPER).length;
+
+                const myLicenseCount = (await getOwnerLicenses(user.id)).length;
+
+                const embed4 = new EmbedBuilder()
+                    .setTitle(myLicenseDetails && myLicenseDetails.name ? `Your License: ${myLicenseDetails.name}` : 'Your License Information')
+                    .setColor(isPausedMy ? 0xff9900 : 0x0099ff)
+                    .addFields(
+                        { name: 'License Key', value: myLicense, inline: true },
+                        { name: 'Status', value: isPausedMy ? `⏸️ PAUSED${myLicenseDetails && myLicenseDetails.pauseReason ? ` (${myLicenseDetails.pauseReason})` : ''}` : '✅ ACTIVE', inline: true },
+                        { name: 'Expires', value: myLicenseDetails && myLicenseDetails.expiresAt ? `${discordTimestamp(myLicenseDetails.expiresAt, 'f')} (${discordTimestamp(myLicenseDetails.expiresAt, 'R')})` : 'Never', inline: true },
+                        { name: 'Tier', value: myQuota ? myQuota.limits.label : 'Unknown', inline: true },
+                        { name: 'Authorized Users', value: myQuota ? formatUsage(myQuota.usage.users, myQuota.limits.maxUsers) : 'Unknown', inline: true },
+                        { name: 'Vehicles', value: myQuota ? formatUsage(myQuota.usage.vehicles, myQuota.limits.maxVehicles) : 'Unknown', inline: true },
+                        { name: 'Total Authorizations', value: myAuthorizationCount.toString(), inline: true },
+                        { name: 'Staff Members', value: `${myQuota ? formatUsage(myQuota.usage.staff, myQuota.limits.maxStaff) : staffMembers.length}\nAdmins: ${adminCount}\nHelpers: ${helperCount}`, inline: true },
+                        { name: 'Features', value: myQuota ? formatTierFeatures(myQuota.limits) : 'Unknown', inline: true },
+                        { name: 'Vehicle Checks', value: myLicenseDetails && myLicenseDetails.globalVehicleChecks ? '⚠️ Global (deprecated, see `/vehiclechecks`)' : 'Scoped to this license', inline: true },
+                        { name: 'Offline Grace Window', value: myLicenseDetails && myLicenseDetails.graceWindowMinutes ? formatDuration(myLicenseDetails.graceWindowMinutes * 60000) : 'Off (set one with `/gracewindow`)', inline: true },
+                        { name: 'Kick Message', value: (myLicenseDetails && myLicenseDetails.kickMessage) || 'None (set one with `/kickmessage`)', inline: false }
+                    );
+                if (myLicenseCount > 1) {
+                    embed4.setFooter({ text: `You own ${myLicenseCount} licenses. See /mylicenses, and pick one with the licensekey option.` });
+                }
+
+                await interaction.reply({ embeds: [embed4], ephemeral: true });
+                break;
+
+            case 'mylicenses':
+                const ownedLicenses = await getOwnerLicenses(user.id);
+                if (ownedLicenses.length === 0) {
+                    return interaction.reply({ content: 'You don\'t have a license! Contact the bot owner.', ephemeral: true });
+                }
+
+                const ownedLicenseList = ownedLicenses.map((license, index) => {
+                    const isDefault = license.is_default || (index === 0 && !ownedLicenses.some(other => other.is_default));
+                    return `${isDefault ? '⭐' : '•'} **${license.name || 'Unnamed'}** \`${license.license_key}\`\n` +
+                        `  ${license.is_paused ? '⏸️ Paused' : '✅ Active'} • ${getTier(license.tier).label}` +
+                        (license.expires_at ? ` • Expires ${discordTimestamp(license.expires_at)}` : '');
+                }).join('\n\n');
+
+                const ownedLicensesEmbed = new EmbedBuilder()
+                    .setTitle('Your Licenses')
+                    .setColor(0x0099ff)
+                    .setDescription(ownedLicenseList.slice(0, 4096))
+                    .setFooter({ text: '⭐ Default license, used when you leave out licensekey. Change it with /defaultlicense.' });
+
+                await interaction.reply({ embeds: [ownedLicensesEmbed], ephemeral: true });
+                break;
+
+            case 'defaultlicense':
+                const defaultSelector = interaction.options.getString('licensekey');
+                const defaultLicense = await findOwnerLicense(user.id, defaultSelector);
+                if (!defaultLicense) {
+                    return interaction.reply({ content: 'You don\'t own a license with that key or name! See `/mylicenses`.', ephemeral: true });
+                }
+
+                const defaultResult = await setDefaultLicense(user.id, defaultLicense);
+                await interaction.reply({ content: defaultResult.message, ephemeral: true });
+                break;
+
+            case 'renamelicense':
+                const renameLicense = await resolveOwnerLicense(interaction, 'rename a license');
+                if (!renameLicense) {
+                    return;
+                }
+
+                const renameResult = await setLicenseName(renameLicense, interaction.options.getString('name'));
+                await interaction.reply({ content: renameResult.success ? `${renameResult.message} (\`${renameLicense}\`)` : renameResult.message, ephemeral: true });
+                break;
+
+            case 'rotatekey':
+                const keyGraceInput = interaction.options.getString('grace');
+                const keyGraceMs = keyGraceInput ? parseDuration(keyGraceInput) : 0;
+                if (keyGraceInput && (!keyGraceMs || keyGraceMs > MAX_KEY_ROTATION_GRACE_MS)) {
+                    return interaction.reply({ content: 'Invalid grace period! Use something like `1h`, `7d` or `1d12h`, up to `30d`.', ephemeral: true });
+                }
+
+                const keyRotationLicense = await resolveOwnerLicense(interaction, 'rotate a license key');
+                if (!keyRotationLicense) {
+                    return;
+                }
+
+                const keyRotationResult = await rotateLicenseKey(keyRotationLicense, {
+                    newKey: interaction.options.getString('newkey'),
+                    graceMs: keyGraceMs,
+                    rotatedBy: user.id
+                });
+                if (!keyRotationResult.success) {
+                    return interaction.reply({ content: keyRotationResult.message, ephemeral: true });
+                }
+
+                const keyRotationEmbed = new EmbedBuilder()
+                    .setTitle('License Key Rotated')
+                    .setColor(0x00ff00)
+                    .setDescription('Your users, staff, places, vehicles, tokens, webhooks and pause state carry over. Update the key in your games.')
+                    .addFields(
+                        { name: 'New Key', value: `\`${keyRotationResult.licenseKey}\``, inline: false },
+                        { name: 'Old Key', value: `\`${keyRotationResult.previousLicenseKey}\``, inline: true },
+                        {
+                            name: 'Old Key Works Until',
+                            value: keyRotationResult.graceUntil ? discordTimestamp(keyRotationResult.graceUntil, 'f') : 'Stopped working now',
+                            inline: true
+                        }
+                    );
+
+                await interaction.reply({ embeds: [keyRotationEmbed], ephemeral: true });
+                break;
+
+            case 'deletelicense':
+                if (user.id !== process.env.BOT_OWNER_ID) {
+                    logger.warn(`Unauthorized license deletion attempt by ${user.tag}`);
+                    return interaction.reply({ content: 'Only the bot owner can delete licenses!', ephemeral: true });
+                }
+
+                const keyToDelete = interaction.options.getString('licensekey');
+                const deleteResult = await deleteLicense(keyToDelete);
+
+                if (deleteResult.success) {
+                    await interaction.reply({ content: deleteResult.message });
+                } else {
+                    await interaction.reply({ content: deleteResult.message, ephemeral: true });
+                }
+                break;
+
+            case 'pauselicense':
+                if (user.id !== process.env.BOT_OWNER_ID) {
+                    logger.warn(`Unauthorized license pause attempt by ${user.tag}`);
+                    return interaction.reply({ content: 'Only the bot owner can pause licenses!', ephemeral: true });
+                }
+
+                const userToPause = interaction.options.getUser('user');
+                const userLicenseToPause = await resolveUserLicense(interaction, userToPause, 'pause');
+                if (!userLicenseToPause) {
+                    return;
+                }
+
+                const pauseReason = interaction.options.getString('reason');
+                const pauseStartsIn = interaction.options.getString('startsin');
+                const pauseDuration = interaction.options.getString('duration');
+                const pauseAt = pauseStartsIn ? durationToDate(pauseStartsIn) : new Date();
+                const resumeAt = pauseDuration ? durationToDate(pauseDuration, pauseAt || undefined) : null;
+                if (!pauseAt || (pauseDuration && !resumeAt)) {
+                    return interaction.reply({ content: 'Invalid duration! Use something like `30m`, `24h`, `7d` or `1d12h`.', ephemeral: true });
+                }
+
+                const pauseResult = pauseStartsIn
+                    ? await schedulePause(userLicenseToPause, user.id, pauseReason, pauseAt, resumeAt)
+                    : await pauseLicense(userLicenseToPause, user.id, pauseReason, resumeAt);
+
+                if (pauseResult.success) {
+                    logger.info(`License ${pauseStartsIn ? 'pause scheduled' : 'paused'}: ${userLicenseToPause} for user ${userToPause.tag}`);
+                    const pauseWhen = pauseStartsIn ? ` will be paused ${discordTimestamp(pauseAt)}` : ' has been paused';
+                    const pauseUntil = resumeAt ? ` until ${discordTimestamp(resumeAt, 'f')}` : '';
+                    await interaction.reply({ content: `License for ${userToPause.tag}${pauseWhen}${pauseUntil}!\n**Reason:** ${pauseReason}` });
+                } else {
+                    logger.error(`Failed to pause license: ${userLicenseToPause}`);
+                    await interaction.reply({ content: pauseResult.message || 'Failed to pause license!', ephemeral: true });
+                }
+                break;
+
+            case 'renewlicense':
+                if (user.id !== process.env.BOT_OWNER_ID) {
+                    logger.warn(`Unauthorized license renewal attempt by ${user.tag}`);
+                    return interaction.reply({ content: 'Only the bot owner can renew licenses!', ephemeral: true });
+                }
+
+                const userToRenew = interaction.options.getUser('user');
+                const userLicenseToRenew = await resolveUserLicense(interaction, userToRenew, 'renewal');
+                if (!userLicenseToRenew) {
+                    return;
+                }
+
+                const renewalMs = parseDuration(interaction.options.getString('duration'));
+                if (renewalMs === null) {
+                    return interaction.reply({ content: 'Invalid duration! Use something like `30d`, `12w` or `1d12h`.', ephemeral: true });
+                }
+
+                const renewResult = await renewLicense(userLicenseToRenew, renewalMs);
+
+                if (renewResult.success) {
+                    const renewEmbed = new EmbedBuilder()
+                        .setTitle('License Renewed')
+                        .setColor(0x00ff00)
+                        .setDescription(renewResult.unpaused ? 'The license had expired and is active again.' : null)
+                        .addFields(
+                            { name: 'License Key', value: userLicenseToRenew, inline: true },
+                            { name: 'Owner', value: userToRenew.tag, inline: true },
+                            { name: 'Expires', value: discordTimestamp(renewResult.expiresAt, 'f'), inline: true }
+                        )
+                        .setTimestamp();
+
+                    await interaction.reply({ embeds: [renewEmbed] });
+                } else {
+                    await interaction.reply({ content: renewResult.message || 'Failed to renew license!', ephemeral: true });
+                }
+                break;
+
+            case 'unpauselicense':
+                if (user.id !== process.env.BOT_OWNER_ID) {
+                    logger.warn(`Unauthorized license unpause attempt by ${user.tag}`);
+                    return interaction.reply({ content: 'Only the bot owner can unpause licenses!', ephemeral: true });
+                }
+
+                const userToUnpause = interaction.options.getUser('user');
+                const userLicenseToUnpause = await resolveUserLicense(interaction, userToUnpause, 'unpause');
+                if (!userLicenseToUnpause) {
+                    return;
+                }
+
+                const cancelResult = await cancelScheduledPause(userLicenseToUnpause, { cancelledBy: user.id });
+                const unpauseResult = await unpauseLicense(userLicenseToUnpause, { unpausedBy: user.id });
+
+                if (unpauseResult.success) {
+                    logger.info(`License unpaused: ${userLicenseToUnpause} for user ${userToUnpause.tag}`);
+                    await interaction.reply({ content: `License for ${userToUnpause.tag} has been unpaused!${cancelResult.success ? ' Its scheduled pause was cancelled too.' : ''}` });
+                } else if (cancelResult.success) {
+                    await interaction.reply({ content: `Cancelled the scheduled pause of the license for ${userToUnpause.tag}.` });
+                } else {
+                    logger.error(`Failed to unpause license: ${userLicenseToUnpause}`);
+                    await interaction.reply({ content: unpauseResult.message || 'Failed to unpause license!', ephemeral: true });
+                }
+                break;
+                
+            case 'licenseinfo':
+                if (user.id !== process.env.BOT_OWNER_ID) {
+                    logger.warn(`Unauthorized license info attempt by ${user.tag}`);
+                    return interaction.reply({ content: 'Only the bot owner can check license information!', ephemeral: true });
+                }
+
+                const targetUserInfo = interaction.options.getUser('user');
+                const infoLicenseKey = await resolveUserLicense(interaction, targetUserInfo, 'info');
+                if (!infoLicenseKey) {
+                    return;
+                }
+
+                const licenseInfo = await getLicenseInfo(infoLicenseKey);
+                if (!licenseInfo) {
+                    return interaction.reply({ content: 'Could not load this license!', ephemeral: true });
+                }
+
+                const [licenseDetails, scheduledPause, pauseHistory, targetLicenses, keyAliases] = await Promise.all([
+                    getLicense(licenseInfo.licenseKey),
+                    getScheduledPause(licenseInfo.licenseKey),
+                    getPauseHistory(licenseInfo.licenseKey, 10),
+                    getOwnerLicenses(targetUserInfo.id),
+                    getKeyAliases(licenseInfo.licenseKey)
+                ]);
+
+                let pauseStatus = '✅ ACTIVE';
+                if (licenseInfo.isPaused && licenseDetails) {
+                    pauseStatus = `⏸️ PAUSED by ${formatPauseActor(licenseDetails.pausedBy)} ${discordTimestamp(licenseDetails.pausedAt)}\n` +
+                        `**Reason:** ${licenseDetails.pauseReason || 'None given'}` +
+                        (licenseDetails.resumeAt ? `\n**Resumes:** ${discordTimestamp(licenseDetails.resumeAt, 'f')}` : '');
+                } else if (licenseInfo.isPaused) {
+                    pauseStatus = '⏸️ PAUSED';
+                }
+                if (scheduledPause) {
+                    pauseStatus += `\n**Scheduled Pause:** ${discordTimestamp(scheduledPause.pause_at, 'f')}` +
+                        (scheduledPause.resume_at ? ` until ${discordTimestamp(scheduledPause.resume_at, 'f')}` : '') +
+                        ` (${scheduledPause.reason})`;
+                }
+
+                // Format user list
+                let userListInfo = 'None';
+                if (licenseInfo.totalUsers > 0) {
+                    userListInfo = Object.entries(licenseInfo.authorizedUsers)
+                        .map(([username, vehicles]) => 
+                            `${username}: ${vehicles.join(', ')}`)
+                        .join('\n');
+                }
+
+                const embedInfo = new EmbedBuilder()
+                    .setTitle('License Information')
+                    .setColor(licenseInfo.isPaused ? 0xff9900 : 0x0099ff)
+                    .addFields(
+                        { name: 'License', value: formatLicenseLabel(licenseInfo.licenseKey, licenseInfo.name), inline: true },
+                        { name: 'Owner', value: licenseInfo.ownerTag, inline: true },
+                        { name: 'Status', value: pauseStatus.slice(0, 1024), inline: true },
+                        { name: 'Created At', value: new Date(licenseInfo.createdAt).toLocaleDateString(), inline: true },
+                        { name: 'Total Users', value: licenseInfo.totalUsers.toString(), inline: true },
+                        { name: 'Total Authorizations', value: licenseInfo.totalAuthorizations.toString(), inline: true },
+                        { name: 'Temporary Authorizations', value: licenseInfo.temporaryAuthorizations.toString(), inline: true },
+                        { name: 'Users & Vehicles', value: userListInfo, inline: false },
+                        { name: 'Pause History', value: pauseHistory.length > 0 ? pauseHistory.map(formatPauseHistoryEntry).join('\n').slice(0, 1024) : 'Never paused', inline: false }
+                    )
+                    .setFooter({ text: `User ID: ${targetUserInfo.id}` })
+                    .setTimestamp();
+
+                if (targetLicenses.length > 1) {
+                    embedInfo.addFields({
+                        name: `Other Licenses (${targetLicenses.length - 1})`,
+                        value: targetLicenses
+                            .filter(license => license.license_key !== licenseInfo.licenseKey)
+                            .map(license => `• ${formatLicenseLabel(license.license_key, license.name)}${license.is_paused ? ' ⏸️' : ''}`)
+                            .join('\n')
+                            .slice(0, 1024),
+                        inline: false
+                    });
+                }
+
+                if (keyAliases.length > 0) {
+                    embedInfo.addFields({
+                        name: 'Old Keys Still Working',
+                        value: keyAliases
+                            .map(alias => `• \`${alias.old_key}\` until ${discordTimestamp(alias.expires_at, 'f')}`)
+                            .join('\n')
+                            .slice(0, 1024),
+                        inline: false
+                    });
+                }
+
+                await interaction.reply({ embeds: [embedInfo] });
+                break;
+
+            case 'settier':
+                if (user.id !== process.env.BOT_OWNER_ID) {
+                    logger.warn(`Unauthorized settier command attempt by ${user.tag}`);
+                    return interaction.reply({ content: 'Only the bot owner can change license tiers!', ephemeral: true });
+                }
+
+                const tierLicense = interaction.options.getString('licensekey');
+                const tierResult = await setLicenseTier(tierLicense, interaction.options.getString('tier'));
+
+                if (tierResult.success) {
+                    const newTier = getTier(tierResult.tier);
+                    const overLimits = [
+                        ['authorized users', tierResult.usage.users, newTier.maxUsers],
+                        ['vehicles', tierResult.usage.vehicles, newTier.maxVehicles],
+                        ['staff members', tierResult.usage.staff, newTier.maxStaff]
+                    ].filter(([, current, max]) => max !== null && current > max);
+
+                    const tierEmbed = new EmbedBuilder()
+                        .setTitle('License Tier Changed')
+                        .setColor(overLimits.length > 0 ? 0xff9900 : 0x00ff00)
+                        .addFields(
+                            { name: 'License Key', value: tierLicense, inline: true },
+                            { name: 'Tier', value: newTier.label, inline: true },
+                            { name: 'Authorized Users', value: formatUsage(tierResult.usage.users, newTier.maxUsers), inline: true },
+                            { name: 'Vehicles', value: formatUsage(tierResult.usage.vehicles, newTier.maxVehicles), inline: true },
+                            { name: 'Staff Members', value: formatUsage(tierResult.usage.staff, newTier.maxStaff), inline: true },
+                            { name: 'Features', value: formatTierFeatures(newTier), inline: true }
+                        )
+                        .setTimestamp();
+
+                    if (overLimits.length > 0) {
+                        tierEmbed.setDescription(`⚠️ This license is over its new limit of ${overLimits.map(([noun, , max]) => `${max} ${noun}`).join(', ')}. Nothing was removed, but it cannot add more until it is back under.`);
+                    }
+
+                    await interaction.reply({ embeds: [tierEmbed] });
+                } else {
+                    await interaction.reply({ content: tierResult.message, ephemeral: true });
+                }
+                break;
+
+            case 'transferlicense':
+                if (user.id !== process.env.BOT_OWNER_ID) {
+                    logger.warn(`Unauthorized license transfer attempt by ${user.tag}`);
+                    return interaction.reply({ content: 'Only the bot owner can transfer licenses!', ephemeral: true });
+                }
+
+                const fromUser = interaction.options.getUser('from');
+                const toUser = interaction.options.getUser('to');
+
+                const fromUserLicense = await resolveUserLicense(interaction, fromUser, 'transfer');
+                if (!fromUserLicense) {
+                    return;
+                }
+
+                const transferResult = await transferLicense(fromUserLicense, toUser.id, toUser.tag);
+
+                if (transferResult.success) {
+                    const transferEmbed = new EmbedBuilder()
+                        .setTitle('License Transferred Successfully')
+                        .setColor(0x00ff00)
+                        .addFields(
+                            { name: 'License Key', value: fromUserLicense, inline: true },
+                            { name: 'Previous Owner', value: fromUser.tag, inline: true },
+                            { name: 'New Owner', value: toUser.tag, inline: true }
+                        )
+                        .setTimestamp();
+
+                    await interaction.reply({ embeds: [transferEmbed] });
+                } else {
+                    await interaction.reply({ content: transferResult.message, ephemeral: true });
+                }
+                break;
+
+            case 'addstaff':
+                const userLicense4 = await resolveOwnerLicense(interaction, 'add staff');
+                if (!userLicense4) {
+                    return;
+                }
+
+                const staffUserToAdd = interaction.options.getUser('user');
+                const staffRole = interaction.options.getString('role');
+
+                const addStaffResult = await addLicenseStaff(userLicense4, staffUserToAdd.id, staffUserToAdd.tag, staffRole, user.id);
+
+                if (addStaffResult.success) {
+                    const embed = new EmbedBuilder()
+                        .setTitle('Staff Member Added')
+                        .setColor(0x00ff00)
+                        .addFields(
+                            { name: 'User', value: staffUserToAdd.tag, inline: true },
+                            { name: 'Role', value: staffRole.charAt(0).toUpperCase() + staffRole.slice(1), inline: true },
+                            { name: 'License', value: userLicense4, inline: true }
+                        );
+                    await interaction.reply({ embeds: [embed] });
+                } else {
+                    await interaction.reply({ content: addStaffResult.message || 'Failed to add staff member!', ephemeral: true });
+                }
+                break;
+
+            case 'removestaff':
+                const userLicense5 = await resolveOwnerLicense(interaction, 'remove staff');
+                if (!userLicense5) {
+                    return;
+                }
+
+                const staffUserToRemove = interaction.options.getUser('user');
+
+                const removeStaffResult = await removeLicenseStaff(userLicense5, staffUserToRemove.id, user.id);
+
+                if (removeStaffResult.success) {
+                    const embed = new EmbedBuilder()
+                        .setTitle('Staff Member Removed')
+                        .setColor(0xff0000)
+                        .addFields(
+                            { name: 'User', value: staffUserToRemove.tag, inline: true },
+                            { name: 'License', value: userLicense5, inline: true }
+                        );
+                    await interaction.reply({ embeds: [embed] });
+                } else {
+                    await interaction.reply({ content: removeStaffResult.message || 'Failed to remove staff member!', ephemeral: true });
+                }
+                break;
+
+            case 'staff':
+                const userLicense6 = await resolveOwnerLicense(interaction, 'view staff');
+                if (!userLicense6) {
+                    return;
+                }
+
+                const staffMembersList = await getLicenseStaff(userLicense6);
+                
+                let staffList = 'None';
+                if (staffMembersList.length > 0) {
+                    staffList = staffMembersList.map(staff => 
+                        `• **${staff.user_tag}** (${staff.role_type})\n  Added by: ${staff.added_by}\n  Added: ${new Date(staff.added_at).toLocaleDateString()}`
+                    ).join('\n\n');
+                }
+
+                const staffEmbed = new EmbedBuilder()
+                    .setTitle('License Staff Members')
+                    .setColor(0x0099ff)
+                    .addFields(
+                        { name: 'License', value: userLicense6, inline: true },
+                        { name: 'Total Staff', value: staffMembersList.length.toString(), inline: true },
+                        { name: 'Staff List', value: staffList, inline: false }
+                    )
+                    .addFields(
+                        { name: 'Role Permissions', value: '**Admin**: Can add/remove users\n**Helper**: Can only add users', inline: false }
+                    );
+
+                await interaction.reply({ embeds: [staffEmbed] });
+                break;
+
+            case 'mystaff':
+                const staffRoles = await getUserStaffRoles(user.id);
+                if (staffRoles.length === 0) {
+                    return interaction.reply({ content: 'You are not a staff member for any licenses.', ephemeral: true });
+                }
+
+                const staffRoleList = staffRoles.map(role => 
+                    `• **${role.license_key}**\n  Role: ${role.role_type}\n  Owner: ${role.owner_tag}`
+                ).join('\n\n');
+
+                const myStaffEmbed = new EmbedBuilder()
+                    .setTitle('Your Staff Roles')
+                    .setColor(0x0099ff)
+                    .setDescription(`You are staff for the following licenses:\n\n${staffRoleList}`)
+                    .addFields(
+                        { name: 'Admin Permissions', value: '• Add users\n• Remove users\n• View authorized users', inline: true },
+                        { name: 'Helper Permissions', value: '• Add users\n• View authorized users', inline: true }
+                    );
+
+                await interaction.reply({ embeds: [myStaffEmbed], ephemeral: true });
+                break;
+
+            case 'createtoken':
+                const tokenLicense = await resolveOwnerLicense(interaction, 'create an API token');
+                if (!tokenLicense) {
+                    return;
+                }
+
+                const tokenName = interaction.options.getString('name');
+                const tokenScopes = parseScopes(interaction.options.getString('scopes'));
+                if (!tokenScopes) {
+                    return interaction.reply({ 
+                        content: `Invalid scopes. Valid scopes are: ${Object.values(API_SCOPES).join(', ')} (or \`all\`).`, 
+                        ephemeral: true 
+                    });
+                }
+
+                const createTokenResult = await createApiToken(tokenLicense, tokenName, tokenScopes, user.id);
+
+                if (createTokenResult.success) {
+                    const embed = new EmbedBuilder()
+                        .setTitle('API Token Created')
+                        .setColor(0x00ff00)
+                        .setDescription(`\`\`\`${createTokenResult.token}\`\`\`\nCopy this token now, it will not be shown again. Send it as \`Authorization: Bearer <token>\`.`)
+                        .addFields(
+                            { name: 'Token ID', value: createTokenResult.id.toString(), inline: true },
+                            { name: 'Name', value: tokenName, inline: true },
+                            { name: 'License', value: tokenLicense, inline: true },
+                            { name: 'Scopes', value: tokenScopes.join(', '), inline: false }
+                        );
+                    await interaction.reply({ embeds: [embed], ephemeral: true });
+                } else {
+                    await interaction.reply({ content: createTokenResult.message || 'Failed to create API token!', ephemeral: true });
+                }
+                break;
+
+            case 'tokens':
+                const tokensLicense = await resolveOwnerLicense(interaction, 'list API tokens');
+                if (!tokensLicense) {
+                    return;
+                }
+
+                const apiTokens = await getApiTokens(tokensLicense);
+
+                let tokenList = 'None';
+                if (apiTokens.length > 0) {
+                    tokenList = apiTokens.map(token => 
+                        `• **#${token.id} ${token.name}** (\`${token.token_prefix}…\`)\n  Scopes: ${token.scopes.join(', ')}\n  Last used: ${token.last_used_at ? new Date(token.last_used_at).toLocaleString() : 'Never'}`
+                    ).join('\n\n');
+                }
+
+                const tokensEmbed = new EmbedBuilder()
+                    .setTitle('API Tokens')
+                    .setColor(0x0099ff)
+                    .addFields(
+                        { name: 'License', value: tokensLicense, inline: true },
+                        { name: 'Active Tokens', value: apiTokens.length.toString(), inline: true },
+                        { name: 'Tokens', value: tokenList, inline: false }
+                    );
+
+                await interaction.reply({ embeds: [tokensEmbed], ephemeral: true });
+                break;
+
+            case 'rotatetoken':
+                const rotateLicense = await resolveOwnerLicense(interaction, 'rotate an API token');
+                if (!rotateLicense) {
+                    return;
+                }
+
+                const rotateResult = await rotateApiToken(rotateLicense, interaction.options.getInteger('tokenid'));
+
+                if (rotateResult.success) {
+                    const embed = new EmbedBuilder()
+                        .setTitle('API Token Rotated')
+                        .setColor(0x00ff00)
+                        .setDescription(`\`\`\`${rotateResult.token}\`\`\`\nThe previous secret no longer works. Copy this token now, it will not be shown again.`)
+                        .addFields(
+                            { name: 'Name', value: rotateResult.name, inline: true },
+                            { name: 'Scopes', value: rotateResult.scopes.join(', '), inline: true }
+                        );
+                    await interaction.reply({ embeds: [embed], ephemeral: true });
+                } else {
+                    await interaction.reply({ content: rotateResult.message || 'Failed to rotate API token!', ephemeral: true });
+                }
+                break;
+
+            case 'revoketoken':
+                const revokeLicense = await resolveOwnerLicense(interaction, 'revoke an API token');
+                if (!revokeLicense) {
+                    return;
+                }
+
+                const revokeResult = await revokeApiToken(revokeLicense, interaction.options.getInteger('tokenid'));
+                await interaction.reply({ content: revokeResult.message || 'Failed to revoke API token!', ephemeral: true });
+                break;
+
+            case 'addplace':
+            case 'removeplace':
+                const placeLicense = await resolveAdminLicense(interaction, `${commandName} a place`);
+                if (!placeLicense) {
+                    return;
+                }
+
+                const placeId = interaction.options.getString('id').trim();
+                const placeType = interaction.options.getString('type') || PLACE_TYPES.PLACE;
+                if (!/^\d{1,19}$/.test(placeId)) {
+                    return interaction.reply({ content: 'Place and universe IDs must be numeric!', ephemeral: true });
+                }
+
+                const placeResult = commandName === 'addplace'
+                    ? await addLicensePlace(placeLicense, placeType, placeId, user.id)
+                    : await removeLicensePlace(placeLicense, placeType, placeId);
+
+                if (placeResult.success) {
+                    const adding = commandName === 'addplace';
+                    const embed = new EmbedBuilder()
+                        .setTitle(adding ? 'Place Allowed' : 'Place Removed')
+                        .setColor(adding ? 0x00ff00 : 0xff0000)
+                        .addFields(
+                            { name: placeType === PLACE_TYPES.UNIVERSE ? 'UniverseId' : 'PlaceId', value: placeId, inline: true },
+                            { name: 'License', value: placeLicense, inline: true }
+                        );
+                    await interaction.reply({ embeds: [embed] });
+                } else {
+                    await interaction.reply({ content: placeResult.message || 'An error occurred!', ephemeral: true });
+                }
+                break;
+
+            case 'places':
+                const placesLicense = await resolveAdminLicense(interaction, 'view places');
+                if (!placesLicense) {
+                    return;
+                }
+
+                const allowedPlaces = await getLicensePlaces(placesLicense);
+                const flaggedPlaces = await getFlaggedPlaces(placesLicense);
+
+                let allowedList = 'None (your license runs in any place)';
+                if (allowedPlaces.length > 0) {
+                    allowedList = allowedPlaces.map(place => 
+                        `• ${place.place_type === PLACE_TYPES.UNIVERSE ? 'Universe' : 'Place'} \`${place.place_id}\``
+                    ).join('\n');
+                }
+
+                let flaggedList = 'None';
+                if (flaggedPlaces.length > 0) {
+                    flaggedList = flaggedPlaces.slice(0, 15).map(place => 
+                        `• Place \`${place.place_id || '?'}\` / Universe \`${place.universe_id || '?'}\` - ${place.hit_count} calls, last ${new Date(place.last_seen).toLocaleString()}`
+                    ).join('\n');
+                    if (flaggedPlaces.length > 15) {
+                        flaggedList += `\n... and ${flaggedPlaces.length - 15} more`;
+                    }
+                }
+
+                const placesEmbed = new EmbedBuilder()
+                    .setTitle('License Places')
+                    .setColor(flaggedPlaces.length > 0 ? 0xff9900 : 0x0099ff)
+                    .addFields(
+                        { name: 'License', value: placesLicense, inline: false },
+                        { name: 'Allowed Places', value: allowedList.slice(0, 1024), inline: false },
+                        { name: '⚠️ Flagged Places', value: flaggedList.slice(0, 1024), inline: false }
+                    );
+
+                await interaction.reply({ embeds: [placesEmbed], ephemeral: true });
+                break;
+
+            case 'addvehicle':
+                const addVehicleLicense = await resolveAdminLicense(interaction, 'add a vehicle');
+                if (!addVehicleLicense) {
+                    return;
+                }
+
+                const addVehicleResult = await addLicenseVehicle(addVehicleLicense, {
+                    name: interaction.options.getString('name'),
+                    displayName: interaction.options.getString('displayname'),
+                    assetId: interaction.options.getString('assetid').trim(),
+                    aliases: interaction.options.getString('aliases')
+                }, user.id);
+
+                if (addVehicleResult.success) {
+                    const addedVehicle = addVehicleResult.vehicle;
+                    const embed = new EmbedBuilder()
+                        .setTitle('Vehicle Registered')
+                        .setColor(0x00ff00)
+                        .addFields(
+                            { name: 'Name', value: addedVehicle.name, inline: true },
+                            { name: 'Display Name', value: addedVehicle.displayName, inline: true },
+                            { name: 'Asset ID', value: addedVehicle.assetId, inline: true },
+                            { name: 'Aliases', value: addedVehicle.aliases.join(', ') || 'None', inline: false },
+                            { name: 'License', value: addVehicleLicense, inline: true }
+                        );
+                    await interaction.reply({ embeds: [embed] });
+                } else {
+                    await interaction.reply({ content: addVehicleResult.message || 'An error occurred!', ephemeral: true });
+                }
+                break;
+
+            case 'removevehicle':
+                const removeVehicleLicense = await resolveAdminLicense(interaction, 'remove a vehicle');
+                if (!removeVehicleLicense) {
+                    return;
+                }
+
+                const removeVehicleResult = await removeLicenseVehicle(removeVehicleLicense, interaction.options.getString('name'));
+
+                if (removeVehicleResult.success) {
+                    const embed = new EmbedBuilder()
+                        .setTitle('Vehicle Removed')
+                        .setColor(0xff0000)
+                        .addFields(
+                            { name: 'Name', value: removeVehicleResult.name, inline: true },
+                            { name: 'License', value: removeVehicleLicense, inline: true }
+                        );
+                    if (removeVehicleResult.remainingGrants > 0) {
+                        embed.setDescription(`${removeVehicleResult.remainingGrants} authorization(s) for this vehicle remain. Remove them with \`/deauthorize\` if they should stop working.`);
+                    }
+                    await interaction.reply({ embeds: [embed] });
+                } else {
+                    await interaction.reply({ content: removeVehicleResult.message || 'An error occurred!', ephemeral: true });
+                }
+                break;
+
+            case 'vehicles':
+                const vehiclesLicense = await resolveStaffLicense(interaction, 'view vehicles');
+                if (!vehiclesLicense) {
+                    return;
+                }
 
-                // Get staff members for this license
-                const staffMembers = await getLicenseStaff(myLicense);
-                const adminCount = staffMembers.filter(s => s.role_type === ROLE_TYPES.ADMIN).length;
-                const helperCount = staffMembers.filter(s => s.role_type === ROLE_TYPES.HELPER).length;
+                const catalogVehicles = await getLicenseVehicles(vehiclesLicense);
 
-                const embed4 = new EmbedBuilder()
-                    .setTitle('Your License Information')
-                    .setColor(isPausedMy ? 0xff9900 : 0x0099ff)
-                    .addFields(
-                        { name: 'License Key', value: myLicense, inline: true },
-                        { name: 'Status', value: isPausedMy ? '⏸️ PAUSED' : '✅ ACTIVE', inline: true },
-                        { name: 'Authorized Users', value: myUserCount.toString(), inline: true },
-                        { name: 'Total Authorizations', value: myAuthorizationCount.toString(), inline: true },
-                        { name: 'Staff Members', value: `Admins: ${adminCount}\nHelpers: ${helperCount}`, inline: true }
-                    );
+                let vehicleList = 'None (any vehicle name is accepted). Register vehicles with `/addvehicle`.';
+                if (catalogVehicles.length > 0) {
+                    vehicleList = catalogVehicles.map(vehicle => 
+                        `• **${vehicle.display_name}** \`${vehicle.name}\` - asset ${vehicle.asset_id}, ${vehicle.grant_count} authorization(s)` +
+                        (vehicle.aliases.length > 0 ? `\n  Aliases: ${vehicle.aliases.join(', ')}` : '')
+                    ).join('\n');
+                }
 
-                await interaction.reply({ embeds: [embed4], ephemeral: true });
-                break;
+                const vehiclesEmbed = new EmbedBuilder()
+                    .setTitle('Vehicle Catalog')
+                    .setColor(0x0099ff)
+                    .setDescription(vehicleList.slice(0, 4096))
+                    .addFields({ name: 'License', value: vehiclesLicense, inline: false });
 
-            case 'deletelicense':
-                if (user.id !== process.env.BOT_OWNER_ID) {
-                    logger.warn(`Unauthorized license deletion attempt by ${user.tag}`);
-                    return interaction.reply({ content: 'Only the bot owner can delete licenses!', ephemeral: true });
-                }
+                await interaction.reply({ embeds: [vehiclesEmbed], ephemeral: true });
+                break;
 
-                const keyToDelete = interaction.options.getString('licensekey');
-                
-                // Check if license exists
-                const licenseCheck = await pool.query(
-                    'SELECT license_key FROM licenses WHERE license_key = $1',
-                    [keyToDelete]
-                );
-                
-                if (licenseCheck.rows.length === 0) {
-                    logger.warn(`License deletion failed: Key ${keyToDelete} not found`);
-                    return interaction.reply({ content: 'License key not found!', ephemeral: true });
+            case 'kickmessage':
+                const kickMessageLicense = await resolveAdminLicense(interaction, 'set the kick message');
+                if (!kickMessageLicense) {
+                    return;
                 }
 
-                const deleteSuccess = await deleteLicense(keyToDelete);
+                const kickMessageResult = await setKickMessage(kickMessageLicense, interaction.options.getString('message'));
 
-                if (deleteSuccess) {
-                    logger.info(`License deleted: ${keyToDelete}`);
-                    await interaction.reply({ content: `License ${keyToDelete} deleted successfully!` });
+                if (kickMessageResult.success) {
+                    const embed = new EmbedBuilder()
+                        .setTitle(kickMessageResult.kickMessage ? 'Kick Message Set' : 'Kick Message Cleared')
+                        .setColor(0x00ff00)
+                        .setDescription(kickMessageResult.kickMessage
+                            ? `Denied checks now return this as \`kickMessage\`:\n> ${kickMessageResult.kickMessage}`
+                            : 'Denied checks no longer return a `kickMessage`.')
+                        .addFields({ name: 'License', value: kickMessageLicense, inline: true });
+                    await interaction.reply({ embeds: [embed] });
                 } else {
-                    logger.error(`Failed to delete license: ${keyToDelete}`);
-                    await interaction.reply({ content: 'Failed to delete license!', ephemeral: true });
+                    await interaction.reply({ content: kickMessageResult.message || 'An error occurred!', ephemeral: true });
                 }
                 break;
 
-            case 'pauselicense':
-                if (user.id !== process.env.BOT_OWNER_ID) {
-                    logger.warn(`Unauthorized license pause attempt by ${user.tag}`);
-                    return interaction.reply({ content: 'Only the bot owner can pause licenses!', ephemeral: true });
+            case 'gracewindow':
+                const graceLicense = await resolveAdminLicense(interaction, 'set the grace window');
+                if (!graceLicense) {
+                    return;
                 }
 
-                const userToPause = interaction.options.getUser('user');
-                const userLicenseToPause = await getUserLicense(userToPause.id);
-                
-                if (!userLicenseToPause) {
-                    logger.warn(`License pause failed: User ${userToPause.tag} does not have a license`);
-                    return interaction.reply({ content: 'This user does not have a license!', ephemeral: true });
+                const graceInput = interaction.options.getString('duration').trim();
+                const graceMs = graceInput.toLowerCase() === 'off' ? 0 : parseDuration(graceInput);
+                if (graceMs === null) {
+                    await interaction.reply({ content: 'Invalid duration! Use something like `15m`, `2h` or `1h30m`, or `off`.', ephemeral: true });
+                    return;
                 }
 
-                const pauseResult = await pauseLicense(userLicenseToPause, userToPause.id, userToPause.tag);
+                const graceResult = await setGraceWindow(graceLicense, Math.floor(graceMs / 60000));
 
-                if (pauseResult.success) {
-                    logger.info(`License paused: ${userLicenseToPause} for user ${userToPause.tag}`);
-                    await interaction.reply({ content: `License for ${userToPause.tag} has been paused!` });
+                if (graceResult.success) {
+                    const embed = new EmbedBuilder()
+                        .setTitle(graceResult.graceWindowMinutes ? 'Grace Window Set' : 'Grace Window Disabled')
+                        .setColor(0x00ff00)
+                        .setDescription(graceResult.graceWindowMinutes
+                            ? `Approved checks now return a \`graceToken\` valid for **${formatDuration(graceResult.graceWindowMinutes * 60000)}**. Games can keep trusting it while the API is unreachable, so removed or paused players keep access offline until their token expires.`
+                            : 'Approved checks no longer return a `graceToken`. Tokens already issued stay valid until they expire.')
+                        .addFields({ name: 'License', value: graceLicense, inline: true });
+                    await interaction.reply({ embeds: [embed] });
                 } else {
-                    logger.error(`Failed to pause license: ${userLicenseToPause}`);
-                    await interaction.reply({ content: pauseResult.message || 'Failed to pause license!', ephemeral: true });
+                    await interaction.reply({ content: graceResult.message || 'An error occurred!', ephemeral: true });
                 }
                 break;
 
-            case 'unpauselicense':
-                if (user.id !== process.env.BOT_OWNER_ID) {
-                    logger.warn(`Unauthorized license unpause attempt by ${user.tag}`);
-                    return interaction.reply({ content: 'Only the bot owner can unpause licenses!', ephemeral: true });
+            case 'vehiclechecks':
+                const vehicleChecksLicense = await resolveAdminLicense(interaction, 'change vehicle checks');
+                if (!vehicleChecksLicense) {
+                    return;
                 }
 
-                const userToUnpause = interaction.options.getUser('user');
-                const userLicenseToUnpause = await getUserLicense(userToUnpause.id);
-                
-                if (!userLicenseToUnpause) {
-                    logger.warn(`License unpause failed: User ${userToUnpause.tag} does not have a license`);
-                    return interaction.reply({ content: 'This user does not have a license!', ephemeral: true });
+                const globalVehicleChecks = interaction.options.getString('mode') === 'global';
+                const vehicleChecksResult = await setGlobalVehicleChecks(vehicleChecksLicense, globalVehicleChecks);
+
+                if (vehicleChecksResult.success) {
+                    const embed = new EmbedBuilder()
+                        .setTitle(globalVehicleChecks ? 'Global Vehicle Checks Enabled' : 'Vehicle Checks Scoped')
+                        .setColor(globalVehicleChecks ? 0xff9900 : 0x00ff00)
+                        .setDescription(globalVehicleChecks
+                            ? 'Your grants also answer `/check-user-vehicle` calls from any game, including same-named vehicles of other creators. Move your games to `/check-license-vehicle` and switch back to scoped.'
+                            : 'Your grants now only answer checks that include your license key, such as `/check-license-vehicle/{licenseKey}/{username}/{vehicle}`.')
+                        .addFields({ name: 'License', value: vehicleChecksLicense, inline: true });
+                    await interaction.reply({ embeds: [embed] });
+                } else {
+                    await interaction.reply({ content: vehicleChecksResult.message || 'An error occurred!', ephemeral: true });
+                }
+                break;
+
+            case 'addbundle':
+            case 'removebundle':
+                const bundleLicense = await resolveAdminLicense(interaction, `${commandName === 'addbundle' ? 'change' : 'remove'} a bundle`);
+                if (!bundleLicense) {
+                    return;
                 }
 
-                const unpauseResult = await unpauseLicense(userLicenseToUnpause);
+                const bundleName = interaction.options.getString('name');
+                const bundleVehicles = (interaction.options.getString('vehicles') || '')
+                    .split(',')
+                    .map(vehicle => vehicle.trim())
+                    .filter(Boolean);
 
-                if (unpauseResult.success) {
-                    logger.info(`License unpaused: ${userLicenseToUnpause} for user ${userToUnpause.tag}`);
-                    await interaction.reply({ content: `License for ${userToUnpause.tag} has been unpaused!` });
+                const bundleResult = commandName === 'addbundle'
+                    ? await addBundleVehicles(bundleLicense, bundleName, bundleVehicles, user.id)
+                    : await removeBundleVehicles(bundleLicense, bundleName, bundleVehicles);
+
+                if (!bundleResult.success) {
+                    return interaction.reply({ content: bundleResult.message || 'An error occurred!', ephemeral: true });
+                }
+
+                let bundleChange;
+                if (commandName === 'addbundle') {
+                    bundleChange = bundleResult.added.length > 0 ? `Added: ${bundleResult.added.join(', ')}` : 'Those vehicles were already in the bundle.';
+                } else if (bundleResult.deleted) {
+                    bundleChange = `Bundle deleted along with ${bundleResult.removedGrants} authorization(s).`;
                 } else {
-                    logger.error(`Failed to unpause license: ${userLicenseToUnpause}`);
-                    await interaction.reply({ content: unpauseResult.message || 'Failed to unpause license!', ephemeral: true });
+                    bundleChange = `Removed: ${bundleResult.removed.join(', ')}`;
                 }
+
+                const bundleEmbed = new EmbedBuilder()
+                    .setTitle(bundleResult.created ? 'Bundle Created' : bundleResult.deleted ? 'Bundle Deleted' : 'Bundle Updated')
+                    .setColor(commandName === 'addbundle' ? 0x00ff00 : 0xff0000)
+                    .setDescription(`${bundleChange}\nEveryone authorized for this bundle is updated automatically.`.slice(0, 4096))
+                    .addFields(
+                        { name: 'Bundle', value: bundleResult.name, inline: true },
+                        { name: 'License', value: bundleLicense, inline: true }
+                    );
+                await interaction.reply({ embeds: [bundleEmbed] });
                 break;
-                
-            case 'licenseinfo':
-                if (user.id !== process.env.BOT_OWNER_ID) {
-                    logger.warn(`Unauthorized license info attempt by ${user.tag}`);
-                    return interaction.reply({ content: 'Only the bot owner can check license information!', ephemeral: true });
+
+            case 'bundles':
+                const bundlesLicense = await resolveStaffLicense(interaction, 'view bundles');
+                if (!bundlesLicense) {
+                    return;
                 }
 
-                const targetUserInfo = interaction.options.getUser('user');
-                const licenseInfo = await getLicenseInfo(targetUserInfo.id);
-                
-                if (!licenseInfo) {
-                    logger.warn(`License info not found for user ${targetUserInfo.tag}`);
-                    return interaction.reply({ content: 'This user does not have a license!', ephemeral: true });
+                const bundles = await getBundles(bundlesLicense);
+
+                let bundleList = 'None. Create one with `/addbundle`.';
+                if (bundles.length > 0) {
+                    bundleList = bundles.map(bundle => {
+                        const shownVehicles = bundle.vehicles.slice(0, 10).join(', ') || 'No vehicles';
+                        const more = bundle.vehicles.length > 10 ? ` ... and ${bundle.vehicles.length - 10} more` : '';
+                        return `• **${bundle.name}** (${bundle.vehicles.length} vehicles, ${bundle.grant_count} authorization(s))\n  ${shownVehicles}${more}`;
+                    }).join('\n');
                 }
 
-                // Format user list
-                let userListInfo = 'None';
-                if (licenseInfo.totalUsers > 0) {
-                    userListInfo = Object.entries(licenseInfo.authorizedUsers)
-                        .map(([username, vehicles]) => 
-                            `${username}: ${vehicles.join(', ')}`)
-                        .join('\n');
+                const bundlesEmbed = new EmbedBuilder()
+                    .setTitle('Vehicle Bundles')
+                    .setColor(0x0099ff)
+                    .setDescription(bundleList.slice(0, 4096))
+                    .addFields({ name: 'License', value: bundlesLicense, inline: false });
+
+                await interaction.reply({ embeds: [bundlesEmbed], ephemeral: true });
+                break;
+
+            case 'checklogs':
+                // Check logs include caller IPs, so helpers cannot see them
+                const logsLicense = await resolveAdminLicense(interaction, 'view check logs');
+                if (!logsLicense) {
+                    return;
                 }
 
-                const embedInfo = new EmbedBuilder()
-                    .setTitle('License Information')
-                    .setColor(licenseInfo.isPaused ? 0xff9900 : 0x0099ff)
+                const { logs: checkLogs } = await queryCheckLogs(pool, {
+                    licenseKey: logsLicense,
+                    username: interaction.options.getString('username'),
+                    vehicle: interaction.options.getString('vehicle'),
+                    result: interaction.options.getString('result'),
+                    limit: 15
+                });
+
+                let logList = 'No checks recorded';
+                if (checkLogs.length > 0) {
+                    logList = checkLogs.map(log => {
+                        const who = log.username || log.roblox_user_id;
+                        const target = log.vehicle ? ` → ${log.vehicle}` : '';
+                        const outcome = log.approved ? '✅' : `❌ ${log.deny_reason}`;
+                        const place = log.place_id ? ` (place ${log.place_id})` : '';
+                        return `\`${new Date(log.created_at).toISOString().replace('T', ' ').slice(0, 19)}\` ${outcome} **${who}**${target}${place}`;
+                    }).join('\n');
+                }
+
+                const logsEmbed = new EmbedBuilder()
+                    .setTitle('Recent Checks')
+                    .setColor(0x0099ff)
+                    .setDescription(logList.slice(0, 4096))
                     .addFields(
-                        { name: 'License Key', value: licenseInfo.licenseKey, inline: true },
-                        { name: 'Owner', value: licenseInfo.ownerTag, inline: true },
-                        { name: 'Status', value: licenseInfo.isPaused ? '⏸️ PAUSED' : '✅ ACTIVE', inline: true },
-                        { name: 'Created At', value: new Date(licenseInfo.createdAt).toLocaleDateString(), inline: true },
-                        { name: 'Total Users', value: licenseInfo.totalUsers.toString(), inline: true },
-                        { name: 'Total Authorizations', value: licenseInfo.totalAuthorizations.toString(), inline: true },
-                        { name: 'Users & Vehicles', value: userListInfo, inline: false }
+                        { name: 'License', value: logsLicense, inline: true },
+                        { name: 'Shown', value: checkLogs.length.toString(), inline: true }
                     )
-                    .setFooter({ text: `User ID: ${targetUserInfo.id}` })
                     .setTimestamp();
 
-                await interaction.reply({ embeds: [embedInfo] });
+                await interaction.reply({ embeds: [logsEmbed], ephemeral: true });
                 break;
 
-            case 'transferlicense':
-                if (user.id !== process.env.BOT_OWNER_ID) {
-                    logger.warn(`Unauthorized license transfer attempt by ${user.tag}`);
-                    return interaction.reply({ content: 'Only the bot owner can transfer licenses!', ephemeral: true });
+            case 'addwebhook':
+                const webhookLicense = await resolveOwnerLicense(interaction, 'add a webhook');
+                if (!webhookLicense) {
+                    return;
                 }
 
-                const fromUser = interaction.options.getUser('from');
-                const toUser = interaction.options.getUser('to');
+                const webhookUrl = interaction.options.getString('url').trim();
+                const webhookUrlProblem = await webhooks.invalidWebhookUrl(webhookUrl);
+                if (webhookUrlProblem) {
+                    return interaction.reply({ content: `${webhookUrlProblem}!`, ephemeral: true });
+                }
 
-                // Check if users are the same
-                if (fromUser.id === toUser.id) {
-                    logger.warn(`License transfer failed: Same user specified for from and to`);
-                    return interaction.reply({ content: 'Cannot transfer license to the same user!', ephemeral: true });
+                const webhookEvents = webhooks.parseEvents(interaction.options.getString('events') || 'all');
+                if (!webhookEvents) {
+                    const knownEvents = Object.values(webhooks.WEBHOOK_EVENTS).filter(event => event !== webhooks.WEBHOOK_EVENTS.PING);
+                    return interaction.reply({ 
+                        content: `Invalid events. Valid events are: ${knownEvents.join(', ')} (or \`all\`).`, 
+                        ephemeral: true 
+                    });
                 }
 
-                // Check if old owner has a license
-                const fromUserLicense = await getUserLicense(fromUser.id);
-                if (!fromUserLicense) {
-                    logger.warn(`License transfer failed: User ${fromUser.tag} does not have a license`);
-                    return interaction.reply({ content: `User ${fromUser.tag} does not have a license!`, ephemeral: true });
+                const addWebhookResult = await webhooks.addWebhook(webhookLicense, webhookUrl, webhookEvents, user.id);
+
+                if (addWebhookResult.success) {
+                    const embed = new EmbedBuilder()
+                        .setTitle('Webhook Added')
+                        .setColor(0x00ff00)
+                        .setDescription(`Signing secret:\n\`\`\`${addWebhookResult.secret}\`\`\`\nCopy it now, it will not be shown again. Each request carries \`X-Webhook-Signature: sha256=<hex>\`, an HMAC-SHA256 of \`<X-Webhook-Timestamp>.<body>\` with this secret.`)
+                        .addFields(
+                            { name: 'Webhook ID', value: addWebhookResult.id.toString(), inline: true },
+                            { name: 'License', value: webhookLicense, inline: true },
+                            { name: 'URL', value: webhookUrl, inline: false },
+                            { name: 'Events', value: webhookEvents.join(', '), inline: false }
+                        );
+                    await interaction.reply({ embeds: [embed], ephemeral: true });
+                } else {
+                    await interaction.reply({ content: addWebhookResult.message || 'Failed to add webhook!', ephemeral: true });
                 }
+                break;
 
-                // Check if new owner already has a license
-                const toUserLicense = await getUserLicense(toUser.id);
-                if (toUserLicense) {
-                    logger.warn(`License transfer failed: User ${toUser.tag} already has license ${toUserLicense}`);
-                    return interaction.reply({ content: `User ${toUser.tag} already has a license: ${toUserLicense}`, ephemeral: true });
+            case 'webhooks':
+                const webhooksLicense = await resolveOwnerLicense(interaction, 'list webhooks');
+                if (!webhooksLicense) {
+                    return;
                 }
 
-                const dbClient = await pool.connect();
-                try {
-                    await dbClient.query('BEGIN');
+                const licenseWebhooks = await webhooks.getWebhooks(webhooksLicense);
+
+                let webhookList = 'None';
+                if (licenseWebhooks.length > 0) {
+                    webhookList = licenseWebhooks.map(webhook => 
+                        `• **#${webhook.id}** ${webhook.url}\n  Events: ${webhook.events.join(', ')}\n  Last 24h: ${webhook.delivered} delivered, ${webhook.pending} pending, ${webhook.failed} failed` +
+                        (webhook.last_delivered_at ? ` (last delivered ${discordTimestamp(webhook.last_delivered_at)})` : '')
+                    ).join('\n\n');
+                }
 
-                    // Update the license owner in licenses table
-                    const updateResult = await dbClient.query(
-                        'UPDATE licenses SET owner_id = $1, owner_tag = $2 WHERE license_key = $3',
-                        [toUser.id, toUser.tag, fromUserLicense]
+                const webhooksEmbed = new EmbedBuilder()
+                    .setTitle('Webhooks')
+                    .setColor(licenseWebhooks.some(webhook => Number(webhook.failed) > 0) ? 0xff9900 : 0x0099ff)
+                    .addFields(
+                        { name: 'License', value: webhooksLicense, inline: true },
+                        { name: 'Webhooks', value: licenseWebhooks.length.toString(), inline: true },
+                        { name: 'Endpoints', value: webhookList.slice(0, 1024), inline: false }
                     );
 
-                    if (updateResult.rowCount === 0) {
-                        await dbClient.query('ROLLBACK');
-                        logger.error(`License transfer failed: Could not update license ${fromUserLicense}`);
-                        return interaction.reply({ content: 'Failed to transfer license!', ephemeral: true });
-                    }
+                await interaction.reply({ embeds: [webhooksEmbed], ephemeral: true });
+                break;
 
-                    // Update paused_licenses table if the license is paused
-                    await dbClient.query(
-                        'UPDATE paused_licenses SET owner_id = $1, owner_tag = $2 WHERE license_key = $3',
-                        [toUser.id, toUser.tag, fromUserLicense]
-                    );
+            case 'removewebhook':
+            case 'testwebhook':
+                const webhookActionLicense = await resolveOwnerLicense(interaction, `${commandName === 'removewebhook' ? 'remove' : 'test'} a webhook`);
+                if (!webhookActionLicense) {
+                    return;
+                }
 
-                    await dbClient.query('COMMIT');
+                const webhookActionResult = commandName === 'removewebhook'
+                    ? await webhooks.removeWebhook(webhookActionLicense, interaction.options.getInteger('webhookid'))
+                    : await webhooks.sendTestEvent(webhookActionLicense, interaction.options.getInteger('webhookid'));
+                await interaction.reply({ content: webhookActionResult.message || 'An error occurred!', ephemeral: true });
+                break;
 
-                    // Log the transfer
-                    logger.info(`License transferred: ${fromUserLicense} from ${fromUser.tag} to ${toUser.tag}`);
+            case 'webhookdeliveries':
+                const deliveriesLicense = await resolveOwnerLicense(interaction, 'view webhook deliveries');
+                if (!deliveriesLicense) {
+                    return;
+                }
 
-                    // Send success embed
-                    const transferEmbed = new EmbedBuilder()
-                        .setTitle('License Transferred Successfully')
-                        .setColor(0x00ff00)
-                        .addFields(
-                            { name: 'License Key', value: fromUserLicense, inline: true },
-                            { name: 'Previous Owner', value: fromUser.tag, inline: true },
-                            { name: 'New Owner', value: toUser.tag, inline: true }
-                        )
-                        .setTimestamp();
+                const deliveriesWebhookId = interaction.options.getInteger('webhookid');
+                const deliveries = await webhooks.getWebhookDeliveries(deliveriesLicense, deliveriesWebhookId, 15);
+
+                let deliveryList = 'No deliveries yet';
+                if (deliveries.length > 0) {
+                    deliveryList = deliveries.map(delivery => {
+                        const outcome = delivery.status === webhooks.DELIVERY_STATUS.DELIVERED ? '✅'
+                            : delivery.status === webhooks.DELIVERY_STATUS.FAILED ? '❌' : '⏳';
+                        const detail = delivery.status === webhooks.DELIVERY_STATUS.PENDING && delivery.attempts > 0
+                            ? ` - ${delivery.last_error}, retrying ${discordTimestamp(delivery.next_attempt_at)}`
+                            : delivery.last_error ? ` - ${delivery.last_error}` : '';
+                        return `${outcome} \`#${delivery.id}\` **${delivery.event}** ${discordTimestamp(delivery.created_at)} (${delivery.attempts} attempts)${detail}`;
+                    }).join('\n');
+                }
 
-                    await interaction.reply({ embeds: [transferEmbed] });
+                const deliveriesEmbed = new EmbedBuilder()
+                    .setTitle(`Webhook #${deliveriesWebhookId} Deliveries`)
+                    .setColor(deliveries.some(delivery => delivery.status === webhooks.DELIVERY_STATUS.FAILED) ? 0xff9900 : 0x0099ff)
+                    .setDescription(deliveryList.slice(0, 4096))
+                    .setTimestamp();
 
-                } catch (error) {
-                    await dbClient.query('ROLLBACK');
-                    logger.error('Error transferring license:', error);
-                    await interaction.reply({ content: 'An error occurred while transferring the license!', ephemeral: true });
-                } finally {
-                    dbClient.release();
+                await interaction.reply({ embeds: [deliveriesEmbed], ephemeral: true });
+                break;
+
+            case 'abusereport':
+                if (user.id !== process.env.BOT_OWNER_ID) {
+                    logger.warn(`Unauthorized abusereport command attempt by ${user.tag}`);
+                    return interaction.reply({ content: 'Only the bot owner can view the abuse report!', ephemeral: true });
                 }
+
+                const lockouts = await abuseGuard.getLockouts(10);
+
+                if (lockouts.length === 0) {
+                    return interaction.reply({ content: 'No sources have been locked out.', ephemeral: true });
+                }
+
+                const abuseEmbed = new EmbedBuilder()
+                    .setTitle('🚨 Abuse Report')
+                    .setColor(lockouts.some(lockout => lockout.locked_until > new Date()) ? 0xff0000 : 0xff9900)
+                    .setDescription('Sources most recently locked out for checking license keys that do not exist. Lift a lockout early with `POST /admin/clear-lockout`.')
+                    .addFields(lockouts.map(formatLockoutField))
+                    .setTimestamp();
+
+                await interaction.reply({ embeds: [abuseEmbed], ephemeral: true });
                 break;
 
-            case 'addstaff':
-                const userLicense4 = await getUserLicense(user.id);
-                if (!userLicense4) {
-                    logger.warn(`User ${user.tag} attempted to add staff without a license`);
-                    return interaction.reply({ content: 'You don\'t have a license!', ephemeral: true });
+            case 'reportleak':
+                const reportLicense = await resolveAdminLicense(interaction, 'report a leak');
+                if (!reportLicense) {
+                    return;
                 }
 
-                const staffUserToAdd = interaction.options.getUser('user');
-                const staffRole = interaction.options.getString('role');
+                const reportUsername = interaction.options.getString('username');
+                let reportedUser;
+                try {
+                    reportedUser = await robloxUsers.resolveUsername(reportUsername);
+                } catch (error) {
+                    logger.error(`Roblox lookup failed for ${reportUsername}: ${error.message}`);
+                    return interaction.reply({ content: 'Could not reach Roblox to look up that username. Please try again shortly.', ephemeral: true });
+                }
 
-                const addStaffResult = await addLicenseStaff(userLicense4, staffUserToAdd.id, staffUserToAdd.tag, staffRole, user.id);
+                if (!reportedUser) {
+                    return interaction.reply({ content: `Roblox user **${reportUsername}** does not exist!`, ephemeral: true });
+                }
 
-                if (addStaffResult.success) {
-                    const embed = new EmbedBuilder()
-                        .setTitle('Staff Member Added')
-                        .setColor(0x00ff00)
+                const reportResult = await blacklist.submitLeakReport(reportLicense, reportedUser, interaction.options.getString('evidence'), user.id);
+                if (!reportResult.success) {
+                    return interaction.reply({ content: reportResult.message, ephemeral: true });
+                }
+
+                await interaction.reply({
+                    embeds: [new EmbedBuilder()
+                        .setTitle('Leak Report Submitted')
+                        .setColor(0xff9900)
+                        .setDescription('The bot owner will review your report. If it is approved, the user is blacklisted on every license.')
                         .addFields(
-                            { name: 'User', value: staffUserToAdd.tag, inline: true },
-                            { name: 'Role', value: staffRole.charAt(0).toUpperCase() + staffRole.slice(1), inline: true },
-                            { name: 'License', value: userLicense4, inline: true }
-                        );
-                    await interaction.reply({ embeds: [embed] });
-                } else {
-                    await interaction.reply({ content: addStaffResult.message || 'Failed to add staff member!', ephemeral: true });
+                            { name: 'Report', value: `#${reportResult.report.id}`, inline: true },
+                            { name: 'Username', value: `${reportedUser.name} (${reportedUser.id})`, inline: true },
+                            { name: 'License', value: reportLicense, inline: true }
+                        )],
+                    ephemeral: true
+                });
+
+                try {
+                    const reportTarget = await getReportTarget();
+                    const newReport = await blacklist.getLeakReport(reportResult.report.id);
+                    await reportTarget.send({
+                        embeds: [new EmbedBuilder()
+                            .setTitle('🕵️ New Leak Report')
+                            .setColor(0xff9900)
+                            .setDescription('Review it with `/blacklist review`.')
+                            .addFields(formatLeakReportField(newReport))
+                            .setTimestamp()]
+                    });
+                } catch (error) {
+                    logger.error(`Error posting leak report #${reportResult.report.id}: ${error.message}`);
                 }
                 break;
 
-            case 'removestaff':
-                const userLicense5 = await getUserLicense(user.id);
-                if (!userLicense5) {
-                    logger.warn(`User ${user.tag} attempted to remove staff without a license`);
-                    return interaction.reply({ content: 'You don\'t have a license!', ephemeral: true });
+            case 'blacklist':
+                if (user.id !== process.env.BOT_OWNER_ID) {
+                    logger.warn(`Unauthorized blacklist command attempt by ${user.tag}`);
+                    return interaction.reply({ content: 'Only the bot owner can manage the blacklist!', ephemeral: true });
                 }
 
-                const staffUserToRemove = interaction.options.getUser('user');
+                const blacklistAction = interaction.options.getSubcommand();
 
-                const removeStaffResult = await removeLicenseStaff(userLicense5, staffUserToRemove.id, user.id);
+                if (blacklistAction === 'list') {
+                    const blacklistPageSize = 10;
+                    const blacklistPage = interaction.options.getInteger('page') || 1;
+                    const { entries: blacklistEntries, total: blacklistTotal } = await blacklist.getBlacklist(blacklistPageSize, (blacklistPage - 1) * blacklistPageSize);
 
-                if (removeStaffResult.success) {
-                    const embed = new EmbedBuilder()
-                        .setTitle('Staff Member Removed')
+                    if (blacklistEntries.length === 0) {
+                        return interaction.reply({ content: blacklistTotal === 0 ? 'The blacklist is empty.' : 'No entries on that page.', ephemeral: true });
+                    }
+
+                    const blacklistList = blacklistEntries.map(entry =>
+                        `• **${entry.username}**${entry.roblox_user_id ? ` (${entry.roblox_user_id})` : ''} ${discordTimestamp(entry.created_at, 'R')}: ${entry.reason}` +
+                        (entry.report_id ? ` (report #${entry.report_id})` : '')
+                    ).join('\n');
+
+                    const blacklistEmbed = new EmbedBuilder()
+                        .setTitle('⛔ Leaker Blacklist')
                         .setColor(0xff0000)
-                        .addFields(
-                            { name: 'User', value: staffUserToRemove.tag, inline: true },
-                            { name: 'License', value: userLicense5, inline: true }
-                        );
-                    await interaction.reply({ embeds: [embed] });
-                } else {
-                    await interaction.reply({ content: removeStaffResult.message || 'Failed to remove staff member!', ephemeral: true });
+                        .setDescription(blacklistList.slice(0, 4096))
+                        .setFooter({ text: `Page ${blacklistPage} of ${Math.ceil(blacklistTotal / blacklistPageSize)} • ${blacklistTotal} blacklisted` });
+                    return interaction.reply({ embeds: [blacklistEmbed], ephemeral: true });
                 }
-                break;
 
-            case 'staff':
-                const userLicense6 = await getUserLicense(user.id);
-                if (!userLicense6) {
-                    logger.warn(`User ${user.tag} attempted to view staff without a license`);
-                    return interaction.reply({ content: 'You don\'t have a license!', ephemeral: true });
+                if (blacklistAction === 'reports') {
+                    const pendingReports = await blacklist.getLeakReports(blacklist.REPORT_STATUSES.PENDING, 10);
+                    if (pendingReports.length === 0) {
+                        return interaction.reply({ content: 'No leak reports are waiting for review.', ephemeral: true });
+                    }
+
+                    const reportsEmbed = new EmbedBuilder()
+                        .setTitle('🕵️ Pending Leak Reports')
+                        .setColor(0xff9900)
+                        .setDescription('Oldest first. Review them with `/blacklist review`.')
+                        .addFields(pendingReports.map(formatLeakReportField));
+                    return interaction.reply({ embeds: [reportsEmbed], ephemeral: true });
                 }
 
-                const staffMembersList = await getLicenseStaff(userLicense6);
-                
-                let staffList = 'None';
-                if (staffMembersList.length > 0) {
-                    staffList = staffMembersList.map(staff => 
-                        `• **${staff.user_tag}** (${staff.role_type})\n  Added by: ${staff.added_by}\n  Added: ${new Date(staff.added_at).toLocaleDateString()}`
-                    ).join('\n\n');
+                if (blacklistAction === 'review') {
+                    const reviewId = interaction.options.getInteger('report');
+                    const approveReport = interaction.options.getString('decision') === 'approve';
+                    const reviewResult = await blacklist.reviewLeakReport(reviewId, approveReport, user.id, interaction.options.getString('note'));
+                    if (!reviewResult.success) {
+                        return interaction.reply({ content: reviewResult.message, ephemeral: true });
+                    }
+
+                    const reviewedReport = reviewResult.report;
+                    await interaction.reply({
+                        content: approveReport
+                            ? `Report #${reviewId} approved. ${reviewResult.blacklisted ? `**${reviewedReport.username}** is now blacklisted.` : `**${reviewedReport.username}** was already blacklisted.`}`
+                            : `Report #${reviewId} rejected.`,
+                        ephemeral: true
+                    });
+
+                    await sendOwnerDm(reviewedReport.reported_by, new EmbedBuilder()
+                        .setTitle(approveReport ? '✅ Leak Report Approved' : '❌ Leak Report Rejected')
+                        .setColor(approveReport ? 0x00ff00 : 0xff0000)
+                        .setDescription(approveReport
+                            ? `**${reviewedReport.username}** is blacklisted and denied on every license.`
+                            : `Your report against **${reviewedReport.username}** was rejected.`)
+                        .addFields(
+                            { name: 'Report', value: `#${reviewId}`, inline: true },
+                            { name: 'License', value: reviewedReport.license_key, inline: true },
+                            { name: 'Note', value: reviewedReport.review_note || 'None', inline: false }
+                        ));
+                    break;
                 }
 
-                const staffEmbed = new EmbedBuilder()
-                    .setTitle('License Staff Members')
-                    .setColor(0x0099ff)
-                    .addFields(
-                        { name: 'License', value: userLicense6, inline: true },
-                        { name: 'Total Staff', value: staffMembersList.length.toString(), inline: true },
-                        { name: 'Staff List', value: staffList, inline: false }
-                    )
-                    .addFields(
-                        { name: 'Role Permissions', value: '**Admin**: Can add/remove users\n**Helper**: Can only add users', inline: false }
-                    );
+                // add, remove and lookup take a username
+                const blacklistUsername = interaction.options.getString('username');
+                let blacklistUser = null;
+                try {
+                    blacklistUser = await robloxUsers.resolveUsername(blacklistUsername);
+                } catch (error) {
+                    if (blacklistAction === 'add') {
+                        logger.error(`Roblox lookup failed for ${blacklistUsername}: ${error.message}`);
+                        return interaction.reply({ content: 'Could not reach Roblox to look up that username. Please try again shortly.', ephemeral: true });
+                    }
+                    logger.warn(`Roblox lookup failed for ${blacklistUsername}, matching by name only: ${error.message}`);
+                }
 
-                await interaction.reply({ embeds: [staffEmbed] });
-                break;
+                if (blacklistAction === 'add') {
+                    if (!blacklistUser) {
+                        return interaction.reply({ content: `Roblox user **${blacklistUsername}** does not exist!`, ephemeral: true });
+                    }
 
-            case 'mystaff':
-                const staffRoles = await getUserStaffRoles(user.id);
-                if (staffRoles.length === 0) {
-                    return interaction.reply({ content: 'You are not a staff member for any licenses.', ephemeral: true });
+                    const addBlacklistResult = await blacklist.addToBlacklist(blacklistUser, interaction.options.getString('reason'), user.id);
+                    if (!addBlacklistResult.success) {
+                        return interaction.reply({ content: addBlacklistResult.message, ephemeral: true });
+                    }
+
+                    return interaction.reply({
+                        embeds: [new EmbedBuilder()
+                            .setTitle('⛔ User Blacklisted')
+                            .setColor(0xff0000)
+                            .setDescription('Checks now deny this user on every license.')
+                            .addFields(
+                                { name: 'Username', value: `${blacklistUser.name} (${blacklistUser.id})`, inline: true },
+                                { name: 'Reason', value: interaction.options.getString('reason'), inline: false }
+                            )],
+                        ephemeral: true
+                    });
                 }
 
-                const staffRoleList = staffRoles.map(role => 
-                    `• **${role.license_key}**\n  Role: ${role.role_type}\n  Owner: ${role.owner_tag}`
-                ).join('\n\n');
+                blacklistUser = blacklistUser || { id: null, name: blacklistUsername };
 
-                const myStaffEmbed = new EmbedBuilder()
-                    .setTitle('Your Staff Roles')
-                    .setColor(0x0099ff)
-                    .setDescription(`You are staff for the following licenses:\n\n${staffRoleList}`)
+                if (blacklistAction === 'remove') {
+                    const removeBlacklistResult = await blacklist.removeFromBlacklist(blacklistUser);
+                    return interaction.reply({ content: removeBlacklistResult.message, ephemeral: true });
+                }
+
+                // lookup
+                const lookup = await blacklist.lookupPlayer(blacklistUser);
+                const lookupEmbed = new EmbedBuilder()
+                    .setTitle(`🔎 ${blacklistUser.name}${blacklistUser.id ? ` (${blacklistUser.id})` : ''}`)
+                    .setColor(lookup.entry ? 0xff0000 : 0x00ff00)
                     .addFields(
-                        { name: 'Admin Permissions', value: '• Add users\n• Remove users\n• View authorized users', inline: true },
-                        { name: 'Helper Permissions', value: '• Add users\n• View authorized users', inline: true }
+                        {
+                            name: 'Blacklist',
+                            value: lookup.entry
+                                ? `⛔ Blacklisted ${discordTimestamp(lookup.entry.created_at, 'R')} by ${formatBlacklistActor(lookup.entry.added_by)}: ${lookup.entry.reason}`
+                                : 'Not blacklisted',
+                            inline: false
+                        },
+                        {
+                            name: 'Licenses With Grants',
+                            value: lookup.licenseKeys.length > 0 ? lookup.licenseKeys.join('\n').slice(0, 1024) : 'None',
+                            inline: false
+                        }
                     );
-
-                await interaction.reply({ embeds: [myStaffEmbed], ephemeral: true });
+                if (lookup.reports.length > 0) {
+                    lookupEmbed.addFields(lookup.reports.slice(0, 5).map(formatLeakReportField));
+                }
+                await interaction.reply({ embeds: [lookupEmbed], ephemeral: true });
                 break;
 
             // NEW COMMAND: All Users
@@ -1493,17 +3061,24 @@ client.on('interactionCreate', async interaction => {
                 break;
         }
     } catch (error) {
+        commandOutcome = 'error';
         logger.error('Command error:', error);
         if (!interaction.replied) {
             await interaction.reply({ content: 'An error occurred while processing the command!', ephemeral: true });
         }
+    } finally {
+        metrics.commandsTotal.inc({ command: commandName, outcome: commandOutcome });
+        endCommandTimer();
     }
 });
 
 // Add express server for health checks (required by Railway)
 const express = require('express');
 const app = express();
-const PORT = process.env.PORT || 3000;
+// start.js runs the API on PORT, so it hands the bot its own port
+const PORT = process.env.BOT_HEALTH_PORT || process.env.PORT || 3000;
+
+app.get('/metrics', metrics.metricsHandler);
 
 app.get('/health', async (req, res) => {
     try {
@@ -1538,10 +3113,21 @@ process.on('SIGINT', async () => {
     process.exit(0);
 });
 
-client.login(process.env.DISCORD_TOKEN)
-    .then(() => logger.info('Bot login successful'))
+// Bring the schema up to date before logging in, so no command runs against old tables
+migrateUp()
+    .then(applied => {
+        if (applied.length > 0) {
+            logger.info(`Applied ${applied.length} database migration(s)`);
+        }
+        return client.login(process.env.DISCORD_TOKEN)
+            .then(() => logger.info('Bot login successful'))
+            .catch(error => {
+                logger.error(`Bot login failed: ${error.message}`);
+                process.exit(1);
+            });
+    })
     .catch(error => {
-        logger.error(`Bot login failed: ${error.message}`);
+        logger.error(`Database migration failed: ${error.message}`);
         process.exit(1);
     });
 
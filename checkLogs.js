@@ -0,0 +1,150 @@
+// Persistent audit log of license and vehicle checks, shared by the API server
+// (which writes it) and the bot (which lets owners read it).
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Deny reasons recorded alongside denied checks
+const DENY_REASONS = {
+  NOT_AUTHORIZED: 'not_authorized',
+  VEHICLE_NOT_AUTHORIZED: 'vehicle_not_authorized',
+  UNKNOWN_LICENSE: 'unknown_license',
+  LICENSE_PAUSED: 'license_paused',
+  LICENSE_EXPIRED: 'license_expired',
+  GRANT_SUSPENDED: 'grant_suspended',
+  BLACKLISTED: 'blacklisted',
+  UNKNOWN_PLACE: 'unknown_place',
+  ERROR: 'error'
+};
+
+const NUMERIC_ID_PATTERN = /^\d{1,19}$/;
+
+// Roblox game servers send the PlaceId as Roblox-Id; scripts can add the rest
+// themselves as headers or, for the ids, as ?placeId= / ?universeId= query params.
+// Ids that are not numeric are treated as missing.
+function getRobloxContext(req) {
+  const numericId = value => (value && NUMERIC_ID_PATTERN.test(value) ? value : null);
+  return {
+    placeId: numericId(req.get('Roblox-Id') || req.get('X-Roblox-Place-Id') || req.query.placeId),
+    universeId: numericId(req.get('X-Roblox-Universe-Id') || req.query.universeId),
+    jobId: req.get('X-Roblox-Job-Id') || null
+  };
+}
+
+// Writes many checks in one statement (a batch check can cover a whole server)
+async function recordChecks(pool, entries) {
+  if (entries.length === 0) {
+    return;
+  }
+
+  const rows = entries.map(entry => ({
+    check_type: entry.checkType,
+    license_key: entry.licenseKey || null,
+    roblox_user_id: entry.userId || null,
+    username: entry.username || null,
+    vehicle: entry.vehicle || null,
+    approved: entry.approved,
+    deny_reason: entry.approved ? null : entry.denyReason,
+    caller_ip: entry.callerIp || null,
+    place_id: entry.placeId || null,
+    universe_id: entry.universeId || null,
+    job_id: entry.jobId ? String(entry.jobId).slice(0, 64) : null
+  }));
+
+  await pool.query(
+    `INSERT INTO check_logs
+       (check_type, license_key, roblox_user_id, username, vehicle, approved, deny_reason, caller_ip, place_id, universe_id, job_id)
+     SELECT check_type, license_key, roblox_user_id, username, vehicle, approved, deny_reason, caller_ip, place_id, universe_id, job_id
+     FROM ${pool.recordsetSql('$1', 'r', `
+       check_type VARCHAR(20), license_key VARCHAR(255), roblox_user_id BIGINT, username VARCHAR(255),
+       vehicle VARCHAR(255), approved BOOLEAN, deny_reason VARCHAR(50), caller_ip VARCHAR(64),
+       place_id VARCHAR(32), universe_id VARCHAR(32), job_id VARCHAR(64)
+     `)}`,
+    [JSON.stringify(rows)]
+  );
+}
+
+async function recordCheck(pool, entry) {
+  await recordChecks(pool, [entry]);
+}
+
+// Filters: licenseKey, userId, username, vehicle, result ('approved' | 'denied'),
+// since, until (dates), before (id cursor from a previous page) and limit.
+// A licenseKey filter also matches denied vehicle checks for vehicles the license grants,
+// since those cannot be tied to a single license when they are written.
+async function queryCheckLogs(pool, filters = {}) {
+  const conditions = [];
+  const params = [];
+  const addParam = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.licenseKey) {
+    const key = addParam(filters.licenseKey);
+    // Checks made before a key rotation were logged under the old key
+    conditions.push(`(license_key = ${key}
+      OR license_key IN (SELECT old_key FROM license_key_aliases WHERE license_key = ${key})
+      OR (license_key IS NULL AND vehicle IN (
+        SELECT DISTINCT vehicle FROM authorized_users WHERE license_key = ${key}
+      )))`);
+  }
+  if (filters.userId) {
+    conditions.push(`roblox_user_id = ${addParam(filters.userId)}`);
+  }
+  if (filters.username) {
+    conditions.push(`LOWER(username) = LOWER(${addParam(filters.username)})`);
+  }
+  if (filters.vehicle) {
+    conditions.push(`vehicle = ${addParam(filters.vehicle)}`);
+  }
+  if (filters.result === 'approved' || filters.result === 'denied') {
+    conditions.push(`approved = ${filters.result === 'approved'}`);
+  }
+  if (filters.since) {
+    conditions.push(`created_at >= ${addParam(filters.since)}`);
+  }
+  if (filters.until) {
+    conditions.push(`created_at < ${addParam(filters.until)}`);
+  }
+  if (filters.before) {
+    conditions.push(`id < ${addParam(filters.before)}`);
+  }
+
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  // Fetch one extra row to know whether another page exists
+  const result = await pool.query(
+    `SELECT id, check_type, license_key, roblox_user_id, username, vehicle, approved, deny_reason,
+            caller_ip, place_id, universe_id, job_id, created_at
+     FROM check_logs ${where}
+     ORDER BY id DESC
+     LIMIT ${limit + 1}`,
+    params
+  );
+
+  const logs = result.rows.slice(0, limit);
+  return {
+    logs,
+    nextCursor: result.rows.length > limit ? logs[logs.length - 1].id : null
+  };
+}
+
+// Deletes log rows older than the retention window. Returns the number removed.
+async function pruneCheckLogs(pool, retentionDays) {
+  const result = await pool.query(
+    `DELETE FROM check_logs WHERE created_at < ${pool.shiftTimeSql('NOW()', '-$1::INTEGER', 'day')}`,
+    [retentionDays]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  DENY_REASONS,
+  getRobloxContext,
+  recordCheck,
+  recordChecks,
+  queryCheckLogs,
+  pruneCheckLogs
+};
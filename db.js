@@ -0,0 +1,13 @@
+// Database shared by everything running in this process. DATABASE_URL picks the backend:
+// a postgres:// URL uses PostgreSQL, sqlite:<file> (e.g. sqlite:./antileak.db) an embedded
+// SQLite file. Both expose the pg pool interface (query, connect, end) and the SQL
+// fragments that differ between them (shiftTimeSql, arrayContainsSql, arrayElementsSql,
+// recordsetSql), with `dialect` set to 'postgres' or 'sqlite'.
+require('dotenv').config();
+
+const SQLITE_URL_PREFIX = 'sqlite:';
+const databaseUrl = process.env.DATABASE_URL || '';
+
+module.exports = databaseUrl.startsWith(SQLITE_URL_PREFIX)
+  ? require('./sqliteDb').createSqliteDb(databaseUrl.slice(SQLITE_URL_PREFIX.length))
+  : require('./postgresDb').createPostgresDb(databaseUrl);
@@ -0,0 +1,50 @@
+// Parses and formats human durations such as "30m", "24h", "7d" or "1d12h" for commands and the API
+
+const UNIT_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+const DURATION_PATTERN = /^(\d+\s*[mhdw]\s*)+$/i;
+
+// Returns the duration in milliseconds, or null if the input is not a valid positive duration
+function parseDuration(input) {
+  if (typeof input !== 'string' || !DURATION_PATTERN.test(input.trim())) {
+    return null;
+  }
+
+  let total = 0;
+  for (const [, amount, unit] of input.matchAll(/(\d+)\s*([mhdw])/gi)) {
+    total += parseInt(amount, 10) * UNIT_MS[unit.toLowerCase()];
+  }
+
+  return total > 0 && Number.isSafeInteger(total) ? total : null;
+}
+
+// Returns the Date the duration ends at, counted from `from`, or null if invalid
+function durationToDate(input, from = new Date()) {
+  const ms = parseDuration(input);
+  return ms === null ? null : new Date(from.getTime() + ms);
+}
+
+// Formats milliseconds in the same notation, e.g. 90 minutes as "1h30m"
+function formatDuration(ms) {
+  let remaining = Math.floor(ms / UNIT_MS.m) * UNIT_MS.m;
+  let output = '';
+  for (const unit of ['d', 'h', 'm']) {
+    const amount = Math.floor(remaining / UNIT_MS[unit]);
+    if (amount > 0) {
+      output += `${amount}${unit}`;
+      remaining -= amount * UNIT_MS[unit];
+    }
+  }
+  return output || '0m';
+}
+
+module.exports = {
+  parseDuration,
+  durationToDate,
+  formatDuration
+};
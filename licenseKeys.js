@@ -0,0 +1,75 @@
+// License key format. Generated keys are four groups of five characters from Crockford's
+// base32 alphabet (no I, L, O or U, so keys read back without mix-ups), e.g.
+// 7K2QD-M9XTB-0RJ4H-WCE5N. The last character is a checksum of the others, which catches
+// typos before they reach the database. Custom keys only need to be safe in a URL path.
+const crypto = require('crypto');
+
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const GROUP_LENGTH = 5;
+const GROUP_COUNT = 4;
+const GENERATED_KEY_PATTERN = /^[0-9A-HJKMNP-TV-Z]{5}(-[0-9A-HJKMNP-TV-Z]{5}){3}$/;
+const CUSTOM_KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+const MIN_CUSTOM_KEY_LENGTH = 8;
+const MAX_CUSTOM_KEY_LENGTH = 64;
+
+// Odd weights are invertible mod 32, so any single wrong character changes the checksum,
+// and so do most swapped neighbours
+function checksumChar(chars) {
+  let sum = 0;
+  for (let i = 0; i < chars.length; i++) {
+    sum += (2 * i + 1) * ALPHABET.indexOf(chars[i]);
+  }
+  return ALPHABET[sum % ALPHABET.length];
+}
+
+function generateLicenseKey() {
+  const chars = [];
+  for (let i = 0; i < GROUP_LENGTH * GROUP_COUNT - 1; i++) {
+    chars.push(ALPHABET[crypto.randomInt(ALPHABET.length)]);
+  }
+  chars.push(checksumChar(chars));
+
+  const groups = [];
+  for (let i = 0; i < GROUP_COUNT; i++) {
+    groups.push(chars.slice(i * GROUP_LENGTH, (i + 1) * GROUP_LENGTH).join(''));
+  }
+  return groups.join('-');
+}
+
+function isGeneratedFormat(key) {
+  return GENERATED_KEY_PATTERN.test(key);
+}
+
+function hasValidChecksum(key) {
+  const chars = key.replace(/-/g, '').split('');
+  const check = chars.pop();
+  return checksumChar(chars) === check;
+}
+
+// True for a key shaped like a generated one whose checksum does not match, i.e. a typo
+function looksMistyped(key) {
+  return typeof key === 'string' && isGeneratedFormat(key.trim().toUpperCase()) && !hasValidChecksum(key.trim().toUpperCase());
+}
+
+// Message to return for a custom key that cannot be used, or null when it is fine. Keys in
+// the generated format must carry a valid checksum, so the typo check stays trustworthy.
+function invalidCustomKey(key) {
+  if (!key || key.length < MIN_CUSTOM_KEY_LENGTH || key.length > MAX_CUSTOM_KEY_LENGTH) {
+    return `License keys must be ${MIN_CUSTOM_KEY_LENGTH}-${MAX_CUSTOM_KEY_LENGTH} characters long`;
+  }
+  if (!CUSTOM_KEY_PATTERN.test(key)) {
+    return 'License keys may only contain letters, digits, - and _';
+  }
+  if (isGeneratedFormat(key) && !hasValidChecksum(key)) {
+    return 'This key looks like a generated key but its checksum does not match';
+  }
+  return null;
+}
+
+module.exports = {
+  generateLicenseKey,
+  isGeneratedFormat,
+  hasValidChecksum,
+  looksMistyped,
+  invalidCustomKey
+};
@@ -0,0 +1,2095 @@
+// License data functions shared by the Discord bot and the admin HTTP API, so both
+// apply the same rules (paused licenses, staff roles, grant handling).
+const pool = require('./db');
+const logger = require('./logger');
+const { generateToken } = require('./apiTokens');
+const { WEBHOOK_EVENTS, enqueueEvent } = require('./webhooks');
+const { FEATURES, isValidTier, getTier, featureDeniedMessage, quotaExceededMessage } = require('./tiers');
+const { generateLicenseKey, invalidCustomKey } = require('./licenseKeys');
+
+// Special value for "all vehicles" authorization
+const ALL_VEHICLES = '*ALL*';
+
+// Role types for license management
+const ROLE_TYPES = {
+  ADMIN: 'admin',
+  HELPER: 'helper'
+};
+
+// Place allowlist entry types
+const PLACE_TYPES = {
+  PLACE: 'place',
+  UNIVERSE: 'universe'
+};
+
+// Longest custom kick message a license can return with denied checks
+const MAX_KICK_MESSAGE_LENGTH = 200;
+
+// Subscription length of new licenses when none is given, e.g. "30d", or "never"
+const DEFAULT_LICENSE_TERM = process.env.DEFAULT_LICENSE_TERM || '30d';
+
+// paused_by of pauses made because a license's subscription ran out; renewing lifts them
+const EXPIRY_PAUSED_BY = 'expiry';
+const EXPIRED_PAUSE_REASON = 'Subscription expired';
+
+// Longest reason a pause can be given
+const MAX_PAUSE_REASON_LENGTH = 255;
+
+// Actions recorded in license_pause_history
+const PAUSE_ACTIONS = {
+  PAUSED: 'paused',
+  UNPAUSED: 'unpaused',
+  SCHEDULED: 'scheduled',
+  SCHEDULE_CANCELLED: 'schedule_cancelled'
+};
+
+// Longest offline grace window a license can give its grace tokens (24 hours)
+const MAX_GRACE_WINDOW_MINUTES = 24 * 60;
+
+// Vehicle catalog limits
+const MAX_VEHICLE_ALIASES = 10;
+const MAX_VEHICLE_NAME_LENGTH = 255;
+
+// Grants for a bundle store its name behind this prefix, e.g. "@Police Pack"
+const BUNDLE_PREFIX = '@';
+const MAX_BUNDLE_NAME_LENGTH = 100;
+const MAX_BUNDLE_VEHICLES = 100;
+
+// Grants containing * or ? are glob patterns, e.g. Police_*
+function isVehiclePattern(vehicle) {
+  return /[*?]/.test(vehicle);
+}
+
+// SQL expression turning the glob pattern in expr into a LIKE pattern (escape character \)
+function globToLikeSql(expr) {
+  return `replace(replace(replace(replace(replace(${expr}, '\\', '\\\\'), '%', '\\%'), '_', '\\_'), '*', '%'), '?', '_')`;
+}
+
+// Matches a player's grants: rows keyed on their UserId plus legacy username-only
+// rows (compared case-insensitively). A name never matches a row keyed on a UserId, as
+// Roblox hands the names of renamed players out again; resolve it to a UserId first.
+function playerMatchSql(idParam, nameParam, alias = '') {
+  const col = alias ? `${alias}.` : '';
+  return `(${col}roblox_user_id = ${idParam} OR (${col}roblox_user_id IS NULL AND LOWER(${col}username) = LOWER(${nameParam})))`;
+}
+
+// SQL condition excluding temporary grants that have run out
+function activeGrantSql(alias = '') {
+  const col = alias ? `${alias}.` : '';
+  return `(${col}expires_at IS NULL OR ${col}expires_at > NOW())`;
+}
+
+// Current usage counted against a license's tier: { users, vehicles, staff }. Users are
+// players with an active grant; vehicles are the distinct vehicles, bundles and patterns
+// granted, not counting all-vehicle grants.
+async function countLicenseUsage(db, licenseKey) {
+  const result = await db.query(
+    `SELECT
+       (SELECT COUNT(DISTINCT COALESCE(roblox_user_id::TEXT, LOWER(username))) FROM authorized_users
+        WHERE license_key = $1 AND ${activeGrantSql()})::INTEGER as users,
+       (SELECT COUNT(DISTINCT vehicle) FROM authorized_users
+        WHERE license_key = $1 AND vehicle <> $2 AND ${activeGrantSql()})::INTEGER as vehicles,
+       (SELECT COUNT(*) FROM license_admins WHERE license_key = $1)::INTEGER as staff`,
+    [licenseKey, ALL_VEHICLES]
+  );
+  return result.rows[0];
+}
+
+// Tier name of a license, or null if it does not exist. Inside a transaction pass
+// forUpdate so concurrent grants cannot both squeeze under the same quota.
+async function getLicenseTierName(db, licenseKey, forUpdate = false) {
+  const result = await db.query(
+    `SELECT tier FROM licenses WHERE license_key = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+    [licenseKey]
+  );
+  return result.rows.length > 0 ? result.rows[0].tier : null;
+}
+
+// SQL condition matching grants under a suspension that has not run out
+function suspendedGrantSql(alias = '') {
+  const col = alias ? `${alias}.` : '';
+  return `(${col}suspended_at IS NOT NULL AND (${col}suspended_until IS NULL OR ${col}suspended_until > NOW()))`;
+}
+
+// SQL condition matching licenses whose subscription has run out
+function licenseExpiredSql(alias = '') {
+  const col = alias ? `${alias}.` : '';
+  return `(${col}expires_at IS NOT NULL AND ${col}expires_at <= NOW())`;
+}
+
+// SQL condition matching the license keyed by keySql while it is paused. Pauses start and
+// end on schedule even before the sweep applies them: a pause past its resume_at no longer
+// counts, and a scheduled pause counts from its pause_at.
+function licensePausedSql(keySql) {
+  return `(EXISTS (
+      SELECT 1 FROM paused_licenses
+      WHERE license_key = ${keySql} AND (resume_at IS NULL OR resume_at > NOW())
+    ) OR EXISTS (
+      SELECT 1 FROM scheduled_pauses
+      WHERE license_key = ${keySql} AND pause_at <= NOW() AND (resume_at IS NULL OR resume_at > NOW())
+    ))`;
+}
+
+// Matches grants covering the vehicle in vehicleParam: all-vehicle grants, the vehicle
+// itself, glob patterns and bundles that currently contain it
+function vehicleMatchSql(vehicleParam, alias = '') {
+  const col = alias ? `${alias}.` : '';
+  return `(${col}vehicle = '${ALL_VEHICLES}' OR ${col}vehicle = ${vehicleParam}
+    OR ((${col}vehicle LIKE '%*%' OR ${col}vehicle LIKE '%?%') AND ${vehicleParam} LIKE ${globToLikeSql(`${col}vehicle`)} ESCAPE '\\')
+    OR (${col}vehicle LIKE '${BUNDLE_PREFIX}%' AND EXISTS (
+      SELECT 1 FROM vehicle_bundles vb
+      JOIN vehicle_bundle_items vbi ON vbi.bundle_id = vb.id
+      WHERE vb.license_key = ${col}license_key AND '${BUNDLE_PREFIX}' || vb.name = ${col}vehicle
+        AND vbi.vehicle = ${vehicleParam}
+    )))`;
+}
+
+// SQL expression that is true when the caller's place ($placeParam) or universe
+// ($universeParam) is allowed for the license in licenseColumn. Licenses without
+// an allowlist run anywhere.
+function placeAllowedSql(licenseColumn, placeParam, universeParam) {
+  return `(NOT EXISTS (SELECT 1 FROM license_places lp WHERE lp.license_key = ${licenseColumn})
+    OR EXISTS (
+      SELECT 1 FROM license_places lp
+      WHERE lp.license_key = ${licenseColumn}
+        AND ((lp.place_type = 'place' AND lp.place_id = ${placeParam}::BIGINT)
+          OR (lp.place_type = 'universe' AND lp.place_id = ${universeParam}::BIGINT))
+    ))`;
+}
+
+// License management functions
+async function getLicenses() {
+  try {
+    const result = await pool.query('SELECT * FROM licenses');
+    const licenses = {};
+    result.rows.forEach(row => {
+      licenses[row.license_key] = {
+        ownerId: row.owner_id,
+        ownerTag: row.owner_tag,
+        name: row.name,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at
+      };
+    });
+    return licenses;
+  } catch (error) {
+    logger.error('Error reading licenses:', error);
+    return {};
+  }
+}
+
+// Returns { licenseKey, name, isDefault, ownerId, ownerTag, createdAt, expiresAt, isPaused, pausedAt,
+// pausedBy, pauseReason, resumeAt, globalVehicleChecks, kickMessage, graceWindowMinutes, tier }, or null if not found
+async function getLicense(licenseKey) {
+  try {
+    const result = await pool.query(
+      `SELECT l.license_key, l.name, l.is_default, l.owner_id, l.owner_tag, l.created_at, l.global_vehicle_checks,
+              l.kick_message, l.grace_window_minutes, l.tier, l.expires_at,
+              pl.paused_at, pl.paused_by, pl.reason, pl.resume_at
+       FROM licenses l
+       LEFT JOIN paused_licenses pl ON l.license_key = pl.license_key
+       WHERE l.license_key = $1`,
+      [licenseKey]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    return {
+      licenseKey: row.license_key,
+      name: row.name,
+      isDefault: row.is_default,
+      ownerId: row.owner_id,
+      ownerTag: row.owner_tag,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+      isPaused: row.paused_at !== null,
+      pausedAt: row.paused_at,
+      pausedBy: row.paused_by,
+      pauseReason: row.reason,
+      resumeAt: row.resume_at,
+      globalVehicleChecks: row.global_vehicle_checks,
+      kickMessage: row.kick_message,
+      graceWindowMinutes: row.grace_window_minutes,
+      tier: row.tier
+    };
+  } catch (error) {
+    logger.error('Error getting license:', error);
+    return null;
+  }
+}
+
+const MAX_LICENSE_NAME_LENGTH = 100;
+
+// Message to return for a friendly license name that cannot be used, or null when it is fine
+function invalidLicenseName(name) {
+  if (!name || !name.trim()) {
+    return 'License name cannot be empty';
+  }
+  if (name.trim().length > MAX_LICENSE_NAME_LENGTH) {
+    return `License name must be at most ${MAX_LICENSE_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Friendly names are unique per owner (case-insensitive)
+async function licenseNameTaken(db, ownerId, name, exceptLicenseKey = null) {
+  const result = await db.query(
+    `SELECT license_key FROM licenses
+     WHERE owner_id = $1 AND LOWER(name) = LOWER($2) AND ($3::TEXT IS NULL OR license_key <> $3)`,
+    [ownerId, name, exceptLicenseKey]
+  );
+  return result.rows.length > 0;
+}
+
+// True when a key belongs to a license, or is an old key of a rotated license
+async function licenseKeyInUse(db, licenseKey) {
+  const result = await db.query(
+    `SELECT 1 FROM licenses WHERE license_key = $1
+     UNION ALL
+     SELECT 1 FROM license_key_aliases WHERE old_key = $1`,
+    [licenseKey]
+  );
+  return result.rows.length > 0;
+}
+
+// The key to give a license: the custom key if one was asked for, otherwise a random one.
+// Returns { licenseKey } or { message } when the custom key cannot be used.
+async function pickLicenseKey(db, customKey) {
+  if (customKey) {
+    const keyMessage = invalidCustomKey(customKey);
+    if (keyMessage) {
+      return { message: keyMessage };
+    }
+    if (await licenseKeyInUse(db, customKey)) {
+      return { message: 'This license key is already in use!' };
+    }
+    return { licenseKey: customKey };
+  }
+
+  let licenseKey = generateLicenseKey();
+  while (await licenseKeyInUse(db, licenseKey)) {
+    licenseKey = generateLicenseKey();
+  }
+  return { licenseKey };
+}
+
+// Creates a license for the owner under licenseKey, or a random key when none is given.
+// Owners can hold any number of licenses, told apart by an optional friendly name.
+// expiresAt is when the subscription runs out; null creates a license that never expires
+async function createLicense(ownerId, ownerTag, { expiresAt = null, name = null, licenseKey: customKey = null } = {}) {
+  if (name !== null) {
+    const nameMessage = invalidLicenseName(name);
+    if (nameMessage) {
+      return { success: false, message: nameMessage };
+    }
+    name = name.trim();
+  }
+
+  try {
+    if (name && await licenseNameTaken(pool, ownerId, name)) {
+      return { success: false, message: `This user already has a license named "${name}"!` };
+    }
+
+    const { licenseKey, message } = await pickLicenseKey(pool, customKey && customKey.trim());
+    if (!licenseKey) {
+      return { success: false, message };
+    }
+
+    await pool.query(
+      'INSERT INTO licenses (license_key, owner_id, owner_tag, expires_at, name) VALUES ($1, $2, $3, $4, $5)',
+      [licenseKey, ownerId, ownerTag, expiresAt, name]
+    );
+
+    logger.info(`License created: ${licenseKey}${name ? ` (${name})` : ''} for user ${ownerTag}${expiresAt ? ` until ${expiresAt.toISOString()}` : ''}`);
+    return { success: true, licenseKey, name, expiresAt };
+  } catch (error) {
+    logger.error('Error creating license:', error);
+    return { success: false, message: 'Failed to create license!' };
+  }
+}
+
+async function deleteLicense(licenseKey) {
+  try {
+    const license = await getLicense(licenseKey);
+
+    if (!license) {
+      logger.warn(`License deletion failed: Key ${licenseKey} not found`);
+      return { success: false, message: 'License key not found!' };
+    }
+
+    // Queue the event first: deleting the license removes its webhooks
+    await enqueueEvent(licenseKey, WEBHOOK_EVENTS.LICENSE_DELETED, { ownerId: license.ownerId, ownerTag: license.ownerTag });
+    await pool.query('DELETE FROM licenses WHERE license_key = $1', [licenseKey]);
+
+    logger.info(`License deleted: ${licenseKey}`);
+    return { success: true, message: `License ${licenseKey} deleted successfully!` };
+  } catch (error) {
+    logger.error('Error deleting license:', error);
+    return { success: false, message: 'Failed to delete license!' };
+  }
+}
+
+// Hands a license, including its pause record, to a new owner. It stops being the previous
+// owner's default, and loses its name if the new owner already uses that name.
+async function transferLicense(licenseKey, toOwnerId, toOwnerTag) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const licenseResult = await client.query(
+      'SELECT owner_id, owner_tag FROM licenses WHERE license_key = $1 FOR UPDATE',
+      [licenseKey]
+    );
+
+    if (licenseResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { success: false, message: 'License key not found!' };
+    }
+
+    const previousOwner = licenseResult.rows[0];
+    if (previousOwner.owner_id === toOwnerId) {
+      await client.query('ROLLBACK');
+      logger.warn('License transfer failed: Same user specified for from and to');
+      return { success: false, message: 'Cannot transfer license to the same user!' };
+    }
+
+    await client.query(
+      `UPDATE licenses SET owner_id = $1::VARCHAR, owner_tag = $2, is_default = FALSE,
+         name = CASE WHEN EXISTS (
+           SELECT 1 FROM licenses other WHERE other.owner_id = $1::VARCHAR AND LOWER(other.name) = LOWER(licenses.name)
+         ) THEN NULL ELSE name END
+       WHERE license_key = $3`,
+      [toOwnerId, toOwnerTag, licenseKey]
+    );
+
+    // Update paused_licenses table if the license is paused
+    await client.query(
+      'UPDATE paused_licenses SET owner_id = $1, owner_tag = $2 WHERE license_key = $3',
+      [toOwnerId, toOwnerTag, licenseKey]
+    );
+
+    await client.query('COMMIT');
+
+    logger.info(`License transferred: ${licenseKey} from ${previousOwner.owner_tag} to ${toOwnerTag}`);
+    await enqueueEvent(licenseKey, WEBHOOK_EVENTS.LICENSE_TRANSFERRED, {
+      previousOwnerId: previousOwner.owner_id,
+      previousOwnerTag: previousOwner.owner_tag,
+      ownerId: toOwnerId,
+      ownerTag: toOwnerTag
+    });
+    return { success: true, previousOwnerId: previousOwner.owner_id, previousOwnerTag: previousOwner.owner_tag };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error transferring license:', error);
+    return { success: false, message: 'An error occurred while transferring the license!' };
+  } finally {
+    client.release();
+  }
+}
+
+// Longest time the old key of a rotated license may keep working
+const MAX_KEY_ROTATION_GRACE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Tables whose rows belong to a license by its key, moved over when the key is rotated.
+// check_logs is an audit trail and keeps the key each check was made with; old keys stay
+// in license_key_aliases so those logs can still be found.
+const LICENSE_KEY_TABLES = [
+  'authorized_users',
+  'paused_licenses',
+  'scheduled_pauses',
+  'license_pause_history',
+  'license_admins',
+  'api_tokens',
+  'license_places',
+  'flagged_places',
+  'license_vehicles',
+  'vehicle_bundles',
+  'webhooks',
+  'leak_reports',
+  'license_key_aliases'
+];
+
+// Gives a license a new key (newKey, or a random one), keeping its grants, staff, settings
+// and pause state. With graceMs the old key keeps answering checks until the grace ends;
+// without it the old key stops working right away. Old keys are kept for good afterwards,
+// so they cannot be reused and their check logs stay with the license. Returns { success,
+// message?, licenseKey, previousLicenseKey, graceUntil }.
+async function rotateLicenseKey(licenseKey, { newKey = null, graceMs = 0, rotatedBy = null } = {}) {
+  if (graceMs > MAX_KEY_ROTATION_GRACE_MS) {
+    return { success: false, message: 'The grace period can be at most 30 days' };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const licenseResult = await client.query('SELECT * FROM licenses WHERE license_key = $1 FOR UPDATE', [licenseKey]);
+    if (licenseResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { success: false, message: 'License not found!' };
+    }
+
+    const picked = await pickLicenseKey(client, newKey && newKey.trim());
+    if (!picked.licenseKey) {
+      await client.query('ROLLBACK');
+      return { success: false, message: picked.message };
+    }
+
+    // Foreign keys do not follow key updates, so copy the license under its new key, move
+    // everything over and drop the old row. The name waits until the old row is gone, as
+    // names are unique per owner.
+    const license = { ...licenseResult.rows[0], license_key: picked.licenseKey, name: null };
+    const columns = Object.keys(license);
+    await client.query(
+      `INSERT INTO licenses (${columns.join(', ')}) VALUES (${columns.map((column, i) => `$${i + 1}`).join(', ')})`,
+      columns.map(column => license[column])
+    );
+    for (const table of LICENSE_KEY_TABLES) {
+      await client.query(`UPDATE ${table} SET license_key = $2 WHERE license_key = $1`, [licenseKey, picked.licenseKey]);
+    }
+    await client.query('DELETE FROM licenses WHERE license_key = $1', [licenseKey]);
+    await client.query('UPDATE licenses SET name = $2 WHERE license_key = $1', [picked.licenseKey, licenseResult.rows[0].name]);
+
+    const graceUntil = graceMs > 0 ? new Date(Date.now() + graceMs) : null;
+    await client.query(
+      'INSERT INTO license_key_aliases (old_key, license_key, expires_at, rotated_by) VALUES ($1, $2, COALESCE($3::TIMESTAMP, NOW()), $4)',
+      [licenseKey, picked.licenseKey, graceUntil, rotatedBy]
+    );
+
+    await client.query('COMMIT');
+
+    logger.info(`License key rotated: ${licenseKey} -> ${picked.licenseKey}${graceUntil ? `, old key works until ${graceUntil.toISOString()}` : ''}`);
+    await enqueueEvent(picked.licenseKey, WEBHOOK_EVENTS.LICENSE_KEY_ROTATED, {
+      previousLicenseKey: licenseKey,
+      graceUntil,
+      rotatedBy
+    });
+    return { success: true, licenseKey: picked.licenseKey, previousLicenseKey: licenseKey, graceUntil };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error rotating license key:', error);
+    return { success: false, message: 'An error occurred while rotating the license key!' };
+  } finally {
+    client.release();
+  }
+}
+
+// Whether the license's grants also answer vehicle checks sent without a license key.
+// Licenses from before license-scoped checks keep this on until their games move over.
+async function setGlobalVehicleChecks(licenseKey, enabled) {
+  try {
+    const result = await pool.query(
+      'UPDATE licenses SET global_vehicle_checks = $2 WHERE license_key = $1',
+      [licenseKey, enabled]
+    );
+    if (result.rowCount === 0) {
+      return { success: false, message: 'License not found!' };
+    }
+    
+    logger.info(`Global vehicle checks ${enabled ? 'enabled' : 'disabled'} for license ${licenseKey}`);
+    return { success: true };
+  } catch (error) {
+    logger.error('Error setting global vehicle checks:', error);
+    return { success: false, message: 'Database error occurred!' };
+  }
+}
+
+// Sets the message games show players whose check this license denied; null clears it
+async function setKickMessage(licenseKey, message) {
+  const kickMessage = message ? String(message).trim() : null;
+  if (kickMessage && kickMessage.length > MAX_KICK_MESSAGE_LENGTH) {
+    return { success: false, message: `Kick messages can be up to ${MAX_KICK_MESSAGE_LENGTH} characters` };
+  }
+  
+  try {
+    const result = await pool.query(
+      'UPDATE licenses SET kick_message = $2 WHERE license_key = $1',
+      [licenseKey, kickMessage || null]
+    );
+    if (result.rowCount === 0) {
+      return { success: false, message: 'License not found!' };
+    }
+    
+    logger.info(`${kickMessage ? 'Set' : 'Cleared'} the kick message of license ${licenseKey}`);
+    return { success: true, kickMessage: kickMessage || null };
+  } catch (error) {
+    logger.error('Error setting kick message:', error);
+    return { success: false, message: 'Database error occurred!' };
+  }
+}
+
+// Sets how long grace tokens issued with this license's approvals stay valid; 0 stops
+// issuing them. Revoked grants keep working offline until their last token expires.
+async function setGraceWindow(licenseKey, minutes) {
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_GRACE_WINDOW_MINUTES) {
+    return { success: false, message: `Grace windows can be up to ${MAX_GRACE_WINDOW_MINUTES / 60} hours` };
+  }
+  
+  try {
+    const tier = await getLicenseTierName(pool, licenseKey);
+    if (tier === null) {
+      return { success: false, message: 'License not found!' };
+    }
+    const deniedMessage = minutes > 0 && featureDeniedMessage(tier, FEATURES.GRACE_TOKENS);
+    if (deniedMessage) {
+      return { success: false, message: deniedMessage };
+    }
+    
+    await pool.query(
+      'UPDATE licenses SET grace_window_minutes = $2 WHERE license_key = $1',
+      [licenseKey, minutes]
+    );
+    
+    logger.info(`Set the grace window of license ${licenseKey} to ${minutes} minutes`);
+    return { success: true, graceWindowMinutes: minutes };
+  } catch (error) {
+    logger.error('Error setting grace window:', error);
+    return { success: false, message: 'Database error occurred!' };
+  }
+}
+
+// Moves a license to another tier. Grants, staff, bundles, webhooks and tokens over the
+// new limits are kept; the license just cannot add more until it is back under them. A
+// grace window is switched off when the new tier lacks it, as it applies to every check.
+async function setLicenseTier(licenseKey, tier) {
+  if (!isValidTier(tier)) {
+    return { success: false, message: 'Unknown tier!' };
+  }
+  
+  try {
+    const result = await pool.query(
+      `UPDATE licenses SET tier = $2,
+         grace_window_minutes = CASE WHEN $3 THEN grace_window_minutes ELSE 0 END
+       WHERE license_key = $1`,
+      [licenseKey, tier, getTier(tier).features.includes(FEATURES.GRACE_TOKENS)]
+    );
+    if (result.rowCount === 0) {
+      return { success: false, message: 'License not found!' };
+    }
+    
+    logger.info(`Moved license ${licenseKey} to the ${tier} tier`);
+    return { success: true, tier, usage: await countLicenseUsage(pool, licenseKey) };
+  } catch (error) {
+    logger.error('Error setting license tier:', error);
+    return { success: false, message: 'Database error occurred!' };
+  }
+}
+
+// Returns { tier, limits, usage } for the license, or null if not found
+async function getLicenseUsage(licenseKey) {
+  try {
+    const tier = await getLicenseTierName(pool, licenseKey);
+    if (tier === null) {
+      return null;
+    }
+    return { tier, limits: getTier(tier), usage: await countLicenseUsage(pool, licenseKey) };
+  } catch (error) {
+    logger.error('Error getting license usage:', error);
+    return null;
+  }
+}
+
+async function getUsersForLicense(licenseKey) {
+  try {
+    const result = await pool.query(
+      `SELECT roblox_user_id, username, vehicle, expires_at,
+              CASE WHEN ${suspendedGrantSql()} THEN suspended_until END as suspended_until,
+              ${suspendedGrantSql()} as is_suspended, suspension_reason
+       FROM authorized_users
+       WHERE license_key = $1 AND ${activeGrantSql()}`,
+      [licenseKey]
+    );
+    return result.rows;
+  } catch (error) {
+    logger.warn(`No users found for license ${licenseKey}:`, error);
+    return [];
+  }
+}
+
+// Moves a user's legacy username-only grants on a license onto their UserId
+async function claimLegacyGrants(db, licenseKey, robloxUser) {
+  // Drop legacy rows that the UserId already covers so the update cannot collide
+  await db.query(
+    `DELETE FROM authorized_users AS a
+     WHERE a.license_key = $1 AND a.roblox_user_id IS NULL AND LOWER(a.username) = LOWER($3)
+       AND EXISTS (
+           SELECT 1 FROM authorized_users b
+           WHERE b.license_key = a.license_key AND b.roblox_user_id = $2 AND b.vehicle = a.vehicle
+       )`,
+    [licenseKey, robloxUser.id, robloxUser.name]
+  );
+  await db.query(
+    `UPDATE authorized_users SET roblox_user_id = $2, username = $3
+     WHERE license_key = $1 AND roblox_user_id IS NULL AND LOWER(username) = LOWER($3)`,
+    [licenseKey, robloxUser.id, robloxUser.name]
+  );
+}
+
+// expiresAt is a Date for temporary grants, or null for a permanent one. The vehicle
+// may be given by catalog name, alias or asset id; grants store the catalog name.
+async function addUserToLicense(licenseKey, robloxUser, vehicle = null, expiresAt = null) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    
+    const tier = await getLicenseTierName(client, licenseKey, true);
+    if (tier === null) {
+      await client.query('ROLLBACK');
+      return { success: false, message: 'License not found' };
+    }
+    
+    let actualVehicle = ALL_VEHICLES;
+    if (vehicle !== null) {
+      const resolved = await resolveLicenseVehicle(client, licenseKey, String(vehicle));
+      if (resolved.message) {
+        await client.query('ROLLBACK');
+        return { success: false, message: resolved.message };
+      }
+      actualVehicle = resolved.vehicle;
+    }
+    
+    await claimLegacyGrants(client, licenseKey, robloxUser);
+    
+    // Keep the stored name current in case the user renamed since their last grant
+    await client.query(
+      'UPDATE authorized_users SET username = $1 WHERE roblox_user_id = $2',
+      [robloxUser.name, robloxUser.id]
+    );
+    
+    // Check if user already has permanent access to all vehicles
+    const allAccessCheck = await client.query(
+      'SELECT id FROM authorized_users WHERE license_key = $1 AND roblox_user_id = $2 AND vehicle = $3 AND expires_at IS NULL',
+      [licenseKey, robloxUser.id, ALL_VEHICLES]
+    );
+    
+    if (allAccessCheck.rows.length > 0 && actualVehicle !== ALL_VEHICLES) {
+      await client.query('ROLLBACK');
+      logger.warn(`User ${robloxUser.name} (${robloxUser.id}) already has access to ALL vehicles in license ${licenseKey}`);
+      return { success: false, message: 'User already has access to all vehicles' };
+    }
+    
+    // Check if user already has this specific vehicle
+    const specificCheck = await client.query(
+      'SELECT id, expires_at FROM authorized_users WHERE license_key = $1 AND roblox_user_id = $2 AND vehicle = $3',
+      [licenseKey, robloxUser.id, actualVehicle]
+    );
+    
+    if (specificCheck.rows.length > 0) {
+      const existing = specificCheck.rows[0];
+      
+      if (existing.expires_at === null) {
+        await client.query('ROLLBACK');
+        logger.warn(`User ${robloxUser.name} (${robloxUser.id}) already has vehicle ${actualVehicle} in license ${licenseKey}`);
+        return { success: false, message: actualVehicle === ALL_VEHICLES ? 'User already has access to all vehicles' : 'User already has this vehicle' };
+      }
+      
+      // Re-authorizing a temporary grant extends it (or makes it permanent) instead of failing
+      const extended = await client.query(
+        `UPDATE authorized_users
+         SET expires_at = CASE WHEN $2::TIMESTAMP IS NULL THEN NULL ELSE GREATEST(expires_at, $2::TIMESTAMP) END
+         WHERE id = $1 RETURNING expires_at`,
+        [existing.id, expiresAt]
+      );
+      
+      await client.query('COMMIT');
+      
+      logger.info(`Extended vehicle ${actualVehicle} for user ${robloxUser.name} (${robloxUser.id}) in license ${licenseKey} until ${extended.rows[0].expires_at || 'forever'}`);
+      await enqueueEvent(licenseKey, WEBHOOK_EVENTS.USER_AUTHORIZED, {
+        userId: robloxUser.id,
+        username: robloxUser.name,
+        vehicle: actualVehicle,
+        expiresAt: extended.rows[0].expires_at,
+        extended: true
+      });
+      return { success: true, extended: true, forAllVehicles: actualVehicle === ALL_VEHICLES, vehicle: actualVehicle, expiresAt: extended.rows[0].expires_at };
+    }
+    
+    // Only new grants count against the tier; extending one above never does
+    const quotaMessage = await checkGrantQuota(client, licenseKey, tier, robloxUser, actualVehicle);
+    if (quotaMessage) {
+      await client.query('ROLLBACK');
+      return { success: false, message: quotaMessage };
+    }
+    
+    // Add the new authorization
+    await client.query(
+      'INSERT INTO authorized_users (license_key, roblox_user_id, username, vehicle, expires_at) VALUES ($1, $2, $3, $4, $5)',
+      [licenseKey, robloxUser.id, robloxUser.name, actualVehicle, expiresAt]
+    );
+    
+    await client.query('COMMIT');
+    
+    logger.info(`Added user ${robloxUser.name} (${robloxUser.id}) with vehicle ${actualVehicle} to license ${licenseKey}${expiresAt ? ` until ${expiresAt.toISOString()}` : ''}`);
+    await enqueueEvent(licenseKey, WEBHOOK_EVENTS.USER_AUTHORIZED, {
+      userId: robloxUser.id,
+      username: robloxUser.name,
+      vehicle: actualVehicle,
+      expiresAt,
+      extended: false
+    });
+    return { success: true, extended: false, forAllVehicles: actualVehicle === ALL_VEHICLES, vehicle: actualVehicle, expiresAt };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error adding user to license:', error);
+    return { success: false, message: 'Error adding user' };
+  } finally {
+    client.release();
+  }
+}
+
+// Message explaining why the tier does not allow granting actualVehicle to the player, or
+// null when it does: bundles and patterns need the feature, and a new player or vehicle
+// must fit the quota
+async function checkGrantQuota(db, licenseKey, tier, robloxUser, actualVehicle) {
+  if (actualVehicle !== ALL_VEHICLES && (actualVehicle.startsWith(BUNDLE_PREFIX) || isVehiclePattern(actualVehicle))) {
+    const deniedMessage = featureDeniedMessage(tier, FEATURES.BUNDLES);
+    if (deniedMessage) {
+      return deniedMessage;
+    }
+  }
+  
+  const existing = await db.query(
+    `SELECT
+       EXISTS (SELECT 1 FROM authorized_users WHERE license_key = $1 AND roblox_user_id = $2 AND ${activeGrantSql()}) as has_user,
+       EXISTS (SELECT 1 FROM authorized_users WHERE license_key = $1 AND vehicle = $3 AND ${activeGrantSql()}) as has_vehicle`,
+    [licenseKey, robloxUser.id, actualVehicle]
+  );
+  const { has_user: hasUser, has_vehicle: hasVehicle } = existing.rows[0];
+  if (hasUser && (hasVehicle || actualVehicle === ALL_VEHICLES)) {
+    return null;
+  }
+  
+  const usage = await countLicenseUsage(db, licenseKey);
+  return (!hasUser && quotaExceededMessage(tier, 'maxUsers', usage.users))
+    || (!hasVehicle && actualVehicle !== ALL_VEHICLES && quotaExceededMessage(tier, 'maxVehicles', usage.vehicles))
+    || null;
+}
+
+// robloxUser.id may be null when the name no longer resolves; legacy rows still match by name.
+// Catalog aliases and asset ids are accepted, as are names no longer in the catalog.
+async function removeUserFromLicense(licenseKey, robloxUser, vehicle = null) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    
+    let result;
+    if (vehicle) {
+      const catalogVehicle = await findLicenseVehicle(client, licenseKey, String(vehicle));
+      vehicle = catalogVehicle ? catalogVehicle.name : vehicle;
+      
+      // Remove specific vehicle for user
+      result = await client.query(
+        `DELETE FROM authorized_users WHERE license_key = $1 AND ${playerMatchSql('$2', '$3')} AND vehicle = $4`,
+        [licenseKey, robloxUser.id, robloxUser.name, vehicle]
+      );
+      
+      if (result.rowCount === 0) {
+        await client.query('ROLLBACK');
+        logger.warn(`Vehicle ${vehicle} not found for user ${robloxUser.name} in license ${licenseKey}`);
+        return false;
+      }
+      
+      logger.info(`Removed vehicle ${vehicle} from user ${robloxUser.name} in license ${licenseKey}`);
+    } else {
+      // Remove ALL authorization for user
+      result = await client.query(
+        `DELETE FROM authorized_users WHERE license_key = $1 AND ${playerMatchSql('$2', '$3')}`,
+        [licenseKey, robloxUser.id, robloxUser.name]
+      );
+      
+      if (result.rowCount === 0) {
+        await client.query('ROLLBACK');
+        logger.warn(`User ${robloxUser.name} not found in license ${licenseKey}`);
+        return false;
+      }
+      
+      logger.info(`Removed ALL vehicles for user ${robloxUser.name} from license ${licenseKey}`);
+    }
+    
+    await client.query('COMMIT');
+    await enqueueEvent(licenseKey, WEBHOOK_EVENTS.USER_DEAUTHORIZED, {
+      userId: robloxUser.id,
+      username: robloxUser.name,
+      vehicle,
+      removed: result.rowCount
+    });
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error removing user from license:', error);
+    return false;
+  } finally {
+    client.release();
+  }
+}
+
+// Suspends a player's grants on a license, or only their grant for one vehicle, without
+// removing them. Suspended grants deny checks until `until` passes or the suspension is
+// lifted, and come back untouched. Returns { success, message?, suspended } where
+// suspended is the number of grants affected.
+async function suspendGrant(licenseKey, robloxUser, vehicle, { reason, until = null, suspendedBy }) {
+  const reasonMessage = invalidReason(reason);
+  if (reasonMessage) {
+    return { success: false, message: reasonMessage };
+  }
+  reason = reason.trim();
+  
+  try {
+    if (vehicle) {
+      const catalogVehicle = await findLicenseVehicle(pool, licenseKey, String(vehicle));
+      vehicle = catalogVehicle ? catalogVehicle.name : vehicle;
+    }
+    
+    const result = await pool.query(
+      `UPDATE authorized_users
+       SET suspended_at = NOW(), suspended_until = $5, suspension_reason = $6, suspended_by = $7
+       WHERE license_key = $1 AND ${playerMatchSql('$2', '$3')} AND ($4::TEXT IS NULL OR vehicle = $4)
+         AND ${activeGrantSql()}`,
+      [licenseKey, robloxUser.id, robloxUser.name, vehicle || null, until, reason, suspendedBy]
+    );
+    
+    if (result.rowCount === 0) {
+      return { success: false, message: vehicle ? 'User does not have this vehicle' : 'User is not authorized on this license' };
+    }
+    
+    logger.info(`Suspended ${result.rowCount} grant(s) of ${robloxUser.name}${vehicle ? ` for ${vehicle}` : ''} in license ${licenseKey} (${reason})`);
+    await enqueueEvent(licenseKey, WEBHOOK_EVENTS.USER_SUSPENDED, {
+      userId: robloxUser.id,
+      username: robloxUser.name,
+      vehicle: vehicle || null,
+      reason,
+      until,
+      suspendedBy
+    });
+    return { success: true, suspended: result.rowCount, vehicle: vehicle || null };
+  } catch (error) {
+    logger.error('Error suspending grant:', error);
+    return { success: false, message: 'Error suspending user' };
+  }
+}
+
+// Lifts suspensions set by suspendGrant. Returns { success, message?, lifted }.
+async function unsuspendGrant(licenseKey, robloxUser, vehicle) {
+  try {
+    if (vehicle) {
+      const catalogVehicle = await findLicenseVehicle(pool, licenseKey, String(vehicle));
+      vehicle = catalogVehicle ? catalogVehicle.name : vehicle;
+    }
+    
+    const result = await pool.query(
+      `UPDATE authorized_users
+       SET suspended_at = NULL, suspended_until = NULL, suspension_reason = NULL, suspended_by = NULL
+       WHERE license_key = $1 AND ${playerMatchSql('$2', '$3')} AND ($4::TEXT IS NULL OR vehicle = $4)
+         AND ${suspendedGrantSql()}`,
+      [licenseKey, robloxUser.id, robloxUser.name, vehicle || null]
+    );
+    
+    if (result.rowCount === 0) {
+      return { success: false, message: 'No suspended grants found for this user' };
+    }
+    
+    logger.info(`Lifted suspension of ${result.rowCount} grant(s) of ${robloxUser.name}${vehicle ? ` for ${vehicle}` : ''} in license ${licenseKey}`);
+    await enqueueEvent(licenseKey, WEBHOOK_EVENTS.USER_UNSUSPENDED, {
+      userId: robloxUser.id,
+      username: robloxUser.name,
+      vehicle: vehicle || null
+    });
+    return { success: true, lifted: result.rowCount, vehicle: vehicle || null };
+  } catch (error) {
+    logger.error('Error lifting suspension:', error);
+    return { success: false, message: 'Error lifting suspension' };
+  }
+}
+
+// Pause license functions
+// Pause actors (pausedBy and the history's actor) are the Discord user id of the bot owner,
+// 'admin' for the global API key, 'token:<id>' or 'expiry'
+function recordPauseHistory(db, licenseKey, action, actor, reason = null, resumeAt = null) {
+  return db.query(
+    'INSERT INTO license_pause_history (license_key, action, actor, reason, resume_at) VALUES ($1, $2, $3, $4, $5)',
+    [licenseKey, action, actor, reason, resumeAt]
+  );
+}
+
+// Message when a pause or suspension reason is missing or too long, otherwise null
+function invalidReason(reason) {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return 'A reason is required';
+  }
+  return reason.trim().length > MAX_PAUSE_REASON_LENGTH ? `Reasons can be up to ${MAX_PAUSE_REASON_LENGTH} characters` : null;
+}
+
+// Pauses a license for reason; with resumeAt it unpauses itself at that time
+async function pauseLicense(licenseKey, pausedBy, reason, resumeAt = null) {
+  const reasonMessage = invalidReason(reason);
+  if (reasonMessage) {
+    return { success: false, message: reasonMessage };
+  }
+  reason = reason.trim();
+  
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    
+    // Check if license exists
+    const licenseCheck = await client.query(
+      'SELECT owner_id, owner_tag FROM licenses WHERE license_key = $1',
+      [licenseKey]
+    );
+    
+    if (licenseCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { success: false, message: 'License not found' };
+    }
+    
+    // Check if already paused
+    const pauseCheck = await client.query(
+      'SELECT license_key FROM paused_licenses WHERE license_key = $1',
+      [licenseKey]
+    );
+    
+    if (pauseCheck.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return { success: false, message: 'License is already paused' };
+    }
+    
+    // Add to paused licenses
+    await client.query(
+      'INSERT INTO paused_licenses (license_key, owner_id, owner_tag, paused_by, reason, resume_at) VALUES ($1, $2, $3, $4, $5, $6)',
+      [licenseKey, licenseCheck.rows[0].owner_id, licenseCheck.rows[0].owner_tag, pausedBy, reason, resumeAt]
+    );
+    await recordPauseHistory(client, licenseKey, PAUSE_ACTIONS.PAUSED, pausedBy, reason, resumeAt);
+    
+    await client.query('COMMIT');
+    logger.info(`License paused: ${licenseKey} by ${pausedBy} (${reason})${resumeAt ? ` until ${resumeAt.toISOString()}` : ''}`);
+    await enqueueEvent(licenseKey, WEBHOOK_EVENTS.LICENSE_PAUSED, { pausedBy, reason, resumeAt });
+    return { success: true, message: 'License paused successfully' };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error pausing license:', error);
+    return { success: false, message: 'Error pausing license' };
+  } finally {
+    client.release();
+  }
+}
+
+// API tokens can only lift pauses made by a token, never one the bot owner put in place.
+// Expired licenses stay paused until they are renewed.
+async function unpauseLicense(licenseKey, { tokenPausesOnly = false, unpausedBy = null } = {}) {
+  try {
+    const expiredCheck = await pool.query(
+      'SELECT 1 FROM licenses WHERE license_key = $1 AND expires_at <= NOW()',
+      [licenseKey]
+    );
+    if (expiredCheck.rows.length > 0) {
+      return { success: false, message: 'License has expired, renew it instead' };
+    }
+    
+    const result = await pool.query(
+      `DELETE FROM paused_licenses WHERE license_key = $1${tokenPausesOnly ? " AND paused_by LIKE 'token:%'" : ''}`,
+      [licenseKey]
+    );
+    
+    if (result.rowCount === 0) {
+      const message = tokenPausesOnly ? 'License is not paused or was paused by the bot owner' : 'License is not paused or does not exist';
+      return { success: false, message };
+    }
+    
+    await recordPauseHistory(pool, licenseKey, PAUSE_ACTIONS.UNPAUSED, unpausedBy);
+    logger.info(`License unpaused: ${licenseKey}${unpausedBy ? ` by ${unpausedBy}` : ''}`);
+    await enqueueEvent(licenseKey, WEBHOOK_EVENTS.LICENSE_UNPAUSED, {});
+    return { success: true, message: 'License unpaused successfully' };
+  } catch (error) {
+    logger.error('Error unpausing license:', error);
+    return { success: false, message: 'Error unpausing license' };
+  }
+}
+
+// Extends a license's subscription by durationMs, counted from its current expiry or from
+// now if it already ran out, and lifts the pause its expiry caused right away.
+// Returns { success, expiresAt, unpaused }.
+async function renewLicense(licenseKey, durationMs) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    
+    const renewed = await client.query(
+      `UPDATE licenses
+       SET expires_at = ${pool.shiftTimeSql('GREATEST(expires_at, NOW())', '$2', 'millisecond')},
+           expiry_reminded_at = NULL,
+           expiry_notified_at = NULL
+       WHERE license_key = $1 RETURNING expires_at`,
+      [licenseKey, durationMs]
+    );
+    
+    if (renewed.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { success: false, message: 'License not found' };
+    }
+    
+    const unpaused = await client.query(
+      'DELETE FROM paused_licenses WHERE license_key = $1 AND paused_by = $2',
+      [licenseKey, EXPIRY_PAUSED_BY]
+    );
+    if (unpaused.rowCount > 0) {
+      await recordPauseHistory(client, licenseKey, PAUSE_ACTIONS.UNPAUSED, EXPIRY_PAUSED_BY, 'License renewed');
+    }
+    
+    await client.query('COMMIT');
+    
+    const expiresAt = renewed.rows[0].expires_at;
+    logger.info(`License renewed: ${licenseKey} until ${expiresAt.toISOString()}${unpaused.rowCount > 0 ? ' (unpaused)' : ''}`);
+    if (unpaused.rowCount > 0) {
+      await enqueueEvent(licenseKey, WEBHOOK_EVENTS.LICENSE_UNPAUSED, {});
+    }
+    return { success: true, expiresAt, unpaused: unpaused.rowCount > 0 };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error renewing license:', error);
+    return { success: false, message: 'Error renewing license' };
+  } finally {
+    client.release();
+  }
+}
+
+// Pauses every license whose subscription has run out and is not paused yet.
+// Returns the paused licenses as { license_key, owner_id, owner_tag, expires_at } rows.
+async function pauseExpiredLicenses() {
+  const client = await pool.connect();
+  let result;
+  try {
+    await client.query('BEGIN');
+    
+    const paused = await client.query(
+      `INSERT INTO paused_licenses (license_key, owner_id, owner_tag, paused_by, reason)
+       SELECT license_key, owner_id, owner_tag, $1, $2
+       FROM licenses
+       WHERE expires_at <= NOW()
+       ON CONFLICT (license_key) DO NOTHING
+       RETURNING license_key`,
+      [EXPIRY_PAUSED_BY, EXPIRED_PAUSE_REASON]
+    );
+    for (const row of paused.rows) {
+      await recordPauseHistory(client, row.license_key, PAUSE_ACTIONS.PAUSED, EXPIRY_PAUSED_BY, EXPIRED_PAUSE_REASON);
+    }
+    result = await client.query(
+      `SELECT license_key, owner_id, owner_tag, expires_at FROM licenses
+       WHERE ${pool.arrayContainsSql('license_key', '$1::TEXT[]')}`,
+      [paused.rows.map(row => row.license_key)]
+    );
+    
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  
+  for (const row of result.rows) {
+    logger.info(`License paused: ${row.license_key} expired at ${row.expires_at.toISOString()}`);
+    await enqueueEvent(row.license_key, WEBHOOK_EVENTS.LICENSE_PAUSED, { pausedBy: EXPIRY_PAUSED_BY });
+  }
+  return result.rows;
+}
+
+// Active licenses expiring within withinMs whose owners were not reminded yet, marked as
+// reminded. Renewing resets the reminder.
+async function takeExpiringLicenses(withinMs) {
+  const result = await pool.query(
+    `UPDATE licenses SET expiry_reminded_at = NOW()
+     WHERE expires_at > NOW() AND expires_at <= ${pool.shiftTimeSql('NOW()', '$1', 'millisecond')}
+       AND expiry_reminded_at IS NULL
+     RETURNING license_key, owner_id, owner_tag, expires_at`,
+    [withinMs]
+  );
+  return result.rows;
+}
+
+// Licenses that ran out since their owners were last told, marked as told. Renewing
+// resets the notice.
+async function takeExpiredLicenses() {
+  const result = await pool.query(
+    `UPDATE licenses SET expiry_notified_at = NOW()
+     WHERE ${licenseExpiredSql()} AND expiry_notified_at IS NULL
+     RETURNING license_key, owner_id, owner_tag, expires_at`
+  );
+  return result.rows;
+}
+
+async function getPausedLicenses() {
+  try {
+    const result = await pool.query('SELECT * FROM paused_licenses ORDER BY paused_at DESC');
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting paused licenses:', error);
+    return [];
+  }
+}
+
+// Schedules a pause to start at pauseAt, replacing any pause already scheduled for the license
+async function schedulePause(licenseKey, scheduledBy, reason, pauseAt, resumeAt = null) {
+  const reasonMessage = invalidReason(reason);
+  if (reasonMessage) {
+    return { success: false, message: reasonMessage };
+  }
+  reason = reason.trim();
+  
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    
+    const result = await client.query(
+      `INSERT INTO scheduled_pauses (license_key, pause_at, resume_at, reason, scheduled_by)
+       SELECT license_key, $2, $3, $4, $5 FROM licenses WHERE license_key = $1
+       ON CONFLICT (license_key) DO UPDATE SET
+         pause_at = $2, resume_at = $3, reason = $4, scheduled_by = $5, created_at = NOW()`,
+      [licenseKey, pauseAt, resumeAt, reason, scheduledBy]
+    );
+    
+    if (result.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return { success: false, message: 'License not found' };
+    }
+    
+    await recordPauseHistory(client, licenseKey, PAUSE_ACTIONS.SCHEDULED, scheduledBy, reason, resumeAt);
+    await client.query('COMMIT');
+    
+    logger.info(`License pause scheduled: ${licenseKey} at ${pauseAt.toISOString()} by ${scheduledBy} (${reason})`);
+    return { success: true, message: 'Pause scheduled successfully' };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error scheduling license pause:', error);
+    return { success: false, message: 'Error scheduling pause' };
+  } finally {
+    client.release();
+  }
+}
+
+// Like unpausing, API tokens can only cancel pauses a token scheduled
+async function cancelScheduledPause(licenseKey, { tokenSchedulesOnly = false, cancelledBy = null } = {}) {
+  try {
+    const result = await pool.query(
+      `DELETE FROM scheduled_pauses WHERE license_key = $1${tokenSchedulesOnly ? " AND scheduled_by LIKE 'token:%'" : ''}`,
+      [licenseKey]
+    );
+    
+    if (result.rowCount === 0) {
+      return { success: false, message: 'No pause is scheduled for this license' };
+    }
+    
+    await recordPauseHistory(pool, licenseKey, PAUSE_ACTIONS.SCHEDULE_CANCELLED, cancelledBy);
+    logger.info(`Scheduled pause cancelled: ${licenseKey}`);
+    return { success: true, message: 'Scheduled pause cancelled' };
+  } catch (error) {
+    logger.error('Error cancelling scheduled pause:', error);
+    return { success: false, message: 'Error cancelling scheduled pause' };
+  }
+}
+
+// Returns the license's pending { pause_at, resume_at, reason, scheduled_by }, or null
+async function getScheduledPause(licenseKey) {
+  try {
+    const result = await pool.query(
+      'SELECT pause_at, resume_at, reason, scheduled_by, created_at FROM scheduled_pauses WHERE license_key = $1',
+      [licenseKey]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error getting scheduled pause:', error);
+    return null;
+  }
+}
+
+// Starts scheduled pauses that are due and lifts pauses whose resume time has passed.
+// Returns { started, resumed } license keys.
+async function processScheduledPauses() {
+  const due = await pool.query(
+    'DELETE FROM scheduled_pauses WHERE pause_at <= NOW() RETURNING license_key, resume_at, reason, scheduled_by'
+  );
+  
+  const started = [];
+  for (const row of due.rows) {
+    const result = await pauseLicense(row.license_key, row.scheduled_by, row.reason, row.resume_at);
+    if (result.success) {
+      started.push(row.license_key);
+    } else {
+      logger.warn(`Scheduled pause of ${row.license_key} skipped: ${result.message}`);
+    }
+  }
+  
+  const client = await pool.connect();
+  let resumed;
+  try {
+    await client.query('BEGIN');
+    resumed = await client.query('DELETE FROM paused_licenses WHERE resume_at <= NOW() RETURNING license_key');
+    for (const row of resumed.rows) {
+      await recordPauseHistory(client, row.license_key, PAUSE_ACTIONS.UNPAUSED, null, 'Pause ended');
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  
+  for (const row of resumed.rows) {
+    logger.info(`License unpaused: ${row.license_key} (pause ended)`);
+    await enqueueEvent(row.license_key, WEBHOOK_EVENTS.LICENSE_UNPAUSED, {});
+  }
+  
+  return { started, resumed: resumed.rows.map(row => row.license_key) };
+}
+
+// Newest first
+async function getPauseHistory(licenseKey, limit = 10) {
+  try {
+    const result = await pool.query(
+      `SELECT action, actor, reason, resume_at, created_at FROM license_pause_history
+       WHERE license_key = $1 ORDER BY created_at DESC, id DESC LIMIT $2`,
+      [licenseKey, limit]
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting pause history:', error);
+    return [];
+  }
+}
+
+async function isLicensePaused(licenseKey) {
+  try {
+    const result = await pool.query(`SELECT ${licensePausedSql('$1::TEXT')} as is_paused`, [licenseKey]);
+    return result.rows[0].is_paused;
+  } catch (error) {
+    logger.error('Error checking license pause status:', error);
+    return false;
+  }
+}
+
+// Utility function to get user's license key
+// The license an owner's commands act on when they do not pick one: their default license,
+// else the oldest one they own. null if they own none.
+async function getUserLicense(userId) {
+  try {
+    const result = await pool.query(
+      'SELECT license_key FROM licenses WHERE owner_id = $1 ORDER BY is_default DESC, created_at, license_key LIMIT 1',
+      [userId]
+    );
+    return result.rows.length > 0 ? result.rows[0].license_key : null;
+  } catch (error) {
+    logger.error('Error getting user license:', error);
+    return null;
+  }
+}
+
+// Old keys of a license that still work after a rotation, newest first
+async function getKeyAliases(licenseKey) {
+  const result = await pool.query(
+    `SELECT old_key, expires_at, rotated_by, created_at FROM license_key_aliases
+     WHERE license_key = $1 AND expires_at > NOW() ORDER BY created_at DESC`,
+    [licenseKey]
+  );
+  return result.rows;
+}
+
+// Every license a user owns, default first and then oldest first, with its pause state
+async function getOwnerLicenses(ownerId) {
+  const result = await pool.query(
+    `SELECT l.license_key, l.name, l.is_default, l.tier, l.created_at, l.expires_at,
+            pl.license_key IS NOT NULL as is_paused
+     FROM licenses l
+     LEFT JOIN paused_licenses pl ON l.license_key = pl.license_key
+     WHERE l.owner_id = $1
+     ORDER BY l.is_default DESC, l.created_at, l.license_key`,
+    [ownerId]
+  );
+  return result.rows;
+}
+
+// Finds one of an owner's licenses by its key or friendly name. Returns the key, or null
+// when they own no such license.
+async function findOwnerLicense(ownerId, selector) {
+  try {
+    const result = await pool.query(
+      `SELECT license_key FROM licenses
+       WHERE owner_id = $1 AND (license_key = $2 OR LOWER(name) = LOWER($2))
+       ORDER BY license_key = $2 DESC LIMIT 1`,
+      [ownerId, selector.trim()]
+    );
+    return result.rows.length > 0 ? result.rows[0].license_key : null;
+  } catch (error) {
+    logger.error('Error finding owner license:', error);
+    return null;
+  }
+}
+
+// Makes one of an owner's licenses the one their commands use by default
+async function setDefaultLicense(ownerId, licenseKey) {
+  try {
+    const result = await pool.query(
+      `UPDATE licenses SET is_default = (license_key = $2)
+       WHERE owner_id = $1 AND EXISTS (SELECT 1 FROM licenses WHERE owner_id = $1 AND license_key = $2)`,
+      [ownerId, licenseKey]
+    );
+    if (result.rowCount === 0) {
+      return { success: false, message: 'You don\'t own this license!' };
+    }
+    logger.info(`Default license of ${ownerId} set to ${licenseKey}`);
+    return { success: true, message: `${licenseKey} is now your default license!` };
+  } catch (error) {
+    logger.error('Error setting default license:', error);
+    return { success: false, message: 'Database error occurred!' };
+  }
+}
+
+// Sets a license's friendly name, or clears it with null
+async function setLicenseName(licenseKey, name) {
+  if (name !== null) {
+    const nameMessage = invalidLicenseName(name);
+    if (nameMessage) {
+      return { success: false, message: nameMessage };
+    }
+    name = name.trim();
+  }
+
+  try {
+    const license = await pool.query('SELECT owner_id FROM licenses WHERE license_key = $1', [licenseKey]);
+    if (license.rows.length === 0) {
+      return { success: false, message: 'License not found!' };
+    }
+    if (name && await licenseNameTaken(pool, license.rows[0].owner_id, name, licenseKey)) {
+      return { success: false, message: `The owner already has a license named "${name}"!` };
+    }
+
+    await pool.query('UPDATE licenses SET name = $2 WHERE license_key = $1', [licenseKey, name]);
+    logger.info(`License ${licenseKey} ${name ? `renamed to ${name}` : 'name cleared'}`);
+    return { success: true, message: name ? `License renamed to "${name}"!` : 'License name cleared!' };
+  } catch (error) {
+    logger.error('Error setting license name:', error);
+    return { success: false, message: 'Database error occurred!' };
+  }
+}
+
+// Admin/Helper management functions
+async function addLicenseStaff(licenseKey, staffUserId, staffUserTag, roleType, addedByUserId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    
+    // Check if user is already staff for this license
+    const existingCheck = await client.query(
+      'SELECT id FROM license_admins WHERE license_key = $1 AND user_id = $2',
+      [licenseKey, staffUserId]
+    );
+    
+    if (existingCheck.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return { success: false, message: 'User is already staff for this license' };
+    }
+    
+    // Check if user is the license owner
+    const ownerCheck = await client.query(
+      'SELECT owner_id FROM licenses WHERE license_key = $1 AND owner_id = $2',
+      [licenseKey, staffUserId]
+    );
+    
+    if (ownerCheck.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return { success: false, message: 'Cannot add license owner as staff' };
+    }
+    
+    const tier = await getLicenseTierName(client, licenseKey, true);
+    const quotaMessage = quotaExceededMessage(tier, 'maxStaff', (await countLicenseUsage(client, licenseKey)).staff);
+    if (quotaMessage) {
+      await client.query('ROLLBACK');
+      return { success: false, message: quotaMessage };
+    }
+    
+    // Add the staff member
+    await client.query(
+      'INSERT INTO license_admins (license_key, user_id, user_tag, role_type, added_by) VALUES ($1, $2, $3, $4, $5)',
+      [licenseKey, staffUserId, staffUserTag, roleType, addedByUserId]
+    );
+    
+    await client.query('COMMIT');
+    
+    logger.info(`Added ${roleType} ${staffUserTag} to license ${licenseKey}`);
+    await enqueueEvent(licenseKey, WEBHOOK_EVENTS.STAFF_CHANGED, {
+      action: 'added',
+      userId: staffUserId,
+      userTag: staffUserTag,
+      role: roleType,
+      changedBy: addedByUserId
+    });
+    return { success: true, message: `${roleType.charAt(0).toUpperCase() + roleType.slice(1)} added successfully` };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error adding license staff:', error);
+    return { success: false, message: 'Error adding staff member' };
+  } finally {
+    client.release();
+  }
+}
+
+async function removeLicenseStaff(licenseKey, staffUserId, removedByUserId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    
+    // Remove the staff member
+    const result = await client.query(
+      'DELETE FROM license_admins WHERE license_key = $1 AND user_id = $2 RETURNING user_tag, role_type',
+      [licenseKey, staffUserId]
+    );
+    
+    if (result.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return { success: false, message: 'Staff member not found for this license' };
+    }
+    
+    await client.query('COMMIT');
+    
+    logger.info(`Removed staff ${staffUserId} from license ${licenseKey}`);
+    await enqueueEvent(licenseKey, WEBHOOK_EVENTS.STAFF_CHANGED, {
+      action: 'removed',
+      userId: staffUserId,
+      userTag: result.rows[0].user_tag,
+      role: result.rows[0].role_type,
+      changedBy: removedByUserId
+    });
+    return { success: true, message: 'Staff member removed successfully' };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error removing license staff:', error);
+    return { success: false, message: 'Error removing staff member' };
+  } finally {
+    client.release();
+  }
+}
+
+async function getLicenseStaff(licenseKey) {
+  try {
+    const result = await pool.query(
+      'SELECT user_id, user_tag, role_type, added_by, added_at FROM license_admins WHERE license_key = $1 ORDER BY role_type, added_at',
+      [licenseKey]
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting license staff:', error);
+    return [];
+  }
+}
+
+async function getUserStaffRoles(userId) {
+  try {
+    const result = await pool.query(
+      `SELECT la.license_key, la.role_type, l.owner_tag 
+       FROM license_admins la 
+       JOIN licenses l ON la.license_key = l.license_key 
+       WHERE la.user_id = $1`,
+      [userId]
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting user staff roles:', error);
+    return [];
+  }
+}
+
+async function canUserManageLicense(userId, licenseKey, requireAdmin = false) {
+  try {
+    // Check if user is license owner
+    const ownerCheck = await pool.query(
+      'SELECT license_key FROM licenses WHERE license_key = $1 AND owner_id = $2',
+      [licenseKey, userId]
+    );
+    
+    if (ownerCheck.rows.length > 0) {
+      return { canManage: true, isOwner: true, role: 'owner' };
+    }
+    
+    // Check if user is staff for this license
+    const staffCheck = await pool.query(
+      'SELECT role_type FROM license_admins WHERE license_key = $1 AND user_id = $2',
+      [licenseKey, userId]
+    );
+    
+    if (staffCheck.rows.length > 0) {
+      const staffRole = staffCheck.rows[0].role_type;
+      if (requireAdmin && staffRole !== ROLE_TYPES.ADMIN) {
+        return { canManage: false, isOwner: false, role: staffRole };
+      }
+      return { canManage: true, isOwner: false, role: staffRole };
+    }
+    
+    return { canManage: false, isOwner: false, role: null };
+  } catch (error) {
+    logger.error('Error checking license management permissions:', error);
+    return { canManage: false, isOwner: false, role: null };
+  }
+}
+
+// Place allowlist functions
+async function addLicensePlace(licenseKey, placeType, placeId, addedByUserId) {
+  try {
+    const result = await pool.query(
+      `INSERT INTO license_places (license_key, place_type, place_id, added_by) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (license_key, place_type, place_id) DO NOTHING`,
+      [licenseKey, placeType, placeId, addedByUserId]
+    );
+
+    if (result.rowCount === 0) {
+      return { success: false, message: `This ${placeType} is already allowed` };
+    }
+
+    // The place is known now, so stop reporting it as suspicious
+    const flagColumn = placeType === PLACE_TYPES.UNIVERSE ? 'universe_id' : 'place_id';
+    await pool.query(
+      `DELETE FROM flagged_places WHERE license_key = $1 AND ${flagColumn} = $2`,
+      [licenseKey, placeId]
+    );
+
+    logger.info(`Allowed ${placeType} ${placeId} for license ${licenseKey}`);
+    return { success: true };
+  } catch (error) {
+    logger.error('Error adding license place:', error);
+    return { success: false, message: 'Error adding place' };
+  }
+}
+
+async function removeLicensePlace(licenseKey, placeType, placeId) {
+  try {
+    const result = await pool.query(
+      'DELETE FROM license_places WHERE license_key = $1 AND place_type = $2 AND place_id = $3',
+      [licenseKey, placeType, placeId]
+    );
+
+    if (result.rowCount === 0) {
+      return { success: false, message: `This ${placeType} is not on the allowlist` };
+    }
+
+    logger.info(`Removed ${placeType} ${placeId} from license ${licenseKey}`);
+    return { success: true };
+  } catch (error) {
+    logger.error('Error removing license place:', error);
+    return { success: false, message: 'Error removing place' };
+  }
+}
+
+async function getLicensePlaces(licenseKey) {
+  try {
+    const result = await pool.query(
+      'SELECT place_type, place_id, added_by, added_at FROM license_places WHERE license_key = $1 ORDER BY place_type, added_at',
+      [licenseKey]
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting license places:', error);
+    return [];
+  }
+}
+
+async function getFlaggedPlaces(licenseKey) {
+  try {
+    const result = await pool.query(
+      'SELECT place_id, universe_id, hit_count, first_seen, last_seen FROM flagged_places WHERE license_key = $1 ORDER BY last_seen DESC',
+      [licenseKey]
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting flagged places:', error);
+    return [];
+  }
+}
+
+// Vehicle catalog functions. Licenses without a catalog accept any vehicle name.
+
+// Splits a comma-separated alias list (or cleans an array), dropping blanks and case-insensitive repeats
+function parseVehicleAliases(input) {
+  const parts = Array.isArray(input) ? input : String(input || '').split(',');
+  const aliases = [];
+  for (const alias of parts.map(part => String(part).trim()).filter(Boolean)) {
+    if (!aliases.some(existing => existing.toLowerCase() === alias.toLowerCase())) {
+      aliases.push(alias);
+    }
+  }
+  return aliases;
+}
+
+// Matches the catalog entry a name, alias or asset id in inputSql refers to
+// (case-insensitive). Grants store the catalog name, so checks resolve what the game sends
+// through this too.
+function catalogVehicleMatchSql(inputSql, alias = '') {
+  const col = alias ? `${alias}.` : '';
+  return `(LOWER(${col}name) = LOWER(${inputSql}) OR ${col}asset_id::TEXT = ${inputSql}
+    OR EXISTS (SELECT 1 FROM ${pool.arrayElementsSql(`${col}aliases`, 'alias')} WHERE LOWER(alias) = LOWER(${inputSql})))`;
+}
+
+// Finds the catalog entry a name, alias or asset id refers to
+async function findLicenseVehicle(db, licenseKey, input) {
+  const result = await db.query(
+    `SELECT name, display_name, asset_id, aliases FROM license_vehicles
+     WHERE license_key = $1 AND ${catalogVehicleMatchSql('$2')}
+     LIMIT 1`,
+    [licenseKey, input.trim()]
+  );
+  return result.rows[0] || null;
+}
+
+// Maps the vehicle given to /authorize onto what the grant stores: the catalog name,
+// a glob pattern or a bundle reference (@name). Resolves to { vehicle }, or { message }
+// when the bundle does not exist, or the license has a catalog and the vehicle (or
+// every vehicle a pattern could match) is missing from it.
+async function resolveLicenseVehicle(db, licenseKey, input) {
+  if (input.trim().startsWith(BUNDLE_PREFIX)) {
+    const bundleName = input.trim().slice(BUNDLE_PREFIX.length).trim();
+    const bundle = await db.query(
+      'SELECT name FROM vehicle_bundles WHERE license_key = $1 AND LOWER(name) = LOWER($2)',
+      [licenseKey, bundleName]
+    );
+    if (bundle.rows.length === 0) {
+      return { message: `Bundle ${bundleName} does not exist` };
+    }
+    return { vehicle: BUNDLE_PREFIX + bundle.rows[0].name };
+  }
+  
+  if (isVehiclePattern(input)) {
+    const pattern = input.trim();
+    const matches = await db.query(
+      `SELECT COUNT(*)::INTEGER as catalog_size,
+              COUNT(*) FILTER (WHERE name LIKE ${globToLikeSql('$2')} ESCAPE '\\')::INTEGER as matching
+       FROM license_vehicles WHERE license_key = $1`,
+      [licenseKey, pattern]
+    );
+    const { catalog_size: catalogSize, matching } = matches.rows[0];
+    if (catalogSize > 0 && matching === 0) {
+      return { message: `Pattern ${pattern} matches no vehicle in this license's vehicle catalog` };
+    }
+    return { vehicle: pattern };
+  }
+  
+  const catalogVehicle = await findLicenseVehicle(db, licenseKey, input);
+  if (catalogVehicle) {
+    return { vehicle: catalogVehicle.name };
+  }
+  
+  const catalog = await db.query(
+    'SELECT name, display_name FROM license_vehicles WHERE license_key = $1 ORDER BY name',
+    [licenseKey]
+  );
+  if (catalog.rows.length === 0) {
+    return { vehicle: input.trim() };
+  }
+  
+  const needle = input.trim().toLowerCase();
+  const suggestions = catalog.rows
+    .filter(row => [row.name, row.display_name].some(label => {
+      const lower = label.toLowerCase();
+      return lower.includes(needle) || needle.includes(lower);
+    }))
+    .slice(0, 5)
+    .map(row => row.name);
+  
+  return {
+    message: `Vehicle ${input.trim()} is not in this license's vehicle catalog` +
+      (suggestions.length > 0 ? `. Did you mean: ${suggestions.join(', ')}?` : '')
+  };
+}
+
+// vehicle is { name, displayName, assetId, aliases }; name is what the game checks for
+async function addLicenseVehicle(licenseKey, vehicle, addedByUserId) {
+  const name = String(vehicle.name || '').trim();
+  const displayName = String(vehicle.displayName || '').trim() || name;
+  const aliases = parseVehicleAliases(vehicle.aliases);
+  
+  if (!name || name.length > MAX_VEHICLE_NAME_LENGTH || displayName.length > MAX_VEHICLE_NAME_LENGTH) {
+    return { success: false, message: `Vehicle names must be 1-${MAX_VEHICLE_NAME_LENGTH} characters` };
+  }
+  if (name === ALL_VEHICLES || name.includes(',') || name.startsWith(BUNDLE_PREFIX) || isVehiclePattern(name)) {
+    return { success: false, message: `Vehicle names cannot contain , * or ? or start with ${BUNDLE_PREFIX}` };
+  }
+  if (!/^\d{1,19}$/.test(String(vehicle.assetId || ''))) {
+    return { success: false, message: 'Asset ID must be numeric' };
+  }
+  if (aliases.length > MAX_VEHICLE_ALIASES || aliases.some(alias => alias.length > MAX_VEHICLE_NAME_LENGTH)) {
+    return { success: false, message: `A vehicle can have up to ${MAX_VEHICLE_ALIASES} aliases of 1-${MAX_VEHICLE_NAME_LENGTH} characters` };
+  }
+  
+  try {
+    // Names and aliases must stay unambiguous within the license
+    const labels = [name, ...aliases].map(label => label.toLowerCase());
+    const clash = await pool.query(
+      `SELECT name FROM license_vehicles
+       WHERE license_key = $1
+         AND (${pool.arrayContainsSql('LOWER(name)', '$2')}
+           OR EXISTS (SELECT 1 FROM ${pool.arrayElementsSql('aliases', 'alias')} WHERE ${pool.arrayContainsSql('LOWER(alias)', '$2')}))
+       LIMIT 1`,
+      [licenseKey, labels]
+    );
+    if (clash.rows.length > 0) {
+      return { success: false, message: `That name or alias is already used by ${clash.rows[0].name}` };
+    }
+    
+    await pool.query(
+      `INSERT INTO license_vehicles (license_key, name, display_name, asset_id, aliases, added_by)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [licenseKey, name, displayName, String(vehicle.assetId), aliases, addedByUserId]
+    );
+    
+    logger.info(`Added vehicle ${name} (asset ${vehicle.assetId}) to the catalog of license ${licenseKey}`);
+    return { success: true, vehicle: { name, displayName, assetId: String(vehicle.assetId), aliases } };
+  } catch (error) {
+    logger.error('Error adding license vehicle:', error);
+    return { success: false, message: 'Error adding vehicle' };
+  }
+}
+
+// Existing grants for the vehicle are kept; remainingGrants says how many still use it
+async function removeLicenseVehicle(licenseKey, input) {
+  try {
+    const catalogVehicle = await findLicenseVehicle(pool, licenseKey, input);
+    if (!catalogVehicle) {
+      return { success: false, message: 'This vehicle is not in the catalog' };
+    }
+    
+    await pool.query(
+      'DELETE FROM license_vehicles WHERE license_key = $1 AND name = $2',
+      [licenseKey, catalogVehicle.name]
+    );
+    const grants = await pool.query(
+      'SELECT COUNT(*)::INTEGER as count FROM authorized_users WHERE license_key = $1 AND vehicle = $2',
+      [licenseKey, catalogVehicle.name]
+    );
+    
+    logger.info(`Removed vehicle ${catalogVehicle.name} from the catalog of license ${licenseKey}`);
+    return { success: true, name: catalogVehicle.name, remainingGrants: grants.rows[0].count };
+  } catch (error) {
+    logger.error('Error removing license vehicle:', error);
+    return { success: false, message: 'Error removing vehicle' };
+  }
+}
+
+async function getLicenseVehicles(licenseKey) {
+  try {
+    const result = await pool.query(
+      `SELECT lv.name, lv.display_name, lv.asset_id, lv.aliases, lv.added_by, lv.added_at,
+              (SELECT COUNT(*)::INTEGER FROM authorized_users au
+               WHERE au.license_key = lv.license_key AND au.vehicle = lv.name AND ${activeGrantSql('au')}) as grant_count
+       FROM license_vehicles lv WHERE lv.license_key = $1 ORDER BY lv.name`,
+      [licenseKey]
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting license vehicles:', error);
+    return [];
+  }
+}
+
+// Vehicle bundle functions. Bundles are granted as "@name" and resolved when checked,
+// so changing a bundle changes what every holder can use.
+
+// Adds vehicles to a bundle, creating it if needed. Vehicles go through the catalog like
+// /authorize does, but must be single vehicles rather than patterns or other bundles.
+async function addBundleVehicles(licenseKey, bundleName, vehicles, createdByUserId) {
+  const name = String(bundleName || '').trim();
+  if (!name || name.length > MAX_BUNDLE_NAME_LENGTH || name.startsWith(BUNDLE_PREFIX) || isVehiclePattern(name)) {
+    return { success: false, message: `Bundle names must be 1-${MAX_BUNDLE_NAME_LENGTH} characters without * or ? and cannot start with ${BUNDLE_PREFIX}` };
+  }
+  if (vehicles.length === 0) {
+    return { success: false, message: 'Give at least one vehicle' };
+  }
+  
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    
+    const deniedMessage = featureDeniedMessage(await getLicenseTierName(client, licenseKey), FEATURES.BUNDLES);
+    if (deniedMessage) {
+      await client.query('ROLLBACK');
+      return { success: false, message: deniedMessage };
+    }
+    
+    const resolvedVehicles = [];
+    for (const vehicle of vehicles) {
+      if (vehicle.startsWith(BUNDLE_PREFIX) || isVehiclePattern(vehicle) || vehicle === ALL_VEHICLES) {
+        await client.query('ROLLBACK');
+        return { success: false, message: `Bundles can only hold single vehicles, not ${vehicle}` };
+      }
+      const resolved = await resolveLicenseVehicle(client, licenseKey, vehicle);
+      if (resolved.message) {
+        await client.query('ROLLBACK');
+        return { success: false, message: resolved.message };
+      }
+      resolvedVehicles.push(resolved.vehicle);
+    }
+    
+    const created = await client.query(
+      `INSERT INTO vehicle_bundles (license_key, name, created_by) VALUES ($1, $2, $3)
+       ON CONFLICT (license_key, LOWER(name)) DO NOTHING RETURNING id, name`,
+      [licenseKey, name, createdByUserId]
+    );
+    const bundle = created.rows[0] || (await client.query(
+      'SELECT id, name FROM vehicle_bundles WHERE license_key = $1 AND LOWER(name) = LOWER($2)',
+      [licenseKey, name]
+    )).rows[0];
+    
+    // WHERE true stops SQLite from reading ON CONFLICT as a join constraint of the SELECT
+    const added = await client.query(
+      `INSERT INTO vehicle_bundle_items (bundle_id, vehicle)
+       SELECT $1, vehicle FROM ${pool.arrayElementsSql('$2::TEXT[]', 'vehicle')} WHERE true
+       ON CONFLICT DO NOTHING RETURNING vehicle`,
+      [bundle.id, resolvedVehicles]
+    );
+    const size = await client.query('SELECT COUNT(*)::INTEGER as count FROM vehicle_bundle_items WHERE bundle_id = $1', [bundle.id]);
+    if (size.rows[0].count > MAX_BUNDLE_VEHICLES) {
+      await client.query('ROLLBACK');
+      return { success: false, message: `A bundle can hold up to ${MAX_BUNDLE_VEHICLES} vehicles` };
+    }
+    
+    await client.query('COMMIT');
+    
+    logger.info(`Added ${added.rowCount} vehicles to bundle ${bundle.name} of license ${licenseKey}`);
+    return { success: true, name: bundle.name, created: created.rows.length > 0, added: added.rows.map(row => row.vehicle) };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error adding bundle vehicles:', error);
+    return { success: false, message: 'Error updating bundle' };
+  } finally {
+    client.release();
+  }
+}
+
+// Removes vehicles from a bundle, or with no vehicles deletes the bundle together
+// with every grant of it
+async function removeBundleVehicles(licenseKey, bundleName, vehicles = []) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    
+    const bundleResult = await client.query(
+      'SELECT id, name FROM vehicle_bundles WHERE license_key = $1 AND LOWER(name) = LOWER($2)',
+      [licenseKey, String(bundleName || '').trim()]
+    );
+    if (bundleResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { success: false, message: 'This bundle does not exist' };
+    }
+    const bundle = bundleResult.rows[0];
+    
+    if (vehicles.length > 0) {
+      const names = [];
+      for (const vehicle of vehicles) {
+        const catalogVehicle = await findLicenseVehicle(client, licenseKey, vehicle);
+        names.push(catalogVehicle ? catalogVehicle.name : vehicle);
+      }
+      const removed = await client.query(
+        `DELETE FROM vehicle_bundle_items WHERE bundle_id = $1 AND ${pool.arrayContainsSql('vehicle', '$2')} RETURNING vehicle`,
+        [bundle.id, names]
+      );
+      if (removed.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return { success: false, message: 'None of those vehicles are in the bundle' };
+      }
+      
+      await client.query('COMMIT');
+      logger.info(`Removed ${removed.rowCount} vehicles from bundle ${bundle.name} of license ${licenseKey}`);
+      return { success: true, name: bundle.name, deleted: false, removed: removed.rows.map(row => row.vehicle) };
+    }
+    
+    const grants = await client.query(
+      'DELETE FROM authorized_users WHERE license_key = $1 AND vehicle = $2',
+      [licenseKey, BUNDLE_PREFIX + bundle.name]
+    );
+    await client.query('DELETE FROM vehicle_bundles WHERE id = $1', [bundle.id]);
+    
+    await client.query('COMMIT');
+    logger.info(`Deleted bundle ${bundle.name} of license ${licenseKey} and ${grants.rowCount} grants of it`);
+    return { success: true, name: bundle.name, deleted: true, removedGrants: grants.rowCount };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error removing bundle vehicles:', error);
+    return { success: false, message: 'Error updating bundle' };
+  } finally {
+    client.release();
+  }
+}
+
+async function getBundles(licenseKey) {
+  try {
+    const result = await pool.query(
+      `SELECT vb.id, vb.name, vb.created_by, vb.created_at,
+              (SELECT COUNT(*)::INTEGER FROM authorized_users au
+               WHERE au.license_key = vb.license_key AND au.vehicle = '${BUNDLE_PREFIX}' || vb.name AND ${activeGrantSql('au')}) as grant_count
+       FROM vehicle_bundles vb WHERE vb.license_key = $1 ORDER BY vb.name`,
+      [licenseKey]
+    );
+    const items = await pool.query(
+      `SELECT vbi.bundle_id, vbi.vehicle FROM vehicle_bundle_items vbi
+       JOIN vehicle_bundles vb ON vb.id = vbi.bundle_id
+       WHERE vb.license_key = $1 ORDER BY vbi.vehicle`,
+      [licenseKey]
+    );
+    return result.rows.map(({ id, ...bundle }) => ({
+      ...bundle,
+      vehicles: items.rows.filter(item => item.bundle_id === id).map(item => item.vehicle)
+    }));
+  } catch (error) {
+    logger.error('Error getting bundles:', error);
+    return [];
+  }
+}
+
+// API token management functions
+async function createApiToken(licenseKey, name, scopes, createdByUserId) {
+  try {
+    const deniedMessage = featureDeniedMessage(await getLicenseTierName(pool, licenseKey), FEATURES.API_TOKENS);
+    if (deniedMessage) {
+      return { success: false, message: deniedMessage };
+    }
+    
+    const { token, hash, displayPrefix } = generateToken();
+    const result = await pool.query(
+      'INSERT INTO api_tokens (license_key, name, token_hash, token_prefix, scopes, created_by) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+      [licenseKey, name, hash, displayPrefix, scopes, createdByUserId]
+    );
+    logger.info(`API token ${result.rows[0].id} (${name}) created for license ${licenseKey}`);
+    return { success: true, id: result.rows[0].id, token };
+  } catch (error) {
+    logger.error('Error creating API token:', error);
+    return { success: false, message: 'Error creating API token' };
+  }
+}
+
+async function getApiTokens(licenseKey) {
+  try {
+    const result = await pool.query(
+      `SELECT id, name, token_prefix, scopes, created_at, rotated_at, last_used_at
+       FROM api_tokens WHERE license_key = $1 AND revoked_at IS NULL ORDER BY id`,
+      [licenseKey]
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting API tokens:', error);
+    return [];
+  }
+}
+
+// Issues a new secret for an existing token, keeping its name and scopes
+async function rotateApiToken(licenseKey, tokenId) {
+  try {
+    const { token, hash, displayPrefix } = generateToken();
+    const result = await pool.query(
+      `UPDATE api_tokens SET token_hash = $1, token_prefix = $2, rotated_at = NOW()
+       WHERE id = $3 AND license_key = $4 AND revoked_at IS NULL RETURNING name, scopes`,
+      [hash, displayPrefix, tokenId, licenseKey]
+    );
+
+    if (result.rowCount === 0) {
+      return { success: false, message: 'API token not found for this license' };
+    }
+
+    logger.info(`API token ${tokenId} rotated for license ${licenseKey}`);
+    return { success: true, token, name: result.rows[0].name, scopes: result.rows[0].scopes };
+  } catch (error) {
+    logger.error('Error rotating API token:', error);
+    return { success: false, message: 'Error rotating API token' };
+  }
+}
+
+async function revokeApiToken(licenseKey, tokenId) {
+  try {
+    const result = await pool.query(
+      'UPDATE api_tokens SET revoked_at = NOW() WHERE id = $1 AND license_key = $2 AND revoked_at IS NULL',
+      [tokenId, licenseKey]
+    );
+
+    if (result.rowCount === 0) {
+      return { success: false, message: 'API token not found for this license' };
+    }
+
+    logger.info(`API token ${tokenId} revoked for license ${licenseKey}`);
+    return { success: true, message: 'API token revoked successfully' };
+  } catch (error) {
+    logger.error('Error revoking API token:', error);
+    return { success: false, message: 'Error revoking API token' };
+  }
+}
+
+module.exports = {
+  ALL_VEHICLES,
+  BUNDLE_PREFIX,
+  ROLE_TYPES,
+  PLACE_TYPES,
+  DEFAULT_LICENSE_TERM,
+  EXPIRY_PAUSED_BY,
+  PAUSE_ACTIONS,
+  MAX_LICENSE_NAME_LENGTH,
+  MAX_KEY_ROTATION_GRACE_MS,
+  playerMatchSql,
+  activeGrantSql,
+  suspendedGrantSql,
+  licenseExpiredSql,
+  licensePausedSql,
+  vehicleMatchSql,
+  catalogVehicleMatchSql,
+  placeAllowedSql,
+  getLicenses,
+  getLicense,
+  createLicense,
+  rotateLicenseKey,
+  getKeyAliases,
+  deleteLicense,
+  transferLicense,
+  setGlobalVehicleChecks,
+  setKickMessage,
+  setGraceWindow,
+  setLicenseTier,
+  getLicenseUsage,
+  getUsersForLicense,
+  addUserToLicense,
+  removeUserFromLicense,
+  suspendGrant,
+  unsuspendGrant,
+  pauseLicense,
+  unpauseLicense,
+  isLicensePaused,
+  getPausedLicenses,
+  schedulePause,
+  cancelScheduledPause,
+  getScheduledPause,
+  processScheduledPauses,
+  getPauseHistory,
+  renewLicense,
+  pauseExpiredLicenses,
+  takeExpiringLicenses,
+  takeExpiredLicenses,
+  getUserLicense,
+  getOwnerLicenses,
+  findOwnerLicense,
+  setDefaultLicense,
+  setLicenseName,
+  addLicenseStaff,
+  removeLicenseStaff,
+  getLicenseStaff,
+  getUserStaffRoles,
+  canUserManageLicense,
+  addLicensePlace,
+  removeLicensePlace,
+  getLicensePlaces,
+  getFlaggedPlaces,
+  parseVehicleAliases,
+  addLicenseVehicle,
+  removeLicenseVehicle,
+  getLicenseVehicles,
+  addBundleVehicles,
+  removeBundleVehicles,
+  getBundles,
+  createApiToken,
+  getApiTokens,
+  rotateApiToken,
+  revokeApiToken
+};
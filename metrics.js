@@ -0,0 +1,143 @@
+// Prometheus metrics shared by the API server and the bot. Each process serves its
+// own /metrics; the `service` label tells them apart when both are scraped.
+const promClient = require('prom-client');
+const { safeEqual } = require('./apiTokens');
+
+const PREFIX = 'antileak_';
+
+const register = new promClient.Registry();
+
+const httpRequestDuration = new promClient.Histogram({
+  name: `${PREFIX}http_request_duration_seconds`,
+  help: 'API request latency by route and status code',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [register]
+});
+
+const checksTotal = new promClient.Counter({
+  name: `${PREFIX}checks_total`,
+  help: 'License and vehicle checks by endpoint, type and result',
+  labelNames: ['endpoint', 'type', 'result', 'reason'],
+  registers: [register]
+});
+
+const checkQueryDuration = new promClient.Histogram({
+  name: `${PREFIX}check_query_duration_seconds`,
+  help: 'Time spent in the database answering a (batch) check',
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1],
+  registers: [register]
+});
+
+const rateLimitRejections = new promClient.Counter({
+  name: `${PREFIX}rate_limit_rejections_total`,
+  help: 'Requests rejected by a rate limiter',
+  labelNames: ['limiter'],
+  registers: [register]
+});
+
+const commandsTotal = new promClient.Counter({
+  name: `${PREFIX}bot_commands_total`,
+  help: 'Slash command invocations by command and outcome',
+  labelNames: ['command', 'outcome'],
+  registers: [register]
+});
+
+const commandDuration = new promClient.Histogram({
+  name: `${PREFIX}bot_command_duration_seconds`,
+  help: 'Slash command handling time',
+  labelNames: ['command'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+// Sets the service label and starts the Node.js process metrics. Call once per process.
+function initMetrics(service) {
+  register.setDefaultLabels({ service });
+  promClient.collectDefaultMetrics({ register, prefix: PREFIX });
+}
+
+// Reports pg Pool usage at scrape time
+function registerPoolMetrics(pool) {
+  new promClient.Gauge({
+    name: `${PREFIX}db_pool_connections`,
+    help: 'Database pool connections by state',
+    labelNames: ['state'],
+    registers: [register],
+    collect() {
+      this.set({ state: 'total' }, pool.totalCount);
+      this.set({ state: 'idle' }, pool.idleCount);
+      this.set({ state: 'waiting' }, pool.waitingCount);
+    }
+  });
+}
+
+// Reports the Discord gateway connection of a discord.js client at scrape time
+function registerGatewayMetrics(discordClient) {
+  new promClient.Gauge({
+    name: `${PREFIX}discord_gateway_up`,
+    help: 'Whether the bot is connected and ready on the Discord gateway',
+    registers: [register],
+    collect() {
+      this.set(discordClient.isReady() ? 1 : 0);
+    }
+  });
+
+  new promClient.Gauge({
+    name: `${PREFIX}discord_gateway_ping_seconds`,
+    help: 'Latest Discord gateway heartbeat round trip',
+    registers: [register],
+    collect() {
+      // discord.js reports -1 until the first heartbeat is acknowledged
+      const ping = discordClient.ws.ping;
+      this.set(ping >= 0 ? ping / 1000 : NaN);
+    }
+  });
+
+  new promClient.Gauge({
+    name: `${PREFIX}discord_guilds`,
+    help: 'Guilds the bot is in',
+    registers: [register],
+    collect() {
+      this.set(discordClient.guilds.cache.size);
+    }
+  });
+}
+
+// Express middleware recording request latency. Routes are labelled by their
+// pattern, never the raw path, so license keys and usernames stay out of the labels.
+function httpMetricsMiddleware(req, res, next) {
+  const endTimer = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    endTimer({ method: req.method, route, status_code: res.statusCode });
+  });
+  next();
+}
+
+// Express handler serving the registry. With METRICS_TOKEN set, scrapers must send it as a Bearer token.
+async function metricsHandler(req, res) {
+  if (process.env.METRICS_TOKEN && !safeEqual(req.get('Authorization') || '', `Bearer ${process.env.METRICS_TOKEN}`)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    res.set('Content-Type', register.contentType);
+    res.send(await register.metrics());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+module.exports = {
+  checksTotal,
+  checkQueryDuration,
+  rateLimitRejections,
+  commandsTotal,
+  commandDuration,
+  initMetrics,
+  registerPoolMetrics,
+  registerGatewayMetrics,
+  httpMetricsMiddleware,
+  metricsHandler
+};
@@ -0,0 +1,115 @@
+// Backfills Roblox UserIds onto legacy username-only grants. Lists the proposed mappings
+// first, then asks before changing anything.
+// Usage: node migrate-user-ids.js [--dry-run | --yes]
+const readline = require('readline/promises');
+const pool = require('./db');
+const robloxUsers = require('./robloxUsers');
+
+const dryRun = process.argv.includes('--dry-run');
+const confirmed = process.argv.includes('--yes');
+
+// A legacy name may belong to someone else by now if its player was renamed, so the
+// mappings need a look before they are applied: --yes, or "yes" typed at the prompt when
+// run from a terminal
+async function confirmMigration(count) {
+    if (confirmed) {
+        return true;
+    }
+    if (!process.stdin.isTTY) {
+        throw new Error('Check the mappings above, then run again with --yes to apply them.');
+    }
+
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+        const answer = await prompt.question(`Apply these ${count} mapping(s)? Type "yes" to continue: `);
+        return answer.trim().toLowerCase() === 'yes';
+    } finally {
+        prompt.close();
+    }
+}
+
+async function migrateUserIds() {
+    const legacy = await pool.query(
+        'SELECT DISTINCT LOWER(username) AS username FROM authorized_users WHERE roblox_user_id IS NULL'
+    );
+
+    if (legacy.rows.length === 0) {
+        console.log('✅ No legacy grants to migrate');
+        return;
+    }
+
+    console.log(`🔎 Resolving ${legacy.rows.length} legacy usernames...`);
+    const resolved = await robloxUsers.resolveUsernames(legacy.rows.map(row => row.username));
+
+    const mappings = [];
+    const unresolved = [];
+    for (const { username } of legacy.rows) {
+        const robloxUser = resolved.get(username);
+        if (robloxUser) {
+            mappings.push({ username, robloxUser });
+        } else {
+            unresolved.push(username);
+        }
+    }
+
+    if (unresolved.length > 0) {
+        console.warn(`⚠️  ${unresolved.length} usernames no longer exist on Roblox and will be left as legacy grants:`);
+        console.warn(`   ${unresolved.join(', ')}`);
+    }
+    if (mappings.length === 0) {
+        console.log('✅ No legacy usernames could be resolved');
+        return;
+    }
+
+    console.log('Proposed mappings:');
+    mappings.forEach(({ username, robloxUser }) => console.log(`  ${username} -> ${robloxUser.name} (${robloxUser.id})`));
+
+    if (dryRun) {
+        console.log(`✅ Dry run: would migrate ${mappings.length} usernames, nothing was changed`);
+        return;
+    }
+    if (!await confirmMigration(mappings.length)) {
+        console.log('Cancelled, nothing was changed');
+        return;
+    }
+
+    let migrated = 0;
+    for (const { username, robloxUser } of mappings) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            // Drop legacy rows the UserId already covers so the update cannot collide
+            await client.query(
+                `DELETE FROM authorized_users AS a
+                 WHERE a.roblox_user_id IS NULL AND LOWER(a.username) = $2
+                   AND EXISTS (
+                       SELECT 1 FROM authorized_users b
+                       WHERE b.license_key = a.license_key AND b.roblox_user_id = $1 AND b.vehicle = a.vehicle
+                   )`,
+                [robloxUser.id, username]
+            );
+            await client.query(
+                'UPDATE authorized_users SET roblox_user_id = $1, username = $2 WHERE roblox_user_id IS NULL AND LOWER(username) = $3',
+                [robloxUser.id, robloxUser.name, username]
+            );
+
+            await client.query('COMMIT');
+            migrated++;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error(`❌ Failed to migrate ${username}:`, error.message);
+        } finally {
+            client.release();
+        }
+    }
+
+    console.log(`✅ Migrated ${migrated} usernames`);
+}
+
+migrateUserIds()
+    .catch(error => {
+        console.error('❌ UserId migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
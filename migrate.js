@@ -0,0 +1,89 @@
+// Applies or reverts schema migrations from migrations/.
+// Usage: node migrate.js [up [version] | down [steps] [--yes] | down --to <version> [--yes] | status]
+const readline = require('readline/promises');
+const pool = require('./db');
+const { migrateUp, migrateDown, planMigrateDown, getMigrationStatus } = require('./migrator');
+
+const [command = 'up', ...rest] = process.argv.slice(2);
+const confirmed = rest.includes('--yes');
+const args = rest.filter(arg => arg !== '--yes');
+
+function parseVersion(value, label) {
+    if (!/^\d+$/.test(value || '')) {
+        throw new Error(`${label} must be a whole number`);
+    }
+    return parseInt(value, 10);
+}
+
+// Reverting can drop tables and columns along with their data, so down needs --yes, or
+// "yes" typed at the prompt when run from a terminal
+async function confirmRevert(count) {
+    if (confirmed) {
+        return true;
+    }
+    if (!process.stdin.isTTY) {
+        throw new Error('Reverting migrations can delete data. Run again with --yes to confirm.');
+    }
+
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+        const answer = await prompt.question(`Revert ${count} migration(s)? This can delete data. Type "yes" to continue: `);
+        return answer.trim().toLowerCase() === 'yes';
+    } finally {
+        prompt.close();
+    }
+}
+
+async function run() {
+    if (command === 'up') {
+        const to = args[0] ? parseVersion(args[0], 'Version') : null;
+        const applied = await migrateUp({ to });
+        if (applied.length === 0) {
+            console.log('✅ Database is up to date');
+        } else {
+            applied.forEach(migration => console.log(`  ⬆️  ${migration.label}`));
+            console.log(`✅ Applied ${applied.length} migration(s)`);
+        }
+    } else if (command === 'down') {
+        const options = args[0] === '--to'
+            ? { to: parseVersion(args[1], 'Version') }
+            : { steps: args[0] ? parseVersion(args[0], 'Steps') : 1 };
+        const planned = await planMigrateDown(options);
+        if (planned.length === 0) {
+            console.log('✅ Nothing to revert');
+            return;
+        }
+        console.log('Migrations to revert:');
+        planned.forEach(migration => console.log(`  ${migration.label}`));
+        if (!await confirmRevert(planned.length)) {
+            console.log('Cancelled, nothing was reverted');
+            return;
+        }
+
+        const reverted = await migrateDown(options);
+        if (reverted.length === 0) {
+            console.log('✅ Nothing to revert');
+        } else {
+            reverted.forEach(migration => console.log(`  ⬇️  ${migration.label}`));
+            console.log(`✅ Reverted ${reverted.length} migration(s)`);
+        }
+    } else if (command === 'status') {
+        const status = await getMigrationStatus();
+        for (const migration of status) {
+            const state = migration.missing
+                ? `applied ${migration.appliedAt.toISOString()}, file missing`
+                : (migration.appliedAt ? `applied ${migration.appliedAt.toISOString()}` : 'pending');
+            console.log(`  ${migration.appliedAt ? '✅' : '⏳'} ${migration.label} (${state})`);
+        }
+        console.log(`${status.filter(migration => !migration.appliedAt).length} pending`);
+    } else {
+        throw new Error(`Unknown command "${command}". Use up, down or status.`);
+    }
+}
+
+run()
+    .catch(error => {
+        console.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
@@ -0,0 +1,582 @@
+// Baseline schema: everything the bot used to create at startup, squashed into one
+// migration when migrations were introduced. It only creates what is missing, so databases
+// set up before migrations existed adopt it without changes. Its tables never change
+// again: schema changes go in new, higher-numbered migrations. SQLite databases never
+// predate migrations, so they get the resulting schema directly; test/schemaParity.test.js
+// checks that both dialects end up with the same tables and columns.
+async function up(db) {
+  // Create licenses table
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS licenses (
+      license_key VARCHAR(255) PRIMARY KEY,
+      owner_id VARCHAR(255) NOT NULL,
+      owner_tag VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  // Existing licenses keep answering vehicle checks without a license key until their
+  // games use the license-scoped endpoints; licenses created from now on start scoped
+  await db.query('ALTER TABLE licenses ADD COLUMN IF NOT EXISTS global_vehicle_checks BOOLEAN NOT NULL DEFAULT TRUE');
+  await db.query('ALTER TABLE licenses ALTER COLUMN global_vehicle_checks SET DEFAULT FALSE');
+
+  // Custom message returned with denied checks so games can show it when kicking
+  await db.query('ALTER TABLE licenses ADD COLUMN IF NOT EXISTS kick_message VARCHAR(200)');
+
+  // How long grace tokens from this license's approvals stay valid offline; 0 issues none
+  await db.query('ALTER TABLE licenses ADD COLUMN IF NOT EXISTS grace_window_minutes INTEGER NOT NULL DEFAULT 0');
+
+  // Licenses from before tiers had no limits, so they start on Studio; new ones on Basic
+  await db.query(`ALTER TABLE licenses ADD COLUMN IF NOT EXISTS tier VARCHAR(20) NOT NULL DEFAULT 'studio'`);
+  await db.query(`ALTER TABLE licenses ALTER COLUMN tier SET DEFAULT 'basic'`);
+
+  // Subscription end (NULL never expires), when the owner was last reminded of it and
+  // when they were told it ran out
+  await db.query('ALTER TABLE licenses ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP');
+  await db.query('ALTER TABLE licenses ADD COLUMN IF NOT EXISTS expiry_reminded_at TIMESTAMP');
+  await db.query('ALTER TABLE licenses ADD COLUMN IF NOT EXISTS expiry_notified_at TIMESTAMP');
+
+  // Owners may hold several licenses: a friendly name tells them apart, and the default
+  // one is used when a command does not pick a license
+  await db.query('ALTER TABLE licenses ADD COLUMN IF NOT EXISTS name VARCHAR(100)');
+  await db.query('ALTER TABLE licenses ADD COLUMN IF NOT EXISTS is_default BOOLEAN NOT NULL DEFAULT FALSE');
+  await db.query('CREATE UNIQUE INDEX IF NOT EXISTS licenses_owner_name_idx ON licenses (owner_id, LOWER(name)) WHERE name IS NOT NULL');
+  await db.query('CREATE INDEX IF NOT EXISTS licenses_owner_id_idx ON licenses (owner_id)');
+
+  // Create authorized_users table
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS authorized_users (
+      id SERIAL PRIMARY KEY,
+      license_key VARCHAR(255) REFERENCES licenses(license_key) ON DELETE CASCADE,
+      roblox_user_id BIGINT,
+      username VARCHAR(255) NOT NULL,
+      vehicle VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      expires_at TIMESTAMP
+    )
+  `);
+
+  // Temporary grants (rentals, test drives) carry an expiry; NULL means permanent
+  await db.query('ALTER TABLE authorized_users ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP');
+  await db.query('CREATE INDEX IF NOT EXISTS authorized_users_expires_at_idx ON authorized_users (expires_at) WHERE expires_at IS NOT NULL');
+
+  // Grants are keyed on the Roblox UserId; username-only rows are legacy data
+  await db.query('ALTER TABLE authorized_users ADD COLUMN IF NOT EXISTS roblox_user_id BIGINT');
+  await db.query('ALTER TABLE authorized_users DROP CONSTRAINT IF EXISTS authorized_users_license_key_username_vehicle_key');
+
+  // Legacy usernames are matched case-insensitively, so collapse rows that differ only by case
+  await db.query(`
+    DELETE FROM authorized_users a
+    USING authorized_users b
+    WHERE a.roblox_user_id IS NULL AND b.roblox_user_id IS NULL
+     AND a.license_key = b.license_key AND a.vehicle = b.vehicle
+     AND LOWER(a.username) = LOWER(b.username) AND a.id > b.id
+  `);
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS authorized_users_user_id_key
+    ON authorized_users (license_key, roblox_user_id, vehicle)
+    WHERE roblox_user_id IS NOT NULL
+  `);
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS authorized_users_legacy_username_key
+    ON authorized_users (license_key, LOWER(username), vehicle)
+    WHERE roblox_user_id IS NULL
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS authorized_users_username_lower_idx ON authorized_users (LOWER(username))');
+
+  // Suspended grants deny checks but stay in place; suspended_until NULL lasts until lifted
+  await db.query('ALTER TABLE authorized_users ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP');
+  await db.query('ALTER TABLE authorized_users ADD COLUMN IF NOT EXISTS suspended_until TIMESTAMP');
+  await db.query('ALTER TABLE authorized_users ADD COLUMN IF NOT EXISTS suspension_reason VARCHAR(255)');
+  await db.query('ALTER TABLE authorized_users ADD COLUMN IF NOT EXISTS suspended_by VARCHAR(255)');
+
+  // Create paused_licenses table
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS paused_licenses (
+      license_key VARCHAR(255) PRIMARY KEY REFERENCES licenses(license_key) ON DELETE CASCADE,
+      owner_id VARCHAR(255) NOT NULL,
+      owner_tag VARCHAR(255) NOT NULL,
+      paused_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  // Who paused the license: a Discord user ID, 'admin' or 'token:<id>' from the API, or 'expiry'
+  await db.query('ALTER TABLE paused_licenses ADD COLUMN IF NOT EXISTS paused_by VARCHAR(255)');
+  await db.query('ALTER TABLE paused_licenses ADD COLUMN IF NOT EXISTS reason VARCHAR(255)');
+  // When the pause lifts itself; NULL lasts until someone unpauses
+  await db.query('ALTER TABLE paused_licenses ADD COLUMN IF NOT EXISTS resume_at TIMESTAMP');
+
+  // Pauses waiting to start, at most one per license
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS scheduled_pauses (
+      license_key VARCHAR(255) PRIMARY KEY REFERENCES licenses(license_key) ON DELETE CASCADE,
+      pause_at TIMESTAMP NOT NULL,
+      resume_at TIMESTAMP,
+      reason VARCHAR(255) NOT NULL,
+      scheduled_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  // Every pause, unpause and schedule change; actor is NULL when a pause ended on its own
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS license_pause_history (
+      id SERIAL PRIMARY KEY,
+      license_key VARCHAR(255) NOT NULL REFERENCES licenses(license_key) ON DELETE CASCADE,
+      action VARCHAR(32) NOT NULL,
+      actor VARCHAR(255),
+      reason VARCHAR(255),
+      resume_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS idx_license_pause_history_license ON license_pause_history (license_key, created_at DESC)');
+
+  // Create license_admins table
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS license_admins (
+      id SERIAL PRIMARY KEY,
+      license_key VARCHAR(255) REFERENCES licenses(license_key) ON DELETE CASCADE,
+      user_id VARCHAR(255) NOT NULL,
+      user_tag VARCHAR(255) NOT NULL,
+      role_type VARCHAR(50) NOT NULL,
+      added_by VARCHAR(255) NOT NULL,
+      added_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(license_key, user_id)
+    )
+  `);
+
+  // Create api_tokens table (only hashes are stored, never the tokens themselves)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id SERIAL PRIMARY KEY,
+      license_key VARCHAR(255) REFERENCES licenses(license_key) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      token_prefix VARCHAR(20) NOT NULL,
+      scopes TEXT[] NOT NULL,
+      created_by VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      rotated_at TIMESTAMP,
+      last_used_at TIMESTAMP,
+      revoked_at TIMESTAMP
+    )
+  `);
+
+  // Create check_logs table (no foreign key so history outlives deleted licenses)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS check_logs (
+      id BIGSERIAL PRIMARY KEY,
+      check_type VARCHAR(20) NOT NULL,
+      license_key VARCHAR(255),
+      roblox_user_id BIGINT,
+      username VARCHAR(255),
+      vehicle VARCHAR(255),
+      approved BOOLEAN NOT NULL,
+      deny_reason VARCHAR(50),
+      caller_ip VARCHAR(64),
+      place_id VARCHAR(32),
+      universe_id VARCHAR(32),
+      job_id VARCHAR(64),
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await db.query('ALTER TABLE check_logs ADD COLUMN IF NOT EXISTS universe_id VARCHAR(32)');
+  await db.query('CREATE INDEX IF NOT EXISTS check_logs_license_key_idx ON check_logs (license_key, id)');
+  await db.query('CREATE INDEX IF NOT EXISTS check_logs_created_at_idx ON check_logs (created_at)');
+
+  // Create license_places table (licenses without entries may run in any place)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS license_places (
+      id SERIAL PRIMARY KEY,
+      license_key VARCHAR(255) REFERENCES licenses(license_key) ON DELETE CASCADE,
+      place_type VARCHAR(10) NOT NULL,
+      place_id BIGINT NOT NULL,
+      added_by VARCHAR(255) NOT NULL,
+      added_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(license_key, place_type, place_id)
+    )
+  `);
+
+  // Create flagged_places table for calls from places missing from the allowlist
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS flagged_places (
+      id SERIAL PRIMARY KEY,
+      license_key VARCHAR(255) REFERENCES licenses(license_key) ON DELETE CASCADE,
+      place_id VARCHAR(32) NOT NULL DEFAULT '',
+      universe_id VARCHAR(32) NOT NULL DEFAULT '',
+      hit_count INTEGER NOT NULL DEFAULT 1,
+      first_seen TIMESTAMP DEFAULT NOW(),
+      last_seen TIMESTAMP DEFAULT NOW(),
+      UNIQUE(license_key, place_id, universe_id)
+    )
+  `);
+
+  // Create license_vehicles table (licenses without entries accept any vehicle name)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS license_vehicles (
+      id SERIAL PRIMARY KEY,
+      license_key VARCHAR(255) REFERENCES licenses(license_key) ON DELETE CASCADE,
+      name VARCHAR(255) NOT NULL,
+      display_name VARCHAR(255) NOT NULL,
+      asset_id BIGINT NOT NULL,
+      aliases TEXT[] NOT NULL DEFAULT '{}',
+      added_by VARCHAR(255) NOT NULL,
+      added_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(license_key, name)
+    )
+  `);
+
+  // Create vehicle bundle tables (grants reference a bundle as "@name")
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS vehicle_bundles (
+      id SERIAL PRIMARY KEY,
+      license_key VARCHAR(255) REFERENCES licenses(license_key) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      created_by VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await db.query('CREATE UNIQUE INDEX IF NOT EXISTS vehicle_bundles_name_key ON vehicle_bundles (license_key, LOWER(name))');
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS vehicle_bundle_items (
+      bundle_id INTEGER REFERENCES vehicle_bundles(id) ON DELETE CASCADE,
+      vehicle VARCHAR(255) NOT NULL,
+      PRIMARY KEY (bundle_id, vehicle)
+    )
+  `);
+
+  // Create webhooks table
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id SERIAL PRIMARY KEY,
+      license_key VARCHAR(255) REFERENCES licenses(license_key) ON DELETE CASCADE,
+      url TEXT NOT NULL,
+      secret VARCHAR(64) NOT NULL,
+      events TEXT[] NOT NULL,
+      created_by VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+
+  // Create webhook delivery queue (keeps the target so deliveries outlive a deleted license)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id BIGSERIAL PRIMARY KEY,
+      webhook_id INTEGER REFERENCES webhooks(id) ON DELETE SET NULL,
+      url TEXT NOT NULL,
+      secret VARCHAR(64) NOT NULL,
+      event VARCHAR(50) NOT NULL,
+      payload JSONB NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_status_code INTEGER,
+      last_error TEXT,
+      next_attempt_at TIMESTAMP DEFAULT NOW(),
+      created_at TIMESTAMP DEFAULT NOW(),
+      delivered_at TIMESTAMP
+    )
+  `);
+  await db.query("CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (next_attempt_at) WHERE status = 'pending'");
+  await db.query('CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook_id_idx ON webhook_deliveries (webhook_id, id)');
+
+  // Create abuse_lockouts table (written by the API server, reported by the bot)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS abuse_lockouts (
+      source VARCHAR(64) PRIMARY KEY,
+      lockout_count INTEGER NOT NULL DEFAULT 0,
+      locked_until TIMESTAMP,
+      unknown_license_checks INTEGER NOT NULL DEFAULT 0,
+      recent_license_keys TEXT[] NOT NULL DEFAULT '{}',
+      first_seen TIMESTAMP DEFAULT NOW(),
+      last_locked_at TIMESTAMP DEFAULT NOW(),
+      reported_at TIMESTAMP
+    )
+  `);
+
+  // Create blacklisted_users table (kept by the bot owner, denied on every license)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS blacklisted_users (
+      id SERIAL PRIMARY KEY,
+      roblox_user_id BIGINT,
+      username VARCHAR(255) NOT NULL,
+      reason VARCHAR(255) NOT NULL,
+      added_by VARCHAR(255) NOT NULL,
+      report_id INTEGER,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await db.query('CREATE UNIQUE INDEX IF NOT EXISTS blacklisted_users_roblox_user_id_idx ON blacklisted_users (roblox_user_id) WHERE roblox_user_id IS NOT NULL');
+  await db.query('CREATE INDEX IF NOT EXISTS blacklisted_users_username_lower_idx ON blacklisted_users (LOWER(username))');
+
+  // Create leak_reports table (filed by license owners and admins, reviewed by the bot owner)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS leak_reports (
+      id SERIAL PRIMARY KEY,
+      license_key VARCHAR(255) NOT NULL REFERENCES licenses(license_key) ON DELETE CASCADE,
+      roblox_user_id BIGINT,
+      username VARCHAR(255) NOT NULL,
+      evidence TEXT NOT NULL,
+      reported_by VARCHAR(255) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      reviewed_by VARCHAR(255),
+      review_note VARCHAR(255),
+      reviewed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS leak_reports_status_idx ON leak_reports (status, created_at)');
+
+  // Create license_key_aliases table (old keys of rotated licenses, working until the grace ends)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS license_key_aliases (
+      old_key VARCHAR(255) PRIMARY KEY,
+      license_key VARCHAR(255) NOT NULL REFERENCES licenses(license_key) ON DELETE CASCADE,
+      expires_at TIMESTAMP NOT NULL,
+      rotated_by VARCHAR(255),
+      created_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+  await db.query('CREATE INDEX IF NOT EXISTS license_key_aliases_license_key_idx ON license_key_aliases (license_key)');
+}
+
+// The baseline adopted tables that held production data before migrations existed, so
+// reverting it would drop every license. Restore a backup instead.
+async function down() {
+  throw new Error('The baseline schema cannot be reverted, as that would delete all license data. Restore a database backup instead.');
+}
+
+const SQLITE_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS licenses (
+    license_key VARCHAR(255) PRIMARY KEY,
+    owner_id VARCHAR(255) NOT NULL,
+    owner_tag VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    global_vehicle_checks BOOLEAN NOT NULL DEFAULT FALSE,
+    kick_message VARCHAR(200),
+    grace_window_minutes INTEGER NOT NULL DEFAULT 0,
+    tier VARCHAR(20) NOT NULL DEFAULT 'basic',
+    expires_at TIMESTAMP,
+    expiry_reminded_at TIMESTAMP,
+    expiry_notified_at TIMESTAMP,
+    name VARCHAR(100),
+    is_default BOOLEAN NOT NULL DEFAULT FALSE
+  )`,
+  'CREATE UNIQUE INDEX IF NOT EXISTS licenses_owner_name_idx ON licenses (owner_id, LOWER(name)) WHERE name IS NOT NULL',
+  'CREATE INDEX IF NOT EXISTS licenses_owner_id_idx ON licenses (owner_id)',
+
+  `CREATE TABLE IF NOT EXISTS authorized_users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    license_key VARCHAR(255) REFERENCES licenses(license_key) ON DELETE CASCADE,
+    roblox_user_id BIGINT,
+    username VARCHAR(255) NOT NULL,
+    vehicle VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    expires_at TIMESTAMP,
+    suspended_at TIMESTAMP,
+    suspended_until TIMESTAMP,
+    suspension_reason VARCHAR(255),
+    suspended_by VARCHAR(255)
+  )`,
+  'CREATE INDEX IF NOT EXISTS authorized_users_expires_at_idx ON authorized_users (expires_at) WHERE expires_at IS NOT NULL',
+  `CREATE UNIQUE INDEX IF NOT EXISTS authorized_users_user_id_key
+    ON authorized_users (license_key, roblox_user_id, vehicle)
+    WHERE roblox_user_id IS NOT NULL`,
+  `CREATE UNIQUE INDEX IF NOT EXISTS authorized_users_legacy_username_key
+    ON authorized_users (license_key, LOWER(username), vehicle)
+    WHERE roblox_user_id IS NULL`,
+  'CREATE INDEX IF NOT EXISTS authorized_users_username_lower_idx ON authorized_users (LOWER(username))',
+
+  `CREATE TABLE IF NOT EXISTS paused_licenses (
+    license_key VARCHAR(255) PRIMARY KEY REFERENCES licenses(license_key) ON DELETE CASCADE,
+    owner_id VARCHAR(255) NOT NULL,
+    owner_tag VARCHAR(255) NOT NULL,
+    paused_at TIMESTAMP DEFAULT NOW(),
+    paused_by VARCHAR(255),
+    reason VARCHAR(255),
+    resume_at TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS scheduled_pauses (
+    license_key VARCHAR(255) PRIMARY KEY REFERENCES licenses(license_key) ON DELETE CASCADE,
+    pause_at TIMESTAMP NOT NULL,
+    resume_at TIMESTAMP,
+    reason VARCHAR(255) NOT NULL,
+    scheduled_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT NOW()
+  )`,
+  `CREATE TABLE IF NOT EXISTS license_pause_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    license_key VARCHAR(255) NOT NULL REFERENCES licenses(license_key) ON DELETE CASCADE,
+    action VARCHAR(32) NOT NULL,
+    actor VARCHAR(255),
+    reason VARCHAR(255),
+    resume_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_license_pause_history_license ON license_pause_history (license_key, created_at DESC)',
+
+  `CREATE TABLE IF NOT EXISTS license_admins (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    license_key VARCHAR(255) REFERENCES licenses(license_key) ON DELETE CASCADE,
+    user_id VARCHAR(255) NOT NULL,
+    user_tag VARCHAR(255) NOT NULL,
+    role_type VARCHAR(50) NOT NULL,
+    added_by VARCHAR(255) NOT NULL,
+    added_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(license_key, user_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS api_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    license_key VARCHAR(255) REFERENCES licenses(license_key) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE,
+    token_prefix VARCHAR(20) NOT NULL,
+    scopes TEXT[] NOT NULL,
+    created_by VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    rotated_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS check_logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    check_type VARCHAR(20) NOT NULL,
+    license_key VARCHAR(255),
+    roblox_user_id BIGINT,
+    username VARCHAR(255),
+    vehicle VARCHAR(255),
+    approved BOOLEAN NOT NULL,
+    deny_reason VARCHAR(50),
+    caller_ip VARCHAR(64),
+    place_id VARCHAR(32),
+    universe_id VARCHAR(32),
+    job_id VARCHAR(64),
+    created_at TIMESTAMP DEFAULT NOW()
+  )`,
+  'CREATE INDEX IF NOT EXISTS check_logs_license_key_idx ON check_logs (license_key, id)',
+  'CREATE INDEX IF NOT EXISTS check_logs_created_at_idx ON check_logs (created_at)',
+
+  `CREATE TABLE IF NOT EXISTS license_places (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    license_key VARCHAR(255) REFERENCES licenses(license_key) ON DELETE CASCADE,
+    place_type VARCHAR(10) NOT NULL,
+    place_id BIGINT NOT NULL,
+    added_by VARCHAR(255) NOT NULL,
+    added_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(license_key, place_type, place_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS flagged_places (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    license_key VARCHAR(255) REFERENCES licenses(license_key) ON DELETE CASCADE,
+    place_id VARCHAR(32) NOT NULL DEFAULT '',
+    universe_id VARCHAR(32) NOT NULL DEFAULT '',
+    hit_count INTEGER NOT NULL DEFAULT 1,
+    first_seen TIMESTAMP DEFAULT NOW(),
+    last_seen TIMESTAMP DEFAULT NOW(),
+    UNIQUE(license_key, place_id, universe_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS license_vehicles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    license_key VARCHAR(255) REFERENCES licenses(license_key) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    display_name VARCHAR(255) NOT NULL,
+    asset_id BIGINT NOT NULL,
+    aliases TEXT[] NOT NULL DEFAULT '[]',
+    added_by VARCHAR(255) NOT NULL,
+    added_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(license_key, name)
+  )`,
+  `CREATE TABLE IF NOT EXISTS vehicle_bundles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    license_key VARCHAR(255) REFERENCES licenses(license_key) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    created_by VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+  )`,
+  'CREATE UNIQUE INDEX IF NOT EXISTS vehicle_bundles_name_key ON vehicle_bundles (license_key, LOWER(name))',
+  `CREATE TABLE IF NOT EXISTS vehicle_bundle_items (
+    bundle_id INTEGER REFERENCES vehicle_bundles(id) ON DELETE CASCADE,
+    vehicle VARCHAR(255) NOT NULL,
+    PRIMARY KEY (bundle_id, vehicle)
+  )`,
+
+  `CREATE TABLE IF NOT EXISTS webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    license_key VARCHAR(255) REFERENCES licenses(license_key) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    secret VARCHAR(64) NOT NULL,
+    events TEXT[] NOT NULL,
+    created_by VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+  )`,
+  `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER REFERENCES webhooks(id) ON DELETE SET NULL,
+    url TEXT NOT NULL,
+    secret VARCHAR(64) NOT NULL,
+    event VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_status_code INTEGER,
+    last_error TEXT,
+    next_attempt_at TIMESTAMP DEFAULT NOW(),
+    created_at TIMESTAMP DEFAULT NOW(),
+    delivered_at TIMESTAMP
+  )`,
+  "CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (next_attempt_at) WHERE status = 'pending'",
+  'CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook_id_idx ON webhook_deliveries (webhook_id, id)',
+
+  `CREATE TABLE IF NOT EXISTS abuse_lockouts (
+    source VARCHAR(64) PRIMARY KEY,
+    lockout_count INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMP,
+    unknown_license_checks INTEGER NOT NULL DEFAULT 0,
+    recent_license_keys TEXT[] NOT NULL DEFAULT '[]',
+    first_seen TIMESTAMP DEFAULT NOW(),
+    last_locked_at TIMESTAMP DEFAULT NOW(),
+    reported_at TIMESTAMP
+  )`,
+  `CREATE TABLE IF NOT EXISTS blacklisted_users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    roblox_user_id BIGINT,
+    username VARCHAR(255) NOT NULL,
+    reason VARCHAR(255) NOT NULL,
+    added_by VARCHAR(255) NOT NULL,
+    report_id INTEGER,
+    created_at TIMESTAMP DEFAULT NOW()
+  )`,
+  'CREATE UNIQUE INDEX IF NOT EXISTS blacklisted_users_roblox_user_id_idx ON blacklisted_users (roblox_user_id) WHERE roblox_user_id IS NOT NULL',
+  'CREATE INDEX IF NOT EXISTS blacklisted_users_username_lower_idx ON blacklisted_users (LOWER(username))',
+  `CREATE TABLE IF NOT EXISTS leak_reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    license_key VARCHAR(255) NOT NULL REFERENCES licenses(license_key) ON DELETE CASCADE,
+    roblox_user_id BIGINT,
+    username VARCHAR(255) NOT NULL,
+    evidence TEXT NOT NULL,
+    reported_by VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    reviewed_by VARCHAR(255),
+    review_note VARCHAR(255),
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+  )`,
+  'CREATE INDEX IF NOT EXISTS leak_reports_status_idx ON leak_reports (status, created_at)',
+  `CREATE TABLE IF NOT EXISTS license_key_aliases (
+    old_key VARCHAR(255) PRIMARY KEY,
+    license_key VARCHAR(255) NOT NULL REFERENCES licenses(license_key) ON DELETE CASCADE,
+    expires_at TIMESTAMP NOT NULL,
+    rotated_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT NOW()
+  )`,
+  'CREATE INDEX IF NOT EXISTS license_key_aliases_license_key_idx ON license_key_aliases (license_key)'
+];
+
+async function upSqlite(db) {
+  for (const statement of SQLITE_SCHEMA) {
+    await db.query(statement);
+  }
+}
+
+module.exports = { up, down, sqlite: { up: upSqlite, down } };
@@ -0,0 +1,16 @@
+// Lockout sources name the caller's place and game server next to its IP (see
+// abuseGuard.checkSource), which does not fit in 64 characters. SQLite does not enforce
+// VARCHAR lengths, so it has nothing to change.
+async function up(db) {
+  await db.query('ALTER TABLE abuse_lockouts ALTER COLUMN source TYPE VARCHAR(255)');
+}
+
+// Lockouts only matter for a day, so the ones whose source no longer fits are dropped
+async function down(db) {
+  await db.query('DELETE FROM abuse_lockouts WHERE LENGTH(source) > 64');
+  await db.query('ALTER TABLE abuse_lockouts ALTER COLUMN source TYPE VARCHAR(64)');
+}
+
+async function noop() {}
+
+module.exports = { up, down, sqlite: { up: noop, down: noop } };
@@ -0,0 +1,193 @@
+// Versioned schema migrations. Each file in migrations/ is named <version>_<name>.js and
+// exports up(db) and down(db), optionally overridden per dialect (e.g. sqlite: { up, down });
+// applied versions are recorded in schema_migrations. Every migration runs in its own
+// transaction, and an advisory lock keeps the bot and the API server from migrating at the
+// same time when they start together. SQLite has no advisory locks, but its transactions
+// already run one at a time, and each one checks that its migration is still pending. The
+// functions below take a `dir` option to run the migrations of another directory instead.
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db');
+const logger = require('./logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Arbitrary key shared by every process that migrates this database
+const MIGRATION_LOCK_ID = 7245019;
+
+// Migrations on disk, oldest first: [{ version, name, label, up, down }], where label is
+// the file name without .js and up and down are the ones for `dialect`
+function loadMigrations(dir = MIGRATIONS_DIR, dialect = pool.dialect) {
+  const migrations = [];
+  for (const file of fs.readdirSync(dir)) {
+    const match = MIGRATION_FILE_PATTERN.exec(file);
+    if (!match) {
+      continue;
+    }
+
+    const definitions = require(path.join(dir, file));
+    const migration = definitions[dialect] || definitions;
+    if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+      throw new Error(`Migration ${file} must export up and down functions`);
+    }
+    migrations.push({
+      version: parseInt(match[1], 10),
+      name: match[2],
+      label: path.basename(file, '.js'),
+      up: migration.up,
+      down: migration.down
+    });
+  }
+
+  migrations.sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Two migrations share version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+// Runs fn with a client holding the migration lock, after making sure the history table exists
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+  const useAdvisoryLock = pool.dialect === 'postgres';
+  try {
+    if (useAdvisoryLock) {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    }
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          applied_at TIMESTAMP DEFAULT NOW()
+        )
+      `);
+      return await fn(client);
+    } finally {
+      if (useAdvisoryLock) {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+      }
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function getAppliedVersions(client) {
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(result.rows.map(row => row.version));
+}
+
+// Runs one migration's up or down and records it, all or nothing. Resolves to false when
+// another process got there first.
+async function runMigration(client, migration, direction) {
+  try {
+    await client.query('BEGIN');
+    const current = await client.query('SELECT 1 FROM schema_migrations WHERE version = $1', [migration.version]);
+    if ((current.rowCount > 0) === (direction === 'up')) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    await migration[direction](client);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+    logger.info(`Migration ${migration.label} ${direction === 'up' ? 'applied' : 'reverted'}`);
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${migration.label} failed (${direction}): ${error.message}`);
+  }
+}
+
+// Applies every pending migration up to and including version `to` (all when null).
+// Resolves to the migrations applied; the first failure stops the run and rejects.
+async function migrateUp({ to = null, dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+  return withMigrationLock(async client => {
+    const applied = await getAppliedVersions(client);
+    const pending = migrations.filter(migration => !applied.has(migration.version) && (to === null || migration.version <= to));
+
+    const ran = [];
+    for (const migration of pending) {
+      if (await runMigration(client, migration, 'up')) {
+        ran.push(migration);
+      }
+    }
+    return ran;
+  });
+}
+
+// The applied migrations a migrateDown with these options would revert, newest first
+function pickMigrationsToRevert(migrations, applied, { steps = 1, to = null } = {}) {
+  const missing = [...applied].filter(version => !migrations.some(migration => migration.version === version));
+  if (missing.length > 0) {
+    throw new Error(`Applied migrations have no file to revert them: ${missing.join(', ')}`);
+  }
+
+  const newestFirst = migrations.filter(migration => applied.has(migration.version)).reverse();
+  return to === null ? newestFirst.slice(0, steps) : newestFirst.filter(migration => migration.version > to);
+}
+
+// Lists what migrateDown would revert with the same options, without changing anything
+async function planMigrateDown(options = {}) {
+  const migrations = loadMigrations(options.dir);
+  return withMigrationLock(async client => pickMigrationsToRevert(migrations, await getAppliedVersions(client), options));
+}
+
+// Reverts the newest `steps` applied migrations, or every one newer than version `to`
+// when given. Resolves to the migrations reverted.
+async function migrateDown(options = {}) {
+  const migrations = loadMigrations(options.dir);
+  return withMigrationLock(async client => {
+    const toRevert = pickMigrationsToRevert(migrations, await getAppliedVersions(client), options);
+
+    const ran = [];
+    for (const migration of toRevert) {
+      if (await runMigration(client, migration, 'down')) {
+        ran.push(migration);
+      }
+    }
+    return ran;
+  });
+}
+
+// Every known migration with when it was applied (null while pending), plus any applied
+// version whose file is gone (missing: true)
+async function getMigrationStatus({ dir = MIGRATIONS_DIR } = {}) {
+  const migrations = loadMigrations(dir);
+  return withMigrationLock(async client => {
+    const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    const appliedAt = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+    const status = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      label: migration.label,
+      appliedAt: appliedAt.get(migration.version) || null,
+      missing: false
+    }));
+    for (const row of result.rows) {
+      if (!migrations.some(migration => migration.version === row.version)) {
+        status.push({ version: row.version, name: row.name, label: `${row.version}_${row.name}`, appliedAt: row.applied_at, missing: true });
+      }
+    }
+    return status.sort((a, b) => a.version - b.version);
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  migrateUp,
+  migrateDown,
+  planMigrateDown,
+  getMigrationStatus
+};
@@ -0,0 +1,41 @@
+// PostgreSQL backend: a pg pool plus the SQL fragments that differ from SQLite
+const { Pool } = require('pg');
+
+// ts moved by amount (SQL) of unit ('millisecond', 'second' or 'day'). amount may be
+// negative; a negated parameter needs a cast, e.g. '-$1::INTEGER'.
+function shiftTimeSql(ts, amount, unit) {
+  return `(${ts} + (${amount})::DOUBLE PRECISION * INTERVAL '1 ${unit}')`;
+}
+
+// True when value is an element of the array in arraySql (a TEXT[] column or array parameter)
+function arrayContainsSql(value, arraySql) {
+  return `${value} = ANY(${arraySql})`;
+}
+
+// FROM item with one row per element of an array, in a column named alias
+function arrayElementsSql(arraySql, alias) {
+  return `unnest(${arraySql}) AS ${alias}`;
+}
+
+// FROM item with one row per object of the JSON array parameter param. columns lists
+// "name TYPE" pairs, e.g. 'idx INTEGER, license_key TEXT'.
+function recordsetSql(param, alias, columns) {
+  return `jsonb_to_recordset(${param}::jsonb) AS ${alias}(${columns})`;
+}
+
+function createPostgresDb(connectionString) {
+  const pool = new Pool({
+    connectionString,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+  });
+
+  return Object.assign(pool, {
+    dialect: 'postgres',
+    shiftTimeSql,
+    arrayContainsSql,
+    arrayElementsSql,
+    recordsetSql
+  });
+}
+
+module.exports = { createPostgresDb };
@@ -0,0 +1,70 @@
+// Resolves Roblox usernames to numeric UserIds (and back).
+// Point ROBLOX_USERS_API_URL at a local stand-in that serves the same two
+// routes to run without reaching Roblox.
+const DEFAULT_BASE_URL = 'https://users.roblox.com';
+const REQUEST_TIMEOUT_MS = 5000;
+
+// Roblox accepts at most 100 usernames per lookup request
+const MAX_BATCH_SIZE = 100;
+
+const USER_ID_PATTERN = /^\d{1,19}$/;
+
+class RobloxUserResolver {
+  constructor(baseUrl = process.env.ROBLOX_USERS_API_URL || DEFAULT_BASE_URL) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  isValidUserId(userId) {
+    return USER_ID_PATTERN.test(String(userId));
+  }
+
+  // Returns a Map of lower-cased requested username -> { id, name }
+  async resolveUsernames(usernames) {
+    const resolved = new Map();
+    const unique = [...new Set(usernames.map(name => name.toLowerCase()))];
+
+    for (let i = 0; i < unique.length; i += MAX_BATCH_SIZE) {
+      const response = await fetch(`${this.baseUrl}/v1/usernames/users`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ usernames: unique.slice(i, i + MAX_BATCH_SIZE), excludeBannedUsers: false }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Roblox username lookup failed with status ${response.status}`);
+      }
+
+      const { data } = await response.json();
+      for (const user of data || []) {
+        resolved.set(user.requestedUsername.toLowerCase(), { id: String(user.id), name: user.name });
+      }
+    }
+
+    return resolved;
+  }
+
+  async resolveUsername(username) {
+    const resolved = await this.resolveUsernames([username]);
+    return resolved.get(username.toLowerCase()) || null;
+  }
+
+  async getUserById(userId) {
+    const response = await fetch(`${this.baseUrl}/v1/users/${encodeURIComponent(userId)}`, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Roblox user lookup failed with status ${response.status}`);
+    }
+
+    const user = await response.json();
+    return { id: String(user.id), name: user.name };
+  }
+}
+
+module.exports = new RobloxUserResolver();
+module.exports.RobloxUserResolver = RobloxUserResolver;
@@ -1,21 +1,45 @@
 require('dotenv').config();
 const express = require('express');
-const { Pool } = require('pg');
 const rateLimit = require('express-rate-limit');
+const pool = require('./db');
+const signer = require('./signer');
+const robloxUsers = require('./robloxUsers');
+const { API_SCOPES, hashToken, parseScopes, safeEqual } = require('./apiTokens');
+const { DENY_REASONS, getRobloxContext, recordChecks, queryCheckLogs, pruneCheckLogs } = require('./checkLogs');
+const { durationToDate, parseDuration } = require('./durations');
+const licenseStore = require('./licenseStore');
+const webhooks = require('./webhooks');
+const metrics = require('./metrics');
+const abuseGuard = require('./abuseGuard');
+const blacklist = require('./blacklist');
+const { migrateUp } = require('./migrator');
+const { playerMatchSql, activeGrantSql, suspendedGrantSql, licenseExpiredSql, licensePausedSql, vehicleMatchSql, catalogVehicleMatchSql, placeAllowedSql } = licenseStore;
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// PostgreSQL connection pool
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
+// Railway terminates TLS in front of us, so take the client IP from X-Forwarded-For
+if (process.env.NODE_ENV === 'production') {
+  app.set('trust proxy', 1);
+}
 
-// Ensure required environment variables are set
+// The global admin key is optional now that licenses have their own API tokens
 if (!process.env.ADMIN_KEY) {
-  console.warn('⚠️  ADMIN_KEY environment variable is not set. Using default (insecure for production!)');
-  process.env.ADMIN_KEY = process.env.ADMIN_KEY || 'Zu1qurn@1n';
+  console.warn('⚠️  ADMIN_KEY environment variable is not set. Global admin access is disabled; use license API tokens.');
+}
+
+metrics.initMetrics('api');
+metrics.registerPoolMetrics(pool);
+
+app.use(metrics.httpMetricsMiddleware);
+
+// Prometheus metrics, registered ahead of the rate limiter so scrapes never eat into its budget
+app.get('/metrics', metrics.metricsHandler);
+
+// Check endpoints are budgeted per license key and player (see abuseGuard), so
+// they only share a much higher per-IP ceiling instead of the general limit
+function isCheckRequest(req) {
+  return req.path.startsWith('/check-');
 }
 
 // Rate limiting to prevent spam
@@ -25,169 +49,544 @@ const limiter = rateLimit({
   message: { error: 'Too many requests, please try again later.' },
   standardHeaders: true,
   legacyHeaders: false,
+  skip: isCheckRequest,
+  handler: (req, res, next, options) => {
+    metrics.rateLimitRejections.inc({ limiter: 'ip' });
+    res.status(options.statusCode).json(options.message);
+  }
+});
+
+const checkIpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.CHECK_IP_RATE_LIMIT || '5000', 10),
+  message: { error: 'Too many requests, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: req => !isCheckRequest(req),
+  handler: (req, res, next, options) => {
+    metrics.rateLimitRejections.inc({ limiter: 'check_ip' });
+    res.status(options.statusCode).json(options.message);
+  }
 });
 
 app.use(limiter);
+app.use(checkIpLimiter);
 app.use(express.json());
 
 // Add CORS middleware for web compatibility
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
   next();
 });
 
-// Function to check if a user is authorized for a specific license
-async function checkUserLicense(licenseKey, username) {
-  try {
-    // First check if license is paused
-    const licenseCheck = await pool.query(
-      'SELECT license_key FROM paused_licenses WHERE license_key = $1',
-      [licenseKey]
-    );
+// Authenticates admin requests. The global ADMIN_KEY can manage every license;
+// API tokens only reach their own license and need the given scope.
+// Routes that pass a null scope are reserved for the global key.
+function requireAuth(scope) {
+  return async (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+    // Deprecated: the global key used to be sent in the body or query string
+    const legacyKey = (req.body && req.body.adminKey) || req.query.adminKey;
     
-    if (licenseCheck.rows.length > 0) {
-      return false; // License is paused
+    if (process.env.ADMIN_KEY && safeEqual(bearer || legacyKey, process.env.ADMIN_KEY)) {
+      if (!bearer) {
+        console.warn(`⚠️  ${req.path} called with adminKey in the body or query string; send it as a Bearer token instead`);
+      }
+      req.auth = { type: 'admin' };
+      return next();
     }
     
-    const result = await pool.query(
-      `SELECT 
-        CASE 
-          WHEN EXISTS (
-            SELECT 1 FROM authorized_users 
-            WHERE license_key = $1 AND username = $2 AND vehicle = '*ALL*'
-          ) THEN true
-          WHEN EXISTS (
-            SELECT 1 FROM authorized_users 
-            WHERE license_key = $1 AND username = $2
-          ) THEN true
-          ELSE false
-        END as is_authorized`,
-      [licenseKey, username]
-    );
+    if (!bearer) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
     
-    return result.rows[0].is_authorized;
+    try {
+      const tokenResult = await pool.query(
+        'SELECT id, license_key, scopes FROM api_tokens WHERE token_hash = $1 AND revoked_at IS NULL',
+        [hashToken(bearer)]
+      );
+      
+      if (tokenResult.rows.length === 0) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      
+      const token = tokenResult.rows[0];
+      const licenseKey = req.params.licenseKey || (req.body && req.body.licenseKey) || req.query.licenseKey;
+      
+      if (!scope || !token.scopes.includes(scope) || token.license_key !== licenseKey) {
+        return res.status(403).json({ error: 'This token is not allowed to perform this action' });
+      }
+      
+      // Like staff in Discord, tokens cannot change grants while the license is paused
+      if ((scope === API_SCOPES.USERS_ADD || scope === API_SCOPES.USERS_REMOVE) && await licenseStore.isLicensePaused(licenseKey)) {
+        return res.status(403).json({ error: 'This license is currently paused' });
+      }
+      
+      req.auth = { type: 'token', tokenId: token.id, licenseKey };
+      
+      pool.query('UPDATE api_tokens SET last_used_at = NOW() WHERE id = $1', [token.id])
+        .catch(error => console.error('Error recording API token use:', error));
+      
+      next();
+    } catch (error) {
+      console.error('Error authenticating API token:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+// Remembers a place that called in for a license it is not allowlisted on
+async function flagUnknownPlace(licenseKey, context) {
+  await pool.query(
+    `INSERT INTO flagged_places (license_key, place_id, universe_id)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (license_key, place_id, universe_id)
+     DO UPDATE SET hit_count = flagged_places.hit_count + 1, last_seen = NOW()`,
+    [licenseKey, context.placeId || '', context.universeId || '']
+  );
+}
+
+// Looks up the UserId of each item that only has a username, so a name matches the grants
+// of the player who holds it now rather than those of whoever held it before. When Roblox
+// cannot be reached, such items only match legacy username-only grants.
+async function resolveItemUserIds(items) {
+  const usernames = items.filter(item => !item.userId && item.username).map(item => item.username);
+  if (usernames.length === 0) {
+    return items;
+  }
+  
+  let resolved = new Map();
+  try {
+    resolved = await robloxUsers.resolveUsernames(usernames);
   } catch (error) {
-    console.error('Error checking user license:', error);
-    return false;
+    console.warn(`Roblox lookup failed, matching usernames against legacy grants only: ${error.message}`);
   }
+  
+  return items.map(item => {
+    const robloxUser = !item.userId && item.username ? resolved.get(item.username.toLowerCase()) : null;
+    return robloxUser ? { ...item, userId: robloxUser.id } : item;
+  });
 }
 
-// Function to check if user is authorized for a specific vehicle across all licenses
-async function checkUserVehicleAuthorization(username, vehicleName) {
+// Checks any number of players in a single query, called from the given Roblox place
+// ({ placeId, universeId }). Each item is { licenseKey, vehicle, userId, username }:
+// a licenseKey alone makes it a license check, a licenseKey and vehicle a vehicle check
+// within that license, and a vehicle alone a (deprecated) vehicle check across every
+// license that still allows global lookups. Usernames without a UserId are resolved
+// through Roblox first. Vehicle checks accept the catalog name, an alias or the asset id.
+// The old key of a rotated license checks the license it now belongs to until its grace
+// period ends. Expiry and scheduled pauses take effect on time, without waiting for the
+// sweeps to record them. Resolves to one { approved, denyReason, licenseKey, kickMessage,
+// graceWindowMinutes } per item, in order, where licenseKey is the (current key of the)
+// checked or granting license, if any, and the rest are that license's settings.
+async function checkPlayers(items, context = {}) {
+  const resolvedItems = await resolveItemUserIds(items);
+  const endTimer = metrics.checkQueryDuration.startTimer();
   try {
     const result = await pool.query(
-      `SELECT 
-        CASE 
-          WHEN EXISTS (
-            SELECT 1 FROM authorized_users au
-            JOIN licenses l ON au.license_key = l.license_key
-            LEFT JOIN paused_licenses pl ON l.license_key = pl.license_key
-            WHERE au.username = $1 AND au.vehicle = '*ALL*' AND pl.license_key IS NULL
-          ) THEN true
-          WHEN EXISTS (
-            SELECT 1 FROM authorized_users au
-            JOIN licenses l ON au.license_key = l.license_key
-            LEFT JOIN paused_licenses pl ON l.license_key = pl.license_key
-            WHERE au.username = $1 AND au.vehicle = $2 AND pl.license_key IS NULL
-          ) THEN true
-          ELSE false
-        END as is_authorized`,
-      [username, vehicleName]
+      `WITH raw_items AS (
+         SELECT * FROM ${pool.recordsetSql('$1', 'r', 'idx INTEGER, license_key TEXT, vehicle TEXT, user_id BIGINT, username TEXT')}
+       ),
+       items AS (
+         SELECT r.idx, COALESCE(a.license_key, r.license_key) as license_key, r.vehicle, r.user_id, r.username
+         FROM raw_items r
+         LEFT JOIN license_key_aliases a ON a.old_key = r.license_key AND a.expires_at > NOW()
+       ),
+       matched AS (
+         -- Prefer a usable grant; an expired or paused license, a disallowed place or a suspension only explains the denial
+         SELECT i.*, (
+           SELECT au.id
+           FROM authorized_users au
+           JOIN licenses l ON au.license_key = l.license_key
+           -- Games may send a catalog alias or asset id; grants hold the catalog name
+           LEFT JOIN license_vehicles lv ON lv.license_key = au.license_key AND ${catalogVehicleMatchSql('i.vehicle', 'lv')}
+           WHERE ${playerMatchSql('i.user_id', 'i.username', 'au')} AND ${activeGrantSql('au')}
+             AND (i.license_key IS NULL OR au.license_key = i.license_key)
+             AND (i.license_key IS NOT NULL OR l.global_vehicle_checks)
+             AND (i.vehicle IS NULL OR ${vehicleMatchSql('COALESCE(lv.name, i.vehicle)', 'au')})
+           ORDER BY ${licenseExpiredSql('l')}, ${licensePausedSql('l.license_key')}, ${placeAllowedSql('au.license_key', '$2', '$3')} DESC, ${suspendedGrantSql('au')}
+           LIMIT 1
+         ) as grant_id
+         FROM items i
+       )
+       SELECT i.idx,
+              i.license_key,
+              i.license_key IS NULL OR EXISTS (
+                SELECT 1 FROM licenses WHERE license_key = i.license_key
+              ) as license_exists,
+              i.license_key IS NOT NULL AND ${licensePausedSql('i.license_key')} as license_paused,
+              ${licenseExpiredSql('checked')} as is_expired,
+              i.license_key IS NULL OR ${placeAllowedSql('i.license_key', '$2', '$3')} as license_place_allowed,
+              ${blacklist.blacklistedSql('i.user_id', 'i.username')} as is_blacklisted,
+              grant_row.license_key as grant_license_key,
+              CASE WHEN grant_row.id IS NOT NULL THEN ${licensePausedSql('grant_row.license_key')} END as is_paused,
+              CASE WHEN grant_row.id IS NOT NULL THEN ${placeAllowedSql('grant_row.license_key', '$2', '$3')} END as is_place_allowed,
+              CASE WHEN grant_row.id IS NOT NULL THEN ${suspendedGrantSql('grant_row')} END as is_suspended,
+              -- Tells "wrong vehicle" apart from "not listed" when nothing matched
+              CASE WHEN grant_row.license_key IS NULL AND i.vehicle IS NOT NULL THEN EXISTS (
+                SELECT 1 FROM authorized_users au
+                JOIN licenses l ON au.license_key = l.license_key
+                WHERE ${playerMatchSql('i.user_id', 'i.username', 'au')} AND ${activeGrantSql('au')}
+                  AND (au.license_key = i.license_key OR (i.license_key IS NULL AND l.global_vehicle_checks))
+              ) END as has_other_grants,
+              checked.kick_message,
+              checked.grace_window_minutes
+       FROM matched i
+       LEFT JOIN authorized_users grant_row ON grant_row.id = i.grant_id
+       LEFT JOIN licenses checked ON checked.license_key = COALESCE(i.license_key, grant_row.license_key)
+       ORDER BY i.idx`,
+      [
+        JSON.stringify(resolvedItems.map((item, idx) => ({
+          idx,
+          license_key: item.licenseKey || null,
+          vehicle: item.vehicle || null,
+          user_id: item.userId || null,
+          username: item.username || null
+        }))),
+        context.placeId || null,
+        context.universeId || null
+      ]
     );
     
-    return result.rows[0].is_authorized;
+    endTimer();
+    
+    return result.rows.map((row, idx) => {
+      const licenseKey = row.license_key || row.grant_license_key;
+      const deny = denyReason => ({ approved: false, denyReason, licenseKey, kickMessage: row.kick_message });
+      
+      if (!row.license_exists) {
+        return deny(DENY_REASONS.UNKNOWN_LICENSE);
+      }
+      // Blacklisted players are denied everywhere, whatever they were granted
+      if (row.is_blacklisted) {
+        return deny(DENY_REASONS.BLACKLISTED);
+      }
+      // License checks deny an expired or paused license or unknown place even without a
+      // grant. Expiry is checked here rather than left to the pause the sweep adds later.
+      if (row.is_expired) {
+        return deny(DENY_REASONS.LICENSE_EXPIRED);
+      }
+      if (row.license_paused || row.is_paused) {
+        return deny(DENY_REASONS.LICENSE_PAUSED);
+      }
+      if (!row.license_place_allowed || row.is_place_allowed === false) {
+        return deny(DENY_REASONS.UNKNOWN_PLACE);
+      }
+      if (row.is_suspended) {
+        return deny(DENY_REASONS.GRANT_SUSPENDED);
+      }
+      if (!row.grant_license_key) {
+        return deny(row.has_other_grants ? DENY_REASONS.VEHICLE_NOT_AUTHORIZED : DENY_REASONS.NOT_AUTHORIZED);
+      }
+      return { approved: true, denyReason: null, licenseKey, kickMessage: null, graceWindowMinutes: row.grace_window_minutes };
+    });
   } catch (error) {
-    console.error('Error checking user vehicle authorization:', error);
-    return false;
+    console.error('Error checking players:', error);
+    return items.map(item => ({ approved: false, denyReason: DENY_REASONS.ERROR, licenseKey: item.licenseKey || null, kickMessage: null }));
+  }
+}
+
+// Function to check if a player ({ userId, username }, either may be null) is authorized for a specific license
+async function checkUserLicense(licenseKey, player, context = {}) {
+  const [check] = await checkPlayers([{ licenseKey, ...player }], context);
+  return check;
+}
+
+// Function to check if a player is authorized for a specific vehicle across all licenses
+async function checkUserVehicleAuthorization(player, vehicleName, context = {}) {
+  const [check] = await checkPlayers([{ vehicle: vehicleName, ...player }], context);
+  return check;
+}
+
+// Function to check if a player is authorized for a vehicle on one license
+async function checkUserLicenseVehicle(licenseKey, player, vehicleName, context = {}) {
+  const [check] = await checkPlayers([{ licenseKey, vehicle: vehicleName, ...player }], context);
+  return check;
+}
+
+// check_logs and metrics type of a check item
+function checkTypeOf(item) {
+  if (item.licenseKey) {
+    return item.vehicle ? 'license_vehicle' : 'license';
+  }
+  return 'vehicle';
+}
+
+// Vehicle checks without a license key match grants from other creators' licenses
+// that share a vehicle name. They keep working, but responses point at the replacement.
+const GLOBAL_VEHICLE_CHECK_DEPRECATION = 'Vehicle checks without a license key are deprecated; use /check-license-vehicle/:licenseKey/:username/:vehicle or send licenseKey with the vehicle';
+
+function flagDeprecatedVehicleCheck(res, successor) {
+  res.set('Deprecation', 'true');
+  res.set('Link', `<${successor}>; rel="successor-version"`);
+}
+
+// Human-readable explanation returned next to each deny reason code
+const DENY_MESSAGES = {
+  [DENY_REASONS.NOT_AUTHORIZED]: 'This player is not authorized on this license.',
+  [DENY_REASONS.VEHICLE_NOT_AUTHORIZED]: 'This player is authorized, but not for this vehicle.',
+  [DENY_REASONS.UNKNOWN_LICENSE]: 'This license key does not exist.',
+  [DENY_REASONS.LICENSE_PAUSED]: 'This license is currently paused.',
+  [DENY_REASONS.LICENSE_EXPIRED]: 'This license\'s subscription has expired.',
+  [DENY_REASONS.GRANT_SUSPENDED]: 'This player\'s access is currently suspended.',
+  [DENY_REASONS.BLACKLISTED]: 'This player is blacklisted for leaking.',
+  [DENY_REASONS.UNKNOWN_PLACE]: 'This license is not allowed to run in this place.'
+};
+
+// Messages for denials without a license, from deprecated global vehicle checks that
+// matched no grant
+const GLOBAL_DENY_MESSAGES = {
+  [DENY_REASONS.NOT_AUTHORIZED]: 'This player is not authorized for this vehicle.'
+};
+
+// Sent instead of a decision when the database cannot be reached. Games should keep
+// the player and retry rather than treat it as a denial.
+const CHECK_UNAVAILABLE_MESSAGE = 'License checks are temporarily unavailable; keep the player and retry shortly.';
+const CHECK_UNAVAILABLE_RETRY_AFTER = 30; // seconds
+
+// Status fields of a check response: { status } when approved, plus { reason, message,
+// kickMessage? } when denied. These sit next to the signature, not inside its payload.
+function checkOutcome(check) {
+  if (check.approved) {
+    return { status: 'approved' };
+  }
+  return {
+    status: 'denied',
+    reason: check.denyReason,
+    message: (!check.licenseKey && GLOBAL_DENY_MESSAGES[check.denyReason]) || DENY_MESSAGES[check.denyReason],
+    ...(check.kickMessage ? { kickMessage: check.kickMessage } : {})
+  };
+}
+
+// Grace token for an approved license-scoped check whose license gives a grace window,
+// otherwise null. Deprecated global lookups get none, as the game never named the license.
+function issueGraceToken(check, { licenseKey, vehicle, userId, username }) {
+  if (!check.approved || !licenseKey || !check.graceWindowMinutes) {
+    return null;
   }
+  const issuedAt = Math.floor(Date.now() / 1000);
+  return signer.signGraceToken({
+    licenseKey,
+    userId,
+    username,
+    vehicle,
+    issuedAt,
+    expiresAt: issuedAt + check.graceWindowMinutes * 60
+  });
+}
+
+// Log label of a check result, e.g. APPROVED or DENIED (license_paused)
+function outcomeLabel(check) {
+  if (check.approved) {
+    return 'APPROVED';
+  }
+  return check.denyReason === DENY_REASONS.ERROR ? 'UNAVAILABLE' : `DENIED (${check.denyReason})`;
 }
 
-// Function to get all users for a specific license
-async function getUsersForLicense(licenseKey) {
+// Resolves the { userId, username } given to an admin endpoint into a Roblox user.
+// Returns null when the user does not exist; throws when Roblox cannot be reached.
+async function resolveRobloxUser({ userId, username }) {
+  if (userId) {
+    return robloxUsers.getUserById(userId);
+  }
+  return robloxUsers.resolveUsername(username);
+}
+
+// Like resolveRobloxUser for a player who already has grants: falls back to the given name
+// and id when Roblox does not know them or cannot be reached, so legacy grants still match
+async function resolveGrantedPlayer({ userId, username }) {
   try {
-    const result = await pool.query(
-      'SELECT username, vehicle FROM authorized_users WHERE license_key = $1',
-      [licenseKey]
-    );
-    return result.rows;
+    const robloxUser = await resolveRobloxUser({ userId, username });
+    if (robloxUser) {
+      return robloxUser;
+    }
   } catch (error) {
-    console.error('Error getting users for license:', error);
-    return [];
+    console.warn(`Roblox lookup failed, matching by name only: ${error.message}`);
+  }
+  return { id: userId || null, name: username || null };
+}
+
+// Most players and vehicles one batch check may cover
+const MAX_BATCH_CHECKS = 200;
+
+// Answers 429 when a source locked out for probing unknown license keys checks one again.
+// Its checks against existing licenses are still answered. Returns true if it did.
+function rejectLockedSource(res, source, checks) {
+  if (!checks.some(check => check.denyReason === DENY_REASONS.UNKNOWN_LICENSE)) {
+    return false;
+  }
+  
+  const retryAfter = abuseGuard.getLockout(source);
+  if (retryAfter === 0) {
+    return false;
+  }
+  
+  metrics.rateLimitRejections.inc({ limiter: 'lockout' });
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error: 'Too many checks against unknown licenses, please try again later.', retryAfter });
+  return true;
+}
+
+// Answers 429 when the checks run over a license or player budget. Only checks whose license
+// turned out to exist are charged, under the license's current key. Returns true if it did.
+function rejectOverBudget(res, items, checks) {
+  const exceeded = abuseGuard.consumeCheckBudget(items
+    .map((item, i) => ({ ...item, licenseKey: item.licenseKey && checks[i].licenseKey, denyReason: checks[i].denyReason }))
+    .filter(item => item.denyReason !== DENY_REASONS.UNKNOWN_LICENSE && item.denyReason !== DENY_REASONS.ERROR));
+  if (!exceeded) {
+    return false;
+  }
+  
+  metrics.rateLimitRejections.inc({ limiter: exceeded.limiter });
+  res.set('Retry-After', String(exceeded.retryAfter));
+  res.status(429).json({
+    error: `Too many checks for this ${exceeded.limiter}, please try again later.`,
+    retryAfter: exceeded.retryAfter
+  });
+  return true;
+}
+
+// Writes finished checks to the audit log, flags unknown places and counts
+// strikes for unknown license keys, without holding up the response
+function recordCheckResults(req, items, checks, context) {
+  for (let i = 0; i < items.length; i++) {
+    metrics.checksTotal.inc({
+      endpoint: req.route.path,
+      type: checkTypeOf(items[i]),
+      result: checks[i].approved ? 'approved' : 'denied',
+      reason: checks[i].denyReason || 'none'
+    });
+  }
+  
+  recordChecks(pool, items.map((item, i) => ({
+    checkType: checkTypeOf(item),
+    licenseKey: checks[i].licenseKey,
+    userId: item.userId,
+    username: item.username,
+    vehicle: item.vehicle,
+    approved: checks[i].approved,
+    denyReason: checks[i].denyReason,
+    callerIp: req.ip,
+    ...context
+  }))).catch(error => console.error('Error recording check log:', error));
+  
+  const flaggedLicenses = new Set(
+    checks.filter(check => check.denyReason === DENY_REASONS.UNKNOWN_PLACE).map(check => check.licenseKey)
+  );
+  for (const flaggedLicense of flaggedLicenses) {
+    console.warn(`⚠️  ${flaggedLicense} called from unknown place ${context.placeId || '?'} (universe ${context.universeId || '?'})`);
+    flagUnknownPlace(flaggedLicense, context)
+      .catch(error => console.error('Error flagging unknown place:', error));
   }
+  
+  const source = abuseGuard.checkSource(req.ip, context);
+  for (const check of checks) {
+    if (check.denyReason === DENY_REASONS.UNKNOWN_LICENSE && abuseGuard.recordUnknownLicense(source, check.licenseKey)) {
+      break;
+    }
+  }
+  
+  // Denied vehicle checks without a matching grant belong to no license, so only these can be
+  // reported. Unavailable checks were never decided.
+  webhooks.enqueueEvents(items
+    .map((item, i) => ({ item, check: checks[i] }))
+    .filter(({ check }) => !check.approved && check.licenseKey && check.denyReason !== DENY_REASONS.ERROR)
+    .map(({ item, check }) => ({
+      licenseKey: check.licenseKey,
+      event: webhooks.WEBHOOK_EVENTS.CHECK_DENIED,
+      data: {
+        userId: item.userId,
+        username: item.username,
+        vehicle: item.vehicle,
+        reason: check.denyReason,
+        placeId: context.placeId,
+        universeId: context.universeId
+      }
+    })));
 }
 
-// Function to add user to a license
-async function addUserToLicense(licenseKey, username, vehicle = null) {
-  const client = await pool.connect();
+// Shared handler for the username and UserId variants of the check endpoints
+async function handleCheck(req, res, { licenseKey = null, vehicle = null, userId = null, username = null }) {
+  const { nonce } = req.query;
+  
+  if (userId !== null && !robloxUsers.isValidUserId(userId)) {
+    return res.status(400).json({ error: 'UserId must be numeric' });
+  }
+  
+  if (!signer.isValidNonce(nonce)) {
+    return res.status(400).json({ error: 'Nonce must be 8-128 characters of letters, digits, - or _' });
+  }
+  
+  const player = { userId, username };
+  const context = getRobloxContext(req);
+  
   try {
-    await client.query('BEGIN');
+    let check;
+    if (licenseKey && vehicle) {
+      check = await checkUserLicenseVehicle(licenseKey, player, vehicle, context);
+    } else if (licenseKey) {
+      check = await checkUserLicense(licenseKey, player, context);
+    } else {
+      check = await checkUserVehicleAuthorization(player, vehicle, context);
+    }
     
-    const actualVehicle = vehicle === null ? '*ALL*' : vehicle;
+    if (rejectLockedSource(res, abuseGuard.checkSource(req.ip, context), [check]) || rejectOverBudget(res, [{ licenseKey, ...player }], [check])) {
+      return;
+    }
     
-    // Check if user already exists with this vehicle
-    const existingCheck = await client.query(
-      'SELECT id FROM authorized_users WHERE license_key = $1 AND username = $2 AND vehicle = $3',
-      [licenseKey, username, actualVehicle]
-    );
+    const isApproved = check.approved;
+    const timestamp = new Date().toISOString();
+    const subject = {
+      userId,
+      username,
+      ...(licenseKey ? { licenseKey } : {}),
+      ...(vehicle ? { vehicle } : {})
+    };
     
-    if (existingCheck.rows.length > 0) {
-      await client.query('ROLLBACK');
-      return false; // User already exists with this vehicle
+    if (!licenseKey) {
+      flagDeprecatedVehicleCheck(res, '/check-license-vehicle/:licenseKey/:username/:vehicle');
     }
     
-    // If adding all vehicles, remove any specific vehicle entries
-    if (actualVehicle === '*ALL*') {
-      await client.query(
-        'DELETE FROM authorized_users WHERE license_key = $1 AND username = $2',
-        [licenseKey, username]
-      );
+    if (check.denyReason === DENY_REASONS.ERROR) {
+      res.set('Retry-After', String(CHECK_UNAVAILABLE_RETRY_AFTER));
+      res.status(503).json({
+        ...subject,
+        status: 'unavailable',
+        message: CHECK_UNAVAILABLE_MESSAGE,
+        timestamp,
+        nonce: nonce || null
+      });
+    } else {
+      const graceToken = issueGraceToken(check, { licenseKey, vehicle, userId, username });
+      res.json({
+        ...subject,
+        approved: isApproved,
+        ...checkOutcome(check),
+        timestamp,
+        nonce: nonce || null,
+        signature: signer.sign({ approved: isApproved, userId, username, licenseKey, vehicle, timestamp, nonce }),
+        ...(graceToken ? { graceToken } : {}),
+        ...(licenseKey ? {} : { deprecation: GLOBAL_VEHICLE_CHECK_DEPRECATION })
+      });
     }
     
-    // Add the new authorization
-    await client.query(
-      'INSERT INTO authorized_users (license_key, username, vehicle) VALUES ($1, $2, $3)',
-      [licenseKey, username, actualVehicle]
-    );
-    
-    await client.query('COMMIT');
-    return true;
-  } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Error adding user to license:', error);
-    return false;
-  } finally {
-    client.release();
-  }
-}
-
-// Function to remove user from a license
-async function removeUserFromLicense(licenseKey, username, vehicle = null) {
-  const client = await pool.connect();
-  try {
-    await client.query('BEGIN');
-    
-    let result;
-    if (vehicle) {
-      result = await client.query(
-        'DELETE FROM authorized_users WHERE license_key = $1 AND username = $2 AND vehicle = $3',
-        [licenseKey, username, vehicle]
-      );
+    // Log the check for monitoring
+    const who = userId ? `${userId}${username ? ` (${username})` : ''}` : username;
+    if (licenseKey && vehicle) {
+      console.log(`License vehicle check: ${licenseKey} - ${who} - ${vehicle} - ${outcomeLabel(check)}`);
+    } else if (licenseKey) {
+      console.log(`License check: ${licenseKey} - ${who} - ${outcomeLabel(check)}`);
     } else {
-      result = await client.query(
-        'DELETE FROM authorized_users WHERE license_key = $1 AND username = $2',
-        [licenseKey, username]
-      );
+      console.log(`Vehicle check (deprecated global lookup): ${who} - ${vehicle} - ${outcomeLabel(check)}`);
     }
     
-    await client.query('COMMIT');
-    return result.rowCount > 0;
+    recordCheckResults(req, [{ licenseKey, vehicle, userId, username }], [check], context);
+    
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Error removing user from license:', error);
-    return false;
-  } finally {
-    client.release();
+    console.error(`Error checking ${checkTypeOf({ licenseKey, vehicle })} authorization:`, error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 }
 
@@ -199,26 +598,45 @@ app.get('/check-user-license/:licenseKey/:username', async (req, res) => {
     return res.status(400).json({ error: 'License key and username are required' });
   }
   
-  try {
-    const isApproved = await checkUserLicense(licenseKey, username);
-    
-    res.json({
-      username,
-      licenseKey,
-      approved: isApproved,
-      timestamp: new Date().toISOString()
-    });
-    
-    // Log the check for monitoring
-    console.log(`License check: ${licenseKey} - ${username} - ${isApproved ? 'APPROVED' : 'DENIED'}`);
-    
-  } catch (error) {
-    console.error('Error checking user with license:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  await handleCheck(req, res, { licenseKey, username });
+});
+
+// License check by Roblox UserId (preferred: survives renames). Pass ?username= to
+// also match grants that were created before UserIds were stored.
+app.get('/check-userid-license/:licenseKey/:userId', async (req, res) => {
+  const { licenseKey, userId } = req.params;
+  
+  if (!licenseKey || !userId) {
+    return res.status(400).json({ error: 'License key and UserId are required' });
+  }
+  
+  await handleCheck(req, res, { licenseKey, userId, username: req.query.username || null });
+});
+
+// Vehicle check within one license, so same-named vehicles of other creators never match
+app.get('/check-license-vehicle/:licenseKey/:username/:vehicle', async (req, res) => {
+  const { licenseKey, username, vehicle } = req.params;
+  
+  if (!licenseKey || !username || !vehicle) {
+    return res.status(400).json({ error: 'License key, username and vehicle are required' });
+  }
+  
+  await handleCheck(req, res, { licenseKey, vehicle, username });
+});
+
+// License vehicle check by Roblox UserId, with the same optional ?username= legacy fallback
+app.get('/check-userid-license-vehicle/:licenseKey/:userId/:vehicle', async (req, res) => {
+  const { licenseKey, userId, vehicle } = req.params;
+  
+  if (!licenseKey || !userId || !vehicle) {
+    return res.status(400).json({ error: 'License key, UserId and vehicle are required' });
   }
+  
+  await handleCheck(req, res, { licenseKey, vehicle, userId, username: req.query.username || null });
 });
 
-// Endpoint for vehicle-specific authorization (no license key required)
+// Deprecated: vehicle check across every license that allows global lookups. Use
+// /check-license-vehicle instead.
 app.get('/check-user-vehicle/:username/:vehicle', async (req, res) => {
   const { username, vehicle } = req.params;
   
@@ -226,78 +644,278 @@ app.get('/check-user-vehicle/:username/:vehicle', async (req, res) => {
     return res.status(400).json({ error: 'Username and vehicle are required' });
   }
   
+  await handleCheck(req, res, { vehicle, username });
+});
+
+// Deprecated: vehicle check by Roblox UserId across licenses. Use /check-userid-license-vehicle instead.
+app.get('/check-userid-vehicle/:userId/:vehicle', async (req, res) => {
+  const { userId, vehicle } = req.params;
+  
+  if (!userId || !vehicle) {
+    return res.status(400).json({ error: 'UserId and vehicle are required' });
+  }
+  
+  await handleCheck(req, res, { vehicle, userId, username: req.query.username || null });
+});
+
+// Batch endpoint for checking a whole server in one round trip. Body:
+// { nonce?, checks: [{ licenseKey?, vehicle?, userId | username }] } where each check
+// has a licenseKey, a vehicle or both (a vehicle alone is a deprecated global lookup).
+// Each result is signed on its own, exactly like the single check responses, and carries
+// its own grace token when approved.
+app.post('/check-batch', async (req, res) => {
+  const { checks, nonce } = req.body || {};
+  
+  if (!Array.isArray(checks) || checks.length === 0 || checks.length > MAX_BATCH_CHECKS) {
+    return res.status(400).json({ error: `Checks must be an array of 1-${MAX_BATCH_CHECKS} items` });
+  }
+  
+  if (!signer.isValidNonce(nonce)) {
+    return res.status(400).json({ error: 'Nonce must be 8-128 characters of letters, digits, - or _' });
+  }
+  
+  const items = [];
+  for (let i = 0; i < checks.length; i++) {
+    const check = checks[i] || {};
+    const userId = check.userId !== undefined && check.userId !== null ? String(check.userId) : null;
+    const username = typeof check.username === 'string' && check.username ? check.username : null;
+    const licenseKey = typeof check.licenseKey === 'string' && check.licenseKey ? check.licenseKey : null;
+    const vehicle = typeof check.vehicle === 'string' && check.vehicle ? check.vehicle : null;
+    
+    if (!userId && !username) {
+      return res.status(400).json({ error: `Check ${i} needs a userId or username` });
+    }
+    if (userId && !robloxUsers.isValidUserId(userId)) {
+      return res.status(400).json({ error: `Check ${i} has a non-numeric userId` });
+    }
+    if (!licenseKey && !vehicle) {
+      return res.status(400).json({ error: `Check ${i} needs a licenseKey, a vehicle or both` });
+    }
+    
+    items.push({ licenseKey, vehicle, userId, username });
+  }
+  
+  const context = getRobloxContext(req);
+  
   try {
-    const isApproved = await checkUserVehicleAuthorization(username, vehicle);
+    const results = await checkPlayers(items, context);
+    
+    // A locked out source gets no answers for a batch naming an unknown license key
+    if (rejectLockedSource(res, abuseGuard.checkSource(req.ip, context), results) || rejectOverBudget(res, items, results)) {
+      return;
+    }
+    const timestamp = new Date().toISOString();
+    const hasGlobalVehicleChecks = items.some(item => !item.licenseKey);
+    
+    if (hasGlobalVehicleChecks) {
+      flagDeprecatedVehicleCheck(res, '/check-batch');
+    }
+    
+    // The batch is answered by one query, so a database failure affects every check
+    if (results.some(result => result.denyReason === DENY_REASONS.ERROR)) {
+      console.log(`Batch check: ${items.length} checks - UNAVAILABLE`);
+      res.set('Retry-After', String(CHECK_UNAVAILABLE_RETRY_AFTER));
+      res.status(503).json({ status: 'unavailable', message: CHECK_UNAVAILABLE_MESSAGE, timestamp, nonce: nonce || null });
+      recordCheckResults(req, items, results, context);
+      return;
+    }
     
     res.json({
-      username,
-      vehicle,
-      approved: isApproved,
-      timestamp: new Date().toISOString()
+      results: items.map((item, i) => {
+        const { licenseKey, vehicle, userId, username } = item;
+        const graceToken = issueGraceToken(results[i], item);
+        return {
+          userId,
+          username,
+          ...(licenseKey ? { licenseKey } : {}),
+          ...(vehicle ? { vehicle } : {}),
+          approved: results[i].approved,
+          ...checkOutcome(results[i]),
+          signature: signer.sign({ approved: results[i].approved, userId, username, licenseKey, vehicle, timestamp, nonce }),
+          ...(graceToken ? { graceToken } : {})
+        };
+      }),
+      timestamp,
+      nonce: nonce || null,
+      ...(hasGlobalVehicleChecks ? { deprecation: GLOBAL_VEHICLE_CHECK_DEPRECATION } : {})
     });
     
-    // Log the check for monitoring
-    console.log(`Vehicle check: ${username} - ${vehicle} - ${isApproved ? 'APPROVED' : 'DENIED'}`);
+    const approvedCount = results.filter(result => result.approved).length;
+    console.log(`Batch check: ${items.length} checks - ${approvedCount} APPROVED, ${items.length - approvedCount} DENIED`);
     
+    recordCheckResults(req, items, results, context);
   } catch (error) {
-    console.error('Error checking user vehicle authorization:', error);
+    console.error('Error running batch check:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// The vehicle side of a grant in an add/remove body: a vehicle (name, alias, asset id or
+// glob pattern such as Police_*), a bundle, or neither for all vehicles
+function parseGrantVehicle({ vehicle, bundle }) {
+  if (vehicle && bundle) {
+    return { error: 'Give either a vehicle or a bundle, not both' };
+  }
+  if (bundle) {
+    return { vehicle: licenseStore.BUNDLE_PREFIX + String(bundle).trim() };
+  }
+  return { vehicle: vehicle || null };
+}
+
 // Admin endpoint to add user to a license
-app.post('/admin/add-user-license', async (req, res) => {
-  const { licenseKey, username, vehicle, adminKey } = req.body;
+app.post('/admin/add-user-license', requireAuth(API_SCOPES.USERS_ADD), async (req, res) => {
+  const { licenseKey, username, userId, duration, expiresAt } = req.body;
   
-  // Simple admin key check
-  if (adminKey !== process.env.ADMIN_KEY) {
-    return res.status(401).json({ error: 'Unauthorized' });
+  if (!licenseKey || (!username && !userId)) {
+    return res.status(400).json({ error: 'License key and username or userId are required' });
   }
   
-  if (!licenseKey || !username) {
-    return res.status(400).json({ error: 'License key and username are required' });
+  const grant = parseGrantVehicle(req.body);
+  if (grant.error) {
+    return res.status(400).json({ error: grant.error });
   }
   
-  const success = await addUserToLicense(licenseKey, username, vehicle);
+  // Temporary grants take either a duration ("24h", "7d") or an absolute expiresAt
+  let grantExpiresAt = null;
+  if (duration) {
+    grantExpiresAt = durationToDate(duration);
+    if (!grantExpiresAt) {
+      return res.status(400).json({ error: 'Duration must look like 30m, 24h, 7d or 1d12h' });
+    }
+  } else if (expiresAt) {
+    grantExpiresAt = new Date(expiresAt);
+    if (isNaN(grantExpiresAt.getTime()) || grantExpiresAt <= new Date()) {
+      return res.status(400).json({ error: 'ExpiresAt must be a valid date in the future' });
+    }
+  }
   
-  if (success) {
-    res.json({ message: `User ${username} added to license ${licenseKey} successfully` });
+  if (userId && !robloxUsers.isValidUserId(userId)) {
+    return res.status(400).json({ error: 'UserId must be numeric' });
+  }
+  
+  let robloxUser;
+  try {
+    robloxUser = await resolveRobloxUser({ userId, username });
+  } catch (error) {
+    console.error('Error resolving Roblox user:', error);
+    return res.status(502).json({ error: 'Could not reach Roblox to resolve the user' });
+  }
+  
+  if (!robloxUser) {
+    return res.status(404).json({ error: 'Roblox user not found' });
+  }
+  
+  const result = await licenseStore.addUserToLicense(licenseKey, robloxUser, grant.vehicle, grantExpiresAt);
+  
+  if (result.success) {
+    // The grant is kept, but checks keep denying the player while they are blacklisted
+    const blacklisted = await blacklist.isBlacklisted(robloxUser);
+    res.json({
+      message: `User ${robloxUser.name} (${robloxUser.id}) ${result.extended ? 'extended on' : 'added to'} license ${licenseKey} successfully`,
+      userId: robloxUser.id,
+      username: robloxUser.name,
+      vehicle: result.vehicle,
+      expiresAt: result.expiresAt,
+      ...(blacklisted ? { warning: 'This user is blacklisted; checks will deny them until they are removed from the blacklist' } : {})
+    });
   } else {
-    res.status(400).json({ error: 'User already exists or error occurred' });
+    res.status(400).json({ error: result.message });
   }
 });
 
 // Admin endpoint to remove user from a license
-app.post('/admin/remove-user-license', async (req, res) => {
-  const { licenseKey, username, vehicle, adminKey } = req.body;
+app.post('/admin/remove-user-license', requireAuth(API_SCOPES.USERS_REMOVE), async (req, res) => {
+  const { licenseKey, username, userId } = req.body;
   
-  if (adminKey !== process.env.ADMIN_KEY) {
-    return res.status(401).json({ error: 'Unauthorized' });
+  if (!licenseKey || (!username && !userId)) {
+    return res.status(400).json({ error: 'License key and username or userId are required' });
   }
   
-  if (!licenseKey || !username) {
-    return res.status(400).json({ error: 'License key and username are required' });
+  const grant = parseGrantVehicle(req.body);
+  if (grant.error) {
+    return res.status(400).json({ error: grant.error });
+  }
+  
+  if (userId && !robloxUsers.isValidUserId(userId)) {
+    return res.status(400).json({ error: 'UserId must be numeric' });
   }
   
-  const success = await removeUserFromLicense(licenseKey, username, vehicle);
+  const robloxUser = await resolveGrantedPlayer({ userId, username });
+  const success = await licenseStore.removeUserFromLicense(licenseKey, robloxUser, grant.vehicle);
   
   if (success) {
-    res.json({ message: `User ${username} removed from license ${licenseKey} successfully` });
+    res.json({ message: `User ${robloxUser.name || robloxUser.id} removed from license ${licenseKey} successfully` });
   } else {
     res.status(400).json({ error: 'User not found or error occurred' });
   }
 });
 
-// Endpoint to list users for a specific license
-app.get('/admin/license-users/:licenseKey', async (req, res) => {
-  const { licenseKey } = req.params;
-  const { adminKey } = req.query;
+// Endpoint to suspend a user's grants on a license, or only one vehicle or bundle, without
+// removing them. Body: { licenseKey, username | userId, vehicle? | bundle?, reason, duration? }
+app.post('/admin/suspend-user', requireAuth(API_SCOPES.USERS_REMOVE), async (req, res) => {
+  const { licenseKey, username, userId, reason, duration } = req.body;
+  
+  if (!licenseKey || (!username && !userId) || !reason) {
+    return res.status(400).json({ error: 'License key, username or userId and reason are required' });
+  }
+  
+  const grant = parseGrantVehicle(req.body);
+  if (grant.error) {
+    return res.status(400).json({ error: grant.error });
+  }
+  
+  if (userId && !robloxUsers.isValidUserId(userId)) {
+    return res.status(400).json({ error: 'UserId must be numeric' });
+  }
+  
+  const until = duration ? durationToDate(duration) : null;
+  if (duration && !until) {
+    return res.status(400).json({ error: 'Duration must look like 30m, 24h, 7d or 1d12h' });
+  }
+  
+  const suspendedBy = req.auth.type === 'token' ? `token:${req.auth.tokenId}` : 'admin';
+  const robloxUser = await resolveGrantedPlayer({ userId, username });
+  const result = await licenseStore.suspendGrant(licenseKey, robloxUser, grant.vehicle, { reason, until, suspendedBy });
+  
+  if (result.success) {
+    res.json({ message: `Suspended ${result.suspended} grant(s) of ${robloxUser.name || robloxUser.id}`, suspended: result.suspended, until });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to lift a suspension. Body: { licenseKey, username | userId, vehicle? | bundle? }
+app.post('/admin/unsuspend-user', requireAuth(API_SCOPES.USERS_ADD), async (req, res) => {
+  const { licenseKey, username, userId } = req.body;
+  
+  if (!licenseKey || (!username && !userId)) {
+    return res.status(400).json({ error: 'License key and username or userId are required' });
+  }
+  
+  const grant = parseGrantVehicle(req.body);
+  if (grant.error) {
+    return res.status(400).json({ error: grant.error });
+  }
+  
+  if (userId && !robloxUsers.isValidUserId(userId)) {
+    return res.status(400).json({ error: 'UserId must be numeric' });
+  }
+  
+  const robloxUser = await resolveGrantedPlayer({ userId, username });
+  const result = await licenseStore.unsuspendGrant(licenseKey, robloxUser, grant.vehicle);
   
-  if (adminKey !== process.env.ADMIN_KEY) {
-    return res.status(401).json({ error: 'Unauthorized' });
+  if (result.success) {
+    res.json({ message: `Lifted the suspension of ${result.lifted} grant(s) of ${robloxUser.name || robloxUser.id}`, lifted: result.lifted });
+  } else {
+    res.status(400).json({ error: result.message });
   }
+});
+
+// Endpoint to list users for a specific license
+app.get('/admin/license-users/:licenseKey', requireAuth(API_SCOPES.USERS_READ), async (req, res) => {
+  const { licenseKey } = req.params;
   
-  const licenseUsers = await getUsersForLicense(licenseKey);
+  const licenseUsers = await licenseStore.getUsersForLicense(licenseKey);
   res.json({ 
     licenseKey, 
     users: licenseUsers, 
@@ -306,44 +924,940 @@ app.get('/admin/license-users/:licenseKey', async (req, res) => {
 });
 
 // Endpoint to list all paused licenses
-app.get('/admin/paused-licenses', async (req, res) => {
-  const { adminKey } = req.query;
+app.get('/admin/paused-licenses', requireAuth(null), async (req, res) => {
+  const pausedLicenses = await licenseStore.getPausedLicenses();
+  res.json({ 
+    licenses: pausedLicenses, 
+    count: pausedLicenses.length 
+  });
+});
+
+// Endpoint to query the check audit log. Tokens must filter on their own licenseKey.
+app.get('/admin/check-logs', requireAuth(API_SCOPES.LOGS_READ), async (req, res) => {
+  const { licenseKey, userId, username, vehicle, result, since, until, before, limit } = req.query;
   
-  if (adminKey !== process.env.ADMIN_KEY) {
-    return res.status(401).json({ error: 'Unauthorized' });
+  if (userId && !robloxUsers.isValidUserId(userId)) {
+    return res.status(400).json({ error: 'UserId must be numeric' });
+  }
+  if (result && result !== 'approved' && result !== 'denied') {
+    return res.status(400).json({ error: "Result must be 'approved' or 'denied'" });
+  }
+  if ((since && isNaN(Date.parse(since))) || (until && isNaN(Date.parse(until)))) {
+    return res.status(400).json({ error: 'Since and until must be valid dates' });
+  }
+  if (before && !/^\d+$/.test(before)) {
+    return res.status(400).json({ error: 'Before must be a log id' });
   }
   
   try {
-    const result = await pool.query('SELECT * FROM paused_licenses ORDER BY paused_at DESC');
-    res.json({ 
-      licenses: result.rows, 
-      count: result.rows.length 
-    });
+    const page = await queryCheckLogs(pool, { licenseKey, userId, username, vehicle, result, since, until, before, limit });
+    res.json({ ...page, count: page.logs.length });
   } catch (error) {
-    console.error('Error getting paused licenses:', error);
+    console.error('Error getting check logs:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Health check endpoint
-app.get('/health', async (req, res) => {
-  try {
-    // Test database connection
-    await pool.query('SELECT 1');
-    res.json({ 
-      status: 'OK', 
-      timestamp: new Date().toISOString(),
-      environment: process.env.NODE_ENV || 'development',
-      database: 'Connected'
-    });
-  } catch (error) {
-    res.status(500).json({ 
-      status: 'ERROR', 
-      timestamp: new Date().toISOString(),
-      environment: process.env.NODE_ENV || 'development',
-      database: 'Disconnected',
-      error: error.message
-    });
+// Endpoint to pause a license. Body: { licenseKey, reason, duration?, startAt? } where
+// duration (e.g. "3d") unpauses it again after that long and a future startAt (ISO date)
+// schedules the pause instead of starting it now.
+app.post('/admin/pause-license', requireAuth(API_SCOPES.LICENSE_PAUSE), async (req, res) => {
+  const { licenseKey, reason, duration, startAt } = req.body;
+  
+  if (!licenseKey || !reason) {
+    return res.status(400).json({ error: 'License key and reason are required' });
+  }
+  if (startAt && isNaN(Date.parse(startAt))) {
+    return res.status(400).json({ error: 'StartAt must be a valid date' });
+  }
+  
+  const pauseAt = startAt ? new Date(startAt) : new Date();
+  const resumeAt = duration ? durationToDate(duration, pauseAt) : null;
+  if (duration && !resumeAt) {
+    return res.status(400).json({ error: 'Duration must look like 30m, 24h, 7d or 1d12h' });
+  }
+  
+  const pausedBy = req.auth.type === 'token' ? `token:${req.auth.tokenId}` : 'admin';
+  const scheduled = pauseAt > new Date();
+  const result = scheduled
+    ? await licenseStore.schedulePause(licenseKey, pausedBy, reason, pauseAt, resumeAt)
+    : await licenseStore.pauseLicense(licenseKey, pausedBy, reason, resumeAt);
+  
+  if (result.success) {
+    res.json({
+      message: `License ${licenseKey} ${scheduled ? 'pause scheduled' : 'paused'} successfully`,
+      ...(scheduled ? { pauseAt } : {}),
+      resumeAt
+    });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to cancel a scheduled pause. Tokens can only cancel pauses a token scheduled.
+app.post('/admin/cancel-scheduled-pause', requireAuth(API_SCOPES.LICENSE_PAUSE), async (req, res) => {
+  const { licenseKey } = req.body;
+  
+  if (!licenseKey) {
+    return res.status(400).json({ error: 'License key is required' });
+  }
+  
+  const result = await licenseStore.cancelScheduledPause(licenseKey, {
+    tokenSchedulesOnly: req.auth.type === 'token',
+    cancelledBy: req.auth.type === 'token' ? `token:${req.auth.tokenId}` : 'admin'
+  });
+  
+  if (result.success) {
+    res.json({ message: `Scheduled pause of license ${licenseKey} cancelled` });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to unpause a license. Tokens can only lift pauses made by a token,
+// never one the bot owner put in place.
+app.post('/admin/unpause-license', requireAuth(API_SCOPES.LICENSE_PAUSE), async (req, res) => {
+  const { licenseKey } = req.body;
+  
+  if (!licenseKey) {
+    return res.status(400).json({ error: 'License key is required' });
+  }
+  
+  const result = await licenseStore.unpauseLicense(licenseKey, {
+    tokenPausesOnly: req.auth.type === 'token',
+    unpausedBy: req.auth.type === 'token' ? `token:${req.auth.tokenId}` : 'admin'
+  });
+  
+  if (result.success) {
+    res.json({ message: `License ${licenseKey} unpaused successfully` });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// License lifecycle endpoints mirror the bot owner's slash commands, so they are
+// reserved for the global admin key.
+
+// Endpoint to list all licenses (/allusers)
+app.get('/admin/licenses', requireAuth(null), async (req, res) => {
+  const licenses = await licenseStore.getLicenses();
+  res.json({ 
+    licenses: Object.entries(licenses).map(([licenseKey, license]) => ({ licenseKey, ...license })), 
+    count: Object.keys(licenses).length 
+  });
+});
+
+// Endpoint to get a license with its users, staff and places (/licenseinfo)
+app.get('/admin/license/:licenseKey', requireAuth(null), async (req, res) => {
+  const { licenseKey } = req.params;
+  
+  const license = await licenseStore.getLicense(licenseKey);
+  if (!license) {
+    return res.status(404).json({ error: 'License not found' });
+  }
+  
+  const [users, staff, places, flaggedPlaces, quota, scheduledPause, pauseHistory] = await Promise.all([
+    licenseStore.getUsersForLicense(licenseKey),
+    licenseStore.getLicenseStaff(licenseKey),
+    licenseStore.getLicensePlaces(licenseKey),
+    licenseStore.getFlaggedPlaces(licenseKey),
+    licenseStore.getLicenseUsage(licenseKey),
+    licenseStore.getScheduledPause(licenseKey),
+    licenseStore.getPauseHistory(licenseKey, 50)
+  ]);
+  
+  res.json({
+    ...license,
+    users,
+    staff,
+    places,
+    flaggedPlaces,
+    usage: quota && quota.usage,
+    limits: quota && quota.limits,
+    scheduledPause,
+    pauseHistory
+  });
+});
+
+// Endpoint to move a license to another tier (/settier). Body: { licenseKey, tier }
+app.post('/admin/set-tier', requireAuth(null), async (req, res) => {
+  const { licenseKey, tier } = req.body;
+  
+  if (!licenseKey || typeof tier !== 'string') {
+    return res.status(400).json({ error: 'License key and tier are required' });
+  }
+  
+  const result = await licenseStore.setLicenseTier(licenseKey, tier.toLowerCase());
+  
+  if (result.success) {
+    res.json({ message: `License ${licenseKey} moved to the ${result.tier} tier`, tier: result.tier, usage: result.usage });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to choose whether a license's grants still answer deprecated vehicle checks
+// sent without a license key (/vehiclechecks). Body: { licenseKey, global: boolean }
+app.post('/admin/set-vehicle-checks', requireAuth(null), async (req, res) => {
+  const { licenseKey, global } = req.body;
+  
+  if (!licenseKey || typeof global !== 'boolean') {
+    return res.status(400).json({ error: 'License key and a boolean global are required' });
+  }
+  
+  const result = await licenseStore.setGlobalVehicleChecks(licenseKey, global);
+  
+  if (result.success) {
+    res.json({ message: `Global vehicle checks ${global ? 'enabled' : 'disabled'} for license ${licenseKey}`, globalVehicleChecks: global });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to set the message returned as kickMessage with the license's denied checks
+// (/kickmessage). Body: { licenseKey, message } where an empty message clears it
+app.post('/admin/set-kick-message', requireAuth(null), async (req, res) => {
+  const { licenseKey, message } = req.body;
+  
+  if (!licenseKey || (message !== undefined && message !== null && typeof message !== 'string')) {
+    return res.status(400).json({ error: 'License key is required and message must be a string' });
+  }
+  
+  const result = await licenseStore.setKickMessage(licenseKey, message);
+  
+  if (result.success) {
+    res.json({ message: `Kick message ${result.kickMessage ? 'set' : 'cleared'} for license ${licenseKey}`, kickMessage: result.kickMessage });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to set how long grace tokens from the license's approvals stay valid (/gracewindow).
+// Body: { licenseKey, duration } where duration is e.g. "30m" or "2h", or "off" to stop issuing them
+app.post('/admin/set-grace-window', requireAuth(null), async (req, res) => {
+  const { licenseKey, duration } = req.body;
+  
+  if (!licenseKey || typeof duration !== 'string') {
+    return res.status(400).json({ error: 'License key and duration are required' });
+  }
+  
+  const durationMs = duration.trim().toLowerCase() === 'off' ? 0 : parseDuration(duration);
+  if (durationMs === null) {
+    return res.status(400).json({ error: 'Duration must look like 30m, 2h or 1h30m, or be "off"' });
+  }
+  
+  const result = await licenseStore.setGraceWindow(licenseKey, Math.floor(durationMs / 60000));
+  
+  if (result.success) {
+    res.json({ message: `Grace window ${result.graceWindowMinutes ? 'set' : 'disabled'} for license ${licenseKey}`, graceWindowMinutes: result.graceWindowMinutes });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to look up the license a Discord user owns and the licenses they are staff on (/mylicense, /mystaff)
+app.get('/admin/discord-user/:discordId', requireAuth(null), async (req, res) => {
+  const { discordId } = req.params;
+  
+  try {
+    // licenseKey is the default license their commands act on; licenses lists all they own
+    const [licenseKey, licenses, staffRoles] = await Promise.all([
+      licenseStore.getUserLicense(discordId),
+      licenseStore.getOwnerLicenses(discordId),
+      licenseStore.getUserStaffRoles(discordId)
+    ]);
+    
+    res.json({ discordId, licenseKey, licenses, staffRoles });
+  } catch (error) {
+    console.error('Error getting Discord user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Endpoint to create a license for a Discord user (/createlicense)
+app.post('/admin/create-license', requireAuth(null), async (req, res) => {
+  const { ownerId, ownerTag, name = null, licenseKey = null, duration = licenseStore.DEFAULT_LICENSE_TERM } = req.body;
+  
+  if (!ownerId || !ownerTag) {
+    return res.status(400).json({ error: 'Owner id and owner tag are required' });
+  }
+  
+  const expiresAt = duration === 'never' ? null : durationToDate(duration);
+  if (duration !== 'never' && !expiresAt) {
+    return res.status(400).json({ error: 'Duration must look like 30d, 12w or 1d12h, or be "never"' });
+  }
+  
+  const result = await licenseStore.createLicense(String(ownerId), ownerTag, { expiresAt, name, licenseKey });
+  
+  if (result.success) {
+    res.status(201).json({ message: 'License created successfully', licenseKey: result.licenseKey, name: result.name, expiresAt: result.expiresAt });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to set or clear a license's friendly name (/renamelicense). Body: { licenseKey, name | null }
+app.post('/admin/set-license-name', requireAuth(null), async (req, res) => {
+  const { licenseKey, name } = req.body;
+  
+  if (!licenseKey || name === undefined) {
+    return res.status(400).json({ error: 'License key and name are required (null clears it)' });
+  }
+  
+  const result = await licenseStore.setLicenseName(licenseKey, name);
+  
+  if (result.success) {
+    res.json({ message: result.message });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to extend a license's subscription (/renewlicense). Body: { licenseKey, duration }.
+// A license paused because it expired is unpaused right away.
+app.post('/admin/renew-license', requireAuth(null), async (req, res) => {
+  const { licenseKey, duration } = req.body;
+  
+  if (!licenseKey || !duration) {
+    return res.status(400).json({ error: 'License key and duration are required' });
+  }
+  
+  const durationMs = parseDuration(duration);
+  if (durationMs === null) {
+    return res.status(400).json({ error: 'Duration must look like 30d, 12w or 1d12h' });
+  }
+  
+  const result = await licenseStore.renewLicense(licenseKey, durationMs);
+  
+  if (result.success) {
+    res.json({ message: `License ${licenseKey} renewed successfully`, expiresAt: result.expiresAt, unpaused: result.unpaused });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to delete a license and everything attached to it (/deletelicense)
+app.post('/admin/delete-license', requireAuth(null), async (req, res) => {
+  const { licenseKey } = req.body;
+  
+  if (!licenseKey) {
+    return res.status(400).json({ error: 'License key is required' });
+  }
+  
+  const result = await licenseStore.deleteLicense(licenseKey);
+  
+  if (result.success) {
+    res.json({ message: result.message });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to move a license to a new owner (/transferlicense)
+app.post('/admin/transfer-license', requireAuth(null), async (req, res) => {
+  const { licenseKey, toOwnerId, toOwnerTag } = req.body;
+  
+  if (!licenseKey || !toOwnerId || !toOwnerTag) {
+    return res.status(400).json({ error: 'License key, new owner id and new owner tag are required' });
+  }
+  
+  const result = await licenseStore.transferLicense(licenseKey, String(toOwnerId), toOwnerTag);
+  
+  if (result.success) {
+    res.json({
+      message: `License ${licenseKey} transferred to ${toOwnerTag} successfully`,
+      previousOwnerId: result.previousOwnerId,
+      previousOwnerTag: result.previousOwnerTag
+    });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to give a license a new key (/rotatekey). Body: { licenseKey, newLicenseKey?, grace? },
+// where grace (e.g. 1d) keeps the old key working for that long
+app.post('/admin/rotate-license-key', requireAuth(null), async (req, res) => {
+  const { licenseKey, newLicenseKey = null, grace = null } = req.body;
+  
+  if (!licenseKey) {
+    return res.status(400).json({ error: 'License key is required' });
+  }
+  
+  const graceMs = grace ? parseDuration(grace) : 0;
+  if (grace && !graceMs) {
+    return res.status(400).json({ error: 'Grace must look like 1h, 7d or 1d12h' });
+  }
+  
+  const result = await licenseStore.rotateLicenseKey(licenseKey, { newKey: newLicenseKey, graceMs, rotatedBy: 'admin' });
+  
+  if (result.success) {
+    res.json({
+      message: `License ${licenseKey} now uses key ${result.licenseKey}`,
+      licenseKey: result.licenseKey,
+      previousLicenseKey: result.previousLicenseKey,
+      graceUntil: result.graceUntil
+    });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to list staff for a license (/staff)
+app.get('/admin/license-staff/:licenseKey', requireAuth(null), async (req, res) => {
+  const { licenseKey } = req.params;
+  
+  const staff = await licenseStore.getLicenseStaff(licenseKey);
+  res.json({ 
+    licenseKey, 
+    staff, 
+    count: staff.length 
+  });
+});
+
+// Endpoint to add an admin or helper to a license (/addstaff)
+app.post('/admin/add-staff', requireAuth(null), async (req, res) => {
+  const { licenseKey, userId, userTag, role } = req.body;
+  
+  if (!licenseKey || !userId || !userTag) {
+    return res.status(400).json({ error: 'License key, user id and user tag are required' });
+  }
+  
+  if (!Object.values(licenseStore.ROLE_TYPES).includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${Object.values(licenseStore.ROLE_TYPES).join(', ')}` });
+  }
+  
+  const result = await licenseStore.addLicenseStaff(licenseKey, String(userId), userTag, role, 'admin');
+  
+  if (result.success) {
+    res.json({ message: result.message });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to remove a staff member from a license (/removestaff)
+app.post('/admin/remove-staff', requireAuth(null), async (req, res) => {
+  const { licenseKey, userId } = req.body;
+  
+  if (!licenseKey || !userId) {
+    return res.status(400).json({ error: 'License key and user id are required' });
+  }
+  
+  const result = await licenseStore.removeLicenseStaff(licenseKey, String(userId), 'admin');
+  
+  if (result.success) {
+    res.json({ message: result.message });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to list the vehicle catalog of a license (/vehicles). Tokens that can
+// read users may read it too, so integrations know which vehicles /authorize accepts.
+app.get('/admin/license-vehicles/:licenseKey', requireAuth(API_SCOPES.USERS_READ), async (req, res) => {
+  const { licenseKey } = req.params;
+  
+  const vehicles = await licenseStore.getLicenseVehicles(licenseKey);
+  res.json({ licenseKey, vehicles, count: vehicles.length });
+});
+
+// Endpoint to register a vehicle in a license's catalog (/addvehicle). Body:
+// { licenseKey, name, assetId, displayName?, aliases? (array or comma-separated) }
+app.post('/admin/add-vehicle', requireAuth(null), async (req, res) => {
+  const { licenseKey, name, assetId, displayName, aliases } = req.body;
+  
+  if (!licenseKey || !name || !assetId) {
+    return res.status(400).json({ error: 'License key, name and asset id are required' });
+  }
+  
+  const result = await licenseStore.addLicenseVehicle(licenseKey, { name, displayName, assetId, aliases }, 'admin');
+  
+  if (result.success) {
+    res.json({ message: `Added vehicle ${result.vehicle.name} to license ${licenseKey}`, vehicle: result.vehicle });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to remove a vehicle from a license's catalog by name, alias or asset id (/removevehicle)
+app.post('/admin/remove-vehicle', requireAuth(null), async (req, res) => {
+  const { licenseKey, name } = req.body;
+  
+  if (!licenseKey || !name) {
+    return res.status(400).json({ error: 'License key and name are required' });
+  }
+  
+  const result = await licenseStore.removeLicenseVehicle(licenseKey, String(name));
+  
+  if (result.success) {
+    res.json({
+      message: `Removed vehicle ${result.name} from license ${licenseKey}`,
+      name: result.name,
+      remainingGrants: result.remainingGrants
+    });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to list the vehicle bundles of a license (/bundles)
+app.get('/admin/license-bundles/:licenseKey', requireAuth(API_SCOPES.USERS_READ), async (req, res) => {
+  const { licenseKey } = req.params;
+  
+  const bundles = await licenseStore.getBundles(licenseKey);
+  res.json({ licenseKey, bundles, count: bundles.length });
+});
+
+// Reads the vehicles of a bundle body as an array or a comma-separated string
+function parseBundleVehicles(vehicles) {
+  const list = Array.isArray(vehicles) ? vehicles : String(vehicles || '').split(',');
+  return list.map(vehicle => String(vehicle).trim()).filter(Boolean);
+}
+
+// Endpoint to add vehicles to a bundle, creating it if needed (/addbundle). Body: { licenseKey, name, vehicles }
+app.post('/admin/add-bundle', requireAuth(null), async (req, res) => {
+  const { licenseKey, name, vehicles } = req.body;
+  
+  if (!licenseKey || !name) {
+    return res.status(400).json({ error: 'License key and name are required' });
+  }
+  
+  const result = await licenseStore.addBundleVehicles(licenseKey, String(name), parseBundleVehicles(vehicles), 'admin');
+  
+  if (result.success) {
+    res.json({
+      message: `${result.created ? 'Created' : 'Updated'} bundle ${result.name} of license ${licenseKey}`,
+      name: result.name,
+      created: result.created,
+      added: result.added
+    });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to remove vehicles from a bundle, or without vehicles to delete the bundle
+// and its grants (/removebundle). Body: { licenseKey, name, vehicles? }
+app.post('/admin/remove-bundle', requireAuth(null), async (req, res) => {
+  const { licenseKey, name, vehicles } = req.body;
+  
+  if (!licenseKey || !name) {
+    return res.status(400).json({ error: 'License key and name are required' });
+  }
+  
+  const result = await licenseStore.removeBundleVehicles(licenseKey, String(name), parseBundleVehicles(vehicles));
+  
+  if (result.success) {
+    res.json({
+      message: result.deleted ? `Deleted bundle ${result.name} of license ${licenseKey}` : `Updated bundle ${result.name} of license ${licenseKey}`,
+      name: result.name,
+      deleted: result.deleted,
+      ...(result.deleted ? { removedGrants: result.removedGrants } : { removed: result.removed })
+    });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to list the place allowlist and flagged places of a license (/places)
+app.get('/admin/license-places/:licenseKey', requireAuth(null), async (req, res) => {
+  const { licenseKey } = req.params;
+  
+  const [places, flaggedPlaces] = await Promise.all([
+    licenseStore.getLicensePlaces(licenseKey),
+    licenseStore.getFlaggedPlaces(licenseKey)
+  ]);
+  res.json({ licenseKey, places, flaggedPlaces });
+});
+
+// Validates the { licenseKey, placeId, type } body shared by the place endpoints
+function parsePlaceBody(body) {
+  const { licenseKey, placeId, type = licenseStore.PLACE_TYPES.PLACE } = body;
+  
+  if (!licenseKey || !placeId) {
+    return { error: 'License key and place id are required' };
+  }
+  if (!/^\d{1,19}$/.test(String(placeId))) {
+    return { error: 'Place id must be numeric' };
+  }
+  if (!Object.values(licenseStore.PLACE_TYPES).includes(type)) {
+    return { error: `Type must be one of: ${Object.values(licenseStore.PLACE_TYPES).join(', ')}` };
+  }
+  return { licenseKey, placeId: String(placeId), type };
+}
+
+// Endpoint to allow a place or universe for a license (/addplace)
+app.post('/admin/add-place', requireAuth(null), async (req, res) => {
+  const place = parsePlaceBody(req.body);
+  if (place.error) {
+    return res.status(400).json({ error: place.error });
+  }
+  
+  const result = await licenseStore.addLicensePlace(place.licenseKey, place.type, place.placeId, 'admin');
+  
+  if (result.success) {
+    res.json({ message: `Allowed ${place.type} ${place.placeId} for license ${place.licenseKey}` });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to remove a place or universe from a license's allowlist (/removeplace)
+app.post('/admin/remove-place', requireAuth(null), async (req, res) => {
+  const place = parsePlaceBody(req.body);
+  if (place.error) {
+    return res.status(400).json({ error: place.error });
+  }
+  
+  const result = await licenseStore.removeLicensePlace(place.licenseKey, place.type, place.placeId);
+  
+  if (result.success) {
+    res.json({ message: `Removed ${place.type} ${place.placeId} from license ${place.licenseKey}` });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to list a license's active API tokens (/tokens). Secrets are never returned.
+app.get('/admin/license-tokens/:licenseKey', requireAuth(null), async (req, res) => {
+  const { licenseKey } = req.params;
+  
+  const tokens = await licenseStore.getApiTokens(licenseKey);
+  res.json({ 
+    licenseKey, 
+    tokens, 
+    count: tokens.length 
+  });
+});
+
+// Endpoint to issue an API token for a license (/createtoken). The secret is only shown once.
+app.post('/admin/create-token', requireAuth(null), async (req, res) => {
+  const { licenseKey, name, scopes } = req.body;
+  
+  if (!licenseKey || !name) {
+    return res.status(400).json({ error: 'License key and name are required' });
+  }
+  
+  const parsedScopes = parseScopes(Array.isArray(scopes) ? scopes.join(',') : String(scopes || ''));
+  if (!parsedScopes) {
+    return res.status(400).json({ error: `Scopes must be 'all' or any of: ${Object.values(API_SCOPES).join(', ')}` });
+  }
+  
+  if (!await licenseStore.getLicense(licenseKey)) {
+    return res.status(404).json({ error: 'License not found' });
+  }
+  
+  const result = await licenseStore.createApiToken(licenseKey, name, parsedScopes, 'admin');
+  
+  if (result.success) {
+    res.status(201).json({ id: result.id, token: result.token, scopes: parsedScopes });
+  } else {
+    res.status(500).json({ error: result.message });
+  }
+});
+
+// Endpoint to replace a token's secret, keeping its name and scopes (/rotatetoken)
+app.post('/admin/rotate-token', requireAuth(null), async (req, res) => {
+  const { licenseKey, tokenId } = req.body;
+  
+  if (!licenseKey || !tokenId) {
+    return res.status(400).json({ error: 'License key and token id are required' });
+  }
+  if (!/^\d+$/.test(String(tokenId))) {
+    return res.status(400).json({ error: 'Token id must be numeric' });
+  }
+  
+  const result = await licenseStore.rotateApiToken(licenseKey, tokenId);
+  
+  if (result.success) {
+    res.json({ id: tokenId, token: result.token, name: result.name, scopes: result.scopes });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to revoke a token (/revoketoken)
+app.post('/admin/revoke-token', requireAuth(null), async (req, res) => {
+  const { licenseKey, tokenId } = req.body;
+  
+  if (!licenseKey || !tokenId) {
+    return res.status(400).json({ error: 'License key and token id are required' });
+  }
+  if (!/^\d+$/.test(String(tokenId))) {
+    return res.status(400).json({ error: 'Token id must be numeric' });
+  }
+  
+  const result = await licenseStore.revokeApiToken(licenseKey, tokenId);
+  
+  if (result.success) {
+    res.json({ message: result.message });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to list a license's webhooks with recent delivery counts (/webhooks)
+app.get('/admin/license-webhooks/:licenseKey', requireAuth(null), async (req, res) => {
+  const { licenseKey } = req.params;
+  
+  const licenseWebhooks = await webhooks.getWebhooks(licenseKey);
+  res.json({ 
+    licenseKey, 
+    webhooks: licenseWebhooks, 
+    count: licenseWebhooks.length 
+  });
+});
+
+// Endpoint to register a webhook (/addwebhook). The signing secret is only shown once.
+app.post('/admin/add-webhook', requireAuth(null), async (req, res) => {
+  const { licenseKey, url, events } = req.body;
+  
+  if (!licenseKey || !url) {
+    return res.status(400).json({ error: 'License key and url are required' });
+  }
+  
+  const urlProblem = await webhooks.invalidWebhookUrl(url);
+  if (urlProblem) {
+    return res.status(400).json({ error: urlProblem });
+  }
+  
+  const parsedEvents = webhooks.parseEvents(Array.isArray(events) ? events.join(',') : String(events || 'all'));
+  if (!parsedEvents) {
+    return res.status(400).json({ error: `Events must be 'all' or any of: ${Object.values(webhooks.WEBHOOK_EVENTS).filter(event => event !== webhooks.WEBHOOK_EVENTS.PING).join(', ')}` });
+  }
+  
+  if (!await licenseStore.getLicense(licenseKey)) {
+    return res.status(404).json({ error: 'License not found' });
+  }
+  
+  const result = await webhooks.addWebhook(licenseKey, url, parsedEvents, 'admin');
+  
+  if (result.success) {
+    res.status(201).json({ id: result.id, secret: result.secret, events: parsedEvents });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to remove a webhook (/removewebhook)
+app.post('/admin/remove-webhook', requireAuth(null), async (req, res) => {
+  const { licenseKey, webhookId } = req.body;
+  
+  if (!licenseKey || !/^\d+$/.test(String(webhookId))) {
+    return res.status(400).json({ error: 'License key and numeric webhook id are required' });
+  }
+  
+  const result = await webhooks.removeWebhook(licenseKey, webhookId);
+  
+  if (result.success) {
+    res.json({ message: result.message });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to queue a ping to a webhook (/testwebhook)
+app.post('/admin/test-webhook', requireAuth(null), async (req, res) => {
+  const { licenseKey, webhookId } = req.body;
+  
+  if (!licenseKey || !/^\d+$/.test(String(webhookId))) {
+    return res.status(400).json({ error: 'License key and numeric webhook id are required' });
+  }
+  
+  const result = await webhooks.sendTestEvent(licenseKey, webhookId);
+  
+  if (result.success) {
+    res.json({ message: 'Test event queued' });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to inspect a webhook's most recent deliveries (/webhookdeliveries)
+app.get('/admin/webhook-deliveries/:licenseKey/:webhookId', requireAuth(null), async (req, res) => {
+  const { licenseKey, webhookId } = req.params;
+  
+  if (!/^\d+$/.test(webhookId)) {
+    return res.status(400).json({ error: 'Webhook id must be numeric' });
+  }
+  
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const deliveries = await webhooks.getWebhookDeliveries(licenseKey, webhookId, limit);
+  res.json({ 
+    licenseKey, 
+    webhookId: Number(webhookId), 
+    deliveries, 
+    count: deliveries.length 
+  });
+});
+
+// Endpoint to list sources locked out for checking unknown license keys (/abusereport)
+app.get('/admin/abuse-lockouts', requireAuth(null), async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+  
+  try {
+    const lockouts = await abuseGuard.getLockouts(limit);
+    res.json({ lockouts, count: lockouts.length });
+  } catch (error) {
+    console.error('Error getting lockouts:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Endpoint to lift a source's lockout early
+app.post('/admin/clear-lockout', requireAuth(null), async (req, res) => {
+  const { source } = req.body;
+  
+  if (!source) {
+    return res.status(400).json({ error: 'Source is required' });
+  }
+  
+  const result = await abuseGuard.clearLockout(source);
+  
+  if (result.success) {
+    res.json({ message: result.message });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to list the leaker blacklist, newest first. ?username= or ?userId= looks up one player.
+app.get('/admin/blacklist', requireAuth(null), async (req, res) => {
+  const { username, userId } = req.query;
+  
+  try {
+    if (username || userId) {
+      if (userId && !robloxUsers.isValidUserId(userId)) {
+        return res.status(400).json({ error: 'UserId must be numeric' });
+      }
+      const robloxUser = await resolveGrantedPlayer({ userId, username });
+      return res.json(await blacklist.lookupPlayer(robloxUser));
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { entries, total } = await blacklist.getBlacklist(limit, offset);
+    res.json({ entries, count: entries.length, total });
+  } catch (error) {
+    console.error('Error getting blacklist:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Endpoint to blacklist a player on every license. Body: { username | userId, reason }
+app.post('/admin/blacklist-user', requireAuth(null), async (req, res) => {
+  const { username, userId, reason } = req.body;
+  
+  if ((!username && !userId) || !reason) {
+    return res.status(400).json({ error: 'Username or userId and reason are required' });
+  }
+  
+  if (userId && !robloxUsers.isValidUserId(userId)) {
+    return res.status(400).json({ error: 'UserId must be numeric' });
+  }
+  
+  let robloxUser;
+  try {
+    robloxUser = await resolveRobloxUser({ userId, username });
+  } catch (error) {
+    console.error('Error resolving Roblox user:', error);
+    return res.status(502).json({ error: 'Could not reach Roblox to resolve the user' });
+  }
+  
+  if (!robloxUser) {
+    return res.status(404).json({ error: 'Roblox user not found' });
+  }
+  
+  const result = await blacklist.addToBlacklist(robloxUser, reason, 'admin');
+  
+  if (result.success) {
+    res.json({ message: `Blacklisted ${robloxUser.name} (${robloxUser.id})`, userId: robloxUser.id, username: robloxUser.name });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to remove a player from the blacklist. Body: { username | userId }
+app.post('/admin/unblacklist-user', requireAuth(null), async (req, res) => {
+  const { username, userId } = req.body;
+  
+  if (!username && !userId) {
+    return res.status(400).json({ error: 'Username or userId is required' });
+  }
+  
+  if (userId && !robloxUsers.isValidUserId(userId)) {
+    return res.status(400).json({ error: 'UserId must be numeric' });
+  }
+  
+  const robloxUser = await resolveGrantedPlayer({ userId, username });
+  const result = await blacklist.removeFromBlacklist(robloxUser);
+  
+  if (result.success) {
+    res.json({ message: result.message });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Endpoint to list leak reports, pending ones by default (?status=approved|rejected)
+app.get('/admin/leak-reports', requireAuth(null), async (req, res) => {
+  const status = req.query.status || blacklist.REPORT_STATUSES.PENDING;
+  if (!Object.values(blacklist.REPORT_STATUSES).includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${Object.values(blacklist.REPORT_STATUSES).join(', ')}` });
+  }
+  
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+  
+  try {
+    const reports = await blacklist.getLeakReports(status, limit);
+    res.json({ reports, count: reports.length });
+  } catch (error) {
+    console.error('Error getting leak reports:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Endpoint to approve or reject a leak report. Body: { reportId, approve, note? }
+app.post('/admin/review-leak-report', requireAuth(null), async (req, res) => {
+  const { reportId, approve, note } = req.body;
+  
+  if (!Number.isInteger(reportId) || typeof approve !== 'boolean') {
+    return res.status(400).json({ error: 'Numeric reportId and boolean approve are required' });
+  }
+  
+  const result = await blacklist.reviewLeakReport(reportId, approve, 'admin', note || null);
+  
+  if (result.success) {
+    res.json({ message: `Report #${reportId} ${result.report.status}`, report: result.report, blacklisted: result.blacklisted });
+  } else {
+    res.status(400).json({ error: result.message });
+  }
+});
+
+// Public key for verifying signed check responses
+app.get('/public-key', (req, res) => {
+  res.json(signer.getPublicKeyInfo());
+});
+
+// Health check endpoint
+app.get('/health', async (req, res) => {
+  try {
+    // Test database connection
+    await pool.query('SELECT 1');
+    res.json({ 
+      status: 'OK', 
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV || 'development',
+      database: 'Connected'
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      status: 'ERROR', 
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV || 'development',
+      database: 'Disconnected',
+      error: error.message
+    });
   }
 });
 
@@ -354,9 +1868,18 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/health',
+      metrics: '/metrics',
+      publicKey: '/public-key',
       checkUserLicense: '/check-user-license/:licenseKey/:username',
-      checkUserVehicle: '/check-user-vehicle/:username/:vehicle'
-    }
+      checkUserIdLicense: '/check-userid-license/:licenseKey/:userId',
+      checkLicenseVehicle: '/check-license-vehicle/:licenseKey/:username/:vehicle',
+      checkUserIdLicenseVehicle: '/check-userid-license-vehicle/:licenseKey/:userId/:vehicle',
+      checkUserVehicle: '/check-user-vehicle/:username/:vehicle (deprecated)',
+      checkUserIdVehicle: '/check-userid-vehicle/:userId/:vehicle (deprecated)',
+      checkBatch: 'POST /check-batch'
+    },
+    signing: 'Pass ?nonce=<8-128 url-safe chars> to check endpoints and verify the Ed25519 signature against /public-key',
+    graceTokens: 'Approved license checks carry a graceToken when the license sets a grace window; games may trust it until expiresAt while the API is unreachable'
   });
 });
 
@@ -371,13 +1894,138 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Endpoint not found' });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`✅ Anti-leak API server running on port ${PORT}`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/health`);
-  console.log(`🔗 License endpoint: http://localhost:${PORT}/check-user-license/{licenseKey}/{username}`);
-  console.log(`🔗 Vehicle endpoint: http://localhost:${PORT}/check-user-vehicle/{username}/{vehicle}`);
-  console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
-});
+// Prune old check logs. CHECK_LOG_RETENTION_DAYS=0 keeps them forever.
+const CHECK_LOG_RETENTION_DAYS = parseInt(process.env.CHECK_LOG_RETENTION_DAYS || '30', 10);
+const CHECK_LOG_PRUNE_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+if (CHECK_LOG_RETENTION_DAYS > 0) {
+  setInterval(async () => {
+    try {
+      const removed = await pruneCheckLogs(pool, CHECK_LOG_RETENTION_DAYS);
+      if (removed > 0) {
+        console.log(`Pruned ${removed} check logs older than ${CHECK_LOG_RETENTION_DAYS} days`);
+      }
+    } catch (error) {
+      console.error('Error pruning check logs:', error);
+    }
+  }, CHECK_LOG_PRUNE_INTERVAL).unref();
+}
+
+// Sweep expired temporary grants and ended suspensions. Checks already ignore them; this
+// keeps the tables tidy. Old license keys stay, as the history of rotated licenses.
+const EXPIRED_GRANT_SWEEP_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+setInterval(async () => {
+  try {
+    const result = await pool.query('DELETE FROM authorized_users WHERE expires_at <= NOW()');
+    if (result.rowCount > 0) {
+      console.log(`Removed ${result.rowCount} expired authorizations`);
+    }
+    
+    const lifted = await pool.query(
+      `UPDATE authorized_users
+       SET suspended_at = NULL, suspended_until = NULL, suspension_reason = NULL, suspended_by = NULL
+       WHERE suspended_until <= NOW()`
+    );
+    if (lifted.rowCount > 0) {
+      console.log(`Lifted ${lifted.rowCount} ended suspensions`);
+    }
+  } catch (error) {
+    console.error('Error sweeping expired authorizations:', error);
+  }
+}, EXPIRED_GRANT_SWEEP_INTERVAL).unref();
+
+// Start and end scheduled pauses and pause licenses whose subscription ran out, so the API
+// keeps their state current without the bot. Checks follow the schedule and expiry either way.
+const LICENSE_PAUSE_SWEEP_INTERVAL = 60 * 1000; // 1 minute
+
+setInterval(async () => {
+  try {
+    const { started, resumed } = await licenseStore.processScheduledPauses();
+    if (started.length > 0 || resumed.length > 0) {
+      console.log(`Started ${started.length} scheduled pauses, ended ${resumed.length}`);
+    }
+  } catch (error) {
+    console.error('Error processing scheduled pauses:', error);
+  }
+  
+  try {
+    const expired = await licenseStore.pauseExpiredLicenses();
+    if (expired.length > 0) {
+      console.log(`Paused ${expired.length} expired licenses`);
+    }
+  } catch (error) {
+    console.error('Error pausing expired licenses:', error);
+  }
+}, LICENSE_PAUSE_SWEEP_INTERVAL).unref();
+
+// Deliver queued webhook events. WEBHOOK_DELIVERY_RETENTION_DAYS=0 keeps finished deliveries forever.
+const WEBHOOK_DELIVERY_INTERVAL = 5 * 1000; // 5 seconds
+const WEBHOOK_DELIVERY_RETENTION_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS || '7', 10);
+let deliveringWebhooks = false;
+
+setInterval(async () => {
+  // Skip a tick rather than overlap while a slow receiver holds up the previous batch
+  if (deliveringWebhooks) {
+    return;
+  }
+  deliveringWebhooks = true;
+  try {
+    await webhooks.processDueDeliveries();
+  } catch (error) {
+    console.error('Error delivering webhooks:', error);
+  } finally {
+    deliveringWebhooks = false;
+  }
+}, WEBHOOK_DELIVERY_INTERVAL).unref();
+
+if (WEBHOOK_DELIVERY_RETENTION_DAYS > 0) {
+  setInterval(async () => {
+    try {
+      const removed = await webhooks.pruneWebhookDeliveries(WEBHOOK_DELIVERY_RETENTION_DAYS);
+      if (removed > 0) {
+        console.log(`Pruned ${removed} webhook deliveries older than ${WEBHOOK_DELIVERY_RETENTION_DAYS} days`);
+      }
+    } catch (error) {
+      console.error('Error pruning webhook deliveries:', error);
+    }
+  }, CHECK_LOG_PRUNE_INTERVAL).unref();
+}
+
+// Forget finished rate limit windows and stale lockout state
+const ABUSE_GUARD_PRUNE_INTERVAL = 60 * 1000; // 1 minute
+
+setInterval(abuseGuard.pruneState, ABUSE_GUARD_PRUNE_INTERVAL).unref();
+
+// Start server once the schema is up to date, so no check runs against old tables.
+// Tests load the app without starting it.
+if (require.main === module) {
+  migrateUp()
+    .then(applied => {
+      if (applied.length > 0) {
+        console.log(`Applied ${applied.length} database migration(s)`);
+      }
+      
+      abuseGuard.loadLockouts()
+        .then(count => {
+          if (count > 0) {
+            console.log(`Restored ${count} recent lockouts`);
+          }
+        })
+        .catch(error => console.error('Error restoring lockouts:', error));
+      
+      app.listen(PORT, () => {
+        console.log(`✅ Anti-leak API server running on port ${PORT}`);
+        console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+        console.log(`🔗 License endpoint: http://localhost:${PORT}/check-user-license/{licenseKey}/{username}`);
+        console.log(`🔗 Vehicle endpoint: http://localhost:${PORT}/check-license-vehicle/{licenseKey}/{username}/{vehicle}`);
+        console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
+      });
+    })
+    .catch(error => {
+      console.error('❌ Database migration failed:', error.message);
+      process.exit(1);
+    });
+}
 
 module.exports = app;
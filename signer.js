@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+// Version prefix of the signed payload, bumped if the field list ever changes
+const PAYLOAD_VERSION = 'v2';
+
+// Version prefix of grace token payloads; never equal to PAYLOAD_VERSION, so a token
+// cannot pass for a check response or the other way round
+const GRACE_TOKEN_VERSION = 'grace-v1';
+
+// Nonces are chosen by the caller, so keep them short and URL-safe
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+class ResponseSigner {
+  constructor() {
+    if (process.env.SIGNING_PRIVATE_KEY) {
+      // Allow the PEM to be stored on a single line with literal \n separators
+      const pem = process.env.SIGNING_PRIVATE_KEY.replace(/\\n/g, '\n');
+      this.privateKey = crypto.createPrivateKey(pem);
+    } else {
+      console.warn('⚠️  SIGNING_PRIVATE_KEY environment variable is not set. Using a temporary key (signatures will not survive a restart!)');
+      console.warn('   Generate one with: openssl genpkey -algorithm ed25519');
+      this.privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+    }
+
+    if (this.privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error('SIGNING_PRIVATE_KEY must be an Ed25519 private key');
+    }
+
+    this.publicKey = crypto.createPublicKey(this.privateKey);
+    this.keyId = crypto
+      .createHash('sha256')
+      .update(this.publicKey.export({ type: 'spki', format: 'der' }))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  isValidNonce(nonce) {
+    return nonce === undefined || (typeof nonce === 'string' && NONCE_PATTERN.test(nonce));
+  }
+
+  // Canonical form is a JSON array so no field value can be confused with a separator
+  buildPayload({ approved, userId = null, username = null, licenseKey = null, vehicle = null, timestamp, nonce = null }) {
+    return JSON.stringify([PAYLOAD_VERSION, approved, userId, username, licenseKey, vehicle, timestamp, nonce]);
+  }
+
+  signPayload(payload) {
+    return {
+      algorithm: 'Ed25519',
+      keyId: this.keyId,
+      payload,
+      value: crypto.sign(null, Buffer.from(payload, 'utf8'), this.privateKey).toString('base64')
+    };
+  }
+
+  sign(fields) {
+    return this.signPayload(this.buildPayload(fields));
+  }
+
+  // Grace tokens let a game keep trusting an approval while the API is unreachable.
+  // They carry no nonce so they can be replayed until expiresAt (Unix seconds).
+  signGraceToken({ licenseKey, userId = null, username = null, vehicle = null, issuedAt, expiresAt }) {
+    const payload = JSON.stringify([GRACE_TOKEN_VERSION, licenseKey, userId, username, vehicle, issuedAt, expiresAt]);
+    return { ...this.signPayload(payload), expiresAt };
+  }
+
+  getPublicKeyInfo() {
+    return {
+      algorithm: 'Ed25519',
+      keyId: this.keyId,
+      publicKey: this.publicKey.export({ type: 'spki', format: 'pem' }),
+      // Raw 32-byte key for verifiers that cannot parse PEM (e.g. in-game Lua)
+      publicKeyRaw: Buffer.from(this.publicKey.export({ format: 'jwk' }).x, 'base64url').toString('base64'),
+      payloadFormat: `["${PAYLOAD_VERSION}", approved, userId, username, licenseKey, vehicle, timestamp, nonce]`,
+      graceTokenFormat: `["${GRACE_TOKEN_VERSION}", licenseKey, userId, username, vehicle, issuedAt, expiresAt]`
+    };
+  }
+}
+
+module.exports = new ResponseSigner();
@@ -0,0 +1,281 @@
+// Embedded SQLite backend for local and small deployments, behind the same interface as
+// the pg pool so the rest of the code runs its queries unchanged. Queries are written for
+// PostgreSQL; before running one this adapter
+//   - turns $1, $2, ... into named parameters,
+//   - drops ::TYPE casts, FOR UPDATE and SKIP LOCKED,
+//   - replaces NOW() with the current time as an ISO 8601 string.
+// Everything else that differs goes through the *Sql helpers (see postgresDb.js).
+//
+// Timestamps are stored as ISO 8601 text, arrays and JSONB as JSON text, and booleans as
+// 0/1. Results are converted back by declared column type (TIMESTAMP, BOOLEAN, BIGINT,
+// JSONB, TEXT[]) so rows look like the ones pg returns. Computed columns have no declared
+// type: is_/has_ flags become booleans and ISO timestamps become dates. Unlike pg, counts
+// and ids come back as numbers rather than strings.
+//
+// SQLite runs one write transaction at a time, and this process shares one connection.
+// While a client holds a transaction, other queries wait for it to commit or roll back.
+const SQLITE_NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))";
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+const FLAG_COLUMN_PATTERN = /^(is|has)_/;
+const BUSY_TIMEOUT_MS = 5000;
+
+// SQLite's date modifiers have no milliseconds, so those are shifted as fractional seconds
+function shiftTimeSql(ts, amount, unit) {
+  const modifier = unit === 'millisecond' ? `((${amount}) / 1000.0) || ' seconds'` : `(${amount}) || ' ${unit}s'`;
+  return `strftime('%Y-%m-%dT%H:%M:%fZ', ${ts}, ${modifier})`;
+}
+
+function arrayContainsSql(value, arraySql) {
+  return `${value} IN (SELECT value FROM json_each(${arraySql}))`;
+}
+
+function arrayElementsSql(arraySql, alias) {
+  return `(SELECT value AS ${alias} FROM json_each(${arraySql})) AS ${alias}`;
+}
+
+function recordsetSql(param, alias, columns) {
+  const fields = columns.split(',').map(column => column.trim().split(/\s+/)[0]);
+  return `(SELECT ${fields.map(field => `json_extract(value, '$.${field}') AS ${field}`).join(', ')}
+    FROM json_each(${param})) AS ${alias}`;
+}
+
+function translateSql(text) {
+  return text
+    .replace(/\bNOW\(\)/gi, SQLITE_NOW)
+    .replace(/\s+FOR UPDATE(\s+SKIP LOCKED)?/g, '')
+    .replace(/::[A-Za-z]+( PRECISION)?(\(\d+\))?(\[\])?/g, '')
+    .replace(/\$(\d+)/g, '@p$1');
+}
+
+function toSqliteValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (typeof value === 'object' && !Buffer.isBuffer(value)) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+const parseJson = value => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const COLUMN_CONVERTERS = {
+  TIMESTAMP: value => new Date(value),
+  BOOLEAN: value => Boolean(value),
+  BIGINT: value => String(value),
+  JSONB: parseJson,
+  'TEXT[]': parseJson
+};
+
+function convertComputedValue(name, value) {
+  if (FLAG_COLUMN_PATTERN.test(name) && (value === 0 || value === 1)) {
+    return value === 1;
+  }
+  if (typeof value === 'string' && ISO_TIMESTAMP_PATTERN.test(value)) {
+    return new Date(value);
+  }
+  return value;
+}
+
+// Row converter for a statement, built once from its declared column types. Columns of
+// other declared types (INTEGER, VARCHAR, ...) are returned as they are.
+function rowConverter(statement) {
+  const columns = statement.columns()
+    .map(column => ({
+      name: column.name,
+      convert: column.type === null ? value => convertComputedValue(column.name, value) : COLUMN_CONVERTERS[column.type]
+    }))
+    .filter(column => column.convert);
+  return row => {
+    for (const { name, convert } of columns) {
+      const value = row[name];
+      if (value !== null && value !== undefined) {
+        row[name] = convert(value);
+      }
+    }
+    return row;
+  };
+}
+
+class SqliteDb {
+  constructor(filename) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite storage needs the better-sqlite3 package. Run: npm install better-sqlite3');
+    }
+
+    this.dialect = 'sqlite';
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+    // LIKE is case-sensitive in PostgreSQL, so vehicle patterns must be here too
+    this.db.pragma('case_sensitive_like = ON');
+    // PostgreSQL's GREATEST and LEAST ignore NULLs, unlike SQLite's scalar MAX and MIN
+    this.db.function('greatest', { varargs: true, deterministic: true }, (...values) => pickValue(values, 1));
+    this.db.function('least', { varargs: true, deterministic: true }, (...values) => pickValue(values, -1));
+
+    this.statements = new Map();
+    this.transactionOwner = null;
+    this.waiting = [];
+  }
+
+  // pg pool statistics, for metrics: one connection that is busy during a transaction
+  get totalCount() {
+    return 1;
+  }
+
+  get idleCount() {
+    return this.transactionOwner ? 0 : 1;
+  }
+
+  get waitingCount() {
+    return this.waiting.length;
+  }
+
+  prepare(text) {
+    let prepared = this.statements.get(text);
+    if (!prepared) {
+      const statement = this.db.prepare(translateSql(text));
+      prepared = { statement, convertRow: statement.reader ? rowConverter(statement) : null };
+      this.statements.set(text, prepared);
+    }
+    return prepared;
+  }
+
+  run(text, params = []) {
+    const { statement, convertRow } = this.prepare(text);
+    const args = params.length > 0
+      ? [Object.fromEntries(params.map((value, i) => [`p${i + 1}`, toSqliteValue(value)]))]
+      : [];
+
+    if (convertRow) {
+      const rows = statement.all(...args).map(convertRow);
+      return { rows, rowCount: rows.length };
+    }
+    const info = statement.run(...args);
+    return { rows: [], rowCount: info.changes };
+  }
+
+  // True while another client holds a transaction. Waiters are all woken when it ends and
+  // any of them may start the next one, so they check again and act in the same tick:
+  //   while (sqlite.isBusyFor(client)) await sqlite.transactionEnded();
+  isBusyFor(client) {
+    return this.transactionOwner !== null && this.transactionOwner !== client;
+  }
+
+  // Resolves when the current transaction commits or rolls back
+  transactionEnded() {
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  endTransaction() {
+    this.transactionOwner = null;
+    this.waiting.splice(0).forEach(resolve => resolve());
+  }
+
+  async query(text, params) {
+    while (this.isBusyFor(null)) {
+      await this.transactionEnded();
+    }
+    return this.run(text, params);
+  }
+
+  async connect() {
+    return new SqliteClient(this);
+  }
+
+  async end() {
+    this.db.close();
+  }
+}
+
+function pickValue(values, direction) {
+  let picked = null;
+  for (const value of values) {
+    if (value !== null && (picked === null || (value > picked ? 1 : -1) === direction)) {
+      picked = value;
+    }
+  }
+  return picked;
+}
+
+// A connection checked out of the pool. BEGIN takes the write lock (BEGIN IMMEDIATE, so two
+// processes never both wait to upgrade a read lock) and holds it until COMMIT or ROLLBACK.
+class SqliteClient {
+  constructor(sqlite) {
+    this.sqlite = sqlite;
+  }
+
+  async query(text, params) {
+    const command = text.trim().toUpperCase();
+    const { sqlite } = this;
+
+    if (command === 'BEGIN') {
+      while (sqlite.isBusyFor(this)) {
+        await sqlite.transactionEnded();
+      }
+      sqlite.transactionOwner = this;
+      try {
+        sqlite.db.exec('BEGIN IMMEDIATE');
+      } catch (error) {
+        sqlite.endTransaction();
+        throw error;
+      }
+      return { rows: [], rowCount: 0 };
+    }
+
+    if (command === 'COMMIT' || command === 'ROLLBACK') {
+      // Like PostgreSQL, ending a transaction that never started is not an error
+      if (sqlite.transactionOwner === this) {
+        try {
+          sqlite.db.exec(command);
+        } finally {
+          // A COMMIT that fails leaves the transaction open; PostgreSQL would roll it back
+          if (sqlite.db.inTransaction) {
+            sqlite.db.exec('ROLLBACK');
+          }
+          sqlite.endTransaction();
+        }
+      }
+      return { rows: [], rowCount: 0 };
+    }
+
+    while (sqlite.isBusyFor(this)) {
+      await sqlite.transactionEnded();
+    }
+    return sqlite.run(text, params);
+  }
+
+  // Releasing a client mid-transaction rolls it back rather than leaving the lock held
+  release() {
+    if (this.sqlite.transactionOwner === this) {
+      this.sqlite.db.exec('ROLLBACK');
+      this.sqlite.endTransaction();
+    }
+  }
+}
+
+function createSqliteDb(filename) {
+  return Object.assign(new SqliteDb(filename), {
+    shiftTimeSql,
+    arrayContainsSql,
+    arrayElementsSql,
+    recordsetSql
+  });
+}
+
+module.exports = {
+  createSqliteDb,
+  translateSql,
+  toSqliteValue,
+  pickValue
+};
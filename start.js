@@ -17,13 +17,14 @@ if (missingVars.length > 0) {
 console.log('✅ Environment variables verified');
 
 // Check if dependencies are installed
+// The database driver DATABASE_URL needs: better-sqlite3 for sqlite:<file>, else pg
+const databaseDriver = process.env.DATABASE_URL.startsWith('sqlite:') ? 'better-sqlite3' : 'pg';
 try {
     console.log('📦 Checking dependencies...');
-    // Check for pg package
-    require.resolve('pg');
+    require.resolve(databaseDriver);
     console.log('✅ Dependencies verified');
 } catch (error) {
-    console.error('❌ Missing dependencies. Please run: npm install pg');
+    console.error(`❌ Missing dependencies. Please run: npm install ${databaseDriver}`);
     process.exit(1);
 }
 
@@ -49,7 +50,8 @@ setTimeout(() => {
     console.log('🤖 Starting Discord bot...');
     botProcess = spawn('node', ['bot.js'], {
         stdio: ['pipe', 'pipe', 'pipe'],
-        env: { ...process.env }
+        // The API server holds PORT, so serve the bot's /health and /metrics next to it
+        env: { ...process.env, BOT_HEALTH_PORT: process.env.BOT_HEALTH_PORT || String(Number(process.env.PORT || 3000) + 1) }
     });
 
     botProcess.stdout.on('data', (data) => {
@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// abuseGuard reads its limits when first loaded
+process.env.UNKNOWN_LICENSE_STRIKES = '3';
+process.env.PLAYER_CHECK_LIMIT = '3';
+process.env.LICENSE_CHECK_LIMIT = '5';
+
+const database = require('./helpers/database');
+const licenseStore = require('../licenseStore');
+const app = require('../server');
+
+describe('check budgets and lockouts', { skip: database.skip }, () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    await database.createTestDatabase();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await database.dropTestDatabase();
+  });
+
+  async function createLicense(ownerId, userIds) {
+    const { licenseKey } = await licenseStore.createLicense(ownerId, `owner#${ownerId}`);
+    for (const userId of userIds) {
+      await licenseStore.addUserToLicense(licenseKey, { id: userId, name: `player${userId}` });
+    }
+    return licenseKey;
+  }
+
+  // A check as sent by the game server jobId of place 1
+  async function check(licenseKey, userId, jobId) {
+    const response = await fetch(`${baseUrl}/check-userid-license/${licenseKey}/${userId}`, {
+      headers: { 'Roblox-Id': '1', 'X-Roblox-Job-Id': jobId }
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  }
+
+  async function batch(checks, jobId) {
+    const response = await fetch(`${baseUrl}/check-batch`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Roblox-Id': '1', 'X-Roblox-Job-Id': jobId },
+      body: JSON.stringify({ checks })
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  // Checks unknown license keys until the game server is locked out
+  async function strikeOut(jobId, userId = '1001') {
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await check(`UNKNOWN-${jobId}-${i}`, userId, jobId)).body.reason, 'unknown_license');
+    }
+  }
+
+  describe('lockouts', () => {
+    it('turns away unknown license keys from a source that keeps checking them', async () => {
+      await strikeOut('job-a');
+      const { status, headers, body } = await check('UNKNOWN-job-a-3', '1001', 'job-a');
+      assert.equal(status, 429);
+      assert.ok(Number(headers.get('retry-after')) > 0);
+      assert.equal(body.retryAfter, Number(headers.get('retry-after')));
+    });
+
+    it('keeps answering the locked out source for licenses that exist', async () => {
+      const licenseKey = await createLicense('10', ['1001']);
+      await strikeOut('job-b');
+
+      const { status, body } = await check(licenseKey, '1001', 'job-b');
+      assert.equal(status, 200);
+      assert.equal(body.approved, true);
+      assert.equal((await batch([{ licenseKey, userId: '1001' }], 'job-b')).status, 200);
+      assert.equal((await batch([{ licenseKey, userId: '1001' }, { licenseKey: 'UNKNOWN-X', userId: '1001' }], 'job-b')).status, 429);
+    });
+
+    it('does not lock out other game servers behind the same IP', async () => {
+      await strikeOut('job-c');
+      assert.equal((await check('UNKNOWN-job-c-3', '1001', 'job-c')).status, 429);
+
+      const { status, body } = await check('UNKNOWN-job-d-0', '1001', 'job-d');
+      assert.equal(status, 200);
+      assert.equal(body.reason, 'unknown_license');
+    });
+
+    it('records the place and game server of a lockout', async () => {
+      await strikeOut('job-e');
+
+      // Lockouts are saved without holding up the check that caused them
+      let lockout;
+      for (let attempt = 0; attempt < 50 && !lockout; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        const result = await database.query("SELECT source, recent_license_keys FROM abuse_lockouts WHERE source LIKE '% place:1 job:job-e'");
+        lockout = result.rows[0];
+      }
+      assert.ok(lockout);
+      assert.deepEqual([...lockout.recent_license_keys].sort(), ['UNKNOWN-job-e-0', 'UNKNOWN-job-e-1', 'UNKNOWN-job-e-2']);
+    });
+  });
+
+  describe('budgets', () => {
+    it('limits checks per player on each license separately', async () => {
+      const first = await createLicense('20', ['2001']);
+      const second = await createLicense('21', ['2001']);
+      for (let i = 0; i < 3; i++) {
+        assert.equal((await check(first, '2001', 'job-f')).status, 200);
+      }
+
+      const { status, body } = await check(first, '2001', 'job-f');
+      assert.equal(status, 429);
+      assert.match(body.error, /this player/);
+      assert.equal((await check(second, '2001', 'job-f')).status, 200);
+    });
+
+    it('limits checks per license', async () => {
+      const licenseKey = await createLicense('30', []);
+      for (let userId = 3001; userId <= 3005; userId++) {
+        assert.equal((await check(licenseKey, String(userId), 'job-g')).status, 200);
+      }
+
+      const { status, body } = await check(licenseKey, '3006', 'job-g');
+      assert.equal(status, 429);
+      assert.match(body.error, /this license/);
+    });
+
+    it('does not charge a player for checks against unknown license keys', async () => {
+      const licenseKey = await createLicense('40', ['4001']);
+      await strikeOut('job-h', '4001');
+
+      for (let i = 0; i < 3; i++) {
+        assert.equal((await check(licenseKey, '4001', 'job-h')).body.approved, true);
+      }
+    });
+  });
+});
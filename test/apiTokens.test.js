@@ -0,0 +1,127 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ADMIN_KEY = 'test-admin-key';
+process.env.ADMIN_KEY = ADMIN_KEY;
+
+const database = require('./helpers/database');
+const { startFakeRobloxUsers } = require('./helpers/robloxUsers');
+const { API_SCOPES, hashToken } = require('../apiTokens');
+const licenseStore = require('../licenseStore');
+const app = require('../server');
+
+describe('license API tokens', { skip: database.skip }, () => {
+  let server;
+  let baseUrl;
+  let roblox;
+  let licenseKey;
+  let otherLicenseKey;
+  let readToken;
+  let writeToken;
+
+  before(async () => {
+    await database.createTestDatabase();
+    roblox = await startFakeRobloxUsers([{ id: '1001', name: 'bob' }, { id: '2002', name: 'carol' }]);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    ({ licenseKey } = await licenseStore.createLicense('1', 'owner#1'));
+    ({ licenseKey: otherLicenseKey } = await licenseStore.createLicense('2', 'owner#2'));
+    await licenseStore.setLicenseTier(licenseKey, 'studio');
+    await licenseStore.addUserToLicense(licenseKey, { id: '1001', name: 'bob' });
+
+    ({ token: readToken } = await licenseStore.createApiToken(licenseKey, 'reader', [API_SCOPES.USERS_READ], '1'));
+    ({ token: writeToken } = await licenseStore.createApiToken(licenseKey, 'writer', [API_SCOPES.USERS_ADD, API_SCOPES.USERS_REMOVE], '1'));
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await roblox.close();
+    await database.dropTestDatabase();
+  });
+
+  async function request(method, path, token, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    const response = await fetch(`${baseUrl}${path}`, { method, headers, body: body && JSON.stringify(body) });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it('is only offered on tiers that include API tokens', async () => {
+    const result = await licenseStore.createApiToken(otherLicenseKey, 'basic', [API_SCOPES.USERS_READ], '2');
+    assert.equal(result.success, false);
+    assert.match(result.message, /not included in the Basic tier/);
+  });
+
+  it('stores only a hash of the token', async () => {
+    const result = await database.query('SELECT token_hash, token_prefix FROM api_tokens WHERE license_key = $1', [licenseKey]);
+    assert.equal(result.rows.length, 2);
+    assert.ok(result.rows.some(row => row.token_hash === hashToken(readToken)));
+    assert.ok(result.rows.every(row => row.token_hash !== readToken && row.token_hash !== writeToken));
+    assert.ok(readToken.startsWith(result.rows.find(row => row.token_hash === hashToken(readToken)).token_prefix));
+  });
+
+  it('rejects requests without a known token', async () => {
+    assert.equal((await request('GET', `/admin/license-users/${licenseKey}`)).status, 401);
+    assert.equal((await request('GET', `/admin/license-users/${licenseKey}`, 'alk_unknown')).status, 401);
+  });
+
+  it('allows what its scopes cover on its own license', async () => {
+    const { status, body } = await request('GET', `/admin/license-users/${licenseKey}`, readToken);
+    assert.equal(status, 200);
+    assert.equal(body.count, 1);
+
+    const added = await request('POST', '/admin/add-user-license', writeToken, { licenseKey, userId: '2002' });
+    assert.equal(added.status, 200);
+    assert.equal(added.body.username, 'carol');
+  });
+
+  it('refuses actions outside its scopes', async () => {
+    const { status } = await request('POST', '/admin/add-user-license', readToken, { licenseKey, userId: '2002' });
+    assert.equal(status, 403);
+    assert.equal((await request('GET', `/admin/license-users/${licenseKey}`, writeToken)).status, 403);
+  });
+
+  it('never reaches another license', async () => {
+    assert.equal((await request('GET', `/admin/license-users/${otherLicenseKey}`, readToken)).status, 403);
+    const { status } = await request('POST', '/admin/add-user-license', writeToken, { licenseKey: otherLicenseKey, userId: '2002' });
+    assert.equal(status, 403);
+  });
+
+  it('never reaches routes reserved for the admin key', async () => {
+    assert.equal((await request('GET', '/admin/licenses', readToken)).status, 403);
+    assert.equal((await request('GET', '/admin/licenses', ADMIN_KEY)).status, 200);
+  });
+
+  it('still accepts the deprecated adminKey query parameter', async () => {
+    assert.equal((await request('GET', `/admin/licenses?adminKey=${ADMIN_KEY}`)).status, 200);
+    assert.equal((await request('GET', '/admin/licenses?adminKey=wrong')).status, 401);
+  });
+
+  it('cannot change grants while the license is paused', async () => {
+    await licenseStore.pauseLicense(licenseKey, '1', 'Maintenance');
+    try {
+      const { status, body } = await request('POST', '/admin/remove-user-license', writeToken, { licenseKey, userId: '2002' });
+      assert.equal(status, 403);
+      assert.match(body.error, /paused/);
+      assert.equal((await request('GET', `/admin/license-users/${licenseKey}`, readToken)).status, 200);
+    } finally {
+      await licenseStore.unpauseLicense(licenseKey);
+    }
+  });
+
+  it('stops working once rotated or revoked', async () => {
+    const [reader] = (await licenseStore.getApiTokens(licenseKey)).filter(token => token.name === 'reader');
+    const rotated = await licenseStore.rotateApiToken(licenseKey, reader.id);
+    assert.equal(rotated.success, true);
+    assert.deepEqual(rotated.scopes, [API_SCOPES.USERS_READ]);
+    assert.equal((await request('GET', `/admin/license-users/${licenseKey}`, readToken)).status, 401);
+    assert.equal((await request('GET', `/admin/license-users/${licenseKey}`, rotated.token)).status, 200);
+
+    assert.equal((await licenseStore.revokeApiToken(licenseKey, reader.id)).success, true);
+    assert.equal((await request('GET', `/admin/license-users/${licenseKey}`, rotated.token)).status, 401);
+  });
+});
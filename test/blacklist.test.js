@@ -0,0 +1,145 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ADMIN_KEY = 'test-admin-key';
+process.env.ADMIN_KEY = ADMIN_KEY;
+
+const database = require('./helpers/database');
+const { startFakeRobloxUsers } = require('./helpers/robloxUsers');
+const licenseStore = require('../licenseStore');
+const blacklist = require('../blacklist');
+const app = require('../server');
+
+describe('leaker blacklist', { skip: database.skip }, () => {
+  const players = [
+    { id: '1001', name: 'bob' },
+    { id: '2002', name: 'carol' },
+    { id: '3003', name: 'mallory' },
+    { id: '4004', name: 'eve' }
+  ];
+  const [bob, carol, mallory, eve] = players;
+  let server;
+  let baseUrl;
+  let roblox;
+  let licenseKey;
+  let otherLicenseKey;
+
+  before(async () => {
+    await database.createTestDatabase();
+    roblox = await startFakeRobloxUsers(players);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    ({ licenseKey } = await licenseStore.createLicense('1', 'owner#1'));
+    ({ licenseKey: otherLicenseKey } = await licenseStore.createLicense('2', 'owner#2'));
+    for (const player of players) {
+      await licenseStore.addUserToLicense(licenseKey, player);
+      await licenseStore.addUserToLicense(otherLicenseKey, player, 'Sedan');
+    }
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await roblox.close();
+    await database.dropTestDatabase();
+  });
+
+  async function get(path) {
+    return (await fetch(`${baseUrl}${path}`)).json();
+  }
+
+  async function batch(checks) {
+    const response = await fetch(`${baseUrl}/check-batch`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ checks })
+    });
+    return (await response.json()).results;
+  }
+
+  describe('checks', () => {
+    before(async () => {
+      assert.equal((await blacklist.addToBlacklist(mallory, 'Leaked the Sedan', 'owner')).success, true);
+    });
+
+    it('deny a blacklisted player on every license despite their grants', async () => {
+      const byId = await get(`/check-userid-license/${licenseKey}/${mallory.id}`);
+      assert.equal(byId.approved, false);
+      assert.equal(byId.reason, 'blacklisted');
+      assert.equal((await get(`/check-user-license/${licenseKey}/mallory`)).reason, 'blacklisted');
+      assert.equal((await get(`/check-license-vehicle/${otherLicenseKey}/mallory/Sedan`)).reason, 'blacklisted');
+
+      const results = await batch([
+        { licenseKey, userId: mallory.id },
+        { licenseKey: otherLicenseKey, userId: mallory.id, vehicle: 'Sedan' },
+        { licenseKey, userId: bob.id }
+      ]);
+      assert.deepEqual(results.map(result => result.reason || result.status), ['blacklisted', 'blacklisted', 'approved']);
+    });
+
+    it('leave other players alone', async () => {
+      assert.equal((await get(`/check-userid-license/${licenseKey}/${bob.id}`)).approved, true);
+      assert.equal((await get(`/check-user-license/${otherLicenseKey}/carol`)).approved, true);
+    });
+
+    it('deny players blacklisted by name only, whatever UserId they check with', async () => {
+      assert.equal((await blacklist.addToBlacklist({ id: null, name: 'eve' }, 'Leaked before UserIds', 'owner')).success, true);
+      assert.equal((await get(`/check-user-license/${licenseKey}/EVE`)).reason, 'blacklisted');
+      assert.equal((await get(`/check-userid-license/${licenseKey}/${eve.id}?username=eve`)).reason, 'blacklisted');
+    });
+
+    it('approve the player again once they are removed', async () => {
+      assert.equal((await blacklist.removeFromBlacklist(mallory)).success, true);
+      assert.equal((await get(`/check-userid-license/${licenseKey}/${mallory.id}`)).approved, true);
+      assert.deepEqual(await blacklist.removeFromBlacklist(mallory), { success: false, message: 'User is not blacklisted!' });
+    });
+  });
+
+  describe('entries', () => {
+    it('refuses to blacklist a player twice', async () => {
+      assert.equal((await blacklist.addToBlacklist(carol, 'First', 'owner')).success, true);
+      assert.deepEqual(await blacklist.addToBlacklist(carol, 'Second', 'owner'), { success: false, message: 'User is already blacklisted!' });
+      assert.equal((await blacklist.addToBlacklist(bob, '  ', 'owner')).message, 'Reason is required');
+    });
+
+    it('warns when a blacklisted player is authorized', async () => {
+      const response = await fetch(`${baseUrl}/admin/add-user-license`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_KEY}` },
+        body: JSON.stringify({ licenseKey: otherLicenseKey, userId: carol.id, vehicle: 'Truck' })
+      });
+      const body = await response.json();
+      assert.equal(response.status, 200);
+      assert.match(body.warning, /blacklisted/);
+    });
+
+    it('lists who still grants a player access', async () => {
+      const { entry, licenseKeys } = await blacklist.lookupPlayer(carol);
+      assert.equal(entry.reason, 'First');
+      assert.deepEqual(licenseKeys, [licenseKey, otherLicenseKey].sort());
+    });
+  });
+
+  describe('leak reports', () => {
+    it('blacklists the player when a report is approved', async () => {
+      const submitted = await blacklist.submitLeakReport(licenseKey, bob, 'Video of the leaked model', '1');
+      assert.equal(submitted.success, true);
+      assert.match((await blacklist.submitLeakReport(licenseKey, bob, 'Again', '1')).message, /already has an open report/);
+
+      const reviewed = await blacklist.reviewLeakReport(submitted.report.id, true, 'owner');
+      assert.equal(reviewed.blacklisted, true);
+      assert.equal((await get(`/check-userid-license/${licenseKey}/${bob.id}`)).reason, 'blacklisted');
+      assert.match((await blacklist.reviewLeakReport(submitted.report.id, false, 'owner')).message, /already approved/);
+    });
+
+    it('leaves the player alone when a report is rejected', async () => {
+      await blacklist.removeFromBlacklist(bob);
+      const submitted = await blacklist.submitLeakReport(otherLicenseKey, bob, 'Looks similar', '2');
+      const reviewed = await blacklist.reviewLeakReport(submitted.report.id, false, 'owner', 'Not enough evidence');
+      assert.equal(reviewed.success, true);
+      assert.equal(reviewed.blacklisted, false);
+      assert.equal((await get(`/check-userid-license/${otherLicenseKey}/${bob.id}`)).approved, true);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const database = require('./helpers/database');
+const { startFakeRobloxUsers } = require('./helpers/robloxUsers');
+const licenseStore = require('../licenseStore');
+const pool = require('../db');
+const app = require('../server');
+
+const NONCE = 'batch-nonce-1';
+
+describe('batch checks', { skip: database.skip }, () => {
+  const players = [
+    { id: '1001', name: 'bob' },
+    { id: '2002', name: 'carol' },
+    { id: '3003', name: 'erin' }
+  ];
+  let server;
+  let baseUrl;
+  let roblox;
+  let publicKey;
+  let licenseKey;
+
+  before(async () => {
+    await database.createTestDatabase();
+    roblox = await startFakeRobloxUsers(players);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    publicKey = crypto.createPublicKey((await (await fetch(`${baseUrl}/public-key`)).json()).publicKey);
+
+    ({ licenseKey } = await licenseStore.createLicense('1', 'owner#1'));
+    await licenseStore.addUserToLicense(licenseKey, players[0]);
+    await licenseStore.addUserToLicense(licenseKey, players[1], 'Sedan');
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await roblox.close();
+    await database.dropTestDatabase();
+  });
+
+  async function batch(checks, nonce = NONCE) {
+    const response = await fetch(`${baseUrl}/check-batch`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ checks, nonce })
+    });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  }
+
+  async function single(path) {
+    return (await fetch(`${baseUrl}${path}?nonce=${NONCE}`)).json();
+  }
+
+  it('rejects malformed batches', async () => {
+    assert.equal((await batch([])).status, 400);
+    assert.equal((await batch(Array.from({ length: 201 }, () => ({ licenseKey, userId: '1001' })))).status, 400);
+    assert.equal((await batch([{ licenseKey, userId: '1001' }], 'bad nonce!')).status, 400);
+    assert.match((await batch([{ licenseKey }])).body.error, /^Check 0 needs a userId or username/);
+    assert.match((await batch([{ licenseKey, userId: '1001' }, { licenseKey, userId: 'abc' }])).body.error, /^Check 1 has a non-numeric userId/);
+    assert.match((await batch([{ userId: '1001' }])).body.error, /^Check 0 needs a licenseKey, a vehicle or both/);
+  });
+
+  it('answers every check in order with the same outcome as the single checks', async () => {
+    const checks = [
+      { licenseKey, userId: '1001' },
+      { licenseKey, username: 'carol', vehicle: 'Sedan' },
+      { licenseKey, username: 'carol', vehicle: 'Truck' },
+      { licenseKey, userId: '3003' },
+      { licenseKey: 'NO-SUCH-KEY', userId: '1001' }
+    ];
+    const { status, body } = await batch(checks);
+    assert.equal(status, 200);
+    assert.deepEqual(body.results.map(result => [result.approved, result.status, result.reason]), [
+      [true, 'approved', undefined],
+      [true, 'approved', undefined],
+      [false, 'denied', 'vehicle_not_authorized'],
+      [false, 'denied', 'not_authorized'],
+      [false, 'denied', 'unknown_license']
+    ]);
+
+    const singles = [
+      await single(`/check-userid-license/${licenseKey}/1001`),
+      await single(`/check-license-vehicle/${licenseKey}/carol/Sedan`),
+      await single(`/check-license-vehicle/${licenseKey}/carol/Truck`),
+      await single(`/check-userid-license/${licenseKey}/3003`),
+      await single('/check-userid-license/NO-SUCH-KEY/1001')
+    ];
+    body.results.forEach((result, i) => {
+      assert.equal(result.reason, singles[i].reason);
+      assert.equal(result.message, singles[i].message);
+    });
+  });
+
+  it('signs each result over its own check', async () => {
+    const { body } = await batch([
+      { licenseKey, userId: '1001' },
+      { licenseKey, username: 'carol', vehicle: 'Truck' }
+    ]);
+    assert.deepEqual(JSON.parse(body.results[0].signature.payload), ['v2', true, '1001', null, licenseKey, null, body.timestamp, NONCE]);
+    assert.deepEqual(JSON.parse(body.results[1].signature.payload), ['v2', false, null, 'carol', licenseKey, 'Truck', body.timestamp, NONCE]);
+    for (const { signature } of body.results) {
+      assert.ok(crypto.verify(null, Buffer.from(signature.payload, 'utf8'), publicKey, Buffer.from(signature.value, 'base64')));
+    }
+  });
+
+  it('answers the whole batch with one database query', async () => {
+    const query = mock.method(pool, 'query');
+    try {
+      const checks = players.map(player => ({ licenseKey, userId: player.id, vehicle: 'Sedan' }));
+      assert.equal((await batch(checks)).status, 200);
+      assert.equal(query.mock.calls.filter(call => call.arguments[0].includes('authorized_users')).length, 1);
+    } finally {
+      query.mock.restore();
+    }
+  });
+
+  it('flags deprecated global vehicle checks', async () => {
+    const { status, headers, body } = await batch([{ userId: '1001', vehicle: 'Sedan' }]);
+    assert.equal(status, 200);
+    assert.equal(headers.get('deprecation'), 'true');
+    assert.match(body.deprecation, /deprecated/);
+    assert.equal(body.results[0].licenseKey, undefined);
+  });
+});
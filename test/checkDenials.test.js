@@ -0,0 +1,126 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const database = require('./helpers/database');
+const licenseStore = require('../licenseStore');
+const pool = require('../db');
+const app = require('../server');
+
+const PLAYER = { id: '1001', name: 'bob' };
+
+describe('check denial reasons', { skip: database.skip }, () => {
+  let server;
+  let baseUrl;
+  let owners = 0;
+
+  before(async () => {
+    await database.createTestDatabase();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await database.dropTestDatabase();
+  });
+
+  // A license of its own granting PLAYER the given vehicle (all when null)
+  async function createLicense(vehicle = null) {
+    owners++;
+    const { licenseKey } = await licenseStore.createLicense(String(owners), `owner#${owners}`);
+    await licenseStore.addUserToLicense(licenseKey, PLAYER, vehicle);
+    return licenseKey;
+  }
+
+  async function check(path, headers = {}) {
+    const response = await fetch(`${baseUrl}${path}`, { headers });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+  }
+
+  function assertDenied({ status, body }, reason) {
+    assert.equal(status, 200);
+    assert.equal(body.approved, false);
+    assert.equal(body.status, 'denied');
+    assert.equal(body.reason, reason);
+    assert.equal(typeof body.message, 'string');
+    assert.ok(body.signature);
+  }
+
+  it('approves a granted player', async () => {
+    const licenseKey = await createLicense();
+    const { body } = await check(`/check-userid-license/${licenseKey}/${PLAYER.id}`);
+    assert.equal(body.approved, true);
+    assert.equal(body.status, 'approved');
+    assert.equal(body.reason, undefined);
+  });
+
+  it('denies unknown license keys', async () => {
+    assertDenied(await check(`/check-userid-license/NO-SUCH-KEY/${PLAYER.id}`), 'unknown_license');
+  });
+
+  it('denies players without a grant', async () => {
+    const licenseKey = await createLicense();
+    assertDenied(await check(`/check-userid-license/${licenseKey}/2002`), 'not_authorized');
+  });
+
+  it('tells a wrong vehicle apart from a missing grant', async () => {
+    const licenseKey = await createLicense('Sedan');
+    assert.equal((await check(`/check-userid-license-vehicle/${licenseKey}/${PLAYER.id}/Sedan`)).body.approved, true);
+    assertDenied(await check(`/check-userid-license-vehicle/${licenseKey}/${PLAYER.id}/Truck`), 'vehicle_not_authorized');
+    assertDenied(await check(`/check-userid-license-vehicle/${licenseKey}/2002/Truck`), 'not_authorized');
+  });
+
+  it('denies every player of a paused license', async () => {
+    const licenseKey = await createLicense();
+    await licenseStore.pauseLicense(licenseKey, '1', 'Maintenance');
+    assertDenied(await check(`/check-userid-license/${licenseKey}/${PLAYER.id}`), 'license_paused');
+    assertDenied(await check(`/check-userid-license/${licenseKey}/2002`), 'license_paused');
+  });
+
+  it('denies an expired license before the sweep pauses it', async () => {
+    const licenseKey = await createLicense();
+    await database.query(`UPDATE licenses SET expires_at = ${pool.shiftTimeSql('NOW()', '-1', 'day')} WHERE license_key = $1`, [licenseKey]);
+    assertDenied(await check(`/check-userid-license/${licenseKey}/${PLAYER.id}`), 'license_expired');
+  });
+
+  it('denies suspended grants', async () => {
+    const licenseKey = await createLicense();
+    const result = await licenseStore.suspendGrant(licenseKey, PLAYER, null, { reason: 'Investigating', suspendedBy: '1' });
+    assert.equal(result.success, true);
+    assertDenied(await check(`/check-userid-license/${licenseKey}/${PLAYER.id}`), 'grant_suspended');
+  });
+
+  it('denies places the license is not allowlisted on', async () => {
+    const licenseKey = await createLicense();
+    await licenseStore.addLicensePlace(licenseKey, licenseStore.PLACE_TYPES.PLACE, '111', '1');
+    assert.equal((await check(`/check-userid-license/${licenseKey}/${PLAYER.id}`, { 'Roblox-Id': '111' })).body.approved, true);
+    assertDenied(await check(`/check-userid-license/${licenseKey}/${PLAYER.id}`, { 'Roblox-Id': '222' }), 'unknown_place');
+  });
+
+  it('returns the license kick message with denials only', async () => {
+    const licenseKey = await createLicense('Sedan');
+    await licenseStore.setKickMessage(licenseKey, 'Buy access on our store');
+    const denied = await check(`/check-userid-license-vehicle/${licenseKey}/${PLAYER.id}/Truck`);
+    assertDenied(denied, 'vehicle_not_authorized');
+    assert.equal(denied.body.kickMessage, 'Buy access on our store');
+    assert.equal((await check(`/check-userid-license-vehicle/${licenseKey}/${PLAYER.id}/Sedan`)).body.kickMessage, undefined);
+  });
+
+  it('answers unavailable instead of denying when the database fails', async () => {
+    const licenseKey = await createLicense();
+    const query = mock.method(pool, 'query', async () => {
+      throw new Error('connection refused');
+    });
+    try {
+      const { status, headers, body } = await check(`/check-userid-license/${licenseKey}/${PLAYER.id}`);
+      assert.equal(status, 503);
+      assert.equal(body.status, 'unavailable');
+      assert.equal(body.approved, undefined);
+      assert.equal(body.signature, undefined);
+      assert.ok(Number(headers.get('retry-after')) > 0);
+    } finally {
+      query.mock.restore();
+    }
+  });
+});
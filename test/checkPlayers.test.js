@@ -0,0 +1,101 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const database = require('./helpers/database');
+const { startFakeRobloxUsers } = require('./helpers/robloxUsers');
+const licenseStore = require('../licenseStore');
+const app = require('../server');
+
+describe('player checks', { skip: database.skip }, () => {
+  const players = [
+    { id: '1001', name: 'bob' },
+    { id: '2002', name: 'carol' }
+  ];
+  let server;
+  let baseUrl;
+  let roblox;
+  let licenseKey;
+
+  before(async () => {
+    await database.createTestDatabase();
+    roblox = await startFakeRobloxUsers(players);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    ({ licenseKey } = await licenseStore.createLicense('1', 'owner#1'));
+    await licenseStore.addUserToLicense(licenseKey, players[0]);
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await roblox.close();
+    await database.dropTestDatabase();
+  });
+
+  async function checkName(username) {
+    return (await fetch(`${baseUrl}/check-user-license/${licenseKey}/${username}`)).json();
+  }
+
+  async function checkUserId(userId, username = null) {
+    const query = username ? `?username=${username}` : '';
+    return (await fetch(`${baseUrl}/check-userid-license/${licenseKey}/${userId}${query}`)).json();
+  }
+
+  describe('by username', () => {
+    it('approves the player the name belongs to', async () => {
+      assert.equal((await checkName('bob')).approved, true);
+      assert.equal((await checkName('BOB')).approved, true);
+    });
+
+    it('follows a renamed player and denies whoever takes the old name', async () => {
+      players[0].name = 'robert';
+      players.push({ id: '3003', name: 'bob' });
+      try {
+        assert.equal((await checkName('robert')).approved, true);
+
+        const taken = await checkName('bob');
+        assert.equal(taken.approved, false);
+        assert.equal(taken.reason, 'not_authorized');
+      } finally {
+        players.pop();
+        players[0].name = 'bob';
+      }
+    });
+
+    it('still matches legacy grants that have no UserId', async () => {
+      await database.query(
+        "INSERT INTO authorized_users (license_key, username, vehicle) VALUES ($1, 'dave', '*ALL*')",
+        [licenseKey]
+      );
+      assert.equal((await checkName('dave')).approved, true);
+      assert.equal((await checkName('Dave')).approved, true);
+    });
+
+    it('only matches legacy grants while Roblox cannot be reached', async () => {
+      await roblox.close();
+      try {
+        assert.equal((await checkName('dave')).approved, true);
+        assert.equal((await checkName('bob')).approved, false);
+      } finally {
+        roblox = await startFakeRobloxUsers(players);
+      }
+    });
+  });
+
+  describe('by UserId', () => {
+    it('approves the granted UserId whatever the name', async () => {
+      assert.equal((await checkUserId('1001')).approved, true);
+      assert.equal((await checkUserId('1001', 'someone-else')).approved, true);
+    });
+
+    it('matches legacy grants through the given username', async () => {
+      assert.equal((await checkUserId('4004')).approved, false);
+      assert.equal((await checkUserId('4004', 'dave')).approved, true);
+    });
+
+    it('never matches grants of another UserId by name', async () => {
+      assert.equal((await checkUserId('2002', 'bob')).approved, false);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Client } = require('pg');
+
+// Database tests run against TEST_DATABASE_URL when it is set, each test file in a schema
+// of its own that is dropped afterwards, so they never touch the tables already in that
+// database. Otherwise they run against a scratch SQLite file.
+const baseUrl = process.env.TEST_DATABASE_URL;
+const schema = `test_${process.pid}_${Date.now()}`;
+const sqliteFile = path.join(os.tmpdir(), `antileak-${schema}.db`);
+
+function hasSqliteDriver() {
+  try {
+    require.resolve('better-sqlite3');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Reasons to skip tests that need one backend in particular, or false when it is available
+const postgresSkip = baseUrl ? false : 'TEST_DATABASE_URL is not set';
+const sqliteSkip = hasSqliteDriver() ? false : 'better-sqlite3 is not installed';
+
+// Reason to skip database tests, or false when they can run
+const skip = postgresSkip && sqliteSkip && 'TEST_DATABASE_URL is not set and better-sqlite3 is not installed';
+
+// Point the app at the test database; it must be required after this helper
+if (baseUrl) {
+  const url = new URL(baseUrl);
+  url.searchParams.set('options', `-c search_path=${schema}`);
+  process.env.DATABASE_URL = url.toString();
+} else {
+  process.env.DATABASE_URL = `sqlite:${sqliteFile}`;
+}
+
+async function withBaseClient(fn) {
+  const client = new Client({ connectionString: baseUrl });
+  await client.connect();
+  try {
+    return await fn(client);
+  } finally {
+    await client.end();
+  }
+}
+
+// Creates the test schema without any tables (SQLite creates the file on first use)
+async function createTestSchema() {
+  if (baseUrl) {
+    await withBaseClient(client => client.query(`CREATE SCHEMA ${schema}`));
+  }
+}
+
+// Creates the test schema and migrates it to the newest version
+async function createTestDatabase() {
+  await createTestSchema();
+  await require('../../migrator').migrateUp();
+}
+
+// Closes the app's pool and drops the test schema or file
+async function dropTestDatabase() {
+  await require('../../db').end();
+  if (baseUrl) {
+    await withBaseClient(client => client.query(`DROP SCHEMA IF EXISTS ${schema} CASCADE`));
+  } else {
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(`${sqliteFile}${suffix}`, { force: true });
+    }
+  }
+}
+
+// Runs a query in the test schema, e.g. to set up the rows a test checks against
+function query(text, params) {
+  return require('../../db').query(text, params);
+}
+
+module.exports = {
+  skip,
+  postgresSkip,
+  sqliteSkip,
+  createTestSchema,
+  createTestDatabase,
+  dropTestDatabase,
+  query
+};
@@ -0,0 +1,54 @@
+const http = require('http');
+const robloxUsers = require('../../robloxUsers');
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Serves the two Roblox users API routes robloxUsers calls, from players ({ id, name }),
+// and points robloxUsers at it. Tests may change players while it runs, e.g. to rename one.
+async function startFakeRobloxUsers(players) {
+  const server = http.createServer((req, res) => {
+    if (req.method === 'POST' && req.url === '/v1/usernames/users') {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        const { usernames } = JSON.parse(body);
+        const data = [];
+        for (const requestedUsername of usernames) {
+          const player = players.find(p => p.name.toLowerCase() === requestedUsername.toLowerCase());
+          if (player) {
+            data.push({ requestedUsername, id: Number(player.id), name: player.name });
+          }
+        }
+        sendJson(res, 200, { data });
+      });
+      return;
+    }
+
+    const match = /^\/v1\/users\/(\d+)$/.exec(req.url);
+    const player = match && players.find(p => p.id === match[1]);
+    if (player) {
+      sendJson(res, 200, { id: Number(player.id), name: player.name });
+    } else {
+      sendJson(res, 404, { errors: [{ code: 3, message: 'The user id is invalid.' }] });
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const previousBaseUrl = robloxUsers.baseUrl;
+  robloxUsers.baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    close: async () => {
+      robloxUsers.baseUrl = previousBaseUrl;
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startFakeRobloxUsers };
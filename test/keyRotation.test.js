@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const database = require('./helpers/database');
+const pool = require('../db');
+const licenseStore = require('../licenseStore');
+const { recordChecks, queryCheckLogs } = require('../checkLogs');
+const app = require('../server');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('rotating a license key', { skip: database.skip }, () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    await database.createTestDatabase();
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await database.dropTestDatabase();
+  });
+
+  async function checkLicense(licenseKey, userId) {
+    const response = await fetch(`${baseUrl}/check-userid-license/${licenseKey}/${userId}`);
+    return response.json();
+  }
+
+  async function createLicenseWithPlayer(ownerId) {
+    const { licenseKey } = await licenseStore.createLicense(ownerId, `owner#${ownerId}`);
+    await licenseStore.addUserToLicense(licenseKey, { id: '1001', name: 'bob' });
+    return licenseKey;
+  }
+
+  it('moves the license and its grants to the new key', async () => {
+    const oldKey = await createLicenseWithPlayer('1');
+    const rotated = await licenseStore.rotateLicenseKey(oldKey, { rotatedBy: '1' });
+    assert.equal(rotated.success, true);
+    assert.equal(rotated.previousLicenseKey, oldKey);
+    assert.notEqual(rotated.licenseKey, oldKey);
+    assert.equal(rotated.graceUntil, null);
+
+    assert.equal(await licenseStore.getLicense(oldKey), null);
+    assert.equal((await licenseStore.getLicense(rotated.licenseKey)).ownerId, '1');
+    assert.equal((await checkLicense(rotated.licenseKey, '1001')).approved, true);
+  });
+
+  it('stops the old key right away without a grace period', async () => {
+    const oldKey = await createLicenseWithPlayer('2');
+    await licenseStore.rotateLicenseKey(oldKey);
+
+    const check = await checkLicense(oldKey, '1001');
+    assert.equal(check.approved, false);
+    assert.equal(check.reason, 'unknown_license');
+    assert.deepEqual(await licenseStore.getKeyAliases(oldKey), []);
+  });
+
+  it('keeps the old key working until a grace period ends', async () => {
+    const oldKey = await createLicenseWithPlayer('3');
+    const rotatedAt = Date.now();
+    const rotated = await licenseStore.rotateLicenseKey(oldKey, { graceMs: HOUR_MS });
+    assert.ok(Math.abs(rotated.graceUntil - rotatedAt - HOUR_MS) < 5000);
+
+    assert.equal((await checkLicense(oldKey, '1001')).approved, true);
+    assert.equal((await checkLicense(oldKey, '2002')).reason, 'not_authorized');
+    assert.deepEqual((await licenseStore.getKeyAliases(rotated.licenseKey)).map(alias => alias.old_key), [oldKey]);
+
+    await pool.query('UPDATE license_key_aliases SET expires_at = $2 WHERE old_key = $1', [oldKey, new Date(Date.now() - 1000)]);
+    assert.equal((await checkLicense(oldKey, '1001')).reason, 'unknown_license');
+    assert.deepEqual(await licenseStore.getKeyAliases(rotated.licenseKey), []);
+  });
+
+  it('allows grace periods of up to 30 days', async () => {
+    const oldKey = await createLicenseWithPlayer('4');
+    const rejected = await licenseStore.rotateLicenseKey(oldKey, { graceMs: 30 * 24 * HOUR_MS + 1 });
+    assert.equal(rejected.success, false);
+    assert.match(rejected.message, /at most 30 days/);
+    assert.notEqual(await licenseStore.getLicense(oldKey), null);
+
+    assert.equal((await licenseStore.rotateLicenseKey(oldKey, { graceMs: 30 * 24 * HOUR_MS })).success, true);
+  });
+
+  it('never hands an old key out again', async () => {
+    const oldKey = await createLicenseWithPlayer('5');
+    const { licenseKey } = await licenseStore.rotateLicenseKey(oldKey);
+
+    assert.equal((await licenseStore.rotateLicenseKey(licenseKey, { newKey: oldKey })).success, false);
+    assert.equal((await licenseStore.createLicense('6', 'owner#6', { licenseKey: oldKey })).success, false);
+  });
+
+  it('keeps check logs under the key they were made with, found through the new key', async () => {
+    const firstKey = await createLicenseWithPlayer('7');
+    await recordChecks(pool, [{ checkType: 'license', licenseKey: firstKey, userId: '1001', username: 'bob', approved: true }]);
+    const { licenseKey: secondKey } = await licenseStore.rotateLicenseKey(firstKey);
+    await recordChecks(pool, [{ checkType: 'license', licenseKey: secondKey, userId: '1001', username: 'bob', approved: true }]);
+    const { licenseKey: thirdKey } = await licenseStore.rotateLicenseKey(secondKey, { graceMs: HOUR_MS });
+
+    const { logs } = await queryCheckLogs(pool, { licenseKey: thirdKey });
+    assert.deepEqual(logs.map(log => log.license_key), [secondKey, firstKey]);
+  });
+});
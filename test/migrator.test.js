@@ -0,0 +1,208 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const database = require('./helpers/database');
+const { loadMigrations, migrateUp, migrateDown, planMigrateDown, getMigrationStatus } = require('../migrator');
+
+// Small migrations of our own, so each test knows exactly what a run changes
+const TEST_MIGRATIONS = {
+  '001_create_widgets.js': `module.exports = {
+  up: db => db.query('CREATE TABLE widgets (id INTEGER PRIMARY KEY, name VARCHAR(50) NOT NULL)'),
+  down: db => db.query('DROP TABLE widgets')
+};
+`,
+  '002_add_widget_color.js': `module.exports = {
+  up: db => db.query('ALTER TABLE widgets ADD COLUMN color VARCHAR(20)'),
+  down: db => db.query('ALTER TABLE widgets DROP COLUMN color')
+};
+`
+};
+
+const FAILING_MIGRATIONS = {
+  '003_fail_midway.js': `module.exports = {
+  up: async db => {
+    await db.query('CREATE TABLE gadgets (id INTEGER PRIMARY KEY)');
+    throw new Error('boom');
+  },
+  down: db => db.query('DROP TABLE gadgets')
+};
+`,
+  '004_after_failure.js': `module.exports = {
+  up: db => db.query('CREATE TABLE sprockets (id INTEGER PRIMARY KEY)'),
+  down: db => db.query('DROP TABLE sprockets')
+};
+`
+};
+
+function writeMigrationDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'antileak-migrations-'));
+  for (const [file, source] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, file), source);
+  }
+  return dir;
+}
+
+const NOOP_MIGRATION = 'module.exports = { up: async () => {}, down: async () => {} };\n';
+
+describe('loadMigrations', () => {
+  it('orders migrations by version and skips other files', () => {
+    const dir = writeMigrationDir({ '010_later.js': NOOP_MIGRATION, '002_earlier.js': NOOP_MIGRATION, 'notes.txt': '' });
+    try {
+      const migrations = loadMigrations(dir);
+      assert.deepEqual(migrations.map(({ version, name, label }) => ({ version, name, label })), [
+        { version: 2, name: 'earlier', label: '002_earlier' },
+        { version: 10, name: 'later', label: '010_later' }
+      ]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('picks the variant for the dialect when a migration has one', async () => {
+    const dir = writeMigrationDir({
+      '001_dialects.js': `const up = async () => 'default';
+module.exports = { up, down: up, sqlite: { up: async () => 'sqlite', down: up } };
+`
+    });
+    try {
+      const [sqliteMigration] = loadMigrations(dir, 'sqlite');
+      const [postgresMigration] = loadMigrations(dir, 'postgres');
+      assert.equal(await sqliteMigration.up(), 'sqlite');
+      assert.equal(await postgresMigration.up(), 'default');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects migrations without down', () => {
+    const dir = writeMigrationDir({ '001_one_way.js': 'module.exports = { up: async () => {} };\n' });
+    try {
+      assert.throws(() => loadMigrations(dir), /Migration 001_one_way.js must export up and down functions/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects two migrations with one version', () => {
+    const dir = writeMigrationDir({ '003_first.js': NOOP_MIGRATION, '3_second.js': NOOP_MIGRATION });
+    try {
+      assert.throws(() => loadMigrations(dir), /Two migrations share version 3/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('migrations', { skip: database.skip }, () => {
+  let dir;
+
+  before(async () => {
+    await database.createTestSchema();
+    dir = writeMigrationDir(TEST_MIGRATIONS);
+  });
+
+  after(async () => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    await database.dropTestDatabase();
+  });
+
+  function writeMigrations(files) {
+    for (const [file, source] of Object.entries(files)) {
+      fs.writeFileSync(path.join(dir, file), source);
+    }
+  }
+
+  function removeMigrations(files) {
+    for (const file of Object.keys(files)) {
+      fs.rmSync(path.join(dir, file));
+    }
+  }
+
+  const versionsOf = migrations => migrations.map(migration => migration.version);
+
+  async function appliedVersions() {
+    const result = await database.query('SELECT version FROM schema_migrations ORDER BY version');
+    return result.rows.map(row => row.version);
+  }
+
+  async function widgetColumns() {
+    await database.query("INSERT INTO widgets (id, name) VALUES (1, 'probe')");
+    try {
+      const result = await database.query('SELECT * FROM widgets');
+      return Object.keys(result.rows[0]);
+    } finally {
+      await database.query('DELETE FROM widgets');
+    }
+  }
+
+  it('applies migrations up to a given version', async () => {
+    assert.deepEqual(versionsOf(await migrateUp({ to: 1, dir })), [1]);
+
+    const status = await getMigrationStatus({ dir });
+    assert.deepEqual(status.map(({ label, missing }) => [label, missing]), [['001_create_widgets', false], ['002_add_widget_color', false]]);
+    assert.ok(status[0].appliedAt);
+    assert.equal(status[1].appliedAt, null);
+  });
+
+  it('applies each pending migration once when runs overlap', async () => {
+    const runs = await Promise.all([migrateUp({ dir }), migrateUp({ dir })]);
+    assert.deepEqual(versionsOf(runs.flat()), [2]);
+    assert.deepEqual(await appliedVersions(), [1, 2]);
+    assert.deepEqual(await widgetColumns(), ['id', 'name', 'color']);
+  });
+
+  it('rolls back a failing migration and stops the run there', async () => {
+    writeMigrations(FAILING_MIGRATIONS);
+    try {
+      await assert.rejects(migrateUp({ dir }), /Migration 003_fail_midway failed \(up\): boom/);
+      assert.deepEqual(await appliedVersions(), [1, 2]);
+      await assert.rejects(database.query('SELECT 1 FROM gadgets'));
+      await assert.rejects(database.query('SELECT 1 FROM sprockets'));
+    } finally {
+      removeMigrations(FAILING_MIGRATIONS);
+    }
+  });
+
+  it('plans and reverts the newest migration', async () => {
+    assert.deepEqual(versionsOf(await planMigrateDown({ dir })), [2]);
+    assert.deepEqual(await appliedVersions(), [1, 2]);
+
+    assert.deepEqual(versionsOf(await migrateDown({ dir })), [2]);
+    assert.deepEqual(await appliedVersions(), [1]);
+    assert.deepEqual(await widgetColumns(), ['id', 'name']);
+  });
+
+  it('refuses to revert past an applied migration whose file is gone', async () => {
+    fs.renameSync(path.join(dir, '001_create_widgets.js'), path.join(dir, 'create_widgets.js.bak'));
+    try {
+      await assert.rejects(planMigrateDown({ dir }), /Applied migrations have no file to revert them: 1/);
+      const status = await getMigrationStatus({ dir });
+      assert.deepEqual(status.map(({ label, missing }) => [label, missing]), [['1_create_widgets', true], ['002_add_widget_color', false]]);
+    } finally {
+      fs.renameSync(path.join(dir, 'create_widgets.js.bak'), path.join(dir, '001_create_widgets.js'));
+    }
+
+    assert.deepEqual(versionsOf(await migrateDown({ to: 0, dir })), [1]);
+    assert.deepEqual(await appliedVersions(), []);
+  });
+
+  describe('the baseline schema', () => {
+    it('adopts tables that already exist', async () => {
+      assert.equal(versionsOf(await migrateUp())[0], 1);
+      await database.query("INSERT INTO licenses (license_key, owner_id, owner_tag) VALUES ('KEEP-ME', '1', 'owner#1')");
+
+      await database.query('DELETE FROM schema_migrations WHERE version = 1');
+      assert.deepEqual(versionsOf(await migrateUp()), [1]);
+    });
+
+    it('cannot be reverted and keeps its data', async () => {
+      await assert.rejects(migrateDown({ to: 0 }), /001_initial_schema failed \(down\): The baseline schema cannot be reverted/);
+      assert.deepEqual(await appliedVersions(), [1]);
+      const licenses = await database.query('SELECT license_key FROM licenses');
+      assert.deepEqual(licenses.rows, [{ license_key: 'KEEP-ME' }]);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const database = require('./helpers/database');
+const licenseStore = require('../licenseStore');
+const pool = require('../db');
+
+describe('owners with several licenses', { skip: database.skip }, () => {
+  before(async () => {
+    await database.createTestDatabase();
+  });
+
+  after(async () => {
+    await database.dropTestDatabase();
+  });
+
+  // Creates licenses for the owner, each one a day newer than the last
+  async function createLicenses(ownerId, names) {
+    const keys = [];
+    for (let i = 0; i < names.length; i++) {
+      const result = await licenseStore.createLicense(ownerId, `owner#${ownerId}`, { name: names[i] });
+      assert.equal(result.success, true);
+      await database.query(
+        `UPDATE licenses SET created_at = ${pool.shiftTimeSql('NOW()', String(i - names.length), 'day')} WHERE license_key = $1`,
+        [result.licenseKey]
+      );
+      keys.push(result.licenseKey);
+    }
+    return keys;
+  }
+
+  it('uses the oldest license until the owner picks a default', async () => {
+    const [oldest, newest] = await createLicenses('1', ['Main store', 'Second store']);
+    assert.equal(await licenseStore.getUserLicense('1'), oldest);
+
+    assert.equal((await licenseStore.setDefaultLicense('1', newest)).success, true);
+    assert.equal(await licenseStore.getUserLicense('1'), newest);
+    assert.deepEqual((await licenseStore.getOwnerLicenses('1')).map(license => [license.license_key, Boolean(license.is_default)]), [
+      [newest, true],
+      [oldest, false]
+    ]);
+
+    assert.equal((await licenseStore.setDefaultLicense('1', oldest)).success, true);
+    assert.deepEqual((await licenseStore.getOwnerLicenses('1')).map(license => Boolean(license.is_default)), [true, false]);
+    assert.equal(await licenseStore.getUserLicense('nobody'), null);
+  });
+
+  it('only lets owners pick their own licenses as default', async () => {
+    const [mine] = await createLicenses('2', [null]);
+    const [theirs] = await createLicenses('3', [null]);
+    assert.deepEqual(await licenseStore.setDefaultLicense('2', theirs), { success: false, message: 'You don\'t own this license!' });
+    assert.equal(await licenseStore.getUserLicense('2'), mine);
+    assert.equal(await licenseStore.getUserLicense('3'), theirs);
+  });
+
+  it('selects a license by key or by name, only among the owner\'s own', async () => {
+    const [main, second] = await createLicenses('4', ['Main', 'Second']);
+    await createLicenses('5', ['Other']);
+
+    assert.equal(await licenseStore.findOwnerLicense('4', main), main);
+    assert.equal(await licenseStore.findOwnerLicense('4', '  second '), second);
+    assert.equal(await licenseStore.findOwnerLicense('4', 'Other'), null);
+    assert.equal(await licenseStore.findOwnerLicense('5', main), null);
+  });
+
+  it('keeps license names unique per owner', async () => {
+    const [store] = await createLicenses('6', ['Store']);
+    const duplicate = await licenseStore.createLicense('6', 'owner#6', { name: 'STORE' });
+    assert.deepEqual(duplicate, { success: false, message: 'This user already has a license named "STORE"!' });
+    assert.equal((await licenseStore.createLicense('7', 'owner#7', { name: 'Store' })).success, true);
+
+    const [other] = await createLicenses('6', ['Other']);
+    assert.equal((await licenseStore.setLicenseName(other, 'store')).success, false);
+    assert.equal((await licenseStore.setLicenseName(store, 'STORE')).success, true);
+    assert.equal((await licenseStore.setLicenseName(store, null)).success, true);
+    assert.equal((await licenseStore.setLicenseName(other, 'Store')).success, true);
+    assert.equal((await licenseStore.createLicense('6', 'owner#6', { name: ' ' })).message, 'License name cannot be empty');
+  });
+
+  it('drops the default and a clashing name when a license changes hands', async () => {
+    const [shop] = await createLicenses('8', ['Shop']);
+    await licenseStore.setDefaultLicense('8', shop);
+    const [own] = await createLicenses('9', ['Shop']);
+
+    assert.equal((await licenseStore.transferLicense(shop, '9', 'owner#9')).success, true);
+    const licenses = new Map((await licenseStore.getOwnerLicenses('9')).map(license => [license.license_key, license]));
+    assert.equal(licenses.get(shop).name, null);
+    assert.equal(Boolean(licenses.get(shop).is_default), false);
+    assert.equal(licenses.get(own).name, 'Shop');
+    assert.equal(await licenseStore.getUserLicense('8'), null);
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const database = require('./helpers/database');
+const { MIGRATIONS_DIR, loadMigrations } = require('../migrator');
+const { createSqliteDb } = require('../sqliteDb');
+
+// Both dialects must end up with the same tables and columns, since every query in the app
+// runs unchanged against either one
+describe('schema parity', { skip: database.postgresSkip || database.sqliteSkip }, () => {
+  let sqlite;
+
+  before(async () => {
+    await database.createTestDatabase();
+    sqlite = createSqliteDb(':memory:');
+    for (const migration of loadMigrations(MIGRATIONS_DIR, 'sqlite')) {
+      await migration.up(sqlite);
+    }
+  });
+
+  after(async () => {
+    await sqlite.end();
+    await database.dropTestDatabase();
+  });
+
+  const toColumnNames = rows => rows
+    .filter(row => row.table_name !== 'schema_migrations')
+    .map(row => `${row.table_name}.${row.column_name}`)
+    .sort();
+
+  it('migrates PostgreSQL and SQLite to the same tables and columns', async () => {
+    const postgresColumns = await database.query(
+      'SELECT table_name, column_name FROM information_schema.columns WHERE table_schema = current_schema()'
+    );
+    const sqliteColumns = await sqlite.query(
+      `SELECT m.name as table_name, p.name as column_name
+       FROM sqlite_master m JOIN pragma_table_info(m.name) p
+       WHERE m.type = 'table' AND m.name NOT LIKE 'sqlite_%'`
+    );
+
+    const expected = toColumnNames(postgresColumns.rows);
+    assert.ok(expected.includes('licenses.license_key'));
+    assert.deepEqual(toColumnNames(sqliteColumns.rows), expected);
+  });
+});
@@ -0,0 +1,144 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+// signer.js picks its key when first loaded, so give it one before loading the app
+process.env.SIGNING_PRIVATE_KEY = crypto.generateKeyPairSync('ed25519').privateKey.export({ type: 'pkcs8', format: 'pem' });
+
+const database = require('./helpers/database');
+const { startFakeRobloxUsers } = require('./helpers/robloxUsers');
+const pool = require('../db');
+const app = require('../server');
+
+const LICENSE_KEY = 'TEST-LICENSE';
+const NONCE = 'nonce-12345';
+
+describe('signed check responses', { skip: database.skip }, () => {
+  let server;
+  let baseUrl;
+  let keyInfo;
+  let roblox;
+
+  before(async () => {
+    await database.createTestDatabase();
+    await database.query(
+      "INSERT INTO licenses (license_key, owner_id, owner_tag) VALUES ($1, '1', 'owner#1')",
+      [LICENSE_KEY]
+    );
+    await database.query(
+      "INSERT INTO authorized_users (license_key, roblox_user_id, username, vehicle) VALUES ($1, 1001, 'bob', '*ALL*')",
+      [LICENSE_KEY]
+    );
+
+    roblox = await startFakeRobloxUsers([{ id: '1001', name: 'bob' }]);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    keyInfo = await (await fetch(`${baseUrl}/public-key`)).json();
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await roblox.close();
+    await database.dropTestDatabase();
+  });
+
+  async function get(path) {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+  }
+
+  function verifies(signature, key = crypto.createPublicKey(keyInfo.publicKey)) {
+    return crypto.verify(null, Buffer.from(signature.payload, 'utf8'), key, Buffer.from(signature.value, 'base64'));
+  }
+
+  it('signs the decision, the subject and the nonce', async () => {
+    const { body } = await get(`/check-user-license/${LICENSE_KEY}/bob?nonce=${NONCE}`);
+    assert.equal(body.approved, true);
+    assert.equal(body.signature.algorithm, 'Ed25519');
+    assert.equal(body.signature.keyId, keyInfo.keyId);
+    assert.deepEqual(JSON.parse(body.signature.payload), ['v2', true, null, 'bob', LICENSE_KEY, null, body.timestamp, NONCE]);
+    assert.ok(verifies(body.signature));
+  });
+
+  it('signs vehicle checks over the vehicle', async () => {
+    const { body } = await get(`/check-license-vehicle/${LICENSE_KEY}/bob/Sedan?nonce=${NONCE}`);
+    assert.equal(body.approved, true);
+    assert.deepEqual(JSON.parse(body.signature.payload), ['v2', true, null, 'bob', LICENSE_KEY, 'Sedan', body.timestamp, NONCE]);
+    assert.ok(verifies(body.signature));
+  });
+
+  it('signs UserId checks over the UserId', async () => {
+    const { body } = await get(`/check-userid-license/${LICENSE_KEY}/1001?nonce=${NONCE}`);
+    assert.equal(body.approved, true);
+    assert.deepEqual(JSON.parse(body.signature.payload), ['v2', true, '1001', null, LICENSE_KEY, null, body.timestamp, NONCE]);
+    assert.ok(verifies(body.signature));
+  });
+
+  it('verifies against the raw public key', async () => {
+    const rawKey = crypto.createPublicKey({
+      key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(keyInfo.publicKeyRaw, 'base64').toString('base64url') },
+      format: 'jwk'
+    });
+    const { body } = await get(`/check-user-license/${LICENSE_KEY}/bob?nonce=${NONCE}`);
+    assert.ok(verifies(body.signature, rawKey));
+  });
+
+  it('signs denials so a flipped decision no longer verifies', async () => {
+    const { body } = await get(`/check-user-license/${LICENSE_KEY}/alice?nonce=${NONCE}`);
+    assert.equal(body.approved, false);
+    assert.ok(verifies(body.signature));
+
+    const payload = JSON.parse(body.signature.payload);
+    payload[1] = true;
+    assert.ok(!verifies({ ...body.signature, payload: JSON.stringify(payload) }));
+  });
+
+  it('rejects nonces that are not 8-128 url-safe characters', async () => {
+    assert.equal((await get(`/check-user-license/${LICENSE_KEY}/bob?nonce=short`)).status, 400);
+    assert.equal((await get(`/check-user-license/${LICENSE_KEY}/bob?nonce=${'a'.repeat(129)}`)).status, 400);
+    assert.equal((await get(`/check-license-vehicle/${LICENSE_KEY}/bob/Sedan?nonce=not%20safe%21`)).status, 400);
+  });
+
+  describe('grace tokens', () => {
+    it('are not issued without a grace window', async () => {
+      const { body } = await get(`/check-user-license/${LICENSE_KEY}/bob?nonce=${NONCE}`);
+      assert.equal(body.approved, true);
+      assert.equal(body.graceToken, undefined);
+    });
+
+    it('last the grace window of the license and verify on their own', async () => {
+      await database.query('UPDATE licenses SET grace_window_minutes = 30 WHERE license_key = $1', [LICENSE_KEY]);
+
+      const { body } = await get(`/check-userid-license/${LICENSE_KEY}/1001?nonce=${NONCE}`);
+      const { graceToken } = body;
+      const [version, licenseKey, userId, username, vehicle, issuedAt, expiresAt] = JSON.parse(graceToken.payload);
+      assert.deepEqual([version, licenseKey, userId, username, vehicle], ['grace-v1', LICENSE_KEY, '1001', null, null]);
+      assert.equal(expiresAt - issuedAt, 30 * 60);
+      assert.equal(graceToken.expiresAt, expiresAt);
+      assert.ok(Math.abs(issuedAt - Date.now() / 1000) < 60);
+      assert.ok(verifies(graceToken));
+    });
+
+    it('cannot pass for a check response', async () => {
+      const { body } = await get(`/check-user-license/${LICENSE_KEY}/bob?nonce=${NONCE}`);
+      assert.notEqual(JSON.parse(body.graceToken.payload)[0], JSON.parse(body.signature.payload)[0]);
+    });
+
+    it('are not issued with denials', async () => {
+      const { body } = await get(`/check-user-license/${LICENSE_KEY}/alice?nonce=${NONCE}`);
+      assert.equal(body.approved, false);
+      assert.equal(body.graceToken, undefined);
+    });
+
+    it('stop with the subscription', async () => {
+      await database.query(`UPDATE licenses SET expires_at = ${pool.shiftTimeSql('NOW()', '-1', 'second')} WHERE license_key = $1`, [LICENSE_KEY]);
+
+      const { body } = await get(`/check-user-license/${LICENSE_KEY}/bob?nonce=${NONCE}`);
+      assert.equal(body.approved, false);
+      assert.equal(body.reason, 'license_expired');
+      assert.equal(body.graceToken, undefined);
+      assert.ok(verifies(body.signature));
+    });
+  });
+});
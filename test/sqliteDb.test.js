@@ -0,0 +1,182 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { sqliteSkip } = require('./helpers/database');
+const { createSqliteDb, translateSql, toSqliteValue, pickValue } = require('../sqliteDb');
+
+describe('translateSql', () => {
+  it('numbers parameters by name', () => {
+    assert.equal(translateSql('SELECT $1, $2, $10'), 'SELECT @p1, @p2, @p10');
+  });
+
+  it('replaces NOW() in any case', () => {
+    const sql = translateSql('SELECT NOW(), now()');
+    assert.doesNotMatch(sql, /now\(\)/i);
+    assert.equal(sql.match(/strftime/g).length, 2);
+  });
+
+  it('drops casts', () => {
+    assert.equal(
+      translateSql('SELECT $1::TEXT, $2::TEXT[], $3::VARCHAR(255), -$4::INTEGER, $5::DOUBLE PRECISION'),
+      'SELECT @p1, @p2, @p3, -@p4, @p5'
+    );
+  });
+
+  it('drops row locks', () => {
+    assert.equal(translateSql('SELECT * FROM licenses FOR UPDATE'), 'SELECT * FROM licenses');
+    assert.equal(translateSql('SELECT id FROM webhook_deliveries FOR UPDATE SKIP LOCKED'), 'SELECT id FROM webhook_deliveries');
+  });
+});
+
+describe('toSqliteValue', () => {
+  it('stores values the way the schema expects', () => {
+    assert.equal(toSqliteValue(new Date('2024-05-01T12:30:00.000Z')), '2024-05-01T12:30:00.000Z');
+    assert.equal(toSqliteValue(true), 1);
+    assert.equal(toSqliteValue(false), 0);
+    assert.equal(toSqliteValue(undefined), null);
+    assert.equal(toSqliteValue(['a', 'b']), '["a","b"]');
+    assert.equal(toSqliteValue({ a: 1 }), '{"a":1}');
+    assert.equal(toSqliteValue('text'), 'text');
+    assert.equal(toSqliteValue(42), 42);
+  });
+});
+
+describe('pickValue', () => {
+  it('ignores NULLs like GREATEST and LEAST', () => {
+    assert.equal(pickValue([1, null, 3, 2], 1), 3);
+    assert.equal(pickValue([null, 3, 1, 2], -1), 1);
+    assert.equal(pickValue(['2024-01-02', '2024-03-01', null], 1), '2024-03-01');
+    assert.equal(pickValue([null, null], 1), null);
+    assert.equal(pickValue([], -1), null);
+  });
+});
+
+describe('SQLite rows', { skip: sqliteSkip }, () => {
+  const createdAt = new Date('2024-05-01T12:30:00.000Z');
+  let db;
+
+  before(async () => {
+    db = createSqliteDb(':memory:');
+    await db.query(`CREATE TABLE samples (
+      id INTEGER PRIMARY KEY,
+      created_at TIMESTAMP,
+      enabled BOOLEAN,
+      user_id BIGINT,
+      details JSONB,
+      tags TEXT[],
+      note TEXT
+    )`);
+    await db.query(
+      'INSERT INTO samples (created_at, enabled, user_id, details, tags, note) VALUES ($1, $2, $3, $4, $5, $6)',
+      [createdAt, true, '123456789012', { vehicle: 'Tahoe' }, ['police', 'suv'], '2024-05-01T12:30:00.000Z']
+    );
+  });
+
+  after(() => db.end());
+
+  it('come back like pg returns them, by declared column type', async () => {
+    const { rows, rowCount } = await db.query('SELECT * FROM samples');
+    assert.equal(rowCount, 1);
+    assert.deepEqual(rows[0], {
+      id: 1,
+      created_at: createdAt,
+      enabled: true,
+      user_id: '123456789012',
+      details: { vehicle: 'Tahoe' },
+      tags: ['police', 'suv'],
+      // Declared TEXT stays text even when it looks like a timestamp
+      note: '2024-05-01T12:30:00.000Z'
+    });
+  });
+
+  it('convert computed flags and timestamps by their shape', async () => {
+    const { rows } = await db.query(`SELECT EXISTS (SELECT 1 FROM samples) as is_known,
+      EXISTS (SELECT 1 FROM samples WHERE id = 2) as has_more,
+      MAX(created_at) as newest, COUNT(*) as total, 1 as plain
+      FROM samples`);
+    assert.deepEqual(rows[0], { is_known: true, has_more: false, newest: createdAt, total: 1, plain: 1 });
+  });
+
+  it('keep NULLs', async () => {
+    await db.query('INSERT INTO samples (note) VALUES (NULL)');
+    const { rows } = await db.query('SELECT created_at, enabled, details, tags FROM samples WHERE id = 2');
+    assert.deepEqual(rows[0], { created_at: null, enabled: null, details: null, tags: null });
+  });
+
+  it('report how many a write changed', async () => {
+    const result = await db.query('UPDATE samples SET enabled = $1', [false]);
+    assert.deepEqual(result, { rows: [], rowCount: 2 });
+  });
+
+  it('skip NULLs in greatest and least', async () => {
+    const { rows } = await db.query('SELECT greatest(NULL, 1, 3) as high, least(2, NULL, 1) as low, greatest(NULL, NULL) as none');
+    assert.deepEqual(rows[0], { high: 3, low: 1, none: null });
+  });
+});
+
+describe('SQLite transactions', { skip: sqliteSkip }, () => {
+  let db;
+
+  before(async () => {
+    db = createSqliteDb(':memory:');
+    await db.query('CREATE TABLE counters (id INTEGER PRIMARY KEY, value INTEGER NOT NULL)');
+    await db.query('INSERT INTO counters (id, value) VALUES (1, 0)');
+  });
+
+  after(() => db.end());
+
+  it('hold queries from outside until they end', async () => {
+    const client = await db.connect();
+    await client.query('BEGIN');
+    await client.query('UPDATE counters SET value = 1 WHERE id = 1');
+
+    let read = null;
+    const outside = db.query('SELECT value FROM counters WHERE id = 1').then(result => {
+      read = result.rows[0].value;
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(read, null);
+    assert.equal(db.waitingCount, 1);
+
+    await client.query('COMMIT');
+    client.release();
+    await outside;
+    assert.equal(read, 1);
+  });
+
+  it('take turns when clients start together', async () => {
+    const increment = async () => {
+      const client = await db.connect();
+      try {
+        await client.query('BEGIN');
+        const { rows } = await client.query('SELECT value FROM counters WHERE id = 1');
+        await client.query('UPDATE counters SET value = $1 WHERE id = 1', [rows[0].value + 1]);
+        await client.query('COMMIT');
+      } finally {
+        client.release();
+      }
+    };
+    await Promise.all([increment(), increment(), increment()]);
+
+    const { rows } = await db.query('SELECT value FROM counters WHERE id = 1');
+    assert.equal(rows[0].value, 4);
+    await db.query('UPDATE counters SET value = 1 WHERE id = 1');
+  });
+
+  it('roll back when released midway', async () => {
+    const client = await db.connect();
+    await client.query('BEGIN');
+    await client.query('UPDATE counters SET value = 99 WHERE id = 1');
+    client.release();
+
+    const { rows } = await db.query('SELECT value FROM counters WHERE id = 1');
+    assert.equal(rows[0].value, 1);
+    assert.equal(db.idleCount, 1);
+  });
+
+  it('treat ending one that never started as no error', async () => {
+    const client = await db.connect();
+    await client.query('ROLLBACK');
+    client.release();
+  });
+});
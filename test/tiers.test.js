@@ -0,0 +1,152 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const database = require('./helpers/database');
+const licenseStore = require('../licenseStore');
+
+describe('license tiers', { skip: database.skip }, () => {
+  let owners = 0;
+
+  before(async () => {
+    await database.createTestDatabase();
+  });
+
+  after(async () => {
+    await database.dropTestDatabase();
+  });
+
+  async function createLicense() {
+    owners++;
+    const { licenseKey } = await licenseStore.createLicense(String(owners), `owner#${owners}`);
+    return licenseKey;
+  }
+
+  // Grants the given vehicle to players 1..count without going through the quota checks
+  async function fillUsers(licenseKey, count, vehicle = licenseStore.ALL_VEHICLES) {
+    for (let id = 1; id <= count; id++) {
+      await database.query(
+        'INSERT INTO authorized_users (license_key, roblox_user_id, username, vehicle) VALUES ($1, $2, $3, $4)',
+        [licenseKey, id, `player${id}`, vehicle]
+      );
+    }
+  }
+
+  function player(id) {
+    return { id: String(id), name: `player${id}` };
+  }
+
+  it('starts new licenses on Basic', async () => {
+    const usage = await licenseStore.getLicenseUsage(await createLicense());
+    assert.equal(usage.tier, 'basic');
+    assert.deepEqual(usage.usage, { users: 0, vehicles: 0, staff: 0 });
+    assert.equal(usage.limits.maxUsers, 50);
+  });
+
+  describe('authorized users', () => {
+    it('refuses new players over the limit', async () => {
+      const licenseKey = await createLicense();
+      await fillUsers(licenseKey, 50);
+
+      const result = await licenseStore.addUserToLicense(licenseKey, player(51));
+      assert.equal(result.success, false);
+      assert.equal(result.message, 'This license has reached its limit of 50 authorized users on the Basic tier');
+    });
+
+    it('still lets players already on the license get more grants', async () => {
+      const licenseKey = await createLicense();
+      await fillUsers(licenseKey, 50, 'Sedan');
+
+      assert.equal((await licenseStore.addUserToLicense(licenseKey, player(1), 'Truck')).success, true);
+      const temporary = new Date(Date.now() + 60 * 60 * 1000);
+      await database.query('UPDATE authorized_users SET expires_at = $2 WHERE license_key = $1 AND roblox_user_id = 2', [licenseKey, temporary]);
+      assert.equal((await licenseStore.addUserToLicense(licenseKey, player(2), 'Sedan')).extended, true);
+    });
+
+    it('counts players again once their grants are gone', async () => {
+      const licenseKey = await createLicense();
+      await fillUsers(licenseKey, 50);
+      assert.equal(await licenseStore.removeUserFromLicense(licenseKey, player(50)), true);
+
+      assert.equal((await licenseStore.addUserToLicense(licenseKey, player(51))).success, true);
+      assert.equal((await licenseStore.getLicenseUsage(licenseKey)).usage.users, 50);
+    });
+  });
+
+  describe('vehicles', () => {
+    it('refuses new vehicles over the limit but not more grants of known ones', async () => {
+      const licenseKey = await createLicense();
+      for (let i = 1; i <= 10; i++) {
+        assert.equal((await licenseStore.addUserToLicense(licenseKey, player(1), `Car${i}`)).success, true);
+      }
+
+      const result = await licenseStore.addUserToLicense(licenseKey, player(1), 'Car11');
+      assert.equal(result.success, false);
+      assert.equal(result.message, 'This license has reached its limit of 10 vehicles on the Basic tier');
+      assert.equal((await licenseStore.addUserToLicense(licenseKey, player(2), 'Car1')).success, true);
+      assert.equal((await licenseStore.addUserToLicense(licenseKey, player(3))).success, true);
+    });
+  });
+
+  describe('staff', () => {
+    it('refuses staff over the limit', async () => {
+      const licenseKey = await createLicense();
+      const { ADMIN, HELPER } = licenseStore.ROLE_TYPES;
+      assert.equal((await licenseStore.addLicenseStaff(licenseKey, '101', 'staff#101', ADMIN, 'owner')).success, true);
+      assert.equal((await licenseStore.addLicenseStaff(licenseKey, '102', 'staff#102', HELPER, 'owner')).success, true);
+
+      const result = await licenseStore.addLicenseStaff(licenseKey, '103', 'staff#103', HELPER, 'owner');
+      assert.equal(result.success, false);
+      assert.equal(result.message, 'This license has reached its limit of 2 staff members on the Basic tier');
+    });
+  });
+
+  describe('changing tiers', () => {
+    it('lifts the limits on Studio', async () => {
+      const licenseKey = await createLicense();
+      await fillUsers(licenseKey, 50);
+      const result = await licenseStore.setLicenseTier(licenseKey, 'studio');
+      assert.equal(result.success, true);
+      assert.equal(result.usage.users, 50);
+
+      assert.equal((await licenseStore.addUserToLicense(licenseKey, player(51))).success, true);
+    });
+
+    it('keeps what is over the new limits and refuses more', async () => {
+      const licenseKey = await createLicense();
+      await licenseStore.setLicenseTier(licenseKey, 'pro');
+      await fillUsers(licenseKey, 60);
+      assert.equal((await licenseStore.setLicenseTier(licenseKey, 'basic')).success, true);
+
+      assert.equal((await licenseStore.getLicenseUsage(licenseKey)).usage.users, 60);
+      assert.equal((await licenseStore.addUserToLicense(licenseKey, player(61))).success, false);
+    });
+
+    it('refuses unknown tiers', async () => {
+      const result = await licenseStore.setLicenseTier(await createLicense(), 'enterprise');
+      assert.deepEqual(result, { success: false, message: 'Unknown tier!' });
+    });
+  });
+
+  describe('features', () => {
+    it('keeps bundles and patterns to tiers that include them', async () => {
+      const licenseKey = await createLicense();
+      const pattern = await licenseStore.addUserToLicense(licenseKey, player(1), 'Police_*');
+      assert.equal(pattern.success, false);
+      assert.equal(pattern.message, 'Vehicle bundles and patterns are not included in the Basic tier');
+
+      await licenseStore.setLicenseTier(licenseKey, 'pro');
+      assert.equal((await licenseStore.addUserToLicense(licenseKey, player(1), 'Police_*')).success, true);
+    });
+
+    it('switches grace windows off when moving to a tier without them', async () => {
+      const licenseKey = await createLicense();
+      assert.equal((await licenseStore.setGraceWindow(licenseKey, 60)).success, false);
+
+      await licenseStore.setLicenseTier(licenseKey, 'pro');
+      assert.equal((await licenseStore.setGraceWindow(licenseKey, 60)).success, true);
+      await licenseStore.setLicenseTier(licenseKey, 'basic');
+      const result = await database.query('SELECT grace_window_minutes FROM licenses WHERE license_key = $1', [licenseKey]);
+      assert.equal(result.rows[0].grace_window_minutes, 0);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+
+const database = require('./helpers/database');
+const licenseStore = require('../licenseStore');
+const webhooks = require('../webhooks');
+
+describe('webhook deliveries', { skip: database.skip }, () => {
+  let receiver;
+  let received = 0;
+  let licenseKey;
+
+  before(async () => {
+    await database.createTestDatabase();
+    receiver = http.createServer((req, res) => {
+      received++;
+      res.end();
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+    ({ licenseKey } = await licenseStore.createLicense('1', 'owner#1'));
+    await licenseStore.setLicenseTier(licenseKey, 'pro');
+  });
+
+  after(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+    await database.dropTestDatabase();
+  });
+
+  it('refuses private and loopback targets', async () => {
+    assert.match(await webhooks.invalidWebhookUrl('http://127.0.0.1/hook'), /cannot be sent to private/);
+    assert.match(await webhooks.invalidWebhookUrl('http://[::ffff:10.0.0.1]/hook'), /cannot be sent to private/);
+    assert.match(await webhooks.invalidWebhookUrl('ftp://example.com/hook'), /valid http\(s\) URL/);
+  });
+
+  it('does not connect to a host that re-resolves to a private address after the check', async () => {
+    // Public for the check, then loopback for the connection, like a rebinding DNS server
+    let lookups = 0;
+    const lookup = mock.method(dns.promises, 'lookup', async () => {
+      lookups++;
+      return [{ address: lookups === 1 ? '93.184.216.34' : '127.0.0.1', family: 4 }];
+    });
+
+    try {
+      const url = `http://rebind.test:${receiver.address().port}/hook`;
+      const { id } = await webhooks.addWebhook(licenseKey, url, ['user.authorized'], '1');
+      assert.equal((await webhooks.sendTestEvent(licenseKey, id)).success, true);
+      assert.equal(await webhooks.processDueDeliveries(), 1);
+
+      const [delivery] = await webhooks.getWebhookDeliveries(licenseKey, id);
+      assert.ok(lookups >= 2);
+      assert.equal(received, 0);
+      assert.equal(delivery.status, webhooks.DELIVERY_STATUS.PENDING);
+      assert.equal(delivery.last_error, 'Webhooks cannot be sent to private, loopback or link-local addresses');
+    } finally {
+      lookup.mock.restore();
+    }
+  });
+});
@@ -0,0 +1,86 @@
+// License tiers: the plan a license is on decides how many players, vehicles and staff
+// it may have and which features it can use. null means no limit.
+
+// Features a tier can unlock
+const FEATURES = {
+  BUNDLES: 'bundles',
+  WEBHOOKS: 'webhooks',
+  API_TOKENS: 'api_tokens',
+  GRACE_TOKENS: 'grace_tokens'
+};
+
+const FEATURE_LABELS = {
+  [FEATURES.BUNDLES]: 'Vehicle bundles and patterns',
+  [FEATURES.WEBHOOKS]: 'Webhooks',
+  [FEATURES.API_TOKENS]: 'API tokens',
+  [FEATURES.GRACE_TOKENS]: 'Offline grace tokens'
+};
+
+const TIERS = {
+  basic: {
+    label: 'Basic',
+    maxUsers: 50,
+    maxVehicles: 10,
+    maxStaff: 2,
+    features: []
+  },
+  pro: {
+    label: 'Pro',
+    maxUsers: 500,
+    maxVehicles: 100,
+    maxStaff: 10,
+    features: [FEATURES.BUNDLES, FEATURES.WEBHOOKS, FEATURES.GRACE_TOKENS]
+  },
+  studio: {
+    label: 'Studio',
+    maxUsers: null,
+    maxVehicles: null,
+    maxStaff: null,
+    features: Object.values(FEATURES)
+  }
+};
+
+// Unknown tier names (e.g. a plan that was retired) fall back to Basic
+function getTier(name) {
+  return TIERS[name] || TIERS.basic;
+}
+
+function isValidTier(name) {
+  return Object.prototype.hasOwnProperty.call(TIERS, name);
+}
+
+// Message to return when the tier lacks a feature, or null when it has it
+function featureDeniedMessage(tierName, feature) {
+  const tier = getTier(tierName);
+  if (tier.features.includes(feature)) {
+    return null;
+  }
+  return `${FEATURE_LABELS[feature]} are not included in the ${tier.label} tier`;
+}
+
+// Message to return when adding one more would go over the limit, or null when it fits
+function quotaExceededMessage(tierName, limit, current) {
+  const tier = getTier(tierName);
+  const max = tier[limit];
+  if (max === null || current < max) {
+    return null;
+  }
+  const noun = { maxUsers: 'authorized users', maxVehicles: 'vehicles', maxStaff: 'staff members' }[limit];
+  return `This license has reached its limit of ${max} ${noun} on the ${tier.label} tier`;
+}
+
+// e.g. "12 / 50", or "12 / unlimited"
+function formatUsage(current, max) {
+  return `${current} / ${max === null ? 'unlimited' : max}`;
+}
+
+module.exports = {
+  FEATURES,
+  FEATURE_LABELS,
+  TIERS,
+  getTier,
+  isValidTier,
+  featureDeniedMessage,
+  quotaExceededMessage,
+  formatUsage
+};
@@ -0,0 +1,414 @@
+// Outbound webhooks for license events. Events are queued in webhook_deliveries and
+// sent by the API server's delivery worker, which retries failures with backoff.
+// Each delivery keeps a copy of its target URL and secret, so events raised while a
+// license is deleted still go out after its webhooks are gone.
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const pool = require('./db');
+const logger = require('./logger');
+const { FEATURES, featureDeniedMessage } = require('./tiers');
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = {
+  USER_AUTHORIZED: 'user.authorized',
+  USER_DEAUTHORIZED: 'user.deauthorized',
+  USER_SUSPENDED: 'user.suspended',
+  USER_UNSUSPENDED: 'user.unsuspended',
+  LICENSE_PAUSED: 'license.paused',
+  LICENSE_UNPAUSED: 'license.unpaused',
+  LICENSE_TRANSFERRED: 'license.transferred',
+  LICENSE_KEY_ROTATED: 'license.key_rotated',
+  LICENSE_DELETED: 'license.deleted',
+  STAFF_CHANGED: 'staff.changed',
+  CHECK_DENIED: 'check.denied',
+  // Only sent by /testwebhook, regardless of subscriptions
+  PING: 'webhook.ping'
+};
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+const MAX_WEBHOOKS_PER_LICENSE = 5;
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const DELIVERY_BATCH_SIZE = 20;
+// How long a claimed delivery stays hidden from other workers while it is in flight
+const DELIVERY_LEASE_MS = 2 * DELIVERY_TIMEOUT_MS;
+
+// Deliveries come from the API server, so a webhook pointing into its network could probe
+// internal services and read the results back through the delivery log. Set
+// WEBHOOK_ALLOW_PRIVATE_URLS=true to allow such targets, e.g. a receiver on localhost while testing.
+const ALLOW_PRIVATE_WEBHOOK_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// Loopback, private, link-local (cloud metadata), shared, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_WEBHOOK_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_WEBHOOK_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_WEBHOOK_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+function generateSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('base64url');
+}
+
+// Receivers recompute this over "<X-Webhook-Timestamp>.<raw body>" and compare it to X-Webhook-Signature
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Exponential backoff: 30s, 1m, 2m, 4m ... capped at an hour
+function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+// Parses "user.authorized, check.denied" (or "all") into a list of events.
+// Returns null if any event is unknown.
+function parseEvents(input) {
+  const known = Object.values(WEBHOOK_EVENTS).filter(event => event !== WEBHOOK_EVENTS.PING);
+  const requested = input.split(/[\s,]+/).filter(Boolean).map(event => event.toLowerCase());
+
+  if (requested.includes('all')) {
+    return known;
+  }
+  if (requested.length === 0 || requested.some(event => !known.includes(event))) {
+    return null;
+  }
+  return [...new Set(requested)];
+}
+
+const BLOCKED_ADDRESS_MESSAGE = 'Webhooks cannot be sent to private, loopback or link-local addresses';
+
+function isBlockedWebhookAddress(address) {
+  return BLOCKED_WEBHOOK_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// dns.lookup replacement for delivery requests. It refuses hosts that resolve to a blocked
+// address, so the connection goes to the addresses that were just checked and a host that
+// re-resolves to an internal address after invalidWebhookUrl (DNS rebinding) gets nowhere.
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }).then(addresses => {
+    if (!ALLOW_PRIVATE_WEBHOOK_URLS && addresses.some(({ address }) => isBlockedWebhookAddress(address))) {
+      callback(new Error(BLOCKED_ADDRESS_MESSAGE));
+    } else if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  }, callback);
+}
+
+// Message when webhooks may not be sent to input, otherwise null. The URL must be http(s)
+// and its host may only resolve to public addresses. Checked when a webhook is added;
+// deliveries check it again and connect through lookupPublicAddress.
+async function invalidWebhookUrl(input) {
+  let url;
+  try {
+    url = new URL(input);
+  } catch (error) {
+    return 'Url must be a valid http(s) URL';
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return 'Url must be a valid http(s) URL';
+  }
+  if (ALLOW_PRIVATE_WEBHOOK_URLS) {
+    return null;
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    return `Could not resolve ${host}`;
+  }
+  if (addresses.some(({ address }) => isBlockedWebhookAddress(address))) {
+    return BLOCKED_ADDRESS_MESSAGE;
+  }
+  return null;
+}
+
+async function addWebhook(licenseKey, url, events, createdByUserId) {
+  try {
+    const tierResult = await pool.query('SELECT tier FROM licenses WHERE license_key = $1', [licenseKey]);
+    const deniedMessage = tierResult.rows.length > 0 && featureDeniedMessage(tierResult.rows[0].tier, FEATURES.WEBHOOKS);
+    if (deniedMessage) {
+      return { success: false, message: deniedMessage };
+    }
+
+    const countResult = await pool.query('SELECT COUNT(*)::INTEGER AS count FROM webhooks WHERE license_key = $1', [licenseKey]);
+    if (countResult.rows[0].count >= MAX_WEBHOOKS_PER_LICENSE) {
+      return { success: false, message: `A license can have at most ${MAX_WEBHOOKS_PER_LICENSE} webhooks` };
+    }
+
+    const secret = generateSecret();
+    const result = await pool.query(
+      'INSERT INTO webhooks (license_key, url, secret, events, created_by) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+      [licenseKey, url, secret, events, createdByUserId]
+    );
+
+    logger.info(`Webhook ${result.rows[0].id} added for license ${licenseKey}`);
+    return { success: true, id: result.rows[0].id, secret };
+  } catch (error) {
+    logger.error('Error adding webhook:', error);
+    return { success: false, message: 'Error adding webhook' };
+  }
+}
+
+// Removing a webhook also drops its delivery history and undelivered events
+async function removeWebhook(licenseKey, webhookId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `DELETE FROM webhook_deliveries
+       WHERE webhook_id = (SELECT id FROM webhooks WHERE id = $1 AND license_key = $2)`,
+      [webhookId, licenseKey]
+    );
+    const result = await client.query('DELETE FROM webhooks WHERE id = $1 AND license_key = $2', [webhookId, licenseKey]);
+
+    if (result.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return { success: false, message: 'Webhook not found for this license' };
+    }
+
+    await client.query('COMMIT');
+
+    logger.info(`Webhook ${webhookId} removed from license ${licenseKey}`);
+    return { success: true, message: 'Webhook removed successfully' };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error removing webhook:', error);
+    return { success: false, message: 'Error removing webhook' };
+  } finally {
+    client.release();
+  }
+}
+
+// Lists a license's webhooks with delivery counts from the last day (secrets excluded)
+async function getWebhooks(licenseKey) {
+  try {
+    const result = await pool.query(
+      `SELECT w.id, w.url, w.events, w.created_at,
+              COUNT(d.id) FILTER (WHERE d.status = 'delivered') AS delivered,
+              COUNT(d.id) FILTER (WHERE d.status = 'failed') AS failed,
+              COUNT(d.id) FILTER (WHERE d.status = 'pending') AS pending,
+              MAX(d.delivered_at) AS last_delivered_at
+       FROM webhooks w
+       LEFT JOIN webhook_deliveries d ON d.webhook_id = w.id AND d.created_at > ${pool.shiftTimeSql('NOW()', '-1', 'day')}
+       WHERE w.license_key = $1
+       GROUP BY w.id
+       ORDER BY w.id`,
+      [licenseKey]
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting webhooks:', error);
+    return [];
+  }
+}
+
+async function getWebhookDeliveries(licenseKey, webhookId, limit = 10) {
+  try {
+    const result = await pool.query(
+      `SELECT d.id, d.event, d.status, d.attempts, d.last_status_code, d.last_error,
+              d.created_at, d.next_attempt_at, d.delivered_at
+       FROM webhook_deliveries d
+       JOIN webhooks w ON d.webhook_id = w.id
+       WHERE w.id = $1 AND w.license_key = $2
+       ORDER BY d.id DESC
+       LIMIT $3`,
+      [webhookId, licenseKey, limit]
+    );
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting webhook deliveries:', error);
+    return [];
+  }
+}
+
+// Queues events ({ licenseKey, event, data }) for every webhook of the license that subscribes
+// to them. Never throws: a broken queue must not fail the action that raised the event.
+async function enqueueEvents(events) {
+  if (events.length === 0) {
+    return;
+  }
+
+  const occurredAt = new Date().toISOString();
+  const rows = events.map(({ licenseKey, event, data = {} }) => ({
+    license_key: licenseKey,
+    event,
+    payload: { event, licenseKey, occurredAt, data }
+  }));
+
+  try {
+    await pool.query(
+      `INSERT INTO webhook_deliveries (webhook_id, url, secret, event, payload)
+       SELECT w.id, w.url, w.secret, e.event, e.payload
+       FROM ${pool.recordsetSql('$1', 'e', 'license_key VARCHAR(255), event VARCHAR(50), payload JSONB')}
+       JOIN webhooks w ON w.license_key = e.license_key AND ${pool.arrayContainsSql('e.event', 'w.events')}`,
+      [JSON.stringify(rows)]
+    );
+  } catch (error) {
+    logger.error('Error queueing webhook events:', error);
+  }
+}
+
+async function enqueueEvent(licenseKey, event, data) {
+  await enqueueEvents([{ licenseKey, event, data }]);
+}
+
+// Queues a ping for one webhook so owners can test their receiver
+async function sendTestEvent(licenseKey, webhookId) {
+  try {
+    const payload = { event: WEBHOOK_EVENTS.PING, licenseKey, occurredAt: new Date().toISOString(), data: {} };
+    const result = await pool.query(
+      `INSERT INTO webhook_deliveries (webhook_id, url, secret, event, payload)
+       SELECT id, url, secret, $3::TEXT, $4::jsonb
+       FROM webhooks WHERE id = $1 AND license_key = $2`,
+      [webhookId, licenseKey, WEBHOOK_EVENTS.PING, JSON.stringify(payload)]
+    );
+
+    if (result.rowCount === 0) {
+      return { success: false, message: 'Webhook not found for this license' };
+    }
+    return { success: true, message: 'Test event queued. Check /webhookdeliveries in a few seconds.' };
+  } catch (error) {
+    logger.error('Error queueing test webhook event:', error);
+    return { success: false, message: 'Error queueing test event' };
+  }
+}
+
+async function attemptDelivery(delivery) {
+  const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  const urlProblem = await invalidWebhookUrl(delivery.url);
+  if (urlProblem) {
+    return { ok: false, statusCode: null, error: urlProblem };
+  }
+
+  const signal = AbortSignal.timeout(DELIVERY_TIMEOUT_MS);
+  try {
+    const statusCode = await postWebhook(delivery.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'RobloxAntiLeak-Webhooks/1.0',
+      'X-Webhook-Delivery': delivery.id.toString(),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': signPayload(delivery.secret, timestamp, body)
+    }, body, signal);
+    const ok = statusCode >= 200 && statusCode < 300;
+    return { ok, statusCode, error: ok ? null : `HTTP ${statusCode}` };
+  } catch (error) {
+    return { ok: false, statusCode: null, error: signal.aborted ? 'Timed out' : error.message };
+  }
+}
+
+// POSTs body to url and resolves with the response status. Uses http(s).request rather than
+// fetch so the connection resolves through lookupPublicAddress. Redirects are not followed.
+function postWebhook(url, headers, body, signal) {
+  return new Promise((resolve, reject) => {
+    const transport = new URL(url).protocol === 'https:' ? https : http;
+    const request = transport.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: lookupPublicAddress,
+      signal
+    }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// Sends deliveries that are due. Each batch is claimed by pushing its next attempt
+// past the lease, so several server instances can run the worker side by side.
+// Returns the number attempted.
+async function processDueDeliveries() {
+  const due = await pool.query(
+    `UPDATE webhook_deliveries
+     SET next_attempt_at = ${pool.shiftTimeSql('NOW()', '$3', 'millisecond')}
+     WHERE id IN (
+       SELECT id FROM webhook_deliveries
+       WHERE status = $1 AND next_attempt_at <= NOW()
+       ORDER BY next_attempt_at
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id, webhook_id, url, secret, event, payload, attempts`,
+    [DELIVERY_STATUS.PENDING, DELIVERY_BATCH_SIZE, DELIVERY_LEASE_MS]
+  );
+
+  await Promise.all(due.rows.map(async delivery => {
+    const outcome = await attemptDelivery(delivery);
+    const attempts = delivery.attempts + 1;
+
+    if (outcome.ok) {
+      await pool.query(
+        `UPDATE webhook_deliveries SET status = $2, attempts = $3, last_status_code = $4, last_error = NULL, delivered_at = NOW()
+         WHERE id = $1`,
+        [delivery.id, DELIVERY_STATUS.DELIVERED, attempts, outcome.statusCode]
+      );
+      return;
+    }
+
+    const giveUp = attempts >= MAX_ATTEMPTS;
+    await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = $2, attempts = $3, last_status_code = $4, last_error = $5,
+           next_attempt_at = ${pool.shiftTimeSql('NOW()', '$6', 'millisecond')}
+       WHERE id = $1`,
+      [delivery.id, giveUp ? DELIVERY_STATUS.FAILED : DELIVERY_STATUS.PENDING, attempts, outcome.statusCode, outcome.error, retryDelay(attempts)]
+    );
+
+    if (giveUp) {
+      logger.warn(`Webhook delivery ${delivery.id} (${delivery.event}) to ${delivery.url} failed after ${attempts} attempts: ${outcome.error}`);
+    }
+  }));
+
+  return due.rows.length;
+}
+
+// Deletes finished deliveries older than the retention window. Returns the number removed.
+async function pruneWebhookDeliveries(retentionDays) {
+  const result = await pool.query(
+    `DELETE FROM webhook_deliveries
+     WHERE status <> $1 AND created_at < ${pool.shiftTimeSql('NOW()', '-$2::INTEGER', 'day')}`,
+    [DELIVERY_STATUS.PENDING, retentionDays]
+  );
+  return result.rowCount;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUS,
+  signPayload,
+  parseEvents,
+  invalidWebhookUrl,
+  addWebhook,
+  removeWebhook,
+  getWebhooks,
+  getWebhookDeliveries,
+  enqueueEvents,
+  enqueueEvent,
+  sendTestEvent,
+  processDueDeliveries,
+  pruneWebhookDeliveries
+};